@@ -12,6 +12,7 @@ const httpsConfig = config.internalHttps;
 const mConfig = config.metrics;
 const rConfig = config.redis;
 const QueuePopulator = require('../lib/queuePopulator/QueuePopulator');
+const { setupTracing, getTracer } = require('../lib/tracing/Tracer');
 const zookeeper = require('node-zookeeper-client');
 
 const { HealthProbeServer } = require('arsenal').network.probe;
@@ -20,6 +21,8 @@ const log = new werelogs.Logger('Backbeat:QueuePopulator');
 werelogs.configure({ level: config.log.logLevel,
     dump: config.log.dumpLevel });
 
+setupTracing(config.tracing, 'backbeat-queue-populator', log);
+
 /* eslint-disable no-param-reassign */
 function queueBatch(queuePopulator, taskState) {
     if (taskState.batchInProgress) {
@@ -97,6 +100,7 @@ process.on('SIGTERM', () => {
             });
             process.exit(1);
         }
-        process.exit(0);
+        // export the last spans before exiting
+        getTracer().close(() => process.exit(0));
     });
 });
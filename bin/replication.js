@@ -1,3 +1,6 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const program = require('commander');
 const { SharedIniFileCredentials } = require('aws-sdk');
 
@@ -8,6 +11,10 @@ const { RoundRobin } = require('arsenal').network;
 const config = require('../conf/Config');
 const SetupReplication =
           require('../extensions/replication/utils/SetupReplication');
+const ReplicationAuditTask =
+          require('../extensions/replication/tasks/ReplicationAuditTask');
+const VaultClientCache = require('../lib/clients/VaultClientCache');
+const { proxyVaultPath } = require('../extensions/replication/constants');
 const version = require('../package.json').version;
 
 werelogs.configure({
@@ -64,6 +71,68 @@ function _createSetupReplication(command, options, log) {
     });
 }
 
+function _createAgent(transport, httpsConfig) {
+    if (transport === 'https') {
+        return new https.Agent({
+            key: httpsConfig.key,
+            cert: httpsConfig.cert,
+            ca: httpsConfig.ca,
+            keepAlive: true,
+        });
+    }
+    return new http.Agent({ keepAlive: true });
+}
+
+function _createReplicationAuditTask(options) {
+    const { source, destination } = config.extensions.replication;
+    const endpoint = destination.bootstrapList
+        .find(dest => dest.site === options.siteName);
+    // Required options
+    if (!options.sourceBucket || !endpoint ||
+        !Array.isArray(endpoint.servers)) {
+        program.commands.find(n => n._name === 'audit').outputHelp();
+        process.stdout.write('\n');
+        process.exit(1);
+    }
+    const vaultclientCache = new VaultClientCache();
+    if (source.auth.type === 'role') {
+        const { host, port } = source.auth.vault;
+        vaultclientCache.setHost('source:s3', host).setPort('source:s3', port);
+        if (source.transport === 'https') {
+            const { key, cert, ca } = config.internalHttps;
+            vaultclientCache.setHttps('source:s3', key, cert, ca);
+        }
+    }
+    if (destination.auth.type === 'role') {
+        const vault = destination.auth.vault || {};
+        if (vault.host) {
+            vaultclientCache.setHost('dest:s3', vault.host);
+        }
+        if (vault.port) {
+            vaultclientCache.setPort('dest:s3', vault.port);
+        } else {
+            // if dest vault port not configured, go through nginx proxy
+            vaultclientCache.setProxyPath('dest:s3', proxyVaultPath);
+        }
+        if (destination.transport === 'https') {
+            const { key, cert, ca } = config.https;
+            vaultclientCache.setHttps('dest:s3', key, cert, ca);
+        }
+    }
+    const state = {
+        sourceConfig: source,
+        destConfig: destination,
+        repConfig: config.extensions.replication,
+        destHosts: new RoundRobin(endpoint.servers, { defaultPort: 80 }),
+        sourceHTTPAgent: _createAgent(source.transport, config.internalHttps),
+        destHTTPAgent: _createAgent(destination.transport, config.https),
+        vaultclientCache,
+        logger: new Logger('Backbeat:Replication:Audit'),
+        site: options.siteName,
+    };
+    return new ReplicationAuditTask({ getStateVars: () => state });
+}
+
 program.version(version);
 
 [
@@ -107,6 +176,46 @@ program.version(version);
         });
 });
 
+program
+    .command('audit')
+    .option('--source-bucket <name>', '[required] source bucket name')
+    .option('--site-name <name>', '[required] the replication site name, ' +
+            'a S3 connector site')
+    .option('--prefix <prefix>', '[optional] only audit keys with this ' +
+            'prefix')
+    .option('--roles <roles>', '[optional] source and target roles ' +
+            'separated by a comma (required with role authentication)')
+    .option('--output <path>', '[optional] report file path, defaults to ' +
+            'standard output')
+    .option('--requeue', '[optional] requeue missing and mismatched ' +
+            'versions for replication')
+    .action(options => {
+        const log = new Logger('BackbeatAudit').newRequestLogger();
+        const task = _createReplicationAuditTask(options);
+        const report = options.output ?
+            fs.createWriteStream(options.output) : process.stdout;
+        task.auditBucket({
+            bucket: options.sourceBucket,
+            prefix: options.prefix,
+            roles: options.roles,
+            requeue: options.requeue === true,
+            report,
+        }, (err, summary) => {
+            if (err) {
+                log.error('replication audit failed', {
+                    errCode: err.code,
+                    error: err.message,
+                });
+                process.exit(1);
+            }
+            log.info('replication audit successful', summary);
+            if (report === process.stdout) {
+                return process.exit();
+            }
+            return report.end(() => process.exit());
+        });
+    });
+
 const validCommands = program.commands.map(n => n._name);
 
 // Is the command given invalid or are there too few arguments passed
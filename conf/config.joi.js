@@ -4,8 +4,8 @@ const joi = require('joi');
 const { hostPortJoi, transportJoi, logJoi, certFilePathsJoi } =
       require('../lib/config/configItems.joi.js');
 
-const logSourcesJoi = joi.string().valid('bucketd', 'mongo', 'ingestion',
-    'dmd');
+const logSourcesJoi = joi.string().valid('bucketd', 'mongo',
+    'mongoChangeStream', 'ingestion', 'dmd');
 
 const joiSchema = {
     replicationGroupId: joi.string().length(7).required(),
@@ -15,6 +15,11 @@ const joiSchema = {
     },
     kafka: {
         hosts: joi.string().required(),
+        backend: joi.string().valid('kafka', 'local').default('kafka'),
+        localQueue: {
+            path: joi.string(),
+            partitions: joi.number().integer().greater(0).default(1),
+        },
     },
     transport: transportJoi,
     s3: hostPortJoi.required(),
@@ -36,7 +41,9 @@ const joiSchema = {
             replicaSetHosts: joi.string().default('localhost:27017'),
             logName: joi.string().default('s3-recordlog'),
             writeConcern: joi.string().default('majority'),
-            replicaSet: joi.string().default('rs0'),
+            // empty to connect to the mongos routers of a sharded
+            // cluster
+            replicaSet: joi.string().allow('').default('rs0'),
             readPreference: joi.string().default('primary'),
             database: joi.string().default('metadata'),
         }),
@@ -76,6 +83,23 @@ const joiSchema = {
     }).required(),
     certFilePaths: certFilePathsJoi,
     internalCertFilePaths: certFilePathsJoi,
+    tracing: joi.object({
+        enabled: joi.boolean().default(false),
+        exporter: joi.string().valid('file', 'otlp')
+            .when('enabled', { is: true, then: joi.required() }),
+        filePath: joi.string()
+            .when('exporter', { is: 'file', then: joi.required() }),
+        endpoint: joi.string().uri({ scheme: ['http', 'https'] })
+            .when('exporter', { is: 'otlp', then: joi.required() }),
+        sampleRatio: joi.number().min(0).max(1).default(1),
+        flushIntervalMs: joi.number().integer().greater(0).default(5000),
+        maxBatchSize: joi.number().integer().greater(0).default(512),
+    }).default({
+        enabled: false,
+        sampleRatio: 1,
+        flushIntervalMs: 5000,
+        maxBatchSize: 512,
+    }),
 };
 
 module.exports = joiSchema;
@@ -7,8 +7,15 @@ const errors = require('arsenal').errors;
 const Logger = require('werelogs').Logger;
 
 const BackbeatConsumer = require('../../lib/BackbeatConsumer');
+const { getKafkaClientConfig } = require('../../lib/localQueue');
+const ServiceStateManager = require('../../lib/ServiceStateManager');
 const ActionQueueEntry = require('../../lib/models/ActionQueueEntry');
 const GarbageCollectorTask = require('./tasks/GarbageCollectorTask');
+const {
+    zookeeperNamespace,
+    zkStatePath,
+    serviceStateChannel,
+} = require('./constants');
 
 /**
  * @class GarbageCollector
@@ -54,6 +61,10 @@ class GarbageCollector extends EventEmitter {
      * @param {Number} [params.gcConfig.consumer.concurrency] - number
      *  of max allowed concurrent operations
      * @param {String} [params.transport='http'] - transport
+     * @param {Object} [params.zkConfig] - zookeeper configuration,
+     *  required along with params.redisConfig to pause and resume
+     *  the garbage collector through the backbeat API
+     * @param {Object} [params.redisConfig] - redis configuration
      */
     constructor(params) {
         super();
@@ -68,22 +79,58 @@ class GarbageCollector extends EventEmitter {
 
         this._httpAgent = new http.Agent({ keepAlive: true });
         this._logger = new Logger('Backbeat:GC');
+
+        this._consumerSubscribed = false;
+        this._stateManager = null;
+        if (params.zkConfig && params.redisConfig) {
+            this._stateManager = new ServiceStateManager({
+                service: 'garbage collector',
+                zkPath: `${zookeeperNamespace}${zkStatePath}/collector`,
+                channel: `${serviceStateChannel}-collector`,
+                redisConfig: params.redisConfig,
+                zkConfig: params.zkConfig,
+                logger: this._logger,
+            });
+            this._stateManager.on('pause', () => this._applyServiceState());
+            this._stateManager.on('resume', () => this._applyServiceState());
+        }
     }
 
     /**
-     * Start kafka consumer. Emits a 'ready' event when
-     * consumer is ready.
+     * Start kafka consumer, paused if the garbage collector was
+     * paused. Emits a 'ready' event when consumer is ready.
      *
      * @return {undefined}
      */
     start() {
+        if (!this._stateManager) {
+            return this._setupConsumer();
+        }
+        return this._stateManager.setup(err => {
+            if (err) {
+                this._logger.error('garbage collector failed to load its ' +
+                                   'paused state');
+                process.exit(1);
+            }
+            this._setupConsumer();
+        });
+    }
+
+    /**
+     * Set up the garbage collector consumer
+     * @return {undefined}
+     */
+    _setupConsumer() {
         let consumerReady = false;
         this._consumer = new BackbeatConsumer({
-            kafka: { hosts: this._kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this._kafkaConfig),
             topic: this._gcConfig.topic,
             groupId: this._gcConfig.consumer.groupId,
             concurrency: this._gcConfig.consumer.concurrency,
             queueProcessor: this.processKafkaEntry.bind(this),
+            deadLetterTopic: this._gcConfig.consumer.deadLetterTopic,
+            deadLetterMaxAttempts:
+            this._gcConfig.consumer.deadLetterMaxAttempts,
         });
         this._consumer.on('error', () => {
             if (!consumerReady) {
@@ -94,18 +141,41 @@ class GarbageCollector extends EventEmitter {
         });
         this._consumer.on('ready', () => {
             consumerReady = true;
-            this._consumer.subscribe();
+            const paused = this._stateManager !== null &&
+                  this._stateManager.isPaused();
+            this._consumer.subscribe(paused);
+            this._consumerSubscribed = true;
             this._logger.info('garbage collector service successfully started');
             return this.emit('ready');
         });
     }
 
+    /**
+     * Pause or resume the consumer following the service state. A
+     * state changed before the consumer subscribed is applied when it
+     * subscribes.
+     * @return {undefined}
+     */
+    _applyServiceState() {
+        if (!this._consumerSubscribed) {
+            return;
+        }
+        if (this._stateManager.isPaused()) {
+            this._consumer.pause('collector');
+        } else {
+            this._consumer.resume('collector');
+        }
+    }
+
     /**
      * Close the lifecycle consumer
      * @param {function} cb - callback function
      * @return {undefined}
      */
     close(cb) {
+        if (this._stateManager) {
+            this._stateManager.close();
+        }
         this._logger.debug('closing garbage collector consumer');
         this._consumer.close(cb);
     }
@@ -9,6 +9,8 @@ const joiSchema = joi.object({
         groupId: joi.string().required(),
         retry: retryParamsJoi,
         concurrency: joi.number().greater(0).default(10),
+        deadLetterTopic: joi.string(),
+        deadLetterMaxAttempts: joi.number().integer().greater(0).default(1),
     },
 });
 
@@ -3,6 +3,7 @@
 const { Logger } = require('werelogs');
 
 const BackbeatProducer = require('../../lib/BackbeatProducer');
+const { getKafkaClientConfig } = require('../../lib/localQueue');
 const config = require('../../conf/Config');
 
 class GarbageCollectorProducer {
@@ -24,7 +25,7 @@ class GarbageCollectorProducer {
      */
     setupProducer(cb) {
         const producer = new BackbeatProducer({
-            kafka: { hosts: this._kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this._kafkaConfig),
             topic: this._topic,
         });
         producer.once('error', () => {});
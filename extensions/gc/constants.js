@@ -0,0 +1,13 @@
+'use strict'; // eslint-disable-line
+
+const testIsOn = process.env.CI === 'true';
+
+const constants = {
+    zookeeperNamespace: testIsOn ? '/backbeattest/gc' : '/backbeat/gc',
+    zkStatePath: '/state',
+    // garbage collector services that can be paused and resumed
+    services: ['collector'],
+    serviceStateChannel: 'backbeat-gc-service',
+};
+
+module.exports = constants;
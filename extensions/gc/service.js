@@ -9,6 +9,8 @@ const kafkaConfig = config.kafka;
 const s3Config = config.s3;
 const gcConfig = config.extensions.gc;
 const transport = config.transport;
+const zkConfig = config.zookeeper;
+const redisConfig = config.redis;
 const { HealthProbeServer } = require('arsenal').network.probe;
 
 const { initManagement } = require('../../lib/management');
@@ -17,6 +19,8 @@ const garbageCollector = new GarbageCollector({
     s3Config,
     gcConfig,
     transport,
+    zkConfig,
+    redisConfig,
 });
 
 const healthServer = new HealthProbeServer({
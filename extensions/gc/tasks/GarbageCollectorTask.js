@@ -1,5 +1,6 @@
 const BackbeatClient = require('../../../lib/clients/BackbeatClient');
 const { attachReqUids } = require('../../../lib/clients/utils');
+const monitoringClient = require('../../../lib/clients/monitoringHandler');
 const BackbeatTask = require('../../../lib/tasks/BackbeatTask');
 const { getAccountCredentials } =
           require('../../../lib/credentials/AccountCredentials');
@@ -46,7 +47,10 @@ class GarbageCollectorTask extends BackbeatTask {
             })),
         });
         attachReqUids(req, log);
+        const startTime = Date.now();
         return req.send(err => {
+            monitoringClient.gcBatchDeleteDuration.observe(
+                (Date.now() - startTime) / 1000);
             entry.setEnd(err);
             log.info('action execution ended', entry.getLogInfo());
             if (err) {
@@ -59,6 +63,9 @@ class GarbageCollectorTask extends BackbeatTask {
                           }, entry.getLogInfo()));
                 return done(err);
             }
+            const bytes = locations.reduce(
+                (sum, location) => sum + (location.size || 0), 0);
+            monitoringClient.gcBatchDeleteBytes.inc(bytes);
             return done();
         });
     }
@@ -8,6 +8,7 @@ const joiSchema = {
     topic: joi.string().required(),
     zookeeperPath: joi.string().required(),
     cronRule: joi.string().default('*/5 * * * * *'),
+    listingIntervalS: joi.number().integer().min(0).default(60),
     sources: joi.array().required(),
 };
 
@@ -40,11 +40,15 @@ const joiSchema = {
         // the processing, no need to add more here to avoid
         // overloading the system
         concurrency: joi.number().greater(0).default(1),
+        deadLetterTopic: joi.string(),
+        deadLetterMaxAttempts: joi.number().integer().greater(0).default(1),
     },
     objectProcessor: {
         groupId: joi.string().required(),
         retry: retryParamsJoi,
         concurrency: joi.number().greater(0).default(10),
+        deadLetterTopic: joi.string(),
+        deadLetterMaxAttempts: joi.number().integer().greater(0).default(1),
     },
     rules: {
         expiration: {
@@ -56,10 +60,38 @@ const joiSchema = {
         transitions: {
             enabled: joi.boolean().default(true),
         },
+        noncurrentVersionTransitions: {
+            enabled: joi.boolean().default(true),
+        },
         abortIncompleteMultipartUpload: {
             enabled: joi.boolean().default(true),
         },
     },
+    restore: joi.object({
+        enabled: joi.boolean().default(false),
+        // location where the data of restored objects is copied
+        location: joi.string()
+            .when('enabled', { is: true, then: joi.required() }),
+        expiryCheckIntervalS: joi.number().greater(0).default(60),
+        // topic of the data mover copying the data of restored objects
+        dataMoverTopic: joi.string().default('backbeat-data-mover'),
+    }).default({
+        enabled: false,
+        expiryCheckIntervalS: 60,
+        dataMoverTopic: 'backbeat-data-mover',
+    }),
+    eventScheduling: joi.object({
+        enabled: joi.boolean().default(false),
+        // cron rule of the full listings of lifecycled buckets, kept
+        // as a safety net of the scheduling of objects
+        fullScanCronRule: joi.string().default('0 0 0 * * 0'),
+        // maximum number of due objects read at once by the conductor
+        batchSize: joi.number().integer().greater(0).default(1000),
+    }).default({
+        enabled: false,
+        fullScanCronRule: '0 0 0 * * 0',
+        batchSize: 1000,
+    }),
 };
 
 function configValidator(backbeatConfig, extConfig) {
@@ -1,25 +1,65 @@
-const { mpuBucketPrefix } = require('arsenal').constants;
+const async = require('async');
+const { isMasterKey } = require('arsenal/lib/versioning/Version');
+const { usersBucket, mpuBucketPrefix } = require('arsenal').constants;
+const VID_SEP = require('arsenal').versioning.VersioningConstants
+          .VersionId.Separator;
+const VersionIDUtils = require('arsenal').versioning.VersionID;
+const { RedisClient } = require('arsenal').metrics;
+
 const QueuePopulatorExtension =
     require('../../lib/queuePopulator/QueuePopulatorExtension');
+const ActionQueueEntry = require('../../lib/models/ActionQueueEntry');
 const safeJsonParse = require('./util/safeJsonParse');
+const { getPendingRestoreRequest } = require('./util/restore');
+const { getRulesFromBucketMD, getObjectDueDate } = require('./util/rules');
+const { redisKeys } = require('./constants');
 const LIFECYCLE_BUCKETS_ZK_PATH = '/data/buckets';
+const LIFECYCLE_RULES_ZK_PATH = '/data/rules';
 const METASTORE = '__metastore';
 
 class LifecycleQueuePopulator extends QueuePopulatorExtension {
+    /**
+     * @constructor
+     * @param {Object} params - constructor params
+     * @param {Object} params.config - lifecycle extension config
+     * @param {Object} [params.redisConfig] - redis configuration,
+     *   required if event scheduling is enabled
+     * @param {Logger} params.logger - logger object
+     */
+    constructor(params) {
+        super(params);
+        // lifecycle rules of buckets as { owner, rules }, by bucket
+        // name, to schedule the expiration and transition of objects
+        this._bucketRules = {};
+        this._redisClient = null;
+        const { eventScheduling } = this.extConfig;
+        if (eventScheduling && eventScheduling.enabled) {
+            this._redisClient = new RedisClient(params.redisConfig, this.log);
+        }
+    }
 
     /**
-     * Pre-create the zookeeper path for bucket lifecycle nodes, if necessary.
+     * Pre-create the zookeeper paths for bucket lifecycle nodes if
+     * necessary, then load the saved bucket lifecycle rules if
+     * objects are scheduled.
      * @param {Function} cb - The callback function.
      * @return {undefined}
      */
     createZkPath(cb) {
+        return async.series([
+            next => this._createBucketsZkPath(next),
+            next => this._loadBucketRules(next),
+        ], err => cb(err));
+    }
+
+    _createBucketsZkPath(cb) {
         const { zookeeperPath } = this.extConfig;
         const path = `${zookeeperPath}${LIFECYCLE_BUCKETS_ZK_PATH}`;
         return this.zkClient.getData(path, err => {
             if (err) {
                 if (err.name !== 'NO_NODE') {
                     this.log.error('could not get zookeeper node path', {
-                        method: 'LifecycleQueuePopulator.createZkPath',
+                        method: 'LifecycleQueuePopulator._createBucketsZkPath',
                         error: err,
                     });
                     return cb(err);
@@ -27,7 +67,8 @@ class LifecycleQueuePopulator extends QueuePopulatorExtension {
                 return this.zkClient.mkdirp(path, err => {
                     if (err) {
                         this.log.error('could not create path in zookeeper', {
-                            method: 'LifecycleQueuePopulator.createZkPath',
+                            method:
+                                'LifecycleQueuePopulator._createBucketsZkPath',
                             zookeeperPath,
                             error: err,
                         });
@@ -40,6 +81,107 @@ class LifecycleQueuePopulator extends QueuePopulatorExtension {
         });
     }
 
+    _getRulesZkPath(bucket) {
+        const { zookeeperPath } = this.extConfig;
+        const basePath = `${zookeeperPath}${LIFECYCLE_RULES_ZK_PATH}`;
+        return bucket ? `${basePath}/${bucket}` : basePath;
+    }
+
+    /**
+     * Load the bucket lifecycle rules saved in zookeeper, if objects
+     * are scheduled
+     * @param {Function} cb - The callback function.
+     * @return {undefined}
+     */
+    _loadBucketRules(cb) {
+        if (!this._redisClient) {
+            return process.nextTick(cb);
+        }
+        const path = this._getRulesZkPath();
+        return async.waterfall([
+            next => this.zkClient.mkdirp(path, err => next(err)),
+            next => this.zkClient.getChildren(path, next),
+            (buckets, stat, next) => async.eachLimit(buckets, 10,
+            (bucket, done) => this.zkClient.getData(
+                this._getRulesZkPath(bucket), (err, data) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    const { error, result } =
+                        safeJsonParse(data && data.toString());
+                    if (error) {
+                        this.log.error('invalid bucket lifecycle rules ' +
+                        'in zookeeper', { bucket, error });
+                        return done();
+                    }
+                    this._bucketRules[bucket] = result;
+                    return done();
+                }), err => next(err, buckets)),
+        ], (err, buckets) => {
+            if (err) {
+                this.log.error('could not load bucket lifecycle rules', {
+                    method: 'LifecycleQueuePopulator._loadBucketRules',
+                    zkPath: path,
+                    error: err,
+                });
+                return cb(err);
+            }
+            this.log.info('loaded bucket lifecycle rules',
+                          { bucketCount: buckets.length });
+            return cb();
+        });
+    }
+
+    /**
+     * Update the lifecycle rules of a bucket from its attributes, and
+     * save them in zookeeper if they changed.
+     * @param {Object} attributes - bucket attributes from metadata log
+     * @param {String} attributes.owner - canonical ID of the bucket owner
+     * @param {String} attributes.name - bucket name
+     * @param {Boolean} [attributes.deleted] - true if bucket is deleted
+     * @param {Object} [attributes.lifecycleConfiguration] - bucket
+     * lifecycle configuration
+     * @return {undefined}
+     */
+    _updateBucketRules(attributes) {
+        const bucket = attributes.name;
+        const rules = attributes.deleted ? [] :
+              getRulesFromBucketMD(attributes.lifecycleConfiguration);
+        const newRules = rules.length > 0 ?
+              { owner: attributes.owner, rules } : null;
+        const currentRules = this._bucketRules[bucket] || null;
+        if (JSON.stringify(newRules) === JSON.stringify(currentRules)) {
+            return undefined;
+        }
+        const path = this._getRulesZkPath(bucket);
+        if (!newRules) {
+            delete this._bucketRules[bucket];
+            return this.zkClient.remove(path, err => {
+                if (err && err.name !== 'NO_NODE') {
+                    this.log.error('could not remove zookeeper node', {
+                        method: 'LifecycleQueuePopulator._updateBucketRules',
+                        zkPath: path,
+                        error: err,
+                    });
+                }
+                return undefined;
+            });
+        }
+        // rules are parsed back from JSON when loaded from zookeeper
+        this._bucketRules[bucket] = JSON.parse(JSON.stringify(newRules));
+        return this.zkClient.setOrCreate(path,
+            Buffer.from(JSON.stringify(newRules)), err => {
+                if (err) {
+                    this.log.error('could not save zookeeper node', {
+                        method: 'LifecycleQueuePopulator._updateBucketRules',
+                        zkPath: path,
+                        error: err,
+                    });
+                }
+                return undefined;
+            });
+    }
+
     _getBucketNodeZkPath(attributes) {
         const { zookeeperPath } = this.extConfig;
         return `${zookeeperPath}${LIFECYCLE_BUCKETS_ZK_PATH}/` +
@@ -96,6 +238,147 @@ class LifecycleQueuePopulator extends QueuePopulatorExtension {
         });
     }
 
+    /**
+     * Send a copy location action to the data mover for an object
+     * which restore is requested, to copy its archived data to the
+     * restore location. The action result is sent to the lifecycle
+     * object tasks topic, for the object processor to update the
+     * object metadata.
+     * @param {Object} entry - The object record log entry from metadata
+     * @param {Object} result - The parsed object metadata
+     * @return {undefined}
+     */
+    _filterRestoreRequest(entry, result) {
+        const { restore, objectTasksTopic } = this.extConfig;
+        if (!restore || !restore.enabled) {
+            return undefined;
+        }
+        // restore requests on versions are processed once, on the
+        // version key
+        if (isMasterKey(entry.key) && result.versionId) {
+            return undefined;
+        }
+        const restoreRequest = getPendingRestoreRequest(result);
+        if (!restoreRequest) {
+            return undefined;
+        }
+        const key = entry.key.split(VID_SEP)[0];
+        const actionEntry = ActionQueueEntry.create('copyLocation')
+              .setResultsTopic(objectTasksTopic)
+              .addContext({
+                  origin: 'lifecycle',
+                  ruleType: 'restore',
+                  restoreRequestedAt: restoreRequest.requestedAt,
+              })
+              .setAttribute('target.bucket', entry.bucket)
+              .setAttribute('target.key', key)
+              .setAttribute('target.version', result.versionId ?
+                  VersionIDUtils.encode(result.versionId) : undefined)
+              .setAttribute('target.eTag', `"${result['content-md5']}"`)
+              .setAttribute('toLocation', restore.location);
+        this.log.trace('publishing restore request to data mover',
+                       actionEntry.getLogInfo());
+        return this.publish(restore.dataMoverTopic,
+                            `${entry.bucket}/${key}`,
+                            actionEntry.toKafkaMessage());
+    }
+
+    /**
+     * Update the schedule of the objects due for expiration or
+     * transition, logging errors as the log entry is not retried
+     * @param {Array} cmd - redis command
+     * @param {Object} logInfo - info to log with errors
+     * @return {undefined}
+     */
+    _updateSchedule(cmd, logInfo) {
+        return this._redisClient.batch([cmd], (err, res) => {
+            const cmdErr = err || res[0][0];
+            if (cmdErr) {
+                this.log.error('could not update lifecycle schedule of ' +
+                'object', Object.assign({
+                    method: 'LifecycleQueuePopulator._updateSchedule',
+                    error: cmdErr.message,
+                }, logInfo));
+            }
+        });
+    }
+
+    _getScheduledMember(bucket, key) {
+        const bucketRules = this._bucketRules[bucket];
+        return JSON.stringify({ owner: bucketRules.owner, bucket, key });
+    }
+
+    /**
+     * Schedule the processing of the current version of an object at
+     * the date its next expiration or transition is due, for the
+     * conductor to process it without listing its bucket
+     * @param {Object} entry - The object record log entry from metadata
+     * @param {Object} result - The parsed object metadata
+     * @return {undefined}
+     */
+    _scheduleObject(entry, result) {
+        const bucketRules = this._bucketRules[entry.bucket];
+        if (!this._redisClient || !bucketRules || !isMasterKey(entry.key)) {
+            return undefined;
+        }
+        const member = this._getScheduledMember(entry.bucket, entry.key);
+        const logInfo = { bucket: entry.bucket, objectKey: entry.key };
+        const dueDate = !result.isDeleteMarker && getObjectDueDate(
+            bucketRules.rules, this.extConfig.rules, entry.key, result);
+        if (!dueDate) {
+            return this._updateSchedule(
+                ['zrem', redisKeys.scheduledObjects, member], logInfo);
+        }
+        this.log.trace('scheduling lifecycle of object',
+            Object.assign({ dueDate: dueDate.toISOString() }, logInfo));
+        return this._updateSchedule(['zadd', redisKeys.scheduledObjects,
+            dueDate.getTime(), member], logInfo);
+    }
+
+    /**
+     * Remove an object from the schedule once deleted
+     * @param {Object} entry - The object record log entry from metadata
+     * @return {undefined}
+     */
+    _unscheduleObject(entry) {
+        if (!this._redisClient || !this._bucketRules[entry.bucket] ||
+            !isMasterKey(entry.key)) {
+            return undefined;
+        }
+        return this._updateSchedule(['zrem', redisKeys.scheduledObjects,
+            this._getScheduledMember(entry.bucket, entry.key)],
+            { bucket: entry.bucket, objectKey: entry.key });
+    }
+
+    /**
+     * Filter object record log entries for restore requests and
+     * objects to schedule
+     * @param {Object} entry - The object record log entry from metadata
+     * @return {undefined}
+     */
+    _filterKeyOp(entry) {
+        const { restore } = this.extConfig;
+        if ((!restore || !restore.enabled) && !this._redisClient) {
+            return undefined;
+        }
+        if (!entry.key || entry.bucket === usersBucket ||
+            entry.bucket.startsWith(mpuBucketPrefix)) {
+            return undefined;
+        }
+        if (entry.type !== 'put') {
+            // deletion of the object
+            return this._unscheduleObject(entry);
+        }
+        const { error, result } = safeJsonParse(entry.value);
+        if (error) {
+            this.log.error('could not parse object log entry',
+                           { value: entry.value, error });
+            return undefined;
+        }
+        this._filterRestoreRequest(entry, result);
+        return this._scheduleObject(entry, result);
+    }
+
     /**
      * Filter record log entries for those that are potentially relevant to
      * lifecycle.
@@ -103,9 +386,14 @@ class LifecycleQueuePopulator extends QueuePopulatorExtension {
      * @return {undefined}
      */
     filter(entry) {
-        // We're only interested by bucket updates, which are all part
-        // of METASTORE namespace in mongodb log
-        if (entry.bucket !== METASTORE || entry.type !== 'put' ||
+        // object updates may carry restore requests of archived
+        // objects, or change the date their lifecycle is due
+        if (entry.bucket !== METASTORE) {
+            return this._filterKeyOp(entry);
+        }
+        // other updates of interest are bucket updates, which are all
+        // part of METASTORE namespace in mongodb log
+        if (entry.type !== 'put' ||
             (entry.key && entry.key.startsWith(mpuBucketPrefix))) {
             return undefined;
         }
@@ -117,6 +405,9 @@ class LifecycleQueuePopulator extends QueuePopulatorExtension {
         }
         const { lifecycleConfiguration } = result;
         if (lifecycleConfiguration !== undefined) {
+            if (this._redisClient) {
+                this._updateBucketRules(result);
+            }
             return this._updateZkBucketNode(result);
         }
         return undefined;
@@ -0,0 +1,209 @@
+'use strict'; // eslint-disable-line
+
+const async = require('async');
+
+const {
+    redisKeys,
+    runHistoryLength,
+    runStatusExpiry,
+} = require('./constants');
+
+// counters of a run, incremented at the end of each bucket listing
+const RUN_COUNTERS = {
+    pagesListed: 'PagesListed',
+    objectsExamined: 'ObjectsExamined',
+    expirations: 'Expirations',
+    transitions: 'Transitions',
+    mpuAborts: 'MPUAborts',
+    errors: 'Errors',
+};
+
+/**
+ * @class LifecycleRunStatus
+ *
+ * @classdesc Keeps the status of the lifecycle runs of buckets in
+ * Redis, along with a history of the last runs of each bucket.
+ *
+ * A run starts when the bucket processor handles the first listing of
+ * a bucket entry sent by the conductor, and finishes when all the
+ * listings re-queued to the bucket tasks topic for this run have been
+ * processed: the number of pending listings of the run is incremented
+ * before each listing is re-queued, and decremented once each listing
+ * is processed.
+ */
+class LifecycleRunStatus {
+    /**
+     * @constructor
+     * @param {RedisClient} redisClient - arsenal metrics redis client
+     * @param {werelogs.Logger} logger - logger object
+     */
+    constructor(redisClient, logger) {
+        this._redisClient = redisClient;
+        this._logger = logger;
+    }
+
+    _getHistoryKey(bucket) {
+        return `${redisKeys.bucketRuns}:${bucket}`;
+    }
+
+    _getRunKey(bucket, runId) {
+        return `${redisKeys.bucketRuns}:${bucket}:${runId}`;
+    }
+
+    _batch(cmds, cb) {
+        return this._redisClient.batch(cmds, (err, res) => {
+            const cmdRes = res && res.find(r => r[0]);
+            const cmdErr = err || (cmdRes && cmdRes[0]);
+            if (cmdErr) {
+                return cb(cmdErr);
+            }
+            return cb(null, res.map(r => r[1]));
+        });
+    }
+
+    /**
+     * Start a new lifecycle run of a bucket, with one pending listing
+     * @param {String} bucket - bucket name
+     * @param {String} runId - run ID, set by the conductor
+     * @param {Function} cb - callback(error)
+     * @return {undefined}
+     */
+    startRun(bucket, runId, cb) {
+        const runKey = this._getRunKey(bucket, runId);
+        const historyKey = this._getHistoryKey(bucket);
+        const fields = ['runId', runId,
+            'startTime', new Date().toISOString(),
+            'pendingListings', 1];
+        Object.keys(RUN_COUNTERS).forEach(counter => {
+            fields.push(counter, 0);
+        });
+        return this._batch([
+            ['hmset', runKey, ...fields],
+            ['expire', runKey, runStatusExpiry],
+            ['lpush', historyKey, runId],
+            ['ltrim', historyKey, 0, runHistoryLength - 1],
+            ['expire', historyKey, runStatusExpiry],
+        ], err => cb(err));
+    }
+
+    /**
+     * Add a pending listing to a lifecycle run, to be called before
+     * the listing is re-queued to the bucket tasks topic
+     * @param {String} bucket - bucket name
+     * @param {String} runId - run ID
+     * @param {Function} cb - callback(error)
+     * @return {undefined}
+     */
+    addPendingListing(bucket, runId, cb) {
+        return this._batch([
+            ['hincrby', this._getRunKey(bucket, runId), 'pendingListings', 1],
+        ], err => cb(err));
+    }
+
+    /**
+     * Record the outcome of a listing of a lifecycle run, and finish
+     * the run if no other listing is pending
+     * @param {String} bucket - bucket name
+     * @param {String} runId - run ID
+     * @param {Object} stats - listing statistics
+     * @param {Number} [stats.pagesListed] - number of pages listed
+     * @param {Number} [stats.objectsExamined] - number of objects and
+     *   versions examined
+     * @param {Number} [stats.expirations] - number of expirations issued
+     * @param {Number} [stats.transitions] - number of transitions issued
+     * @param {Number} [stats.mpuAborts] - number of MPU aborts issued
+     * @param {Error} [stats.error] - error of the listing
+     * @param {Function} cb - callback(error, isRunFinished)
+     * @return {undefined}
+     */
+    endListing(bucket, runId, stats, cb) {
+        const runKey = this._getRunKey(bucket, runId);
+        const cmds = [];
+        Object.keys(RUN_COUNTERS).forEach(counter => {
+            if (stats[counter]) {
+                cmds.push(['hincrby', runKey, counter, stats[counter]]);
+            }
+        });
+        if (stats.error) {
+            cmds.push(['hincrby', runKey, 'errors', 1]);
+            cmds.push(['hset', runKey, 'lastError',
+                stats.error.message || stats.error.code || `${stats.error}`]);
+        }
+        cmds.push(['hincrby', runKey, 'pendingListings', -1]);
+        return async.waterfall([
+            next => this._batch(cmds, next),
+            (res, next) => {
+                if (res[res.length - 1] > 0) {
+                    return next(null, false);
+                }
+                return this._batch([
+                    ['hset', runKey, 'endTime', new Date().toISOString()],
+                ], err => next(err, true));
+            },
+        ], cb);
+    }
+
+    /**
+     * Format the status of a run as returned by the API
+     * @param {Object} run - run hash stored in Redis
+     * @return {Object} run status
+     */
+    _formatRun(run) {
+        const errorCount = Number.parseInt(run.errors, 10) || 0;
+        let status = 'InProgress';
+        if (run.endTime) {
+            status = errorCount > 0 ? 'CompletedWithErrors' : 'Completed';
+        }
+        const formatted = {
+            RunId: run.runId,
+            Status: status,
+            StartTime: run.startTime,
+            EndTime: run.endTime,
+        };
+        Object.keys(RUN_COUNTERS).forEach(counter => {
+            formatted[RUN_COUNTERS[counter]] =
+                Number.parseInt(run[counter], 10) || 0;
+        });
+        if (run.lastError) {
+            formatted.LastError = run.lastError;
+        }
+        return formatted;
+    }
+
+    /**
+     * Get the last lifecycle runs of a bucket
+     * @param {String} bucket - bucket name
+     * @param {Function} cb - callback(error, runs) where runs are
+     *   sorted from the most recent one
+     * @return {undefined}
+     */
+    getRuns(bucket, cb) {
+        return async.waterfall([
+            next => this._batch([
+                ['lrange', this._getHistoryKey(bucket), 0, -1],
+            ], (err, res) => next(err, res && res[0])),
+            (runIds, next) => {
+                if (runIds.length === 0) {
+                    return next(null, []);
+                }
+                return this._batch(runIds.map(runId =>
+                    ['hgetall', this._getRunKey(bucket, runId)]), next);
+            },
+        ], (err, runs) => {
+            if (err) {
+                this._logger.error('error getting lifecycle runs', {
+                    method: 'LifecycleRunStatus.getRuns',
+                    bucket,
+                    error: err.message,
+                });
+                return cb(err);
+            }
+            // runs may have expired before the history of the bucket
+            return cb(null, runs
+                .filter(run => run && run.runId)
+                .map(run => this._formatRun(run)));
+        });
+    }
+}
+
+module.exports = LifecycleRunStatus;
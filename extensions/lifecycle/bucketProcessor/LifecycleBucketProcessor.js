@@ -6,14 +6,19 @@ const AWS = require('aws-sdk');
 const http = require('http');
 const { Logger } = require('werelogs');
 const { errors } = require('arsenal');
+const { RedisClient } = require('arsenal').metrics;
 
 const BackbeatProducer = require('../../../lib/BackbeatProducer');
 const BackbeatConsumer = require('../../../lib/BackbeatConsumer');
+const { getKafkaClientConfig } = require('../../../lib/localQueue');
+const ServiceStateManager = require('../../../lib/ServiceStateManager');
 const LifecycleTask = require('../tasks/LifecycleTask');
 const { getAccountCredentials } =
       require('../../../lib/credentials/AccountCredentials');
 const VaultClientCache = require('../../../lib/clients/VaultClientCache');
 const safeJsonParse = require('../util/safeJsonParse');
+const LifecycleRunStatus = require('../LifecycleRunStatus');
+const { zkStatePath, serviceStateChannel } = require('../constants');
 
 const PROCESS_OBJECTS_ACTION = 'processObjects';
 
@@ -58,8 +63,12 @@ class LifecycleBucketProcessor {
      * @param {String} s3Config.host - host ip
      * @param {String} s3Config.port - port
      * @param {String} transport - http or https
+     * @param {Object} [redisConfig] - redis configuration, to record
+     * the run status of buckets and to pause and resume the bucket
+     * processor through the backbeat API
      */
-    constructor(zkConfig, kafkaConfig, extensions, s3Config, transport) {
+    constructor(zkConfig, kafkaConfig, extensions, s3Config, transport,
+                redisConfig) {
         this._log = new Logger('Backbeat:Lifecycle:BucketProcessor');
         this._zkConfig = zkConfig;
         this._kafkaConfig = kafkaConfig;
@@ -68,6 +77,24 @@ class LifecycleBucketProcessor {
         this._s3Endpoint = `${transport}://${s3Config.host}:${s3Config.port}`;
         this._transport = transport;
         this._producer = null;
+        this._runStatus = null;
+        this._consumerSubscribed = false;
+        this._stateManager = null;
+        if (redisConfig) {
+            this._runStatus = new LifecycleRunStatus(
+                new RedisClient(redisConfig, this._log), this._log);
+            this._stateManager = new ServiceStateManager({
+                service: 'lifecycle bucket processor',
+                zkPath: `${this._lcConfig.zookeeperPath}${zkStatePath}/` +
+                    'bucket-processor',
+                channel: `${serviceStateChannel}-bucket-processor`,
+                redisConfig,
+                zkConfig,
+                logger: this._log,
+            });
+            this._stateManager.on('pause', () => this._applyServiceState());
+            this._stateManager.on('resume', () => this._applyServiceState());
+        }
         this.accountCredsCache = {};
 
         // The task scheduler for processing lifecycle tasks concurrently.
@@ -100,6 +127,7 @@ class LifecycleBucketProcessor {
             bucketTasksTopic: this._lcConfig.bucketTasksTopic,
             objectTasksTopic: this._lcConfig.objectTasksTopic,
             dataMoverTopic: this._repConfig.dataMoverTopic,
+            runStatus: this._runStatus,
             log: this._log,
         };
     }
@@ -150,6 +178,33 @@ class LifecycleBucketProcessor {
         return enabled;
     }
 
+    /**
+     * Record a listing of a lifecycle run that is not processed, for
+     * the run to finish
+     * @param {Object} bucketEntry - The parsed bucket entry
+     * @param {Error} [error] - The error preventing the listing
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    _skipRunListing(bucketEntry, error, cb) {
+        if (!this._runStatus || !bucketEntry.runId) {
+            return process.nextTick(cb);
+        }
+        const { bucket } = bucketEntry.target;
+        return this._runStatus.endListing(bucket, bucketEntry.runId,
+        { error }, err => {
+            if (err) {
+                this._log.warn('could not update lifecycle run status', {
+                    method: 'LifecycleBucketProcessor._skipRunListing',
+                    bucket,
+                    runId: bucketEntry.runId,
+                    error: err.message,
+                });
+            }
+            return cb();
+        });
+    }
+
     /**
      * Process the given bucket entry, get the bucket's lifecycle configuration,
      * and schedule a task with the lifecycle configuration rules, if
@@ -210,10 +265,10 @@ class LifecycleBucketProcessor {
                     owner,
                     error: err,
                 });
-                return cb(err);
+                return this._skipRunListing(result, err, () => cb(err));
             }
             if (!this._shouldProcessConfig(config)) {
-                return cb();
+                return this._skipRunListing(result, null, cb);
             }
             this._log.info('scheduling new task for bucket lifecycle', {
                 method: 'LifecycleBucketProcessor._processBucketEntry',
@@ -237,7 +292,7 @@ class LifecycleBucketProcessor {
      */
     _setupProducer(cb) {
         const producer = new BackbeatProducer({
-            kafka: { hosts: this._kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this._kafkaConfig),
         });
         producer.once('error', cb);
         producer.once('ready', () => {
@@ -261,12 +316,15 @@ class LifecycleBucketProcessor {
             zookeeper: {
                 connectionString: this._zkConfig.connectionString,
             },
-            kafka: { hosts: this._kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this._kafkaConfig),
             topic: this._lcConfig.bucketTasksTopic,
             groupId: this._lcConfig.bucketProcessor.groupId,
             concurrency: this._lcConfig.bucketProcessor.concurrency,
             queueProcessor: this._processBucketEntry.bind(this),
             backlogMetrics: this._lcConfig.backlogMetrics,
+            deadLetterTopic: this._lcConfig.bucketProcessor.deadLetterTopic,
+            deadLetterMaxAttempts:
+            this._lcConfig.bucketProcessor.deadLetterMaxAttempts,
         });
         this._consumer.on('error', err => {
             if (!consumerReady) {
@@ -279,10 +337,30 @@ class LifecycleBucketProcessor {
         });
         this._consumer.on('ready', () => {
             consumerReady = true;
-            this._consumer.subscribe();
+            const paused = this._stateManager !== null &&
+                  this._stateManager.isPaused();
+            this._consumer.subscribe(paused);
+            this._consumerSubscribed = true;
         });
     }
 
+    /**
+     * Pause or resume the consumer following the service state. A
+     * state changed before the consumer subscribed is applied when it
+     * subscribes.
+     * @return {undefined}
+     */
+    _applyServiceState() {
+        if (!this._consumerSubscribed) {
+            return;
+        }
+        if (this._stateManager.isPaused()) {
+            this._consumer.pause('bucket-processor');
+        } else {
+            this._consumer.resume('bucket-processor');
+        }
+    }
+
     /**
      * Set up the credentials (service account credentials or provided
      * by vault depending on config)
@@ -394,9 +472,17 @@ class LifecycleBucketProcessor {
      */
     start() {
         this._setupCredentials();
-        this._setupProducer((err, producer) => {
+        async.waterfall([
+            next => {
+                if (!this._stateManager) {
+                    return process.nextTick(next);
+                }
+                return this._stateManager.setup(err => next(err));
+            },
+            next => this._setupProducer(next),
+        ], (err, producer) => {
             if (err) {
-                this._log.error('error setting up kafka producer', {
+                this._log.error('error starting lifecycle bucket processor', {
                     error: err,
                     method: 'LifecycleBucketProcessor.start',
                 });
@@ -414,6 +500,9 @@ class LifecycleBucketProcessor {
      * @return {undefined}
      */
     close(cb) {
+        if (this._stateManager) {
+            this._stateManager.close();
+        }
         async.parallel([
             done => {
                 this._log.debug('closing bucket tasks consumer');
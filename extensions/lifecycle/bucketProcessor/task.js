@@ -5,8 +5,8 @@ const { initManagement } = require('../../../lib/management/index');
 const LifecycleBucketProcessor = require('./LifecycleBucketProcessor');
 const { applyBucketLifecycleWorkflows } = require('../management');
 const config = require('../../../conf/Config');
-const { zookeeper, kafka, extensions, s3, transport, log, healthcheckServer } =
-    config;
+const { zookeeper, kafka, extensions, s3, transport, log, healthcheckServer,
+    redis } = config;
 
 werelogs.configure({ level: log.logLevel,
     dump: log.dumpLevel });
@@ -14,7 +14,8 @@ werelogs.configure({ level: log.logLevel,
 const logger = new werelogs.Logger('Backbeat:Lifecycle:Producer');
 
 const bucketProcessor =
-    new LifecycleBucketProcessor(zookeeper, kafka, extensions, s3, transport);
+    new LifecycleBucketProcessor(zookeeper, kafka, extensions, s3, transport,
+                                 redis);
 
 const healthServer = new HealthProbeServer({
     bindAddress: healthcheckServer.bindAddress,
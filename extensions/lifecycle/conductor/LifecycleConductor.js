@@ -5,13 +5,37 @@ const schedule = require('node-schedule');
 const zookeeper = require('node-zookeeper-client');
 
 const errors = require('arsenal').errors;
+const { RedisClient } = require('arsenal').metrics;
 const Logger = require('werelogs').Logger;
 
 const BackbeatProducer = require('../../../lib/BackbeatProducer');
+const { getKafkaClientConfig } = require('../../../lib/localQueue');
+const ServiceStateManager = require('../../../lib/ServiceStateManager');
 const zookeeperHelper = require('../../../lib/clients/zookeeper');
+const monitoringClient = require('../../../lib/clients/monitoringHandler');
+const {
+    redisKeys,
+    zkStatePath,
+    serviceStateChannel,
+} = require('../constants');
 
 const DEFAULT_CRON_RULE = '* * * * *';
 const DEFAULT_CONCURRENCY = 10;
+// maximum number of scheduled object keys in a bucket entry
+const MAX_SCHEDULED_KEYS = 100;
+// remove the given members of a sorted set (KEYS[1]) whose score is
+// still lower than or equal to ARGV[1], atomically so that members
+// rescheduled in the meantime are kept
+const REMOVE_DUE_MEMBERS_SCRIPT = `
+local removed = 0
+for i = 2, #ARGV do
+    local score = redis.call('zscore', KEYS[1], ARGV[i])
+    if score and tonumber(score) <= tonumber(ARGV[1]) then
+        removed = removed + redis.call('zrem', KEYS[1], ARGV[i])
+    end
+end
+return removed
+`;
 
 /**
  * @class LifecycleConductor
@@ -19,6 +43,12 @@ const DEFAULT_CONCURRENCY = 10;
  * @classdesc Background task that periodically reads the lifecycled
  * buckets list on Zookeeper and creates bucket listing tasks on
  * Kafka.
+ *
+ * If event scheduling is enabled, the task instead periodically reads
+ * the objects scheduled by the lifecycle queue populator which
+ * expiration or transition is due, and creates bucket tasks for these
+ * objects only, while bucket listing tasks are created on a separate,
+ * less frequent schedule as a safety net.
  */
 class LifecycleConductor {
 
@@ -48,11 +78,26 @@ class LifecycleConductor {
      *   cron rule for bucket processing periodic task
      * @param {Number} [lcConfig.conductor.concurrency=10] - maximum
      *   number of concurrent bucket-to-kafka operations allowed
+     * @param {Object} [lcConfig.eventScheduling] - scheduling of
+     *   objects by the lifecycle queue populator
+     * @param {Boolean} [lcConfig.eventScheduling.enabled] - process
+     *   scheduled objects on the conductor cron rule
+     * @param {String} [lcConfig.eventScheduling.fullScanCronRule] -
+     *   cron rule for bucket listings when scheduling is enabled
+     * @param {Number} [lcConfig.eventScheduling.batchSize] - maximum
+     *   number of scheduled objects read at once
+     * @param {Object} [redisConfig] - redis configuration, required
+     *   if event scheduling is enabled, and to pause and resume the
+     *   conductor through the backbeat API
      */
-    constructor(zkConfig, kafkaConfig, lcConfig) {
+    constructor(zkConfig, kafkaConfig, lcConfig, redisConfig) {
         this.zkConfig = zkConfig;
         this.kafkaConfig = kafkaConfig;
         this.lcConfig = lcConfig;
+        this.redisConfig = redisConfig;
+        this._eventScheduling = this.lcConfig.eventScheduling &&
+            this.lcConfig.eventScheduling.enabled ?
+            this.lcConfig.eventScheduling : null;
         this._cronRule =
             this.lcConfig.conductor.cronRule || DEFAULT_CRON_RULE;
         this._concurrency =
@@ -61,6 +106,9 @@ class LifecycleConductor {
         this._zkClient = null;
         this._started = false;
         this._cronJob = null;
+        this._fullScanCronJob = null;
+        this._redisClient = null;
+        this._stateManager = null;
         this._totalProcessingCycles = 0;
 
         this.logger = new Logger('Backbeat:Lifecycle:Conductor');
@@ -103,6 +151,7 @@ class LifecycleConductor {
 
     processBuckets() {
         const zkBucketsPath = this.getBucketsZkPath();
+        const startTime = Date.now();
         async.waterfall([
             next => this._controlBacklog(next),
             next => {
@@ -142,7 +191,135 @@ class LifecycleConductor {
                 }
                 return this._producer.send(entries, next);
             },
-        ], () => {
+        ], err => {
+            if (!err) {
+                this._observeCycleDuration('buckets', startTime);
+            }
+            ++this._totalProcessingCycles;
+        });
+    }
+
+    /**
+     * Update the prometheus metric of the duration of completed
+     * conductor cycles
+     * @param {String} type - 'buckets' for bucket listings, or
+     *   'scheduled' for scheduled objects
+     * @param {Number} startTime - start time of the cycle in ms
+     * @return {undefined}
+     */
+    _observeCycleDuration(type, startTime) {
+        monitoringClient.lifecycleConductorCycleDuration.observe(
+            { type }, (Date.now() - startTime) / 1000);
+    }
+
+    /**
+     * Create the bucket entries of scheduled objects, grouped by bucket
+     * @param {String[]} members - scheduled objects, as JSON of
+     *   { owner, bucket, key }
+     * @return {Object[]} kafka entries
+     */
+    _getScheduledBucketEntries(members) {
+        const bucketKeys = {};
+        members.forEach(member => {
+            let scheduled;
+            try {
+                scheduled = JSON.parse(member);
+            } catch (err) {
+                this.logger.error('malformed scheduled object, skipping',
+                                  { member, error: err.message });
+                return;
+            }
+            const { owner, bucket, key } = scheduled;
+            if (!bucketKeys[bucket]) {
+                bucketKeys[bucket] = { owner, keys: [] };
+            }
+            bucketKeys[bucket].keys.push(key);
+        });
+        const entries = [];
+        Object.keys(bucketKeys).forEach(bucket => {
+            const { owner, keys } = bucketKeys[bucket];
+            for (let i = 0; i < keys.length; i += MAX_SCHEDULED_KEYS) {
+                entries.push({
+                    message: JSON.stringify({
+                        action: 'processObjects',
+                        target: {
+                            bucket,
+                            owner,
+                        },
+                        details: {
+                            keys: keys.slice(i, i + MAX_SCHEDULED_KEYS),
+                        },
+                    }),
+                });
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Create bucket tasks for a batch of scheduled objects which
+     * lifecycle is due, and remove them from the schedule
+     * @param {Number} now - current timestamp, in milliseconds
+     * @param {Function} done - callback(error, batchSize)
+     * @return {undefined}
+     */
+    _processScheduledBatch(now, done) {
+        const key = redisKeys.scheduledObjects;
+        async.waterfall([
+            next => this._redisClient.batch([['zrangebyscore', key, 0, now,
+                'LIMIT', 0, this._eventScheduling.batchSize]],
+            (err, res) => next(err || res[0][0], res && res[0][1])),
+            (members, next) => {
+                const entries = this._getScheduledBucketEntries(members);
+                this.logger.debug('producing kafka entries',
+                    { topic: this.lcConfig.bucketTasksTopic, entries });
+                if (entries.length === 0) {
+                    return next(null, members);
+                }
+                return this._producer.send(entries,
+                    err => next(err, members));
+            },
+            (members, next) => {
+                if (members.length === 0) {
+                    return next(null, 0);
+                }
+                // objects rescheduled in the meantime keep their new
+                // schedule
+                return this._redisClient.batch([['eval',
+                    REMOVE_DUE_MEMBERS_SCRIPT, 1, key, now, ...members]],
+                    (err, res) => next(err || res[0][0], members.length));
+            },
+        ], (err, batchSize) => {
+            if (err) {
+                this.logger.error('error processing scheduled objects', {
+                    method: 'LifecycleConductor._processScheduledBatch',
+                    error: err.message,
+                });
+            }
+            return done(err, batchSize);
+        });
+    }
+
+    processScheduledObjects() {
+        const now = Date.now();
+        let batchSize;
+        async.waterfall([
+            next => this._controlBacklog(next),
+            next => {
+                this.logger.info('starting new lifecycle batch of ' +
+                                 'scheduled objects');
+                async.doWhilst(
+                    done => this._processScheduledBatch(now, (err, size) => {
+                        batchSize = size;
+                        return done(err);
+                    }),
+                    () => batchSize === this._eventScheduling.batchSize,
+                    next);
+            },
+        ], err => {
+            if (!err) {
+                this._observeCycleDuration('scheduled', now);
+            }
             ++this._totalProcessingCycles;
         });
     }
@@ -241,6 +418,8 @@ class LifecycleConductor {
                                 'operation backlog still in progress',
                             { topic, partition,
                               consumerOffset, topicOffset, backlog });
+                        monitoringClient.lifecycleConductorBacklogSkips.inc(
+                            { topic });
                         return next(errors.Throttling);
                     },
                 ], partitionDone);
@@ -262,7 +441,7 @@ class LifecycleConductor {
         return async.series([
             next => {
                 const producer = new BackbeatProducer({
-                    kafka: { hosts: this.kafkaConfig.hosts },
+                    kafka: getKafkaClientConfig(this.kafkaConfig),
                     topic: this.lcConfig.bucketTasksTopic,
                 });
                 producer.once('error', next);
@@ -299,17 +478,57 @@ class LifecycleConductor {
                     next();
                 });
             },
+            next => {
+                if (this._eventScheduling) {
+                    this._redisClient =
+                        new RedisClient(this.redisConfig, this.logger);
+                }
+                return process.nextTick(next);
+            },
+            next => {
+                if (!this.redisConfig) {
+                    return process.nextTick(next);
+                }
+                this._stateManager = new ServiceStateManager({
+                    service: 'lifecycle conductor',
+                    zkPath:
+                    `${this.lcConfig.zookeeperPath}${zkStatePath}/conductor`,
+                    channel: `${serviceStateChannel}-conductor`,
+                    redisConfig: this.redisConfig,
+                    zkClient: this._zkClient,
+                    logger: this.logger,
+                });
+                // a paused conductor stops queueing bucket tasks,
+                // tasks already queued are still processed
+                this._stateManager.on('pause', () => this._stopCronJob());
+                this._stateManager.on('resume', () => this._startCronJob());
+                return this._stateManager.setup(err => next(err));
+            },
         ], done);
     }
 
     _startCronJob() {
-        if (!this._cronJob) {
+        if (!this._cronJob && this._eventScheduling) {
+            this.logger.info('starting scheduled objects queueing cron job',
+                             { cronRule: this._cronRule });
+            this._cronJob = schedule.scheduleJob(
+                this._cronRule,
+                this.processScheduledObjects.bind(this));
+        } else if (!this._cronJob) {
             this.logger.info('starting bucket queueing cron job',
                              { cronRule: this._cronRule });
             this._cronJob = schedule.scheduleJob(
                 this._cronRule,
                 this.processBuckets.bind(this));
         }
+        if (!this._fullScanCronJob && this._eventScheduling) {
+            const cronRule = this._eventScheduling.fullScanCronRule;
+            this.logger.info('starting bucket queueing cron job',
+                             { cronRule });
+            this._fullScanCronJob = schedule.scheduleJob(
+                cronRule,
+                this.processBuckets.bind(this));
+        }
     }
 
     _stopCronJob() {
@@ -318,6 +537,11 @@ class LifecycleConductor {
             this._cronJob.cancel();
             this._cronJob = null;
         }
+        if (this._fullScanCronJob) {
+            this.logger.info('stopping full bucket queueing cron job');
+            this._fullScanCronJob.cancel();
+            this._fullScanCronJob = null;
+        }
     }
 
     /**
@@ -336,7 +560,11 @@ class LifecycleConductor {
             if (err) {
                 return done(err);
             }
-            this._startCronJob();
+            if (this._stateManager && this._stateManager.isPaused()) {
+                this.logger.info('lifecycle conductor is paused');
+            } else {
+                this._startCronJob();
+            }
             return done();
         });
     }
@@ -349,6 +577,10 @@ class LifecycleConductor {
      */
     stop(done) {
         this._stopCronJob();
+        if (this._stateManager) {
+            this._stateManager.close();
+            this._stateManager = null;
+        }
         async.series([
             next => {
                 if (!this._producer) {
@@ -9,8 +9,10 @@ const config = require('../../../conf/Config');
 const zkConfig = config.zookeeper;
 const kafkaConfig = config.kafka;
 const lcConfig = config.extensions.lifecycle;
+const redisConfig = config.redis;
 
-const lcConductor = new LifecycleConductor(zkConfig, kafkaConfig, lcConfig);
+const lcConductor = new LifecycleConductor(zkConfig, kafkaConfig, lcConfig,
+                                           redisConfig);
 
 werelogs.configure({ level: config.log.logLevel,
                      dump: config.log.dumpLevel });
@@ -0,0 +1,24 @@
+'use strict'; // eslint-disable-line
+
+const testIsOn = process.env.CI === 'true';
+
+const constants = {
+    redisKeys: {
+        bucketRuns: testIsOn ? 'test:bb:lifecycle:runs' : 'bb:lifecycle:runs',
+        restoreExpiries: testIsOn ?
+            'test:bb:lifecycle:restores' : 'bb:lifecycle:restores',
+        scheduledObjects: testIsOn ?
+            'test:bb:lifecycle:scheduled' : 'bb:lifecycle:scheduled',
+    },
+    // number of lifecycle runs kept in the history of a bucket
+    runHistoryLength: 10,
+    // lifecycle run status is kept for 7 days
+    runStatusExpiry: 604800,
+    // lifecycle services that can be paused and resumed
+    services: ['conductor', 'bucket-processor', 'object-processor'],
+    // state of services is stored under the lifecycle zookeeper path
+    zkStatePath: '/state',
+    serviceStateChannel: 'backbeat-lifecycle-service',
+};
+
+module.exports = constants;
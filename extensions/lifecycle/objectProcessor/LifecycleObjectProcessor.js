@@ -5,17 +5,30 @@ const http = require('http');
 const AWS = require('aws-sdk');
 const { EventEmitter } = require('events');
 const Logger = require('werelogs').Logger;
+const { RedisClient } = require('arsenal').metrics;
 
 const LifecycleDeleteObjectTask =
       require('../tasks/LifecycleDeleteObjectTask');
 const LifecycleUpdateTransitionTask =
       require('../tasks/LifecycleUpdateTransitionTask');
+const LifecycleRestoreTask = require('../tasks/LifecycleRestoreTask');
 const BackbeatConsumer = require('../../../lib/BackbeatConsumer');
+const { getKafkaClientConfig } = require('../../../lib/localQueue');
 const BackbeatMetadataProxy = require('../../../lib/BackbeatMetadataProxy');
 const { getAccountCredentials } =
       require('../../../lib/credentials/AccountCredentials');
 const ActionQueueEntry = require('../../../lib/models/ActionQueueEntry');
+const monitoringClient = require('../../../lib/clients/monitoringHandler');
 const GarbageCollectorProducer = require('../../gc/GarbageCollectorProducer');
+const ServiceStateManager = require('../../../lib/ServiceStateManager');
+const {
+    redisKeys,
+    zkStatePath,
+    serviceStateChannel,
+} = require('../constants');
+
+// max number of expired restored copies removed at once
+const RESTORE_EXPIRY_BATCH_SIZE = 100;
 
 /**
  * @class LifecycleObjectProcessor
@@ -52,9 +65,12 @@ class LifecycleObjectProcessor extends EventEmitter {
      * @param {Number} s3Config.port - s3 endpoint port
      * @param {String} [transport="http"] - transport method ("http"
      *  or "https")
+     * @param {Object} [redisConfig] - redis configuration, required
+     *  to expire restored objects if restore is enabled, and to pause
+     *  and resume the object processor through the backbeat API
      */
     constructor(zkConfig, kafkaConfig, lcConfig, s3Config,
-                transport = 'http') {
+                transport = 'http', redisConfig) {
         super();
         this.zkConfig = zkConfig;
         this.kafkaConfig = kafkaConfig;
@@ -64,15 +80,54 @@ class LifecycleObjectProcessor extends EventEmitter {
         this._transport = transport;
         this._consumer = null;
         this._gcProducer = null;
+        this._redisClient = null;
+        this._restoreExpiryTimer = null;
+        this._checkingRestoreExpiries = false;
 
         this.logger = new Logger('Backbeat:Lifecycle:ObjectProcessor');
 
         // global variables
         // TODO: for SSL support, create HTTPS agents instead
         this.httpAgent = new http.Agent({ keepAlive: true });
+
+        if (redisConfig && lcConfig.restore && lcConfig.restore.enabled) {
+            this._redisClient = new RedisClient(redisConfig, this.logger);
+        }
+        this._consumerSubscribed = false;
+        this._stateManager = null;
+        if (redisConfig) {
+            this._stateManager = new ServiceStateManager({
+                service: 'lifecycle object processor',
+                zkPath: `${lcConfig.zookeeperPath}${zkStatePath}/` +
+                    'object-processor',
+                channel: `${serviceStateChannel}-object-processor`,
+                redisConfig,
+                zkConfig,
+                logger: this.logger,
+            });
+            this._stateManager.on('pause', () => this._applyServiceState());
+            this._stateManager.on('resume', () => this._applyServiceState());
+        }
     }
 
 
+    /**
+     * Pause or resume the consumer following the service state. A
+     * state changed before the consumer subscribed is applied when it
+     * subscribes.
+     * @return {undefined}
+     */
+    _applyServiceState() {
+        if (!this._consumerSubscribed) {
+            return;
+        }
+        if (this._stateManager.isPaused()) {
+            this._consumer.pause('object-processor');
+        } else {
+            this._consumer.resume('object-processor');
+        }
+    }
+
     /**
      * Start kafka consumer. Emits a 'ready' event when
      * consumer is ready.
@@ -81,41 +136,138 @@ class LifecycleObjectProcessor extends EventEmitter {
      */
     start() {
         this._setupClients();
-        async.parallel([
-            done => {
-                let consumerReady = false;
-                this._consumer = new BackbeatConsumer({
-                    zookeeper: {
-                        connectionString: this.zkConfig.connectionString,
-                    },
-                    kafka: { hosts: this.kafkaConfig.hosts },
-                    topic: this.lcConfig.objectTasksTopic,
-                    groupId: this.lcConfig.objectProcessor.groupId,
-                    concurrency: this.lcConfig.objectProcessor.concurrency,
-                    queueProcessor: this.processKafkaEntry.bind(this),
-                    backlogMetrics: this.lcConfig.backlogMetrics,
-                });
-                this._consumer.on('error', () => {
-                    if (!consumerReady) {
-                        this.logger.fatal(
-                            'error starting lifecycle object processor');
-                        process.exit(1);
+        async.series([
+            next => {
+                if (!this._stateManager) {
+                    return process.nextTick(next);
+                }
+                return this._stateManager.setup(err => next(err));
+            },
+            next => async.parallel([
+                done => {
+                    let consumerReady = false;
+                    this._consumer = new BackbeatConsumer({
+                        zookeeper: {
+                            connectionString: this.zkConfig.connectionString,
+                        },
+                        kafka: getKafkaClientConfig(this.kafkaConfig),
+                        topic: this.lcConfig.objectTasksTopic,
+                        groupId: this.lcConfig.objectProcessor.groupId,
+                        concurrency: this.lcConfig.objectProcessor.concurrency,
+                        queueProcessor: this.processKafkaEntry.bind(this),
+                        backlogMetrics: this.lcConfig.backlogMetrics,
+                        deadLetterTopic:
+                        this.lcConfig.objectProcessor.deadLetterTopic,
+                        deadLetterMaxAttempts:
+                        this.lcConfig.objectProcessor.deadLetterMaxAttempts,
+                    });
+                    this._consumer.on('error', () => {
+                        if (!consumerReady) {
+                            this.logger.fatal(
+                                'error starting lifecycle object processor');
+                            process.exit(1);
+                        }
+                    });
+                    this._consumer.on('ready', () => {
+                        consumerReady = true;
+                        const paused = this._stateManager !== null &&
+                              this._stateManager.isPaused();
+                        this._consumer.subscribe(paused);
+                        this._consumerSubscribed = true;
+                        this.logger.info(
+                            'lifecycle object processor successfully started');
+                        this.emit('ready');
+                        done();
+                    });
+                },
+                done => {
+                    this._gcProducer = new GarbageCollectorProducer();
+                    this._gcProducer.setupProducer(done);
+                },
+            ], () => next()),
+        ], err => {
+            if (err) {
+                this.logger.fatal('error starting lifecycle object processor',
+                                  { error: err.message });
+                process.exit(1);
+            }
+            this._startRestoreExpiryCheck();
+        });
+    }
+
+    /**
+     * Periodically remove the restored copies of objects that expired
+     * @return {undefined}
+     */
+    _startRestoreExpiryCheck() {
+        if (!this._redisClient || this._restoreExpiryTimer) {
+            return undefined;
+        }
+        const intervalMs = this.lcConfig.restore.expiryCheckIntervalS * 1000;
+        this._restoreExpiryTimer = setInterval(
+            () => this._checkRestoreExpiries(() => {}), intervalMs);
+        return undefined;
+    }
+
+    /**
+     * Remove the restored copies that expired, as scheduled by
+     * LifecycleRestoreTask. Each expiry is removed from the schedule
+     * before being processed, so that a single object processor
+     * handles it, and scheduled again if it cannot be processed.
+     * @param {Function} cb - callback()
+     * @return {undefined}
+     */
+    _checkRestoreExpiries(cb) {
+        if (this._checkingRestoreExpiries ||
+            (this._stateManager && this._stateManager.isPaused())) {
+            return process.nextTick(cb);
+        }
+        this._checkingRestoreExpiries = true;
+        const key = redisKeys.restoreExpiries;
+        const now = Date.now();
+        return async.waterfall([
+            next => this._redisClient.batch([['zrangebyscore', key, 0, now,
+                'LIMIT', 0, RESTORE_EXPIRY_BATCH_SIZE]],
+            (err, res) => next(err || res[0][0], res && res[0][1])),
+            (members, next) => async.eachLimit(members,
+            this.lcConfig.objectProcessor.concurrency, (member, done) => {
+                this._redisClient.batch([['zrem', key, member]],
+                (err, res) => {
+                    if (err || res[0][0] || res[0][1] !== 1) {
+                        // already handled by another object processor
+                        return done();
                     }
+                    const { bucket, key: objectKey, version,
+                            restoredLocation } = JSON.parse(member);
+                    const entry = ActionQueueEntry.create('expireRestore')
+                          .addContext({
+                              origin: 'lifecycle',
+                              ruleType: 'restore',
+                          })
+                          .setAttribute('target',
+                                        { bucket, key: objectKey, version })
+                          .setAttribute('restoredLocation',
+                                        restoredLocation);
+                    const task = new LifecycleRestoreTask(this);
+                    return task.processActionEntry(entry, err => {
+                        if (!err) {
+                            return done();
+                        }
+                        return this._redisClient.batch(
+                            [['zadd', key, now, member]], () => done());
+                    });
                 });
-                this._consumer.on('ready', () => {
-                    consumerReady = true;
-                    this._consumer.subscribe();
-                    this.logger.info(
-                        'lifecycle object processor successfully started');
-                    this.emit('ready');
-                    done();
+            }, next),
+        ], err => {
+            this._checkingRestoreExpiries = false;
+            if (err) {
+                this.logger.error('error checking restored copies expiry', {
+                    method: 'LifecycleObjectProcessor._checkRestoreExpiries',
+                    error: err.message,
                 });
-            },
-            done => {
-                this._gcProducer = new GarbageCollectorProducer();
-                this._gcProducer.setupProducer(done);
-            },
-        ], () => {});
+            }
+            return cb();
+        });
     }
 
     _getCredentials() {
@@ -155,6 +307,13 @@ class LifecycleObjectProcessor extends EventEmitter {
      * @return {undefined}
      */
     close(cb) {
+        if (this._stateManager) {
+            this._stateManager.close();
+        }
+        if (this._restoreExpiryTimer) {
+            clearInterval(this._restoreExpiryTimer);
+            this._restoreExpiryTimer = null;
+        }
         this.logger.debug('closing object tasks consumer');
         this._consumer.close(cb);
     }
@@ -186,12 +345,51 @@ class LifecycleObjectProcessor extends EventEmitter {
                    actionEntry.getContextAttribute('ruleType')
                    === 'transition') {
             task = new LifecycleUpdateTransitionTask(this);
+        } else if (actionType === 'copyLocation' &&
+                   actionEntry.getContextAttribute('ruleType')
+                   === 'restore') {
+            task = new LifecycleRestoreTask(this);
         } else {
             this.logger.warn(`skipped unsupported action ${actionType}`,
                              actionEntry.getLogInfo());
             return process.nextTick(done);
         }
-        return task.processActionEntry(actionEntry, done);
+        return task.processActionEntry(actionEntry, err => {
+            this._updateActionMetrics(actionEntry, err);
+            return done(err);
+        });
+    }
+
+    /**
+     * Update the prometheus metrics of lifecycle actions once an
+     * action entry is processed
+     *
+     * @param {ActionQueueEntry} actionEntry - processed action entry
+     * @param {Error} [err] - error returned by the task
+     * @return {undefined}
+     */
+    _updateActionMetrics(actionEntry, err) {
+        const actionType = actionEntry.getActionType();
+        const ruleType = actionEntry.getContextAttribute('ruleType');
+        if (err || actionEntry.getStatus() === 'error') {
+            monitoringClient.lifecycleActionFailures.inc({
+                action: actionType,
+                ruleType,
+            });
+            return;
+        }
+        const labels = {
+            owner: actionEntry.getAttribute('target.owner'),
+            ruleType,
+        };
+        if (actionType === 'deleteObject') {
+            monitoringClient.lifecycleObjectsExpired.inc(labels);
+        } else if (actionType === 'deleteMPU') {
+            monitoringClient.lifecycleMPUsAborted.inc(labels);
+        } else if (actionType === 'copyLocation' &&
+                   ruleType === 'transition') {
+            monitoringClient.lifecycleObjectsTransitioned.inc(labels);
+        }
     }
 
     getStateVars() {
@@ -202,6 +400,7 @@ class LifecycleObjectProcessor extends EventEmitter {
             s3Client: this.s3Client,
             backbeatClient: this.backbeatClient,
             gcProducer: this._gcProducer,
+            redisClient: this._redisClient,
             logger: this.logger,
         };
     }
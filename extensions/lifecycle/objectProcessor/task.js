@@ -11,11 +11,12 @@ const kafkaConfig = config.kafka;
 const lcConfig = config.extensions.lifecycle;
 const s3Config = config.s3;
 const transport = config.transport;
+const redisConfig = config.redis;
 
 const log = new werelogs.Logger('Backbeat:Lifecycle:Consumer');
 
 const objectProcessor = new LifecycleObjectProcessor(
-    zkConfig, kafkaConfig, lcConfig, s3Config, transport);
+    zkConfig, kafkaConfig, lcConfig, s3Config, transport, redisConfig);
 
 const healthServer = new HealthProbeServer({
     bindAddress: config.healthcheckServer.bindAddress,
@@ -0,0 +1,222 @@
+'use strict'; // eslint-disable-line
+
+const async = require('async');
+
+const LifecycleTask = require('./LifecycleTask');
+
+// max number of bucket listings done by a single simulation
+const MAX_LISTINGS_DEFAULT = 10;
+
+/**
+ * Get the key identifying an object, version or upload candidate to
+ * lifecycle actions
+ * @param {string} type - 'object' or 'upload'
+ * @param {string} key - object key
+ * @param {string} [id] - version ID or upload ID
+ * @return {string} candidate key
+ */
+function getCandidateKey(type, key, id) {
+    return JSON.stringify([type, key, id || null]);
+}
+
+class LifecycleDryRunTask extends LifecycleTask {
+    /**
+     * Runs the lifecycle task logic on a bucket without producing any
+     * entry to the bucket, object or data mover topics: the actions
+     * that would be issued are gathered in a report instead, along
+     * with the ID of the rule that triggered each of them.
+     *
+     * Listings that would be re-queued to the bucket tasks topic are
+     * processed in turn by the same task, up to a maximum number of
+     * listings.
+     *
+     * @constructor
+     * @param {object} params - parameters
+     * @param {object} params.enabledRules - lifecycle rules enabled
+     *   in backbeat config
+     * @param {werelogs.Logger} params.log - logger object
+     * @param {number} [params.maxListings] - max number of bucket
+     *   listings to process
+     */
+    constructor(params) {
+        super({
+            getStateVars: () => ({
+                enabledRules: params.enabledRules,
+                log: params.log,
+            }),
+        });
+        this._maxListings = params.maxListings || MAX_LISTINGS_DEFAULT;
+        this._pendingBucketEntries = [];
+        this._candidates = new Map();
+        this._report = {
+            Expirations: [],
+            Transitions: [],
+            AbortIncompleteMultipartUploads: [],
+        };
+    }
+
+    /**
+     * Dry runs are not reported in the bucket processor metrics
+     * @return {undefined}
+     */
+    _updateMetrics() {}
+
+    /**
+     * Keep the next bucket listing entry to process it in turn
+     * @param {Object} entry - The bucket entry
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    _sendBucketEntry(entry, cb) {
+        this._pendingBucketEntries.push(entry);
+        process.nextTick(cb);
+    }
+
+    /**
+     * Record an expiration or MPU abort action in the report
+     * @param {ActionQueueEntry} entry - The action entry
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    _sendObjectAction(entry, cb) {
+        const { key, version } = entry.getAttribute('target');
+        if (entry.getActionType() === 'deleteMPU') {
+            const uploadId = entry.getAttribute('details.UploadId');
+            const candidate = this._candidates.get(
+                getCandidateKey('upload', key, uploadId));
+            this._report.AbortIncompleteMultipartUploads.push({
+                Key: key,
+                UploadId: uploadId,
+                RuleID: this._getMatchingRuleId(
+                    'AbortIncompleteMultipartUpload', candidate),
+            });
+        } else {
+            const candidate =
+                  this._candidates.get(getCandidateKey('object', key, version));
+            const isNoncurrent = candidate && candidate.item.VersionId &&
+                  !candidate.item.IsLatest;
+            this._report.Expirations.push({
+                Key: key,
+                VersionId: version,
+                RuleID: this._getMatchingRuleId(isNoncurrent ?
+                    'NoncurrentVersionExpiration' : 'Expiration', candidate),
+            });
+        }
+        process.nextTick(cb);
+    }
+
+    /**
+     * Record a transition action in the report
+     * @param {ActionQueueEntry} entry - The action entry
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    _sendDataMoverAction(entry, cb) {
+        const { key, version } = entry.getAttribute('target');
+        const candidate =
+              this._candidates.get(getCandidateKey('object', key, version));
+        this._report.Transitions.push({
+            Key: key,
+            VersionId: version,
+            StorageClass: entry.getAttribute('toLocation'),
+            RuleID: this._getMatchingRuleId(version ?
+                'NoncurrentVersionTransition' : 'Transition', candidate),
+        });
+        process.nextTick(cb);
+    }
+
+    /**
+     * Filter rules like LifecycleTask does, and remember the filtered
+     * rules of each item to find which rule matched when an action is
+     * issued
+     * @param {array} bucketLCRules - array of bucket lifecycle rules
+     * @param {object} item - represents a single object, version, or upload
+     * @param {object} objTags - all tags for given `item`
+     * @return {array} list of all filtered rules that apply to `item`
+     */
+    _filterRules(bucketLCRules, item, objTags) {
+        const rules = super._filterRules(bucketLCRules, item, objTags);
+        const candidate = { item, rules };
+        if (item.UploadId) {
+            this._candidates.set(
+                getCandidateKey('upload', item.Key, item.UploadId), candidate);
+            return rules;
+        }
+        this._candidates.set(
+            getCandidateKey('object', item.Key, item.VersionId), candidate);
+        if (item.IsLatest) {
+            // actions on current versions may not target a version ID
+            this._candidates.set(
+                getCandidateKey('object', item.Key), candidate);
+        }
+        return rules;
+    }
+
+    /**
+     * Find the ID of the first rule providing the applied action
+     * @param {string} action - action name as set by
+     *   `_getApplicableRules`, e.g. 'Expiration'
+     * @param {object} [candidate] - item and its filtered rules
+     * @return {string|undefined} the rule ID, or undefined if no rule
+     *   provides the action (e.g. expired object delete markers created
+     *   by lifecycle)
+     */
+    _getMatchingRuleId(action, candidate) {
+        if (!candidate) {
+            return undefined;
+        }
+        const { item, rules } = candidate;
+        const applied = this._getApplicableRules(rules, item)[action];
+        if (!applied) {
+            return undefined;
+        }
+        const matchingRule = rules.find(rule => {
+            const ruleAction = this._getApplicableRules([rule], item)[action];
+            if (!ruleAction) {
+                return false;
+            }
+            const attrs = new Set(Object.keys(ruleAction)
+                                  .concat(Object.keys(applied)));
+            return Array.from(attrs).every(
+                attr => ruleAction[attr] === applied[attr]);
+        });
+        return matchingRule && matchingRule.ID;
+    }
+
+    /**
+     * Simulate lifecycle processing of a bucket
+     * @param {array} bucketLCRules - array of bucket lifecycle rules
+     * @param {object} bucketData - bucket data, see
+     *   `LifecycleTask.processBucketEntry`
+     * @param {AWS.S3} s3target - s3 instance
+     * @param {function} done - callback(error, report) where report
+     *   holds the lists of expirations, transitions and MPU aborts that
+     *   would be issued, and IsTruncated if the bucket was not fully
+     *   processed
+     * @return {undefined}
+     */
+    simulate(bucketLCRules, bucketData, s3target, done) {
+        this._pendingBucketEntries = [bucketData];
+        let nListings = 0;
+        return async.whilst(
+            () => (this._pendingBucketEntries.length > 0 &&
+                   nListings < this._maxListings),
+            next => {
+                nListings += 1;
+                this._candidates.clear();
+                const entry = this._pendingBucketEntries.shift();
+                return this.processBucketEntry(bucketLCRules, entry,
+                    s3target, next);
+            },
+            err => {
+                if (err) {
+                    return done(err);
+                }
+                return done(null, Object.assign({
+                    IsTruncated: this._pendingBucketEntries.length > 0,
+                }, this._report));
+            });
+    }
+}
+
+module.exports = LifecycleDryRunTask;
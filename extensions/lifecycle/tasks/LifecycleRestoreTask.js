@@ -0,0 +1,278 @@
+const async = require('async');
+
+const errors = require('arsenal').errors;
+const ObjectMD = require('arsenal').models.ObjectMD;
+const BackbeatTask = require('../../../lib/tasks/BackbeatTask');
+const ActionQueueEntry = require('../../../lib/models/ActionQueueEntry');
+const { redisKeys } = require('../constants');
+const {
+    getPendingRestoreRequest,
+    getRestoreExpiryDate,
+} = require('../util/restore');
+
+// archive attributes set when a restore is requested and processed
+const RESTORE_ATTRIBUTES = [
+    'restoreRequestedAt',
+    'restoreRequestedDays',
+    'restoreCompletedAt',
+    'restoreWillExpireAt',
+    'restoredLocation',
+    'restoredDataStoreName',
+];
+
+class LifecycleRestoreTask extends BackbeatTask {
+    /**
+     * Process the restore of an archived object: commit the restored
+     * copy made by the data mover in the object metadata, or remove
+     * the restored copy once it expires
+     *
+     * @constructor
+     * @param {LifecycleObjectProcessor} proc - object processor instance
+     */
+    constructor(proc) {
+        const procState = proc.getStateVars();
+        super();
+        Object.assign(this, procState);
+    }
+
+    _getMetadata(entry, log, done) {
+        const { bucket, key, version } = entry.getAttribute('target');
+        this.backbeatClient.getMetadata({
+            bucket,
+            objectKey: key,
+            versionId: version,
+        }, log, (err, blob) => {
+            if (err) {
+                log.error('error getting metadata blob from S3', Object.assign({
+                    method: 'LifecycleRestoreTask._getMetadata',
+                    error: err.message,
+                }, entry.getLogInfo()));
+                return done(err);
+            }
+            const res = ObjectMD.createFromBlob(blob.Body);
+            if (res.error) {
+                log.error('error parsing metadata blob', Object.assign({
+                    error: res.error,
+                    method: 'LifecycleRestoreTask._getMetadata',
+                }, entry.getLogInfo()));
+                return done(
+                    errors.InternalError.
+                        customizeDescription('error parsing metadata blob'));
+            }
+            return done(null, res.result);
+        });
+    }
+
+    _putMetadata(entry, objMD, log, done) {
+        const { bucket, key, version } = entry.getAttribute('target');
+        this.backbeatClient.putMetadata({
+            bucket,
+            objectKey: key,
+            versionId: version,
+            mdBlob: objMD.getSerialized(),
+        }, log, err => {
+            if (err) {
+                log.error(
+                    'an error occurred when updating metadata for restore',
+                    Object.assign({
+                        method: 'LifecycleRestoreTask._putMetadata',
+                        error: err.message,
+                    }, entry.getLogInfo()));
+                return done(err);
+            }
+            return done();
+        });
+    }
+
+    _garbageCollectLocation(entry, locations, log, done) {
+        const { bucket, key, version, eTag } = entry.getAttribute('target');
+        const gcEntry = ActionQueueEntry.create('deleteData')
+              .addContext({
+                  origin: 'lifecycle',
+                  ruleType: 'restore',
+                  reqId: log.getSerializedUids(),
+                  bucketName: bucket,
+                  objectKey: key,
+                  versionId: version,
+                  eTag,
+              })
+              .setAttribute('target.locations', locations);
+        this.gcProducer.publishActionEntry(gcEntry, done);
+    }
+
+    /**
+     * Schedule the removal of a restored copy when it expires. The
+     * location of the copy is kept with the schedule, for the copy to
+     * be garbage collected even if the object is deleted before.
+     * @param {ActionQueueEntry} entry - restore action entry
+     * @param {Date} expiryDate - expiry date of the restored copy
+     * @param {Object[]} restoredLocation - location of the restored copy
+     * @param {Logger.newRequestLogger} log - logger object
+     * @param {Function} done - callback(error)
+     * @return {undefined}
+     */
+    _scheduleExpiry(entry, expiryDate, restoredLocation, log, done) {
+        const { bucket, key, version } = entry.getAttribute('target');
+        const member =
+              JSON.stringify({ bucket, key, version, restoredLocation });
+        const cmd = ['zadd', redisKeys.restoreExpiries,
+            expiryDate.getTime(), member];
+        return this.redisClient.batch([cmd], (err, res) => {
+            const cmdErr = err || res[0][0];
+            if (cmdErr) {
+                log.error('error scheduling restored copy expiry',
+                    Object.assign({
+                        method: 'LifecycleRestoreTask._scheduleExpiry',
+                        error: cmdErr.message,
+                    }, entry.getLogInfo()));
+                return done(cmdErr);
+            }
+            return done();
+        });
+    }
+
+    /**
+     * Commit the restored copy in the object metadata if the restore
+     * request is still pending and the object did not change, or
+     * garbage collect it otherwise
+     * @param {ActionQueueEntry} entry - copy location action result
+     * @param {Logger.newRequestLogger} log - logger object
+     * @param {Function} done - callback(error)
+     * @return {undefined}
+     */
+    _completeRestore(entry, log, done) {
+        const restoredLocation = entry.getAttribute('results.location');
+        let locationToGC;
+        return async.waterfall([
+            next => this._getMetadata(entry, log, next),
+            (objMD, next) => {
+                const eTag = entry.getAttribute('target.eTag');
+                const restoreRequest = getPendingRestoreRequest(
+                    objMD.getValue());
+                if (eTag !== `"${objMD.getContentMd5()}"` ||
+                    !restoreRequest) {
+                    log.info('object changed or restore already ' +
+                             'processed, discarding restored copy',
+                    Object.assign({
+                        method: 'LifecycleRestoreTask._completeRestore',
+                    }, entry.getLogInfo()));
+                    locationToGC = restoredLocation;
+                    return next();
+                }
+                const archive = objMD.getValue().archive;
+                // copy of a previous restore of the object
+                locationToGC = archive.restoredLocation;
+                const completedAt = new Date();
+                const expiryDate =
+                      getRestoreExpiryDate(completedAt, restoreRequest.days);
+                Object.assign(archive, {
+                    restoreCompletedAt: completedAt.toISOString(),
+                    restoreWillExpireAt: expiryDate.toISOString(),
+                    restoredLocation,
+                    restoredDataStoreName: entry.getAttribute('toLocation'),
+                });
+                return async.series([
+                    cb => this._putMetadata(entry, objMD, log, cb),
+                    cb => this._scheduleExpiry(entry, expiryDate,
+                                               restoredLocation, log, cb),
+                ], err => {
+                    if (!err) {
+                        log.info('object restored', Object.assign({
+                            restoreWillExpireAt: archive.restoreWillExpireAt,
+                        }, entry.getLogInfo()));
+                    }
+                    return next(err);
+                });
+            },
+            next => {
+                if (!locationToGC) {
+                    return next();
+                }
+                return this._garbageCollectLocation(
+                    entry, locationToGC, log, next);
+            },
+        ], done);
+    }
+
+    /**
+     * Remove the restored copy of an object from its metadata if it
+     * expired, and garbage collect it. If the object was deleted, the
+     * restored copy scheduled for expiry is garbage collected.
+     * @param {ActionQueueEntry} entry - expire restore action entry,
+     * with the "restoredLocation" attribute set to the location of
+     * the scheduled restored copy
+     * @param {Logger.newRequestLogger} log - logger object
+     * @param {Function} done - callback(error)
+     * @return {undefined}
+     */
+    _expireRestore(entry, log, done) {
+        let locationToGC;
+        return async.waterfall([
+            next => this._getMetadata(entry, log, (err, objMD) => {
+                if (err && err.code === 'ObjNotFound') {
+                    // the object was deleted in the meantime: its
+                    // restored copy is not referenced anymore
+                    locationToGC = entry.getAttribute('restoredLocation');
+                    return next(null, null);
+                }
+                return next(err, objMD);
+            }),
+            (objMD, next) => {
+                const archive = objMD && objMD.getValue().archive;
+                if (!archive || !archive.restoredLocation) {
+                    return next();
+                }
+                if (new Date(archive.restoreWillExpireAt) > new Date()) {
+                    // restored again since, with a new expiry scheduled
+                    return next();
+                }
+                locationToGC = archive.restoredLocation;
+                RESTORE_ATTRIBUTES.forEach(attr => {
+                    delete archive[attr];
+                });
+                return this._putMetadata(entry, objMD, log, next);
+            },
+            next => {
+                if (!locationToGC) {
+                    return next();
+                }
+                log.info('restored copy expired', entry.getLogInfo());
+                return this._garbageCollectLocation(
+                    entry, locationToGC, log, next);
+            },
+        ], done);
+    }
+
+    /**
+     * Execute the restore action specified in the action entry
+     *
+     * Supported actions:
+     * - 'copyLocation' results of the data mover for a restore request
+     * - 'expireRestore' to remove an expired restored copy
+     *
+     * @param {ActionQueueEntry} entry - action entry to execute
+     * @param {Function} done - callback funtion
+     * @return {undefined}
+     */
+    processActionEntry(entry, done) {
+        const log = this.logger.newRequestLogger();
+        entry.addLoggedAttributes({
+            bucketName: 'target.bucket',
+            objectKey: 'target.key',
+            versionId: 'target.version',
+        });
+        if (entry.getActionType() === 'expireRestore') {
+            return this._expireRestore(entry, log, done);
+        }
+        if (entry.getStatus() === 'success') {
+            return this._completeRestore(entry, log, done);
+        }
+        // the restore request stays pending, and the object is
+        // copied again on its next restore request
+        log.error('could not copy archived object data for restore',
+                  entry.getLogInfo());
+        return process.nextTick(done);
+    }
+}
+
+module.exports = LifecycleRestoreTask;
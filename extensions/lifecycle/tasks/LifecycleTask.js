@@ -1,11 +1,14 @@
 'use strict'; // eslint-disable-line
 
 const async = require('async');
+const uuid = require('uuid/v4');
 const { errors } = require('arsenal');
 
 const { attachReqUids } = require('../../../lib/clients/utils');
 const BackbeatTask = require('../../../lib/tasks/BackbeatTask');
 const ActionQueueEntry = require('../../../lib/models/ActionQueueEntry');
+const monitoringClient = require('../../../lib/clients/monitoringHandler');
+const { filterRules } = require('../util/rules');
 
 // Default max AWS limit is 1000 for both list objects and list object versions
 const MAX_KEYS = process.env.CI === 'true' ? 3 : 1000;
@@ -30,6 +33,15 @@ class LifecycleTask extends BackbeatTask {
         const lpState = lp.getStateVars();
         super();
         Object.assign(this, lpState);
+        // statistics of the processed listing, recorded in the run
+        // status of the bucket
+        this._runStats = {
+            pagesListed: 0,
+            objectsExamined: 0,
+            expirations: 0,
+            transitions: 0,
+            mpuAborts: 0,
+        };
     }
 
     /**
@@ -40,7 +52,114 @@ class LifecycleTask extends BackbeatTask {
      */
     _sendBucketEntry(entry, cb) {
         const entries = [{ message: JSON.stringify(entry) }];
-        this.producer.sendToTopic(this.bucketTasksTopic, entries, cb);
+        if (!this.runStatus || !entry.runId) {
+            return this.producer.sendToTopic(this.bucketTasksTopic, entries,
+                cb);
+        }
+        const { bucket } = entry.target;
+        // the listing must be pending before it can be processed, for
+        // the run not to finish in the meantime
+        return this.runStatus.addPendingListing(bucket, entry.runId, err => {
+            if (err) {
+                this.log.warn('could not add pending listing to ' +
+                'lifecycle run', {
+                    method: 'LifecycleTask._sendBucketEntry',
+                    bucket,
+                    runId: entry.runId,
+                    error: err.message,
+                });
+            }
+            this.producer.sendToTopic(this.bucketTasksTopic, entries,
+            sendErr => {
+                if (sendErr && !err) {
+                    // the listing will not be processed
+                    this._endRunListing(entry, { error: sendErr });
+                }
+                return cb(sendErr);
+            });
+        });
+    }
+
+    /**
+     * Record the outcome of a listing in the run status of the bucket
+     * @param {Object} bucketData - The bucket entry of the listing
+     * @param {Object} stats - The listing statistics, see
+     *   `LifecycleRunStatus.endListing`
+     * @param {Function} [cb] - The callback to call
+     * @return {undefined}
+     */
+    _endRunListing(bucketData, stats, cb) {
+        const done = cb || (() => {});
+        if (!this.runStatus || !bucketData.runId) {
+            return process.nextTick(done);
+        }
+        const { bucket } = bucketData.target;
+        const { runId } = bucketData;
+        return this.runStatus.endListing(bucket, runId, stats,
+        (err, isRunFinished) => {
+            if (err) {
+                this.log.warn('could not update lifecycle run status', {
+                    method: 'LifecycleTask._endRunListing',
+                    bucket,
+                    runId,
+                    error: err.message,
+                });
+            } else if (isRunFinished) {
+                this.log.info('finished lifecycle run for bucket', {
+                    method: 'LifecycleTask._endRunListing',
+                    bucket,
+                    runId,
+                });
+            }
+            return done();
+        });
+    }
+
+    /**
+     * Start a lifecycle run in the run status of the bucket if the
+     * bucket entry is sent by the conductor, i.e. has no run ID yet:
+     * the run ID is then set on the entry, to be carried by the
+     * listings re-queued to the bucket tasks topic
+     * @param {Object} bucketData - The bucket entry
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    _startRun(bucketData, cb) {
+        // processing of scheduled objects is not a run of the bucket
+        if (!this.runStatus || bucketData.runId || bucketData.details.keys) {
+            return process.nextTick(cb);
+        }
+        const { bucket } = bucketData.target;
+        const runId = uuid();
+        return this.runStatus.startRun(bucket, runId, err => {
+            if (err) {
+                this.log.warn('could not start lifecycle run', {
+                    method: 'LifecycleTask._startRun',
+                    bucket,
+                    runId,
+                    error: err.message,
+                });
+                return cb();
+            }
+            // eslint-disable-next-line no-param-reassign
+            bucketData.runId = runId;
+            return cb();
+        });
+    }
+
+    /**
+     * Update the bucket processor metrics
+     * @param {String} event - 'bucketScanned' when the first listing of
+     *   a bucket starts, or 'listing' when a listing page is fetched
+     * @param {Object} [labels] - metric labels
+     * @return {undefined}
+     */
+    _updateMetrics(event, labels) {
+        if (event === 'bucketScanned') {
+            monitoringClient.lifecycleBucketsScanned.inc();
+        } else if (event === 'listing') {
+            monitoringClient.lifecycleListings.inc(labels);
+        }
     }
 
     /**
@@ -50,6 +169,11 @@ class LifecycleTask extends BackbeatTask {
      * @return {undefined}
      */
     _sendObjectAction(entry, cb) {
+        if (entry.getActionType() === 'deleteMPU') {
+            this._runStats.mpuAborts += 1;
+        } else {
+            this._runStats.expirations += 1;
+        }
         const entries = [{ message: entry.toKafkaMessage() }];
         this.producer.sendToTopic(this.objectTasksTopic, entries, cb);
     }
@@ -61,6 +185,7 @@ class LifecycleTask extends BackbeatTask {
      * @return {undefined}
      */
     _sendDataMoverAction(entry, cb) {
+        this._runStats.transitions += 1;
         const { bucket, key } = entry.getAttribute('target');
         const entries = [{ key: `${bucket}/${key}`,
                            message: entry.toKafkaMessage() }];
@@ -96,6 +221,8 @@ class LifecycleTask extends BackbeatTask {
                     });
                     return next(err);
                 }
+                this._runStats.pagesListed += 1;
+                this._updateMetrics('listing', { type: 'objects' });
                 return next(null, data);
             }),
             (data, next) => {
@@ -152,19 +279,25 @@ class LifecycleTask extends BackbeatTask {
             // all versions including delete markers
             const allVersions = this._mergeSortedVersionsAndDeleteMarkers(
                 data.Versions, data.DeleteMarkers);
-            // for all versions and delete markers, add stale date property
-            const allVersionsWithStaleDate = this._addStaleDateToVersions(
-                bucketData.details, allVersions);
+            // for all versions and delete markers, add stale date and
+            // newer noncurrent versions count properties
+            const allVersionsWithStaleDate =
+                this._addNewerNoncurrentCountToVersions(bucketData.details,
+                    this._addStaleDateToVersions(bucketData.details,
+                        allVersions));
 
             // sending bucket entry for checking next listing
             if (data.IsTruncated && allVersions.length > 0) {
                 // Uses last version whether Version or DeleteMarker
-                const last = allVersions[allVersions.length - 1];
+                const last =
+                    allVersionsWithStaleDate[allVersions.length - 1];
                 const entry = Object.assign({}, bucketData, {
                     details: {
                         keyMarker: data.NextKeyMarker,
                         versionIdMarker: data.NextVersionIdMarker,
                         prevDate: last.LastModified,
+                        noncurrentCount: last.IsLatest ?
+                            0 : last.newerNoncurrentCount + 1,
                     },
                 });
                 this._sendBucketEntry(entry, err => {
@@ -192,6 +325,67 @@ class LifecycleTask extends BackbeatTask {
         });
     }
 
+    /**
+     * Handles the objects scheduled by the lifecycle queue populator
+     * as due for expiration or transition, which keys are sent by the
+     * conductor: the current version of each object is compared to
+     * the bucket rules as if it was listed
+     * @param {object} bucketData - bucket data
+     * @param {array} bucketData.details.keys - keys of scheduled objects
+     * @param {array} bucketLCRules - array of bucket lifecycle rules
+     * @param {string} versioningStatus - 'Enabled', 'Suspended', or
+     *   'Disabled'
+     * @param {Logger.newRequestLogger} log - logger object
+     * @param {function} done - callback(error, data)
+     * @return {undefined}
+     */
+    _getScheduledObjects(bucketData, bucketLCRules, versioningStatus, log,
+    done) {
+        const isVersioned = versioningStatus === 'Enabled' ||
+              versioningStatus === 'Suspended';
+        return async.mapLimit(bucketData.details.keys, CONCURRENCY_DEFAULT,
+        (key, cb) => {
+            const req = this.s3target.headObject({
+                Bucket: bucketData.target.bucket,
+                Key: key,
+            });
+            attachReqUids(req, log);
+            return req.send((err, data) => {
+                if (err && err.statusCode === 404) {
+                    // object deleted since it was scheduled
+                    return cb(null, null);
+                }
+                if (err) {
+                    log.error('failed to get scheduled object', {
+                        method: 'LifecycleTask._getScheduledObjects',
+                        error: err,
+                        bucket: bucketData.target.bucket,
+                        objectKey: key,
+                    });
+                    return cb(err);
+                }
+                const obj = {
+                    Key: key,
+                    LastModified: data.LastModified,
+                    ETag: data.ETag,
+                    Size: data.ContentLength,
+                    StorageClass: data.StorageClass,
+                };
+                if (isVersioned) {
+                    obj.IsLatest = true;
+                    obj.VersionId = data.VersionId;
+                }
+                return cb(null, obj);
+            });
+        }, (err, objects) => {
+            if (err) {
+                return done(err);
+            }
+            return this._compareRulesToList(bucketData, bucketLCRules,
+                objects.filter(obj => obj), log, versioningStatus, done);
+        });
+    }
+
     /**
      * Handles incomplete multipart uploads
      * @param {object} bucketData - bucket data
@@ -214,6 +408,8 @@ class LifecycleTask extends BackbeatTask {
                     });
                     return next(err);
                 }
+                this._runStats.pagesListed += 1;
+                this._updateMetrics('listing', { type: 'uploads' });
                 return next(null, data);
             }),
             (data, next) => {
@@ -350,6 +546,37 @@ class LifecycleTask extends BackbeatTask {
         return appliedList;
     }
 
+    /**
+     * Helper method to add a newerNoncurrentCount property to each
+     * noncurrent Version and DeleteMarker, holding the number of noncurrent
+     * versions of the same key that are more recent
+     * @param {object} bucketDetails - details property from Kafka Bucket entry
+     * @param {string} [bucketDetails.keyMarker] - previous listing key name
+     * @param {number} [bucketDetails.noncurrentCount] - number of noncurrent
+     *   versions of `keyMarker` found in previous listings
+     * @param {array} list - list of sorted versions and delete markers
+     * @return {array} an updated array of Versions and DeleteMarkers with
+     *   applied newerNoncurrentCount
+     */
+    _addNewerNoncurrentCountToVersions(bucketDetails, list) {
+        let count = 0;
+        return list.map((version, i) => {
+            const dupe = Object.assign({}, version);
+
+            if (i === 0) {
+                // first item in list. bucket details may apply
+                count = (bucketDetails.keyMarker === dupe.Key &&
+                         bucketDetails.noncurrentCount) || 0;
+            } else if (list[i - 1].Key !== dupe.Key) {
+                count = 0;
+            }
+            if (!dupe.IsLatest) {
+                dupe.newerNoncurrentCount = count++;
+            }
+            return dupe;
+        });
+    }
+
     /**
      * Wrapper for AWS S3 listObjectVersions
      * @param {object} bucketData - bucket data
@@ -384,66 +611,42 @@ class LifecycleTask extends BackbeatTask {
                 });
                 return cb(err);
             }
+            this._runStats.pagesListed += 1;
+            this._updateMetrics('listing', { type: 'versions' });
             return cb(null, data);
         });
     }
 
     /**
-     * Filter out all rules based on `Status` and `Filter` (Prefix and Tags)
+     * Filter out all rules based on `Status` and `Filter` (Prefix, Tags and
+     * object size)
      * @param {array} bucketLCRules - array of bucket lifecycle rules
      * @param {object} item - represents a single object, version, or upload
      * @param {object} objTags - all tags for given `item`
      * @return {array} list of all filtered rules that apply to `item`
      */
     _filterRules(bucketLCRules, item, objTags) {
-        /*
-            Bucket Tags must be included in the list of object tags.
-            So if a bucket tag with "key1/value1" exists, and an object with
-            "key1/value1, key2/value2" exists, this bucket lifecycle rules
-            apply on this object.
-
-            Vice versa, bucket rule is "key1/value1, key2/value2" and object
-            rule is "key1/value1", this buckets rule does not apply to this
-            object.
-        */
-        function deepCompare(rTags, oTags) {
-            // check to make sure object tags length matches or is greater
-            if (rTags.length > oTags.length) {
-                return false;
-            }
-            // all key/value tags of bucket rules must be within object tags
-            for (let i = 0; i < rTags.length; i++) {
-                const oTag = oTags.find(pair => pair.Key === rTags[i].Key);
-                if (!oTag || rTags[i].Value !== oTag.Value) {
-                    return false;
-                }
-            }
-            return true;
-        }
+        return filterRules(bucketLCRules, item, objTags);
+    }
 
-        return bucketLCRules.filter(rule => {
-            if (rule.Status === 'Disabled') {
-                return false;
-            }
-            // check all locations where prefix could possibly be
-            const prefix = rule.Prefix ||
-                  (rule.Filter && (rule.Filter.And ?
-                                   rule.Filter.And.Prefix :
-                                   rule.Filter.Prefix));
-            if (prefix && !item.Key.startsWith(prefix)) {
-                return false;
-            }
-            if (!rule.Filter) {
-                return true;
-            }
-            const tags = rule.Filter.And ?
-                  rule.Filter.And.Tags :
-                  (rule.Filter.Tag && [rule.Filter.Tag]);
-            if (tags && !deepCompare(tags, objTags.TagSet || [])) {
-                return false;
-            }
+    /**
+     * Check if a noncurrent version action applies to a version given the
+     * number of noncurrent versions the action retains
+     * @param {object} action - NoncurrentVersionExpiration or single
+     *   NoncurrentVersionTransitions rule action
+     * @param {number} [action.NewerNoncurrentVersions] - number of most
+     *   recent noncurrent versions to retain
+     * @param {object} metadata - version from `_getObjectVersions`
+     * @param {number} [metadata.newerNoncurrentCount] - number of more
+     *   recent noncurrent versions of the same key
+     * @return {boolean} true if the action may apply to the version
+     */
+    _isBeyondNewerNoncurrentVersions(action, metadata) {
+        if (action.NewerNoncurrentVersions === undefined) {
             return true;
-        });
+        }
+        return metadata.newerNoncurrentCount !== undefined &&
+            metadata.newerNoncurrentCount >= action.NewerNoncurrentVersions;
     }
 
     /**
@@ -493,7 +696,9 @@ class LifecycleTask extends BackbeatTask {
                 }
             }
             if (rule.NoncurrentVersionExpiration &&
-            enabledRules.includes('noncurrentVersionExpiration')) {
+            enabledRules.includes('noncurrentVersionExpiration') &&
+            this._isBeyondNewerNoncurrentVersions(
+                rule.NoncurrentVersionExpiration, metadata)) {
                 // Names are long, so obscuring a bit
                 const ncve = 'NoncurrentVersionExpiration';
                 const ncd = 'NoncurrentDays';
@@ -528,7 +733,23 @@ class LifecycleTask extends BackbeatTask {
                     currentDate,
                 });
             }
-            // TODO: Add support for NoncurrentVersionTransitions.
+            // noncurrent transitions only apply to versions having a
+            // stale date, i.e. non-current versions
+            const ncvTransitions =
+                  Array.isArray(rule.NoncurrentVersionTransitions) ?
+                  rule.NoncurrentVersionTransitions.filter(t =>
+                      this._isBeyondNewerNoncurrentVersions(t, metadata)) :
+                  [];
+            if (ncvTransitions.length > 0 && metadata.staleDate &&
+            enabledRules.includes('noncurrentVersionTransitions')) {
+                store.NoncurrentVersionTransition =
+                    this._getApplicableNCVTransition({
+                        transitions: ncvTransitions,
+                        staleDate: metadata.staleDate,
+                        store,
+                        currentDate,
+                    });
+            }
             return store;
         }, {});
         // Do not transition to a location where the object is already stored.
@@ -536,6 +757,11 @@ class LifecycleTask extends BackbeatTask {
             applicableRules.Transition.StorageClass === metadata.StorageClass) {
             applicableRules.Transition = undefined;
         }
+        if (applicableRules.NoncurrentVersionTransition &&
+            applicableRules.NoncurrentVersionTransition.StorageClass ===
+            metadata.StorageClass) {
+            applicableRules.NoncurrentVersionTransition = undefined;
+        }
         return applicableRules;
         /* eslint-enable no-param-reassign */
     }
@@ -552,17 +778,21 @@ class LifecycleTask extends BackbeatTask {
     /**
      * Find the Unix time at which the transition should occur.
      * @param {object} transition - A transition from the lifecycle transitions
-     * @param {string} lastModified - The object's last modified date
+     * or noncurrent version transitions
+     * @param {string} lastModified - The object's last modified date, or the
+     * version's stale date for a noncurrent version transition
      * @return {number|undefined} - The normalized transition timestamp
      */
     _getTransitionTimestamp(transition, lastModified) {
         if (transition.Date !== undefined) {
             return this._getTimestamp(transition.Date);
         }
-        if (transition.Days !== undefined) {
+        const days = transition.Days !== undefined ?
+            transition.Days : transition.NoncurrentDays;
+        if (days !== undefined) {
             const lastModifiedTime = this._getTimestamp(lastModified);
             const oneDay = 24 * 60 * 60 * 1000; // Milliseconds in a day.
-            return lastModifiedTime + (transition.Days * oneDay);
+            return lastModifiedTime + (days * oneDay);
         }
         return undefined;
     }
@@ -598,6 +828,27 @@ class LifecycleTask extends BackbeatTask {
         });
     }
 
+    /**
+     * Find the most relevant noncurrent version transition for the given
+     * transitions array and any previously stored noncurrent version
+     * transition from another rule.
+     * @param {object} params - The function parameters
+     * @param {array} params.transitions - Array of lifecycle rule noncurrent
+     * version transitions
+     * @param {string} params.staleDate - The date at which the version
+     * became noncurrent
+     * @return {object} The most applicable noncurrent version transition
+     */
+    _getApplicableNCVTransition(params) {
+        const { transitions, store, staleDate, currentDate } = params;
+        return this._getApplicableTransition({
+            transitions,
+            store: { Transition: store.NoncurrentVersionTransition },
+            lastModified: staleDate,
+            currentDate,
+        });
+    }
+
     /**
      * Compare two transition rules and return the one that is most recent.
      * @param {object} params - The function parameters
@@ -643,8 +894,9 @@ class LifecycleTask extends BackbeatTask {
         if (this._isDeleteMarker(object)) {
             // DeleteMarkers don't have any tags, so avoid calling
             // `getObjectTagging` which will throw an error
-            const filterRules = this._filterRules(bucketLCRules, object, []);
-            return done(null, this._getApplicableRules(filterRules, object));
+            const filteredRules =
+                  this._filterRules(bucketLCRules, object, []);
+            return done(null, this._getApplicableRules(filteredRules, object));
         }
 
         const tagParams = { Bucket: bucketData.target.bucket, Key: object.Key };
@@ -666,10 +918,11 @@ class LifecycleTask extends BackbeatTask {
                 return done(err);
             }
             // tags.TagSet === [{ Key: '', Value: '' }, ...]
-            const filterRules = this._filterRules(bucketLCRules, object, tags);
+            const filteredRules =
+                  this._filterRules(bucketLCRules, object, tags);
 
             // reduce filteredRules to only get earliest dates
-            return done(null, this._getApplicableRules(filterRules, object));
+            return done(null, this._getApplicableRules(filteredRules, object));
         });
     }
 
@@ -689,6 +942,7 @@ class LifecycleTask extends BackbeatTask {
         if (!contents.length) {
             return done();
         }
+        this._runStats.objectsExamined += contents.length;
         return async.eachLimit(contents, CONCURRENCY_DEFAULT, (obj, cb) => {
             async.waterfall([
                 next => this._getRules(bucketData, lcRules, obj, log, next),
@@ -813,6 +1067,7 @@ class LifecycleTask extends BackbeatTask {
      * @param {string} params.encodedVersionId - The object encoded version ID
      * @param {string} params.eTag - The object data ETag
      * @param {string} params.site - The site name to transition the object to
+     * @param {string} params.owner - The bucket owner ID
      * @param {Werelogs.Logger} log - Logger object
      * @return {undefined}
      */
@@ -824,6 +1079,7 @@ class LifecycleTask extends BackbeatTask {
                   ruleType: 'transition',
                   reqId: log.getSerializedUids(),
               })
+              .setAttribute('target.owner', params.owner)
               .setAttribute('target.bucket', params.bucket)
               .setAttribute('target.key', params.objectKey)
               .setAttribute('target.version', params.encodedVersionId)
@@ -943,7 +1199,8 @@ class LifecycleTask extends BackbeatTask {
      * @param {string} version.LastModified - last modified date of version
      * @param {object} rules - most applicable rules from `_getApplicableRules`
      * @param {Logger.newRequestLogger} log - logger object
-     * @return {undefined}
+     * @return {boolean} used to know if the rule has been applied. If so,
+     *   the noncurrent version transition rule should not apply.
      */
     _checkAndApplyNCVExpirationRule(bucketData, version, rules, log) {
         const staleDate = version.staleDate;
@@ -972,7 +1229,9 @@ class LifecycleTask extends BackbeatTask {
                     }, entry.getLogInfo()));
                 }
             });
+            return true;
         }
+        return false;
     }
 
     /**
@@ -1025,6 +1284,7 @@ class LifecycleTask extends BackbeatTask {
                     objectKey: obj.Key,
                     eTag: obj.ETag,
                     site: rules.Transition.StorageClass,
+                    owner: bucketData.target.owner,
                 }, log);
                 return done();
             }
@@ -1095,9 +1355,20 @@ class LifecycleTask extends BackbeatTask {
             return done(errors.InternalError.customizeDescription(errMsg));
         }
 
-        // TODO: Add support for NoncurrentVersionTransitions.
-        this._checkAndApplyNCVExpirationRule(bucketData, version, rules, log);
-
+        const isExpired = this._checkAndApplyNCVExpirationRule(bucketData,
+            version, rules, log);
+        // delete markers have no data to transition
+        if (!isExpired && rules.NoncurrentVersionTransition &&
+            !this._isDeleteMarker(version)) {
+            this._applyTransitionRule({
+                bucket: bucketData.target.bucket,
+                objectKey: version.Key,
+                eTag: version.ETag,
+                site: rules.NoncurrentVersionTransition.StorageClass,
+                encodedVersionId: version.VersionId,
+                owner: bucketData.target.owner,
+            }, log);
+        }
         return done();
     }
 
@@ -1135,6 +1406,7 @@ class LifecycleTask extends BackbeatTask {
                 eTag: version.ETag,
                 site: rules.Transition.StorageClass,
                 encodedVersionId: undefined,
+                owner: bucketData.target.owner,
             }, log);
             return done();
         }
@@ -1216,6 +1488,11 @@ class LifecycleTask extends BackbeatTask {
      * @param {object} bucketData.target - target bucket info
      * @param {string} bucketData.target.bucket - bucket name
      * @param {string} bucketData.target.owner - owner id
+     * @param {string} [bucketData.runId] - ID of the lifecycle run of
+     *   the bucket, set when processing the first listing
+     * @param {array} [bucketData.details.keys] - keys of the objects
+     *   due for expiration or transition, to process instead of
+     *   listing the bucket
      * @param {string} [bucketData.details.prefix] - prefix
      * @param {string} [bucketData.details.keyMarker] - next key
      *   marker for versioned buckets
@@ -1227,6 +1504,8 @@ class LifecycleTask extends BackbeatTask {
      *   marker for MPU
      * @param {string} [bucketData.details.prevDate] - used specifically for
      *   handling versioned buckets
+     * @param {number} [bucketData.details.noncurrentCount] - used
+     *   specifically for handling versioned buckets
      * @param {string} [bucketData.details.objectName] - used specifically for
      *   handling versioned buckets
      * @param {AWS.S3} s3target - s3 instance
@@ -1252,15 +1531,21 @@ class LifecycleTask extends BackbeatTask {
             bucket: bucketData.target.bucket,
             owner: bucketData.target.owner,
         });
+        const { marker, keyMarker, uploadIdMarker, keys } = bucketData.details;
+        if (!marker && !keyMarker && !uploadIdMarker && !keys) {
+            // first listing of the bucket
+            this._updateMetrics('bucketScanned');
+        }
 
         // Initially, processing a Bucket entry should check mpu AND
         // (versioned OR non-versioned) objects
         return async.series([
+            cb => this._startRun(bucketData, cb),
             cb => {
                 // if any of these markers exists on the Bucket entry, the entry
                 // is handling a specific request that is not an MPU request
                 if (bucketData.details.versionIdMarker ||
-                bucketData.details.marker) {
+                bucketData.details.marker || bucketData.details.keys) {
                     return cb();
                 }
                 const mpuParams = {
@@ -1299,6 +1584,10 @@ class LifecycleTask extends BackbeatTask {
                         });
                     },
                     (versioningStatus, next) => {
+                        if (bucketData.details.keys) {
+                            return this._getScheduledObjects(bucketData,
+                                bucketLCRules, versioningStatus, log, next);
+                        }
                         if (versioningStatus === 'Enabled' ||
                         versioningStatus === 'Suspended') {
                             return this._getObjectVersions(bucketData,
@@ -1311,12 +1600,14 @@ class LifecycleTask extends BackbeatTask {
                 ], cb);
             },
         ], err => {
-            this.log.info('finished processing task for bucket lifecycle', {
-                method: 'LifecycleTask.processBucketEntry',
-                bucket: bucketData.target.bucket,
-                owner: bucketData.target.owner,
-            });
-            return done(err);
+            this.log.info('finished processing task for bucket lifecycle',
+                Object.assign({
+                    method: 'LifecycleTask.processBucketEntry',
+                    bucket: bucketData.target.bucket,
+                    owner: bucketData.target.owner,
+                }, this._runStats));
+            const stats = Object.assign({ error: err }, this._runStats);
+            return this._endRunListing(bucketData, stats, () => done(err));
         });
     }
 }
@@ -56,6 +56,10 @@ class LifecycleUpdateTransitionTask extends BackbeatTask {
         objMD.setLocation(location)
             .setDataStoreName(newLocationName)
             .setAmzStorageClass(newLocationName);
+        // tell metadata log consumers (e.g. bucket notification) that
+        // this is not a new object write
+        const mdValue = objMD.getValue();
+        mdValue.originOp = 's3:LifecycleTransition';
     }
 
     _putMetadata(entry, objMD, log, done) {
@@ -0,0 +1,53 @@
+// one day in milliseconds
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the restore request of an archived object still to be processed
+ *
+ * A restore request is set by the S3 RestoreObject API in the
+ * "archive" attribute of the object metadata, as "restoreRequestedAt"
+ * and "restoreRequestedDays". It is processed once the restored copy
+ * is written and "restoreCompletedAt" is set, unless the restore is
+ * requested again after that.
+ * @param {Object} mdValue - object metadata
+ * @return {Object|null} restore request as { requestedAt, days }, or
+ * null if there is no restore request to process
+ */
+function getPendingRestoreRequest(mdValue) {
+    const archive = mdValue && mdValue.archive;
+    if (!archive || !archive.restoreRequestedAt ||
+        !Number.isInteger(archive.restoreRequestedDays) ||
+        archive.restoreRequestedDays <= 0) {
+        return null;
+    }
+    const requestedAt = new Date(archive.restoreRequestedAt);
+    if (archive.restoreCompletedAt &&
+        new Date(archive.restoreCompletedAt) >= requestedAt) {
+        return null;
+    }
+    return {
+        requestedAt: archive.restoreRequestedAt,
+        days: archive.restoreRequestedDays,
+    };
+}
+
+/**
+ * Get the date a restored copy expires, i.e. the given number of
+ * days after the restore completion, rounded up to the next midnight
+ * UTC like on AWS
+ * @param {Date} completedAt - restore completion date
+ * @param {Number} days - number of days the restored copy is kept
+ * @return {Date} expiry date
+ */
+function getRestoreExpiryDate(completedAt, days) {
+    const expiry = new Date(completedAt.getTime() + days * DAY_MS);
+    const midnight = Date.UTC(expiry.getUTCFullYear(),
+        expiry.getUTCMonth(), expiry.getUTCDate());
+    return new Date(midnight === expiry.getTime() ?
+        midnight : midnight + DAY_MS);
+}
+
+module.exports = {
+    getPendingRestoreRequest,
+    getRestoreExpiryDate,
+};
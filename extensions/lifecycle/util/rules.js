@@ -0,0 +1,211 @@
+// one day in milliseconds
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Filter out all rules based on `Status` and `Filter` (Prefix, Tags and
+ * object size)
+ * @param {array} bucketLCRules - array of bucket lifecycle rules
+ * @param {object} item - represents a single object, version, or upload
+ * @param {object} objTags - all tags for given `item`
+ * @return {array} list of all filtered rules that apply to `item`
+ */
+function filterRules(bucketLCRules, item, objTags) {
+    /*
+        Bucket Tags must be included in the list of object tags.
+        So if a bucket tag with "key1/value1" exists, and an object with
+        "key1/value1, key2/value2" exists, this bucket lifecycle rules
+        apply on this object.
+
+        Vice versa, bucket rule is "key1/value1, key2/value2" and object
+        rule is "key1/value1", this buckets rule does not apply to this
+        object.
+    */
+    function deepCompare(rTags, oTags) {
+        // check to make sure object tags length matches or is greater
+        if (rTags.length > oTags.length) {
+            return false;
+        }
+        // all key/value tags of bucket rules must be within object tags
+        for (let i = 0; i < rTags.length; i++) {
+            const oTag = oTags.find(pair => pair.Key === rTags[i].Key);
+            if (!oTag || rTags[i].Value !== oTag.Value) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    return bucketLCRules.filter(rule => {
+        if (rule.Status === 'Disabled') {
+            return false;
+        }
+        // check all locations where prefix could possibly be
+        const prefix = rule.Prefix ||
+              (rule.Filter && (rule.Filter.And ?
+                               rule.Filter.And.Prefix :
+                               rule.Filter.Prefix));
+        if (prefix && !item.Key.startsWith(prefix)) {
+            return false;
+        }
+        if (!rule.Filter) {
+            return true;
+        }
+        const tags = rule.Filter.And ?
+              rule.Filter.And.Tags :
+              (rule.Filter.Tag && [rule.Filter.Tag]);
+        if (tags && !deepCompare(tags, objTags.TagSet || [])) {
+            return false;
+        }
+        const { ObjectSizeGreaterThan, ObjectSizeLessThan } =
+              rule.Filter.And || rule.Filter;
+        if (ObjectSizeGreaterThan === undefined &&
+            ObjectSizeLessThan === undefined) {
+            return true;
+        }
+        // delete markers and incomplete MPUs have no size to
+        // compare with
+        if (item.Size === undefined) {
+            return false;
+        }
+        if (ObjectSizeGreaterThan !== undefined &&
+            item.Size <= ObjectSizeGreaterThan) {
+            return false;
+        }
+        if (ObjectSizeLessThan !== undefined &&
+            item.Size >= ObjectSizeLessThan) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Convert the filter of a rule of a bucket lifecycle configuration,
+ * as stored in bucket metadata, to the format of the S3 API
+ * @param {object} filter - rule filter from bucket metadata
+ * @return {object} rule filter
+ */
+function _convertRuleFilter(filter) {
+    const tags = (filter.tags || []).map(tag => ({
+        Key: tag.key,
+        Value: tag.val,
+    }));
+    const sizeFilter = {};
+    if (filter.objectSizeGreaterThan !== undefined) {
+        sizeFilter.ObjectSizeGreaterThan = filter.objectSizeGreaterThan;
+    }
+    if (filter.objectSizeLessThan !== undefined) {
+        sizeFilter.ObjectSizeLessThan = filter.objectSizeLessThan;
+    }
+    const conditionCount = (filter.rulePrefix !== undefined ? 1 : 0) +
+          tags.length + Object.keys(sizeFilter).length;
+    if (conditionCount > 1) {
+        return {
+            And: Object.assign({
+                Prefix: filter.rulePrefix,
+                Tags: tags,
+            }, sizeFilter),
+        };
+    }
+    if (tags.length === 1) {
+        return { Tag: tags[0] };
+    }
+    return Object.assign({ Prefix: filter.rulePrefix }, sizeFilter);
+}
+
+/**
+ * Convert a bucket lifecycle configuration, as stored in bucket
+ * metadata, to the rules format of the S3 API used by lifecycle
+ * tasks. Only the actions applying to the current version of
+ * objects are converted.
+ * @param {object} lifecycleConfiguration - lifecycle configuration
+ *   from bucket metadata
+ * @return {array} bucket lifecycle rules
+ */
+function getRulesFromBucketMD(lifecycleConfiguration) {
+    const mdRules = (lifecycleConfiguration &&
+                     lifecycleConfiguration.rules) || [];
+    return mdRules.map(mdRule => {
+        const rule = {
+            ID: mdRule.ruleID,
+            Status: mdRule.ruleStatus,
+        };
+        if (mdRule.filter) {
+            rule.Filter = _convertRuleFilter(mdRule.filter);
+        } else {
+            rule.Prefix = mdRule.prefix;
+        }
+        (mdRule.actions || []).forEach(action => {
+            if (action.actionName === 'Expiration' &&
+                (action.days !== undefined || action.date !== undefined)) {
+                rule.Expiration = {
+                    Days: action.days,
+                    Date: action.date,
+                };
+            }
+            if (action.actionName === 'Transition') {
+                rule.Transitions = (action.transition || []).map(t => ({
+                    Days: t.days,
+                    Date: t.date,
+                    StorageClass: t.storageClass,
+                }));
+            }
+        });
+        return rule;
+    });
+}
+
+/**
+ * Get the date the next expiration or transition of the current
+ * version of an object is due, as it would be processed by a bucket
+ * listing of lifecycle tasks
+ * @param {array} bucketLCRules - array of bucket lifecycle rules
+ * @param {object} enabledRules - lifecycle rules enabled in
+ *   configuration, e.g. { expiration: { enabled: true } }
+ * @param {string} key - object key
+ * @param {object} mdValue - object metadata
+ * @return {Date|null} due date, or null if no expiration or
+ *   transition applies to the object
+ */
+function getObjectDueDate(bucketLCRules, enabledRules, key, mdValue) {
+    const isEnabled = ruleName =>
+          enabledRules[ruleName] && enabledRules[ruleName].enabled;
+    const objTags = {
+        TagSet: Object.keys(mdValue.tags || {}).map(tagKey => ({
+            Key: tagKey,
+            Value: mdValue.tags[tagKey],
+        })),
+    };
+    const lastModified = new Date(mdValue['last-modified']).getTime();
+    const getDueTime = action => (action.Date !== undefined ?
+        new Date(action.Date).getTime() :
+        lastModified + action.Days * DAY_MS);
+    const dueTimes = [];
+    filterRules(bucketLCRules, {
+        Key: key,
+        Size: mdValue['content-length'],
+    }, objTags).forEach(rule => {
+        if (rule.Expiration && isEnabled('expiration') &&
+            (rule.Expiration.Date !== undefined ||
+             rule.Expiration.Days !== undefined)) {
+            dueTimes.push(getDueTime(rule.Expiration));
+        }
+        if (Array.isArray(rule.Transitions) && isEnabled('transitions')) {
+            rule.Transitions
+            // no transition to the location the object is stored in
+                .filter(t => t.StorageClass !== mdValue.dataStoreName)
+                .forEach(t => dueTimes.push(getDueTime(t)));
+        }
+    });
+    const validDueTimes = dueTimes.filter(t => !Number.isNaN(t));
+    if (validDueTimes.length === 0) {
+        return null;
+    }
+    return new Date(Math.min(...validDueTimes));
+}
+
+module.exports = {
+    filterRules,
+    getRulesFromBucketMD,
+    getObjectDueDate,
+};
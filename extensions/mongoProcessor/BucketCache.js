@@ -0,0 +1,84 @@
+'use strict'; // eslint-disable-line
+
+/**
+ * @class BucketCache
+ *
+ * @classdesc Bounded cache of bucket information, where each entry
+ * expires after a fixed time. When full, the least recently used entry
+ * is evicted.
+ */
+class BucketCache {
+    /**
+     * @constructor
+     * @param {Object} params - constructor params
+     * @param {number} params.maxEntries - maximum number of cached buckets
+     * @param {number} params.ttlMs - time to live of an entry in ms, 0
+     *   disables the cache
+     */
+    constructor(params) {
+        this._maxEntries = params.maxEntries;
+        this._ttlMs = params.ttlMs;
+        // Map iterates in insertion order: the first entry is the
+        // least recently used
+        this._entries = new Map();
+    }
+
+    /**
+     * Get the cached information of a bucket
+     * @param {string} bucket - bucket name
+     * @return {*} cached value, or undefined if not cached or expired
+     */
+    get(bucket) {
+        const entry = this._entries.get(bucket);
+        if (entry === undefined) {
+            return undefined;
+        }
+        this._entries.delete(bucket);
+        if (entry.expiresAt <= Date.now()) {
+            return undefined;
+        }
+        this._entries.set(bucket, entry);
+        return entry.value;
+    }
+
+    /**
+     * Cache the information of a bucket
+     * @param {string} bucket - bucket name
+     * @param {*} value - value to cache
+     * @return {undefined}
+     */
+    set(bucket, value) {
+        if (this._ttlMs === 0 || this._maxEntries === 0) {
+            return;
+        }
+        this._entries.delete(bucket);
+        this._entries.set(bucket, {
+            value,
+            expiresAt: Date.now() + this._ttlMs,
+        });
+        while (this._entries.size > this._maxEntries) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Remove the cached information of a bucket, e.g. when its metadata
+     * is updated
+     * @param {string} bucket - bucket name
+     * @return {undefined}
+     */
+    invalidate(bucket) {
+        this._entries.delete(bucket);
+    }
+
+    /**
+     * Get the number of cached buckets, including expired entries not
+     * evicted yet
+     * @return {number} number of cached buckets
+     */
+    size() {
+        return this._entries.size;
+    }
+}
+
+module.exports = BucketCache;
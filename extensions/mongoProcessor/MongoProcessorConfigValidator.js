@@ -5,6 +5,12 @@ const joiSchema = {
     topic: joi.string().required(),
     groupId: joi.string().required(),
     retry: retryParamsJoi,
+    deadLetterTopic: joi.string(),
+    deadLetterMaxAttempts: joi.number().integer().greater(0).default(1),
+    bucketCache: joi.object({
+        maxEntries: joi.number().integer().min(0).default(1000),
+        ttlS: joi.number().min(0).default(60),
+    }).default({ maxEntries: 1000, ttlS: 60 }),
 };
 
 function configValidator(backbeatConfig, extConfig) {
@@ -14,6 +14,7 @@ const { isMasterKey } = require('arsenal/lib/versioning/Version');
 
 const Config = require('../../conf/Config');
 const BackbeatConsumer = require('../../lib/BackbeatConsumer');
+const { getKafkaClientConfig } = require('../../lib/localQueue');
 const QueueEntry = require('../../lib/models/QueueEntry');
 const DeleteOpQueueEntry = require('../../lib/models/DeleteOpQueueEntry');
 const BucketQueueEntry = require('../../lib/models/BucketQueueEntry');
@@ -22,6 +23,8 @@ const ObjectQueueEntry = require('../../lib/models/ObjectQueueEntry');
 const { getAccountCredentials } =
     require('../../lib/credentials/AccountCredentials');
 const MetricsProducer = require('../../lib/MetricsProducer');
+const monitoringClient = require('../../lib/clients/monitoringHandler');
+const BucketCache = require('./BucketCache');
 const { metricsExtension, metricsTypeCompleted } =
     require('../ingestion/constants');
 
@@ -63,6 +66,10 @@ class MongoQueueProcessor {
      *  randomness
      * @param {number} [mongoProcessorConfig.retry.backoff.factor] -
      *  backoff factor
+     * @param {number} mongoProcessorConfig.bucketCache.maxEntries -
+     *  max. number of buckets in the bucket info cache
+     * @param {number} mongoProcessorConfig.bucketCache.ttlS - time to
+     *  live of the bucket info cache entries in secs.
      * @param {Object} mongoClientConfig - config for connecting to mongo
      * @param {Object} serviceAuth - ingestion service auth
      * @param {Object} mConfig - metrics config
@@ -85,6 +92,11 @@ class MongoQueueProcessor {
             new Logger(`Backbeat:Ingestion:MongoProcessor:${this.site}`);
         this.mongoClientConfig.logger = this.logger;
         this._mongoClient = new MongoClient(this.mongoClientConfig);
+        const { maxEntries, ttlS } = this.mongoProcessorConfig.bucketCache;
+        this._bucketCache = new BucketCache({
+            maxEntries,
+            ttlMs: ttlS * 1000,
+        });
     }
 
     _setupMetricsClients(cb) {
@@ -162,8 +174,11 @@ class MongoQueueProcessor {
             this._consumer = new BackbeatConsumer({
                 topic: this.mongoProcessorConfig.topic,
                 groupId: `${this.mongoProcessorConfig.groupId}-${this.site}`,
-                kafka: { hosts: this.kafkaConfig.hosts },
+                kafka: getKafkaClientConfig(this.kafkaConfig),
                 queueProcessor: this.processKafkaEntry.bind(this),
+                deadLetterTopic: this.mongoProcessorConfig.deadLetterTopic,
+                deadLetterMaxAttempts:
+                this.mongoProcessorConfig.deadLetterMaxAttempts,
             });
             this._consumer.on('error', () => {
                 if (!consumerReady) {
@@ -457,6 +472,56 @@ class MongoQueueProcessor {
         });
     }
 
+    /**
+     * Get the Zenko bucket info and location constraint of a bucket,
+     * from the cache or else from Mongo and S3
+     * @param {QueueEntry} sourceEntry - entry of the bucket
+     * @param {function} done - callback(error, { bucketInfo, location })
+     * @return {undefined}
+     */
+    _getBucketInfo(sourceEntry, done) {
+        const bucketName = sourceEntry.getBucket();
+        const cached = this._bucketCache.get(bucketName);
+        if (cached !== undefined) {
+            monitoringClient.ingestionBucketCacheHits.inc({ site: this.site });
+            return process.nextTick(done, null, cached);
+        }
+        monitoringClient.ingestionBucketCacheMisses.inc({ site: this.site });
+        return async.series([
+            next => this._mongoClient.getBucketAttributes(bucketName,
+                this.logger, (err, bucketInfo) => {
+                    if (err) {
+                        this.logger.error('error getting bucket owner ' +
+                        'details', {
+                            method: 'MongoQueueProcessor._getBucketInfo',
+                            entry: sourceEntry.getLogInfo(),
+                        });
+                        return next(err);
+                    }
+                    return next(null, bucketInfo);
+                }),
+            next => this._s3Client.getBucketLocation({ Bucket: bucketName },
+                (err, data) => {
+                    if (err) {
+                        this.logger.error('error getting bucket location ' +
+                        'constraint', {
+                            method: 'MongoQueueProcessor._getBucketInfo',
+                            error: err,
+                        });
+                        return next(err);
+                    }
+                    return next(null, data.LocationConstraint);
+                }),
+        ], (err, results) => {
+            if (err) {
+                return done(err);
+            }
+            const info = { bucketInfo: results[0], location: results[1] };
+            this._bucketCache.set(bucketName, info);
+            return done(null, info);
+        });
+    }
+
     _produceMetricCompletionEntry() {
         const metric = { [this.site]: { ops: 1 } };
         this._mProducer.publishMetrics(metric, metricsTypeCompleted,
@@ -480,12 +545,16 @@ class MongoQueueProcessor {
             return process.nextTick(() => done(errors.InternalError));
         }
         if (sourceEntry instanceof BucketMdQueueEntry) {
+            // bucket attributes or location may have changed
+            this._bucketCache.invalidate(sourceEntry.getInstanceBucket());
             this.logger.warn('skipping bucket md queue entry', {
                 method: 'MongoQueueProcessor.processKafkaEntry',
                 entry: sourceEntry.getLogInfo(),
             });
             return process.nextTick(done);
         } else if (sourceEntry instanceof BucketQueueEntry) {
+            // bucket may have been deleted and created again
+            this._bucketCache.invalidate(sourceEntry.getBucket());
             this.logger.warn('skipping bucket queue entry', {
                 method: 'MongoQueueProcessor.processKafkaEntry',
                 entry: sourceEntry.getLogInfo(),
@@ -493,39 +562,11 @@ class MongoQueueProcessor {
             return process.nextTick(done);
         }
 
-        const bucketName = sourceEntry.getBucket();
-        return async.series([
-            next => this._mongoClient.getBucketAttributes(bucketName,
-                this.logger, (err, bucketInfo) => {
-                    if (err) {
-                        this.logger.error('error getting bucket owner ' +
-                        'details', {
-                            method: 'MongoQueueProcessor.processKafkaEntry',
-                            entry: sourceEntry.getLogInfo(),
-                        });
-                        return done(err);
-                    }
-                    return next(null, bucketInfo);
-                }),
-            next => this._s3Client.getBucketLocation({ Bucket: bucketName },
-                (err, data) => {
-                    if (err) {
-                        this.logger.error('error getting bucket location ' +
-                        'constraint', {
-                            method: 'MongoQueueProcessor.processKafkaEntry',
-                            error: err,
-                        });
-                        return done(err);
-                    }
-                    const location = data.LocationConstraint;
-                    return next(null, location);
-                }),
-        ], (err, results) => {
+        return this._getBucketInfo(sourceEntry, (err, info) => {
             if (err) {
                 return done(err);
             }
-            const bucketInfo = results[0];
-            const location = results[1];
+            const { bucketInfo, location } = info;
             // if entry is for another site, simply skip/ignore
             if (this.site !== location) {
                 return process.nextTick(done);
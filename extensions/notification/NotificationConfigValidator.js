@@ -0,0 +1,41 @@
+const joi = require('joi');
+const { retryParamsJoi } = require('../../lib/config/configItems.joi.js');
+const { destinationTypes } = require('./constants');
+
+const destinationJoi = joi.object({
+    resource: joi.string().required(),
+    type: joi.string().valid(destinationTypes).required(),
+    // kafka destination
+    topic: joi.string().when('type', { is: 'kafka', then: joi.required() }),
+    hosts: joi.string(),
+    // webhook destination
+    url: joi.string().uri({ scheme: ['http', 'https'] })
+        .when('type', { is: 'webhook', then: joi.required() }),
+    headers: joi.object().pattern(/.+/, joi.string()).default({}),
+    timeoutMs: joi.number().integer().greater(0).default(10000),
+    // file destination
+    path: joi.string().when('type', { is: 'file', then: joi.required() }),
+});
+
+const joiSchema = {
+    topic: joi.string().required(),
+    zookeeperPath: joi.string().required(),
+    region: joi.string().default('us-east-1'),
+    queueProcessor: {
+        groupId: joi.string().required(),
+        concurrency: joi.number().greater(0).default(10),
+        retry: retryParamsJoi,
+        deadLetterTopic: joi.string(),
+        deadLetterMaxAttempts: joi.number().integer().greater(0).default(1),
+    },
+    destinations: joi.array().items(destinationJoi)
+        .unique((a, b) => a.resource === b.resource)
+        .default([]),
+};
+
+function configValidator(backbeatConfig, extConfig) {
+    const validatedConfig = joi.attempt(extConfig, joiSchema);
+    return validatedConfig;
+}
+
+module.exports = configValidator;
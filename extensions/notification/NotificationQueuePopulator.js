@@ -0,0 +1,271 @@
+const async = require('async');
+const { usersBucket, mpuBucketPrefix } = require('arsenal').constants;
+const VersionIDUtils = require('arsenal').versioning.VersionID;
+
+const QueuePopulatorExtension =
+    require('../../lib/queuePopulator/QueuePopulatorExtension');
+const safeJsonParse = require('../lifecycle/util/safeJsonParse');
+const { zkConfigPath } = require('./constants');
+const {
+    splitLogKey,
+    getEventName,
+    getMatchingConfigs,
+    createEventRecord,
+} = require('./utils/notificationUtils');
+
+const METASTORE = '__metastore';
+
+class NotificationQueuePopulator extends QueuePopulatorExtension {
+    /**
+     * @constructor
+     * @param {Object} params - constructor params
+     * @param {Object} params.config - notification extension config
+     * @param {Logger} params.logger - logger object
+     */
+    constructor(params) {
+        super(params);
+        this.notifConfig = params.config;
+        // notification configurations of buckets, by bucket name
+        this._bucketConfigs = {};
+        this._destinations = new Set(
+            this.notifConfig.destinations.map(dest => dest.resource));
+    }
+
+    _getConfigZkPath(bucket) {
+        const { zookeeperPath } = this.notifConfig;
+        const basePath = `${zookeeperPath}${zkConfigPath}`;
+        return bucket ? `${basePath}/${bucket}` : basePath;
+    }
+
+    /**
+     * Pre-create the zookeeper path for bucket notification
+     * configurations if necessary, then load the saved configurations.
+     * @param {Function} cb - The callback function.
+     * @return {undefined}
+     */
+    createZkPath(cb) {
+        const path = this._getConfigZkPath();
+        return this.zkClient.mkdirp(path, err => {
+            if (err) {
+                this.log.error('could not create path in zookeeper', {
+                    method: 'NotificationQueuePopulator.createZkPath',
+                    zkPath: path,
+                    error: err,
+                });
+                return cb(err);
+            }
+            return this._loadBucketConfigs(cb);
+        });
+    }
+
+    /**
+     * Load the bucket notification configurations saved in zookeeper
+     * @param {Function} cb - The callback function.
+     * @return {undefined}
+     */
+    _loadBucketConfigs(cb) {
+        const path = this._getConfigZkPath();
+        return this.zkClient.getChildren(path, (err, buckets) => {
+            if (err) {
+                this.log.error('could not list bucket notification ' +
+                'configurations', {
+                    method: 'NotificationQueuePopulator._loadBucketConfigs',
+                    zkPath: path,
+                    error: err,
+                });
+                return cb(err);
+            }
+            return async.eachLimit(buckets, 10, (bucket, next) =>
+                this.zkClient.getData(this._getConfigZkPath(bucket),
+                (err, data) => {
+                    if (err) {
+                        return next(err);
+                    }
+                    const { error, result } =
+                        safeJsonParse(data && data.toString());
+                    if (error) {
+                        this.log.error('invalid bucket notification ' +
+                        'configuration in zookeeper', { bucket, error });
+                        return next();
+                    }
+                    this._bucketConfigs[bucket] = result;
+                    return next();
+                }), err => {
+                if (err) {
+                    this.log.error('could not load bucket notification ' +
+                    'configurations', {
+                        method: 'NotificationQueuePopulator._loadBucketConfigs',
+                        error: err,
+                    });
+                    return cb(err);
+                }
+                this.log.info('loaded bucket notification configurations',
+                              { bucketCount: buckets.length });
+                return cb();
+            });
+        });
+    }
+
+    /**
+     * Update the notification configuration of a bucket from its
+     * attributes, and save it in zookeeper if it changed.
+     * @param {Object} attributes - bucket attributes from metadata log
+     * @param {String} attributes.name - bucket name
+     * @param {Boolean} [attributes.deleted] - true if bucket is deleted
+     * @param {Object} [attributes.notificationConfiguration] - bucket
+     * notification configuration
+     * @return {undefined}
+     */
+    _updateBucketConfig(attributes) {
+        const bucket = attributes.name;
+        const newConfig = (!attributes.deleted &&
+                           attributes.notificationConfiguration) || null;
+        const currentConfig = this._bucketConfigs[bucket] || null;
+        if (JSON.stringify(newConfig) === JSON.stringify(currentConfig)) {
+            return undefined;
+        }
+        const path = this._getConfigZkPath(bucket);
+        if (!newConfig) {
+            delete this._bucketConfigs[bucket];
+            return this.zkClient.remove(path, err => {
+                if (err && err.name !== 'NO_NODE') {
+                    this.log.error('could not remove zookeeper node', {
+                        method: 'NotificationQueuePopulator.' +
+                            '_updateBucketConfig',
+                        zkPath: path,
+                        error: err,
+                    });
+                    return undefined;
+                }
+                this.log.info('removed bucket notification configuration',
+                              { bucket });
+                return undefined;
+            });
+        }
+        this._bucketConfigs[bucket] = newConfig;
+        return this.zkClient.setOrCreate(path,
+            Buffer.from(JSON.stringify(newConfig)), err => {
+                if (err) {
+                    this.log.error('could not save zookeeper node', {
+                        method: 'NotificationQueuePopulator.' +
+                            '_updateBucketConfig',
+                        zkPath: path,
+                        error: err,
+                    });
+                    return undefined;
+                }
+                this.log.info('saved bucket notification configuration',
+                              { bucket });
+                return undefined;
+            });
+    }
+
+    /**
+     * Filter record log entries for bucket notification configuration
+     * updates, and object operations matching a bucket notification
+     * configuration.
+     * @param {Object} entry - The record log entry from metadata.
+     * @return {undefined}
+     */
+    filter(entry) {
+        if (entry.bucket === METASTORE) {
+            return this._filterBucketOp(entry);
+        }
+        if (entry.key === undefined || entry.bucket === usersBucket ||
+            entry.bucket.startsWith(mpuBucketPrefix)) {
+            return undefined;
+        }
+        return this._filterKeyOp(entry);
+    }
+
+    _filterBucketOp(entry) {
+        if (entry.type !== 'put' ||
+            (entry.key && entry.key.startsWith(mpuBucketPrefix))) {
+            return undefined;
+        }
+        const { error, result } = safeJsonParse(entry.value);
+        if (error) {
+            this.log.error('could not parse bucket metadata log entry',
+                           { value: entry.value, error });
+            return undefined;
+        }
+        return this._updateBucketConfig(result);
+    }
+
+    _filterKeyOp(entry) {
+        const bucketConfig = this._bucketConfigs[entry.bucket];
+        if (!bucketConfig) {
+            return undefined;
+        }
+        let objMd;
+        if (entry.type === 'put') {
+            const { error, result } = safeJsonParse(entry.value);
+            if (error) {
+                this.log.error('could not parse object metadata log entry',
+                               { value: entry.value, error });
+                return undefined;
+            }
+            objMd = result;
+        }
+        const { key, versionId } = splitLogKey(entry.key);
+        // putting a version updates both the version key and the master
+        // key: only the version key update triggers an event
+        if (objMd && versionId === undefined &&
+            objMd.versionId !== undefined && !objMd.isNull) {
+            return undefined;
+        }
+        const eventName = getEventName(entry, objMd);
+        if (!eventName) {
+            return undefined;
+        }
+        const matchingConfigs =
+            getMatchingConfigs(bucketConfig, eventName, key);
+        if (matchingConfigs.length === 0) {
+            return undefined;
+        }
+        const internalVersionId = objMd ? objMd.versionId : versionId;
+        const recordParams = {
+            eventName,
+            eventTime: (objMd && objMd['last-modified']) ||
+                new Date().toISOString(),
+            region: this.notifConfig.region,
+            bucket: entry.bucket,
+            key,
+            versionId: internalVersionId &&
+                VersionIDUtils.encode(internalVersionId),
+        };
+        if (eventName.startsWith('s3:ObjectCreated:')) {
+            recordParams.size = objMd['content-length'];
+            recordParams.eTag = objMd['content-md5'];
+        }
+        matchingConfigs.forEach(config => {
+            if (!this._destinations.has(config.resource)) {
+                this.log.warn('skipping event for unknown notification ' +
+                'destination', {
+                    bucket: entry.bucket,
+                    key,
+                    eventName,
+                    destination: config.resource,
+                });
+                return;
+            }
+            const record = createEventRecord(Object.assign({
+                configurationId: config.id,
+            }, recordParams));
+            this.log.trace('publishing bucket notification entry', {
+                bucket: entry.bucket,
+                key,
+                eventName,
+                destination: config.resource,
+            });
+            this.publish(this.notifConfig.topic, `${entry.bucket}/${key}`,
+                         JSON.stringify({
+                             destination: config.resource,
+                             record,
+                         }));
+        });
+        return undefined;
+    }
+}
+
+module.exports = NotificationQueuePopulator;
@@ -0,0 +1,23 @@
+'use strict'; // eslint-disable-line
+
+const constants = {
+    zkConfigPath: '/config',
+    eventVersion: '2.1',
+    eventSource: 'scality:s3',
+    eventS3SchemaVersion: '1.0',
+    // prefix of bucket notification destination ARNs, followed by the
+    // destination resource name
+    destinationArnPrefix: 'arn:scality:bucketnotif:::',
+    supportedEvents: [
+        's3:ObjectCreated:*',
+        's3:ObjectCreated:Put',
+        's3:ObjectCreated:Copy',
+        's3:ObjectCreated:CompleteMultipartUpload',
+        's3:ObjectRemoved:*',
+        's3:ObjectRemoved:Delete',
+        's3:ObjectRemoved:DeleteMarkerCreated',
+    ],
+    destinationTypes: ['kafka', 'webhook', 'file'],
+};
+
+module.exports = constants;
@@ -0,0 +1,57 @@
+const fs = require('fs');
+
+/**
+ * @class FileDestination
+ *
+ * @classdesc Bucket notification destination appending event records
+ * to a local file, one JSON record per line
+ */
+class FileDestination {
+    /**
+     * @constructor
+     * @param {Object} destConfig - destination configuration
+     * @param {String} destConfig.resource - destination name
+     * @param {String} destConfig.path - path of the file
+     * @param {Object} params - destination params
+     * @param {Logger} params.logger - logger object
+     */
+    constructor(destConfig, params) {
+        this._destConfig = destConfig;
+        this._log = params.logger;
+    }
+
+    setup(cb) {
+        process.nextTick(cb);
+    }
+
+    /**
+     * Append an event record to the destination file
+     * @param {String} key - record key
+     * @param {String} message - event record
+     * @param {Function} cb - callback(error)
+     * @return {undefined}
+     */
+    send(key, message, cb) {
+        fs.appendFile(this._destConfig.path, `${message}\n`, err => {
+            if (err) {
+                this._log.error('error writing to notification file', {
+                    destination: this._destConfig.resource,
+                    path: this._destConfig.path,
+                    error: err.message,
+                });
+                return cb(err);
+            }
+            return cb();
+        });
+    }
+
+    close(cb) {
+        process.nextTick(cb);
+    }
+
+    isReady() {
+        return true;
+    }
+}
+
+module.exports = FileDestination;
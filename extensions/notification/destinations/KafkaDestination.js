@@ -0,0 +1,72 @@
+const BackbeatProducer = require('../../../lib/BackbeatProducer');
+const { getKafkaClientConfig } = require('../../../lib/localQueue');
+
+/**
+ * @class KafkaDestination
+ *
+ * @classdesc Bucket notification destination publishing event records
+ * to a Kafka topic, on the Backbeat Kafka cluster or on an external one
+ */
+class KafkaDestination {
+    /**
+     * @constructor
+     * @param {Object} destConfig - destination configuration
+     * @param {String} destConfig.resource - destination name
+     * @param {String} destConfig.topic - topic where to publish records
+     * @param {String} [destConfig.hosts] - kafka hosts list of an
+     * external cluster, as "host:port[,host:port...]"
+     * @param {Object} params - destination params
+     * @param {Object} params.kafkaConfig - backbeat kafka configuration
+     * @param {Logger} params.logger - logger object
+     */
+    constructor(destConfig, params) {
+        this._destConfig = destConfig;
+        this._kafkaConfig = params.kafkaConfig;
+        this._log = params.logger;
+        this._producer = null;
+    }
+
+    setup(cb) {
+        const { hosts, topic } = this._destConfig;
+        // an external cluster is always a kafka cluster
+        const kafka = hosts ? { hosts, backend: 'kafka' } :
+            getKafkaClientConfig(this._kafkaConfig);
+        const producer = new BackbeatProducer({ kafka, topic });
+        producer.once('error', cb);
+        producer.once('ready', () => {
+            producer.removeAllListeners('error');
+            producer.on('error', err =>
+                this._log.error('error from notification destination ' +
+                'producer', {
+                    destination: this._destConfig.resource,
+                    error: err,
+                }));
+            this._producer = producer;
+            return cb();
+        });
+    }
+
+    /**
+     * Publish an event record to the destination topic
+     * @param {String} key - record key
+     * @param {String} message - event record
+     * @param {Function} cb - callback(error)
+     * @return {undefined}
+     */
+    send(key, message, cb) {
+        this._producer.send([{ key, message }], cb);
+    }
+
+    close(cb) {
+        if (!this._producer) {
+            return process.nextTick(cb);
+        }
+        return this._producer.close(cb);
+    }
+
+    isReady() {
+        return this._producer !== null && this._producer.isReady();
+    }
+}
+
+module.exports = KafkaDestination;
@@ -0,0 +1,103 @@
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const { jsutil } = require('arsenal');
+
+/**
+ * @class WebhookDestination
+ *
+ * @classdesc Bucket notification destination posting event records to
+ * an HTTP(S) endpoint
+ */
+class WebhookDestination {
+    /**
+     * @constructor
+     * @param {Object} destConfig - destination configuration
+     * @param {String} destConfig.resource - destination name
+     * @param {String} destConfig.url - URL where to post records
+     * @param {Object} [destConfig.headers] - additional request headers
+     * @param {Number} [destConfig.timeoutMs] - request timeout in ms.
+     * @param {Object} params - destination params
+     * @param {Logger} params.logger - logger object
+     */
+    constructor(destConfig, params) {
+        this._destConfig = destConfig;
+        this._log = params.logger;
+        this._url = url.parse(destConfig.url);
+        this._transport = this._url.protocol === 'https:' ? https : http;
+        this._agent = new this._transport.Agent({ keepAlive: true });
+    }
+
+    setup(cb) {
+        process.nextTick(cb);
+    }
+
+    /**
+     * Post an event record to the webhook
+     *
+     * Network errors, timeouts, 5xx and 429 responses return a
+     * retryable error, other error responses a non-retryable one.
+     *
+     * @param {String} key - record key
+     * @param {String} message - event record
+     * @param {Function} cb - callback(error)
+     * @return {undefined}
+     */
+    send(key, message, cb) {
+        const { resource, headers, timeoutMs } = this._destConfig;
+        const cbOnce = jsutil.once(cb);
+        const body = Buffer.from(message);
+        const req = this._transport.request({
+            protocol: this._url.protocol,
+            hostname: this._url.hostname,
+            port: this._url.port,
+            path: this._url.path,
+            method: 'POST',
+            agent: this._agent,
+            headers: Object.assign({}, headers, {
+                'Content-Type': 'application/json',
+                'Content-Length': body.length,
+            }),
+        }, res => {
+            // drain the response
+            res.resume();
+            res.once('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    return cbOnce();
+                }
+                const err = new Error(
+                    `webhook responded with status ${res.statusCode}`);
+                err.statusCode = res.statusCode;
+                err.retryable = res.statusCode >= 500 ||
+                    res.statusCode === 429;
+                this._log.error('error posting to notification webhook', {
+                    destination: resource,
+                    statusCode: res.statusCode,
+                });
+                return cbOnce(err);
+            });
+        });
+        req.setTimeout(timeoutMs, () => req.abort());
+        req.once('error', err => {
+            this._log.error('error posting to notification webhook', {
+                destination: resource,
+                error: err.message,
+            });
+            // eslint-disable-next-line no-param-reassign
+            err.retryable = true;
+            return cbOnce(err);
+        });
+        req.end(body);
+    }
+
+    close(cb) {
+        this._agent.destroy();
+        process.nextTick(cb);
+    }
+
+    isReady() {
+        return true;
+    }
+}
+
+module.exports = WebhookDestination;
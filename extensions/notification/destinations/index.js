@@ -0,0 +1,26 @@
+const FileDestination = require('./FileDestination');
+const KafkaDestination = require('./KafkaDestination');
+const WebhookDestination = require('./WebhookDestination');
+
+const destinationClasses = {
+    kafka: KafkaDestination,
+    webhook: WebhookDestination,
+    file: FileDestination,
+};
+
+/**
+ * Create a bucket notification destination
+ * @param {Object} destConfig - destination configuration
+ * @param {String} destConfig.type - destination type: "kafka",
+ * "webhook" or "file"
+ * @param {Object} params - destination params (see destination classes)
+ * @return {Object} destination instance
+ */
+function createDestination(destConfig, params) {
+    const DestinationClass = destinationClasses[destConfig.type];
+    return new DestinationClass(destConfig, params);
+}
+
+module.exports = {
+    createDestination,
+};
@@ -0,0 +1,162 @@
+'use strict'; // eslint-disable-line
+
+const async = require('async');
+const { EventEmitter } = require('events');
+
+const errors = require('arsenal').errors;
+const Logger = require('werelogs').Logger;
+
+const BackbeatConsumer = require('../../../lib/BackbeatConsumer');
+const { getKafkaClientConfig } = require('../../../lib/localQueue');
+const NotificationTask = require('../tasks/NotificationTask');
+const safeJsonParse = require('../../lifecycle/util/safeJsonParse');
+const { createDestination } = require('../destinations');
+
+/**
+ * @class NotificationQueueProcessor
+ *
+ * @classdesc Background task that delivers bucket notification event
+ * records from the notification topic to their destinations
+ */
+class NotificationQueueProcessor extends EventEmitter {
+
+    /**
+     * @constructor
+     * @param {Object} kafkaConfig - kafka configuration object
+     * @param {string} kafkaConfig.hosts - list of kafka brokers
+     *   as "host:port[,host:port...]"
+     * @param {Object} notifConfig - notification configuration object
+     * @param {String} notifConfig.topic - notification topic name
+     * @param {Object[]} notifConfig.destinations - destinations
+     *   configuration
+     * @param {Object} notifConfig.queueProcessor - kafka consumer object
+     * @param {String} notifConfig.queueProcessor.groupId - kafka
+     *   consumer group id
+     * @param {Number} [notifConfig.queueProcessor.concurrency] - number
+     *   of max allowed concurrent operations
+     * @param {Object} [notifConfig.queueProcessor.retry] - retry
+     *   parameters of deliveries
+     */
+    constructor(kafkaConfig, notifConfig) {
+        super();
+
+        this._kafkaConfig = kafkaConfig;
+        this._notifConfig = notifConfig;
+        this._consumer = null;
+        this._destinations = {};
+
+        this._logger = new Logger('Backbeat:Notification:QueueProcessor');
+    }
+
+    _setupDestinations(cb) {
+        async.each(this._notifConfig.destinations, (destConfig, next) => {
+            const destination = createDestination(destConfig, {
+                kafkaConfig: this._kafkaConfig,
+                logger: this._logger,
+            });
+            destination.setup(err => {
+                if (err) {
+                    this._logger.error('could not set up notification ' +
+                    'destination', {
+                        destination: destConfig.resource,
+                        type: destConfig.type,
+                        error: err.message,
+                    });
+                    return next(err);
+                }
+                this._destinations[destConfig.resource] = destination;
+                return next();
+            });
+        }, cb);
+    }
+
+    /**
+     * Set up destinations and start kafka consumer. Emits a 'ready'
+     * event when consumer is ready.
+     *
+     * @param {Function} [cb] - callback(error) called when the
+     *   consumer is ready
+     * @return {undefined}
+     */
+    start(cb) {
+        const done = cb || (() => {});
+        this._setupDestinations(err => {
+            if (err) {
+                return done(err);
+            }
+            let consumerReady = false;
+            const consumerConfig = this._notifConfig.queueProcessor;
+            this._consumer = new BackbeatConsumer({
+                kafka: getKafkaClientConfig(this._kafkaConfig),
+                topic: this._notifConfig.topic,
+                groupId: consumerConfig.groupId,
+                concurrency: consumerConfig.concurrency,
+                queueProcessor: this.processKafkaEntry.bind(this),
+                deadLetterTopic: consumerConfig.deadLetterTopic,
+                deadLetterMaxAttempts: consumerConfig.deadLetterMaxAttempts,
+            });
+            this._consumer.on('error', err => {
+                if (!consumerReady) {
+                    this._logger.error('notification queue processor ' +
+                                       'failed to start the kafka consumer');
+                    done(err);
+                }
+            });
+            this._consumer.on('ready', () => {
+                consumerReady = true;
+                this._consumer.subscribe();
+                this._logger.info('notification queue processor ' +
+                                  'successfully started');
+                this.emit('ready');
+                return done();
+            });
+            return undefined;
+        });
+    }
+
+    /**
+     * Close the consumer and the destinations
+     * @param {function} cb - callback function
+     * @return {undefined}
+     */
+    close(cb) {
+        this._logger.debug('closing notification queue processor');
+        async.series([
+            next => (this._consumer ?
+                     this._consumer.close(next) : next()),
+            next => async.each(Object.keys(this._destinations),
+                (name, done) => this._destinations[name].close(done), next),
+        ], cb);
+    }
+
+    processKafkaEntry(kafkaEntry, done) {
+        this._logger.debug('processing kafka entry');
+
+        const { error, result } = safeJsonParse(kafkaEntry.value);
+        if (error || !result || !result.destination || !result.record) {
+            this._logger.error(
+                'malformed kafka entry from notification topic',
+                { error: error ? error.message : 'missing attribute' });
+            return process.nextTick(() => done(errors.InternalError));
+        }
+        const key = kafkaEntry.key && kafkaEntry.key.toString();
+        const task = new NotificationTask(this);
+        return task.processNotificationEntry(result, key, done);
+    }
+
+    getStateVars() {
+        return {
+            notifConfig: this._notifConfig,
+            destinations: this._destinations,
+            logger: this._logger,
+        };
+    }
+
+    isReady() {
+        return !!(this._consumer && this._consumer.isReady() &&
+            Object.keys(this._destinations).every(
+                name => this._destinations[name].isReady()));
+    }
+}
+
+module.exports = NotificationQueueProcessor;
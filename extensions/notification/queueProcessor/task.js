@@ -0,0 +1,48 @@
+'use strict'; // eslint-disable-line
+const werelogs = require('werelogs');
+
+const NotificationQueueProcessor = require('./NotificationQueueProcessor');
+const { HealthProbeServer } = require('arsenal').network.probe;
+
+const config = require('../../../conf/Config');
+const kafkaConfig = config.kafka;
+const notifConfig = config.extensions.notification;
+
+const log = new werelogs.Logger('Backbeat:Notification:task');
+
+const queueProcessor = new NotificationQueueProcessor(
+    kafkaConfig, notifConfig);
+
+const healthServer = new HealthProbeServer({
+    bindAddress: config.healthcheckServer.bindAddress,
+    port: config.healthcheckServer.port,
+});
+
+werelogs.configure({ level: config.log.logLevel,
+    dump: config.log.dumpLevel });
+
+healthServer.onReadyCheck(log => {
+    if (queueProcessor.isReady()) {
+        return true;
+    }
+    log.error('notification queue processor is not ready!');
+    return false;
+});
+log.info('Starting HealthProbe server');
+healthServer.start();
+
+queueProcessor.start(err => {
+    if (err) {
+        log.fatal('error during notification queue processor ' +
+                  'initialization', { error: err.message });
+        process.exit(1);
+    }
+    log.info('notification queue processor is running');
+});
+
+process.on('SIGTERM', () => {
+    log.info('received SIGTERM, exiting');
+    queueProcessor.close(() => {
+        process.exit(0);
+    });
+});
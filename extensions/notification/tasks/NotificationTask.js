@@ -0,0 +1,71 @@
+const BackbeatTask = require('../../../lib/tasks/BackbeatTask');
+
+class NotificationTask extends BackbeatTask {
+    /**
+     * Deliver a bucket notification event record to its destination
+     *
+     * @constructor
+     * @param {NotificationQueueProcessor} qp - queue processor instance
+     */
+    constructor(qp) {
+        super();
+        const qpState = qp.getStateVars();
+        Object.assign(this, qpState);
+        if (this.notifConfig.queueProcessor.retry) {
+            this.retryParams = this.notifConfig.queueProcessor.retry;
+        }
+    }
+
+    /**
+     * Send an event record to its destination, retrying on retryable
+     * errors
+     * @param {Object} entry - notification queue entry
+     * @param {String} entry.destination - destination name
+     * @param {Object} entry.record - S3-style event record
+     * @param {String} key - kafka entry key
+     * @param {Function} done - callback(error)
+     * @return {undefined}
+     */
+    processNotificationEntry(entry, key, done) {
+        const records = entry.record && entry.record.Records;
+        const eventRecord = Array.isArray(records) && records[0];
+        const s3Record = eventRecord && eventRecord.s3;
+        if (!s3Record || !s3Record.bucket || !s3Record.object) {
+            this.logger.error('skipping malformed notification entry', {
+                destination: entry.destination,
+                entryKey: key,
+            });
+            return process.nextTick(done);
+        }
+        const destination = this.destinations[entry.destination];
+        const logFields = {
+            destination: entry.destination,
+            bucket: s3Record.bucket.name,
+            key: s3Record.object.key,
+            eventName: eventRecord.eventName,
+        };
+        if (!destination) {
+            this.logger.error('skipping event for unknown notification ' +
+                              'destination', logFields);
+            return process.nextTick(done);
+        }
+        const message = JSON.stringify(entry.record);
+        return this.retry({
+            actionDesc: 'send bucket notification',
+            logFields,
+            actionFunc: done => destination.send(key, message, done),
+            shouldRetryFunc: err => err.retryable !== false,
+            log: this.logger,
+        }, err => {
+            if (err) {
+                this.logger.error('could not deliver bucket notification',
+                    Object.assign({ error: err.message }, logFields));
+                return done(err);
+            }
+            this.logger.debug('delivered bucket notification', logFields);
+            return done();
+        });
+    }
+}
+
+module.exports = NotificationTask;
@@ -0,0 +1,212 @@
+const { versioning } = require('arsenal');
+
+const {
+    eventVersion,
+    eventSource,
+    eventS3SchemaVersion,
+} = require('../constants');
+
+const VID_SEP = versioning.VersioningConstants.VersionId.Separator;
+
+/**
+ * Split a metadata log key into object key and version id
+ * @param {string} logKey - key from the metadata log
+ * @return {object} { key, versionId } with versionId undefined for
+ * master keys
+ */
+function splitLogKey(logKey) {
+    const [key, versionId] = logKey.split(VID_SEP);
+    return { key, versionId };
+}
+
+/**
+ * Check if object metadata without "originOp" attribute was written
+ * by a new object write, rather than by an update of the metadata of
+ * an existing object
+ *
+ * Metadata updates are recognized from the replication info, which
+ * new object writes reset, and from the archive info, which only
+ * lifecycle sets on existing objects.
+ *
+ * @param {object} objMd - parsed object metadata
+ * @return {boolean} true if the metadata is the one of a new object
+ */
+function isNewObjectMd(objMd) {
+    const { status, content } = objMd.replicationInfo || {};
+    // replication status updates written by backbeat
+    if (['PROCESSING', 'COMPLETED', 'FAILED'].includes(status)) {
+        return false;
+    }
+    // metadata-only operations (e.g. tagging or ACL updates) do not
+    // replicate data
+    if (Array.isArray(content) && content.length > 0 &&
+        !content.includes('DATA')) {
+        return false;
+    }
+    // lifecycle transitions and restores of archived objects
+    if (objMd.archive) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Get the name of the event triggered by a metadata log entry
+ *
+ * If the object metadata has an "originOp" attribute, it is used as
+ * the event name, and entries of other operations (e.g. tagging or
+ * replication status updates) trigger no event. Otherwise, the event
+ * name is derived from the entry type and the object metadata, and
+ * updates of the metadata of existing objects trigger no event.
+ *
+ * @param {object} entry - metadata log entry
+ * @param {string} entry.type - entry type ('put'|'del')
+ * @param {object} [objMd] - parsed object metadata, for put entries
+ * @return {string|null} event name, or null if the entry triggers no
+ * event
+ */
+function getEventName(entry, objMd) {
+    if (entry.type === 'del') {
+        return 's3:ObjectRemoved:Delete';
+    }
+    if (entry.type !== 'put' || !objMd) {
+        return null;
+    }
+    if (objMd.originOp !== undefined) {
+        if (objMd.originOp.startsWith('s3:ObjectCreated:') ||
+            objMd.originOp.startsWith('s3:ObjectRemoved:')) {
+            return objMd.originOp;
+        }
+        return null;
+    }
+    if (objMd.isDeleteMarker) {
+        return 's3:ObjectRemoved:DeleteMarkerCreated';
+    }
+    if (!isNewObjectMd(objMd)) {
+        return null;
+    }
+    if (objMd.uploadId) {
+        return 's3:ObjectCreated:CompleteMultipartUpload';
+    }
+    return 's3:ObjectCreated:Put';
+}
+
+/**
+ * Check if an event name matches one of the configured events,
+ * possibly with a wildcard (e.g. "s3:ObjectCreated:*")
+ * @param {string} eventName - event name
+ * @param {string[]} configEvents - configured events
+ * @return {boolean} true if the event matches
+ */
+function isEventMatching(eventName, configEvents) {
+    return configEvents.some(configEvent => configEvent === eventName ||
+        (configEvent.endsWith(':*') &&
+         eventName.startsWith(configEvent.slice(0, -1))));
+}
+
+/**
+ * Check if an object key matches the prefix and suffix filter rules
+ * @param {string} key - object key
+ * @param {object[]} [filterRules] - list of { name, value } rules,
+ * where name is "prefix" or "suffix" (case insensitive)
+ * @return {boolean} true if the key matches all rules
+ */
+function isKeyMatching(key, filterRules) {
+    return (filterRules || []).every(rule => {
+        const name = rule.name.toLowerCase();
+        if (name === 'prefix') {
+            return key.startsWith(rule.value);
+        }
+        if (name === 'suffix') {
+            return key.endsWith(rule.value);
+        }
+        return true;
+    });
+}
+
+/**
+ * Get the notification configurations of a bucket matching an event
+ * @param {object} notificationConfiguration - bucket notification
+ * configuration
+ * @param {object[]} notificationConfiguration.queueConfig - list of
+ * { id, events, queueArn, filterRules } configurations
+ * @param {string} eventName - event name
+ * @param {string} key - object key
+ * @return {object[]} list of { id, resource } of matching
+ * configurations, where resource is the destination name from the
+ * queue ARN
+ */
+function getMatchingConfigs(notificationConfiguration, eventName, key) {
+    const queueConfig = (notificationConfiguration &&
+                         notificationConfiguration.queueConfig) || [];
+    return queueConfig
+        .filter(config => isEventMatching(eventName, config.events) &&
+                isKeyMatching(key, config.filterRules))
+        .map(config => ({
+            id: config.id,
+            resource: config.queueArn.split(':').pop(),
+        }));
+}
+
+/**
+ * Create an S3-style event record
+ * @param {object} params - event params
+ * @param {string} params.eventName - event name
+ * @param {string} params.eventTime - event time as an ISO date
+ * @param {string} params.region - region of the bucket
+ * @param {string} params.bucket - bucket name
+ * @param {string} params.key - object key
+ * @param {string} [params.versionId] - object version id, encoded
+ * @param {number} [params.size] - object size
+ * @param {string} [params.eTag] - object ETag
+ * @param {string} [params.configurationId] - notification
+ * configuration id
+ * @return {object} event record
+ */
+function createEventRecord(params) {
+    const {
+        eventName, eventTime, region, bucket, key, versionId, size, eTag,
+        configurationId,
+    } = params;
+    const object = {
+        key: encodeURIComponent(key),
+        sequencer: new Date(eventTime).getTime().toString(16).toUpperCase(),
+    };
+    if (size !== undefined) {
+        object.size = size;
+    }
+    if (eTag !== undefined) {
+        object.eTag = eTag;
+    }
+    if (versionId !== undefined) {
+        object.versionId = versionId;
+    }
+    return {
+        Records: [{
+            eventVersion,
+            eventSource,
+            awsRegion: region,
+            eventTime,
+            // event names of records have no "s3:" prefix
+            eventName: eventName.replace(/^s3:/, ''),
+            s3: {
+                s3SchemaVersion: eventS3SchemaVersion,
+                configurationId,
+                bucket: {
+                    name: bucket,
+                    arn: `arn:aws:s3:::${bucket}`,
+                },
+                object,
+            },
+        }],
+    };
+}
+
+module.exports = {
+    splitLogKey,
+    getEventName,
+    isEventMatching,
+    isKeyMatching,
+    getMatchingConfigs,
+    createEventRecord,
+};
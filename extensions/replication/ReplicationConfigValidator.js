@@ -12,6 +12,7 @@ const qpRetryJoi = joi.object({
 });
 
 const CRR_FAILURE_EXPIRY = 24 * 60 * 60; // Expire Redis keys after 24 hours.
+const RTC_THRESHOLD = 15 * 60; // Replication time control SLA of 15 minutes.
 
 const joiSchema = {
     source: {
@@ -55,19 +56,32 @@ const joiSchema = {
     dataMoverTopic: joi.string().required(),
     replicationStatusTopic: joi.string().required(),
     monitorReplicationFailures: joi.boolean().default(true),
+    evaluateRules: joi.boolean().default(false),
+    replicateVersionDeletions: joi.boolean().default(false),
     replicationFailedTopic: joi.string().required(),
     monitorReplicationFailureExpiryTimeS:
         joi.number().default(CRR_FAILURE_EXPIRY),
+    rtc: joi.object({
+        thresholdS: joi.number().integer().greater(0)
+            .default(RTC_THRESHOLD),
+        slaMissedTopic: joi.string(),
+    }).default({ thresholdS: RTC_THRESHOLD }),
     queueProcessor: {
         groupId: joi.string().required(),
         retry: qpRetryJoi,
         concurrency: joi.number().greater(0).default(10),
         minMPUSizeMB: joi.number().greater(0).default(20),
+        bandwidthLimits: joi.object().pattern(
+            /.+/, joi.number().integer().min(0)).default({}),
+        deadLetterTopic: joi.string(),
+        deadLetterMaxAttempts: joi.number().integer().greater(0).default(1),
     },
     replicationStatusProcessor: {
         groupId: joi.string().required(),
         retry: retryParamsJoi,
         concurrency: joi.number().greater(0).default(10),
+        deadLetterTopic: joi.string(),
+        deadLetterMaxAttempts: joi.number().integer().greater(0).default(1),
     },
 };
 
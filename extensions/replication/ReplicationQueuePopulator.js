@@ -1,17 +1,173 @@
+const async = require('async');
 const { isMasterKey } = require('arsenal/lib/versioning/Version');
 const { usersBucket, mpuBucketPrefix } = require('arsenal').constants;
+const VID_SEP = require('arsenal').versioning.VersioningConstants
+          .VersionId.Separator;
 
 const QueuePopulatorExtension =
           require('../../lib/queuePopulator/QueuePopulatorExtension');
 const ObjectQueueEntry = require('../../lib/models/ObjectQueueEntry');
+const { getTracer, SpanKind } = require('../../lib/tracing/Tracer');
+const safeJsonParse = require('../lifecycle/util/safeJsonParse');
+const {
+    zookeeperNamespace,
+    zkConfigPath,
+    replicationBackends,
+} = require('./constants');
+const {
+    normalizeBucketMdConfig,
+    getMatchingRule,
+    getReplicationInfo,
+} = require('./utils/replicationRules');
+
+const METASTORE = '__metastore';
 
 class ReplicationQueuePopulator extends QueuePopulatorExtension {
     constructor(params) {
         super(params);
         this.repConfig = params.config;
+        // replication configurations of buckets, by bucket name, only
+        // tracked when backbeat evaluates the replication rules
+        this._bucketConfigs = {};
+    }
+
+    _getConfigZkPath(bucket) {
+        const basePath = `${zookeeperNamespace}${zkConfigPath}`;
+        return bucket ? `${basePath}/${bucket}` : basePath;
+    }
+
+    /**
+     * Pre-create the zookeeper path for bucket replication
+     * configurations if rules are evaluated by backbeat, then load the
+     * saved configurations.
+     * @param {Function} cb - The callback function.
+     * @return {undefined}
+     */
+    createZkPath(cb) {
+        if (!this.repConfig.evaluateRules) {
+            return process.nextTick(cb);
+        }
+        const path = this._getConfigZkPath();
+        return this.zkClient.mkdirp(path, err => {
+            if (err) {
+                this.log.error('could not create path in zookeeper', {
+                    method: 'ReplicationQueuePopulator.createZkPath',
+                    zkPath: path,
+                    error: err,
+                });
+                return cb(err);
+            }
+            return this._loadBucketConfigs(cb);
+        });
+    }
+
+    /**
+     * Load the bucket replication configurations saved in zookeeper
+     * @param {Function} cb - The callback function.
+     * @return {undefined}
+     */
+    _loadBucketConfigs(cb) {
+        const path = this._getConfigZkPath();
+        return this.zkClient.getChildren(path, (err, buckets) => {
+            if (err) {
+                this.log.error('could not list bucket replication ' +
+                'configurations', {
+                    method: 'ReplicationQueuePopulator._loadBucketConfigs',
+                    zkPath: path,
+                    error: err,
+                });
+                return cb(err);
+            }
+            return async.eachLimit(buckets, 10, (bucket, next) =>
+                this.zkClient.getData(this._getConfigZkPath(bucket),
+                (err, data) => {
+                    if (err) {
+                        return next(err);
+                    }
+                    const { error, result } =
+                        safeJsonParse(data && data.toString());
+                    if (error) {
+                        this.log.error('invalid bucket replication ' +
+                        'configuration in zookeeper', { bucket, error });
+                        return next();
+                    }
+                    this._bucketConfigs[bucket] = result;
+                    return next();
+                }), err => {
+                if (err) {
+                    this.log.error('could not load bucket replication ' +
+                    'configurations', {
+                        method: 'ReplicationQueuePopulator._loadBucketConfigs',
+                        error: err,
+                    });
+                    return cb(err);
+                }
+                this.log.info('loaded bucket replication configurations',
+                              { bucketCount: buckets.length });
+                return cb();
+            });
+        });
+    }
+
+    /**
+     * Update the replication configuration of a bucket from its
+     * attributes, and save it in zookeeper if it changed.
+     * @param {Object} attributes - bucket attributes from metadata log
+     * @param {String} attributes.name - bucket name
+     * @param {Boolean} [attributes.deleted] - true if bucket is deleted
+     * @param {Object} [attributes.replicationConfiguration] - bucket
+     * replication configuration
+     * @return {undefined}
+     */
+    _updateBucketConfig(attributes) {
+        const bucket = attributes.name;
+        const newConfig = (!attributes.deleted && normalizeBucketMdConfig(
+            attributes.replicationConfiguration)) || null;
+        const currentConfig = this._bucketConfigs[bucket] || null;
+        if (JSON.stringify(newConfig) === JSON.stringify(currentConfig)) {
+            return undefined;
+        }
+        const path = this._getConfigZkPath(bucket);
+        if (!newConfig) {
+            delete this._bucketConfigs[bucket];
+            return this.zkClient.remove(path, err => {
+                if (err && err.name !== 'NO_NODE') {
+                    this.log.error('could not remove zookeeper node', {
+                        method: 'ReplicationQueuePopulator.' +
+                            '_updateBucketConfig',
+                        zkPath: path,
+                        error: err,
+                    });
+                    return undefined;
+                }
+                this.log.info('removed bucket replication configuration',
+                              { bucket });
+                return undefined;
+            });
+        }
+        this._bucketConfigs[bucket] = newConfig;
+        return this.zkClient.setOrCreate(path,
+            Buffer.from(JSON.stringify(newConfig)), err => {
+                if (err) {
+                    this.log.error('could not save zookeeper node', {
+                        method: 'ReplicationQueuePopulator.' +
+                            '_updateBucketConfig',
+                        zkPath: path,
+                        error: err,
+                    });
+                    return undefined;
+                }
+                this.log.info('saved bucket replication configuration',
+                              { bucket });
+                return undefined;
+            });
     }
 
     filter(entry) {
+        if (this.repConfig.evaluateRules &&
+            (entry.bucket === METASTORE || entry.key === undefined)) {
+            return this._filterBucketMdOp(entry);
+        }
         if (entry.key === undefined) {
             // bucket updates have no key in raft log
             return undefined;
@@ -33,7 +189,129 @@ class ReplicationQueuePopulator extends QueuePopulatorExtension {
                      entry.bucket, JSON.stringify(entry));
     }
 
+    _filterBucketMdOp(entry) {
+        // bucket attributes are logged in the METASTORE namespace by
+        // the mongo backend, and without key by the raft backend
+        const bucket = entry.key === undefined ? entry.bucket : entry.key;
+        if (entry.type !== 'put' || bucket.startsWith(mpuBucketPrefix)) {
+            return undefined;
+        }
+        const { error, result } = safeJsonParse(entry.value);
+        if (error) {
+            this.log.error('could not parse bucket metadata log entry',
+                           { value: entry.value, error });
+            return undefined;
+        }
+        return this._updateBucketConfig(Object.assign({ name: bucket },
+                                                      result));
+    }
+
+    /**
+     * Evaluate the replication rules of the bucket on a version, and
+     * update its replication info with the sites it must be
+     * replicated to. Sites already processed keep their status.
+     * @param {ObjectQueueEntry} queueEntry - version entry
+     * @param {Object} bucketConfig - normalized bucket replication
+     * configuration
+     * @return {Boolean} true if the version has sites pending
+     * replication
+     */
+    _evaluateRules(queueEntry, bucketConfig) {
+        const status = queueEntry.getReplicationStatus();
+        // other statuses are replicas, or updates from replication
+        // processors
+        if (status && status !== 'PENDING') {
+            return false;
+        }
+        const rule = getMatchingRule(bucketConfig,
+            queueEntry.getObjectKey(), queueEntry.getTags());
+        if (!rule) {
+            if (status === 'PENDING') {
+                this.log.debug('version does not match any replication ' +
+                'rule, skipping', { entry: queueEntry.getLogInfo() });
+            }
+            return false;
+        }
+        if (queueEntry.getIsDeleteMarker() && !rule.deleteMarkerReplication) {
+            this.log.debug('delete marker replication is disabled by the ' +
+            'matching rule, skipping', { entry: queueEntry.getLogInfo() });
+            return false;
+        }
+        const currentInfo = queueEntry.getReplicationInfo();
+        const newInfo = getReplicationInfo(bucketConfig, rule,
+            queueEntry.getContentLength(),
+            this.repConfig.destination.bootstrapList);
+        if (status === 'PENDING') {
+            newInfo.content = currentInfo.content;
+            newInfo.backends.forEach(backend => {
+                const current = currentInfo.backends.find(
+                    b => b.site === backend.site);
+                if (current) {
+                    Object.assign(backend, {
+                        status: current.status,
+                        dataStoreVersionId: current.dataStoreVersionId,
+                    });
+                }
+            });
+        }
+        if (!newInfo.backends.some(backend => backend.status === 'PENDING')) {
+            return false;
+        }
+        queueEntry.setReplicationInfo(newInfo);
+        return true;
+    }
+
+    /**
+     * Publish the permanent deletion of a version matching a rule with
+     * delete marker replication enabled, for it to be replicated to
+     * the Scality destinations of the rule.
+     * @param {Object} entry - delete log entry of a version key
+     * @return {undefined}
+     */
+    _filterVersionDeletion(entry) {
+        const bucketConfig = this.repConfig.evaluateRules &&
+            this.repConfig.replicateVersionDeletions &&
+            this._bucketConfigs[entry.bucket];
+        if (!bucketConfig || isMasterKey(entry.key)) {
+            return undefined;
+        }
+        const [key, versionId] = entry.key.split(VID_SEP);
+        // the tags of the deleted version are unknown, so that only
+        // rules without tag filter apply
+        const rule = getMatchingRule(bucketConfig, key);
+        if (!rule || !rule.deleteMarkerReplication) {
+            return undefined;
+        }
+        const { bootstrapList } = this.repConfig.destination;
+        const replicationInfo =
+            getReplicationInfo(bucketConfig, rule, 0, bootstrapList);
+        replicationInfo.backends = replicationInfo.backends.filter(backend => {
+            const endpoint = bootstrapList.find(ep => ep.site === backend.site);
+            return !endpoint || !replicationBackends.includes(endpoint.type);
+        });
+        if (replicationInfo.backends.length === 0) {
+            return undefined;
+        }
+        replicationInfo.storageClass =
+            replicationInfo.backends.map(backend => backend.site).join(',');
+        replicationInfo.storageType = '';
+        const queueEntry = new ObjectQueueEntry(entry.bucket, entry.key,
+                                                { versionId, replicationInfo })
+              .setIsVersionDeletion(true);
+        this._publishEntry(queueEntry, {
+            bucket: entry.bucket,
+            key: entry.key,
+            value: queueEntry.getSerialized(),
+            versionDeletion: true,
+        });
+        return undefined;
+    }
+
     _filterKeyOp(entry) {
+        if (entry.type === 'del') {
+            this._filterVersionDeletion(entry);
+            return;
+        }
         if (entry.type !== 'put') {
             return;
         }
@@ -48,14 +326,52 @@ class ReplicationQueuePopulator extends QueuePopulatorExtension {
         if (isMasterKey(entry.key) && !queueEntry.getReplicationIsNFS()) {
             return;
         }
-        if (queueEntry.getReplicationStatus() !== 'PENDING') {
+        const bucketConfig = this.repConfig.evaluateRules &&
+            this._bucketConfigs[entry.bucket];
+        let publishedEntry = entry;
+        if (bucketConfig) {
+            const currentInfo =
+                JSON.stringify(queueEntry.getReplicationInfo());
+            if (!this._evaluateRules(queueEntry, bucketConfig)) {
+                return;
+            }
+            if (JSON.stringify(queueEntry.getReplicationInfo()) !==
+                currentInfo) {
+                publishedEntry = Object.assign({}, entry,
+                    { value: queueEntry.getSerialized() });
+            }
+        } else if (queueEntry.getReplicationStatus() !== 'PENDING') {
             return;
         }
+        this._publishEntry(queueEntry, publishedEntry);
+    }
+
+    /**
+     * Publish a replication entry, and record its replication metrics
+     * @param {ObjectQueueEntry} queueEntry - version entry
+     * @param {Object} publishedEntry - log entry to publish
+     * @return {undefined}
+     */
+    _publishEntry(queueEntry, publishedEntry) {
+        // start the trace of the replication of the version, its
+        // context is conveyed to the queue processors in the entry
+        const span = getTracer().startSpan('replication.queuePopulator', {
+            kind: SpanKind.PRODUCER,
+            attributes: {
+                'backbeat.bucket': queueEntry.getBucket(),
+                'backbeat.key': queueEntry.getObjectKey(),
+                'backbeat.versionId': queueEntry.getVersionId(),
+            },
+        });
+        const message = span.getTraceParent() ?
+            Object.assign({}, publishedEntry,
+                          { traceContext: span.getTraceParent() }) :
+            publishedEntry;
         this.log.trace('publishing object replication entry',
                        { entry: queueEntry.getLogInfo() });
         this.publish(this.repConfig.topic,
                      `${queueEntry.getBucket()}/${queueEntry.getObjectKey()}`,
-                     JSON.stringify(entry));
+                     JSON.stringify(message), span);
 
         const repSites = queueEntry.getReplicationInfo().backends;
         const content = queueEntry.getReplicationContent();
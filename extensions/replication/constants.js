@@ -6,7 +6,9 @@ const constants = {
     zookeeperNamespace:
         testIsOn ? '/backbeattest/replication' : '/backbeat/replication',
     zkStatePath: '/state',
-    zkStateProperties: ['paused', 'scheduledResume'],
+    zkBackfillPath: '/backfill',
+    zkConfigPath: '/config',
+    zkStateProperties: ['paused', 'scheduledResume', 'bandwidthLimit'],
     proxyVaultPath: '/_/backbeat/vault',
     proxyIAMPath: '/_/backbeat/iam',
     metricsExtension: 'crr',
@@ -26,8 +28,18 @@ const constants = {
             'test:bb:object:bytesdone' : 'bb:crr:object:bytesdone',
         bytesFail: testIsOn ? 'test:bb:bytesfail' : 'bb:crr:bytesfail',
         failedCRR: testIsOn ? 'test:bb:crr:failed' : 'bb:crr:failed',
+        failedCRRReason:
+            testIsOn ? 'test:bb:crr:failedreason' : 'bb:crr:failedreason',
+        failedCRRObjectLock: testIsOn ?
+            'test:bb:crr:failedobjectlock' : 'bb:crr:failedobjectlock',
+        failedCRRRetryJob:
+            testIsOn ? 'test:bb:crr:retryjob' : 'bb:crr:retryjob',
     },
     replicationBackends: ['aws_s3', 'azure', 'gcp'],
+    // replication failures tracked in their own failed CRR sorted sets
+    failureTypes: {
+        objectLock: 'objectlock',
+    },
 };
 
 module.exports = constants;
@@ -1,17 +1,21 @@
 'use strict'; // eslint-disable-line strict
 
+const async = require('async');
 const { StatsModel } = require('arsenal').metrics;
 const Logger = require('werelogs').Logger;
 const redisClient = require('../../replication/utils/getRedisClient')();
 
 const FailedCRRProducer = require('./FailedCRRProducer');
 const BackbeatConsumer = require('../../../lib/BackbeatConsumer');
+const { getKafkaClientConfig } = require('../../../lib/localQueue');
 const BackbeatTask = require('../../../lib/tasks/BackbeatTask');
 const config = require('../../../conf/Config');
 
 // BackbeatConsumer constant defaults
 const CONSUMER_FETCH_MAX_BYTES = 5000020;
 const CONCURRENCY = 10;
+// failure reasons are kept as long as the failed CRR sorted sets
+const FAILURE_REASON_TTL = 86400; // 24 hours
 
 class FailedCRRConsumer {
     /**
@@ -37,7 +41,7 @@ class FailedCRRConsumer {
     start(cb) {
         let consumerReady = false;
         const consumer = new BackbeatConsumer({
-            kafka: { hosts: this._kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this._kafkaConfig),
             topic: this._topic,
             groupId: 'backbeat-retry-group',
             concurrency: CONCURRENCY,
@@ -129,14 +133,36 @@ class FailedCRRConsumer {
     }
 
     /**
-     * Attempt to add the sorted set member.
+     * Attempt to add the sorted set member, along with its failure reason
+     * if any, and to the object lock failures sorted set if the failure
+     * is due to object lock.
      * @param {Object} data - The key and value for the Redis key
      * @param {Function} cb - The callback function
      * @return {undefined}
      */
     _addSortedSetMemberOnce(data, cb) {
-        const { key, member, score } = data;
-        return this._statsClient.addToSortedSet(key, score, member, err => {
+        const { key, member, score, reasonKey, reason, objectLockKey } = data;
+        return async.series([
+            next => this._statsClient.addToSortedSet(key, score, member,
+                                                     next),
+            next => {
+                if (!objectLockKey) {
+                    return next();
+                }
+                return this._statsClient.addToSortedSet(objectLockKey, score,
+                                                        member, next);
+            },
+            next => {
+                if (!reasonKey) {
+                    return next();
+                }
+                const cmds = [
+                    ['hset', reasonKey, member, reason],
+                    ['expire', reasonKey, FAILURE_REASON_TTL],
+                ];
+                return redisClient.batch(cmds, next);
+            },
+        ], err => {
             if (err) {
                 return cb({ retryable: true });
             }
@@ -3,6 +3,7 @@
 const { Logger } = require('werelogs');
 
 const BackbeatProducer = require('../../../lib/BackbeatProducer');
+const { getKafkaClientConfig } = require('../../../lib/localQueue');
 const config = require('../../../conf/Config');
 
 class FailedCRRProducer {
@@ -24,7 +25,7 @@ class FailedCRRProducer {
      */
     setupProducer(cb) {
         const producer = new BackbeatProducer({
-            kafka: { hosts: this._kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this._kafkaConfig),
             topic: this._topic,
         });
         producer.once('error', () => {});
@@ -14,6 +14,7 @@ const RoundRobin = require('arsenal').network.RoundRobin;
 
 const BackbeatProducer = require('../../../lib/BackbeatProducer');
 const BackbeatConsumer = require('../../../lib/BackbeatConsumer');
+const { getKafkaClientConfig } = require('../../../lib/localQueue');
 const VaultClientCache = require('../../../lib/clients/VaultClientCache');
 const QueueEntry = require('../../../lib/models/QueueEntry');
 const TaskScheduler = require('../../../lib/tasks/TaskScheduler');
@@ -30,6 +31,8 @@ const ObjectQueueEntry = require('../../../lib/models/ObjectQueueEntry');
 const BucketQueueEntry = require('../../../lib/models/BucketQueueEntry');
 const ActionQueueEntry = require('../../../lib/models/ActionQueueEntry');
 const MetricsProducer = require('../../../lib/MetricsProducer');
+const BandwidthThrottle = require('../../../lib/BandwidthThrottle');
+const { getTracer } = require('../../../lib/tracing/Tracer');
 
 const {
     zookeeperNamespace,
@@ -77,6 +80,8 @@ class QueueProcessor extends EventEmitter {
      *  randomness
      * @param {number} [repConfig.queueProcessor.retry.backoff.factor] -
      *  backoff factor
+     * @param {Object} [repConfig.queueProcessor.bandwidthLimits] -
+     *  max replication throughput in bytes per second, keyed by site
      * @param {Object} redisConfig - redis configuration
      * @param {Object} mConfig - metrics config
      * @param {String} mConfig.topic - metrics config kafka topic
@@ -117,6 +122,11 @@ class QueueProcessor extends EventEmitter {
 
         this.echoMode = false;
         this.scheduledResume = null;
+        // shared by all replication tasks of this site
+        this.bandwidthThrottle = new BandwidthThrottle({
+            bytesPerSec: repConfig.queueProcessor.bandwidthLimits &&
+                repConfig.queueProcessor.bandwidthLimits[site],
+        });
 
         this.logger = new Logger(
             `Backbeat:Replication:QueueProcessor:${this.site}`);
@@ -160,8 +170,12 @@ class QueueProcessor extends EventEmitter {
         }
 
         this.taskScheduler = new TaskScheduler(
-            (ctx, done) => ctx.task.processQueueEntry(
-                ctx.entry, ctx.kafkaEntry, done),
+            (ctx, done) => getTracer().traceEntry(
+                'replication.queueProcessor', ctx.entry, {
+                    'backbeat.site': this.site,
+                    'backbeat.task': ctx.task.constructor.name,
+                }, next => ctx.task.processQueueEntry(
+                    ctx.entry, ctx.kafkaEntry, next), done),
             ctx => getTaskSchedulerQueueKey(ctx.entry),
             ctx => getTaskSchedulerDedupeKey(ctx.entry));
     }
@@ -254,7 +268,7 @@ class QueueProcessor extends EventEmitter {
 
     _setupProducer(done) {
         const producer = new BackbeatProducer({
-            kafka: { hosts: this.kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this.kafkaConfig),
             topic: this.repConfig.replicationStatusTopic,
         });
         producer.once('error', done);
@@ -276,12 +290,15 @@ class QueueProcessor extends EventEmitter {
         const groupId =
               `${this.repConfig.queueProcessor.groupId}-${this.site}`;
         const consumer = new BackbeatConsumer({
-            kafka: { hosts: this.kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this.kafkaConfig),
             topic,
             groupId,
             concurrency: this.repConfig.queueProcessor.concurrency,
             queueProcessor: queueProcessorFunc,
             canary: true,
+            deadLetterTopic: this.repConfig.queueProcessor.deadLetterTopic,
+            deadLetterMaxAttempts:
+            this.repConfig.queueProcessor.deadLetterMaxAttempts,
         });
         consumer.on('error', () => {
             if (!consumerReady) {
@@ -322,7 +339,7 @@ class QueueProcessor extends EventEmitter {
 
     /**
      * Setup the Redis Subscriber which listens for actions from other processes
-     * (i.e. BackbeatAPI for pause/resume)
+     * (i.e. BackbeatAPI for pause/resume and bandwidth limit updates)
      * @param {object} redisConfig - redis ha config
      * @return {undefined}
      */
@@ -341,16 +358,18 @@ class QueueProcessor extends EventEmitter {
             }
             redis.on('message', (channel, message) => {
                 const validActions = {
-                    pauseService: this._pauseService.bind(this),
-                    resumeService: this._resumeService.bind(this),
+                    pauseService: () => this._pauseService(),
+                    resumeService: msg => this._resumeService(msg.date),
                     deleteScheduledResumeService:
-                        this._deleteScheduledResumeService.bind(this),
+                        () => this._deleteScheduledResumeService(),
+                    setBandwidthLimit:
+                        msg => this._setBandwidthLimit(msg.bytesPerSec),
                 };
                 try {
-                    const { action, date } = JSON.parse(message);
-                    const cmd = validActions[action];
+                    const msg = JSON.parse(message);
+                    const cmd = validActions[msg.action];
                     if (channel === channelName && typeof cmd === 'function') {
-                        cmd(date);
+                        cmd(msg);
                     }
                 } catch (e) {
                     this.logger.error('error parsing redis sub message', {
@@ -441,6 +460,33 @@ class QueueProcessor extends EventEmitter {
         });
     }
 
+    /**
+     * Update the replication bandwidth limit of this site
+     * @param {number} bytesPerSec - max throughput in bytes per second,
+     *   0 means unlimited
+     * @return {undefined}
+     */
+    _setBandwidthLimit(bytesPerSec) {
+        if (!Number.isInteger(bytesPerSec) || bytesPerSec < 0) {
+            this.logger.error('invalid bandwidth limit', {
+                method: 'QueueProcessor._setBandwidthLimit',
+                bytesPerSec,
+            });
+            return;
+        }
+        this._updateZkStateNode('bandwidthLimit', bytesPerSec, err => {
+            if (err) {
+                this.logger.trace('error occurred saving state to zookeeper', {
+                    method: 'QueueProcessor._setBandwidthLimit',
+                });
+            } else {
+                this.bandwidthThrottle.setLimit(bytesPerSec);
+                this.logger.info('updated replication bandwidth limit for ' +
+                    `location: ${this.site}`, { bytesPerSec });
+            }
+        });
+    }
+
     _getZkSiteNode() {
         return `${zookeeperNamespace}${zkStatePath}/${this.site}`;
     }
@@ -563,6 +609,7 @@ class QueueProcessor extends EventEmitter {
             dataMoverConsumer: this._dataMoverConsumer,
             backbeatClient: this.backbeatClient,
             backbeatMetadataProxy: this.backbeatMetadataProxy,
+            bandwidthThrottle: this.bandwidthThrottle,
         };
     }
 
@@ -578,9 +625,14 @@ class QueueProcessor extends EventEmitter {
      *   startup of consumer (for testing: one has to call
      *   processQueueEntry() explicitly)
      * @param {boolean} [options.paused] - if true, kafka consumer is paused
+     * @param {number} [options.bandwidthLimit] - bandwidth limit in bytes
+     *   per second saved in zookeeper, overrides the configured limit
      * @return {undefined}
      */
     start(options) {
+        if (options && options.bandwidthLimit !== undefined) {
+            this.bandwidthThrottle.setLimit(options.bandwidthLimit);
+        }
         this._mProducer = new MetricsProducer(this.kafkaConfig, this.mConfig);
         return async.parallel([
             done => this._mProducer.setupProducer(err => {
@@ -748,7 +800,11 @@ class QueueProcessor extends EventEmitter {
                     .find(endpoint => endpoint.site === this.site);
                 if (replicationEndpoint &&
                 replicationBackends.includes(replicationEndpoint.type)) {
-                    task = new MultipleBackendTask(this);
+                    // version deletions are only replicated to Scality
+                    // destinations
+                    if (!sourceEntry.getIsVersionDeletion()) {
+                        task = new MultipleBackendTask(this);
+                    }
                 } else {
                     task = new ReplicateObject(this);
                 }
@@ -10,6 +10,7 @@ const { applyBucketReplicationWorkflows } = require('../management');
 const { HealthProbeServer } = require('arsenal').network.probe;
 const { reshapeExceptionError } = require('arsenal').errorUtils;
 const zookeeper = require('../../../lib/clients/zookeeper');
+const { setupTracing, getTracer } = require('../../../lib/tracing/Tracer');
 const { zookeeperNamespace, zkStatePath } =
     require('../constants');
 
@@ -31,6 +32,8 @@ werelogs.configure({
     dump: config.log.dumpLevel,
 });
 
+setupTracing(config.tracing, 'backbeat-replication-queue-processor', log);
+
 const healthServer = new HealthProbeServer({
     bindAddress: config.healthcheckServer.bindAddress,
     port: config.healthcheckServer.port,
@@ -64,7 +67,10 @@ function checkAndApplyScheduleResume(qp, data, zkClient, site, cb) {
         // if date expired, resume automatically for the site.
         // remove schedule resume data in zookeeper
         const path = `${getCRRStateZkPath()}/${site}`;
-        const d = JSON.stringify({ paused: false });
+        // keep other state attributes, like the bandwidth limit
+        const state = Object.assign({}, data, { paused: false });
+        delete state[RESUME_NODE];
+        const d = JSON.stringify(state);
         return zkClient.setData(path, Buffer.from(d), err => {
             if (err) {
                 log.fatal('could not set zookeeper status node', {
@@ -74,11 +80,11 @@ function checkAndApplyScheduleResume(qp, data, zkClient, site, cb) {
                 });
                 return cb(err);
             }
-            return cb(null, { paused: false });
+            return cb(null, state);
         });
     }
     qp.scheduleResume(scheduleDate);
-    return cb(null, { paused: true });
+    return cb(null, Object.assign({}, data, { paused: true }));
 }
 
 /**
@@ -170,7 +176,10 @@ function initAndStart(zkClient) {
                             if (err) {
                                 return next(err);
                             }
-                            qp.start({ paused: data.paused });
+                            qp.start({
+                                paused: data.paused,
+                                bandwidthLimit: data.bandwidthLimit,
+                            });
                             return next();
                         });
                     }
@@ -203,7 +212,10 @@ function initAndStart(zkClient) {
                 if (err) {
                     return next(err);
                 }
-                qp.start({ paused: data.paused });
+                qp.start({
+                    paused: data.paused,
+                    bandwidthLimit: data.bandwidthLimit,
+                });
                 return next();
             });
         }, err => {
@@ -269,6 +281,7 @@ process.on('SIGTERM', () => {
                        });
                        process.exit(1);
                    }
-                   process.exit(0);
+                   // export the last spans before exiting
+                   getTracer().close(() => process.exit(0));
                });
 });
@@ -9,18 +9,24 @@ const errors = require('arsenal').errors;
 const { StatsModel } = require('arsenal').metrics;
 
 const BackbeatConsumer = require('../../../lib/BackbeatConsumer');
+const { getKafkaClientConfig } = require('../../../lib/localQueue');
 const GarbageCollectorProducer = require('../../gc/GarbageCollectorProducer');
 const VaultClientCache = require('../../../lib/clients/VaultClientCache');
 const TaskScheduler = require('../../../lib/tasks/TaskScheduler');
 const UpdateReplicationStatus = require('../tasks/UpdateReplicationStatus');
 const QueueEntry = require('../../../lib/models/QueueEntry');
 const ObjectQueueEntry = require('../../../lib/models/ObjectQueueEntry');
+const { getTracer } = require('../../../lib/tracing/Tracer');
 const FailedCRRProducer = require('../failedCRR/FailedCRRProducer');
+const SLAMissedProducer = require('../slaMissed/SLAMissedProducer');
 const {
     getSortedSetMember,
     getSortedSetKey,
+    getFailureReasonKey,
+    getObjectLockSortedSetKey,
 } = require('../../../lib/util/sortedSetHelper');
 const MetricsProducer = require('../../../lib/MetricsProducer');
+const { failureTypes } = require('../constants');
 
 // StatsClient constant default for site metrics
 const INTERVAL = 300; // 5 minutes;
@@ -63,6 +69,11 @@ class ReplicationStatusProcessor {
      *  randomness
      * @param {number} [repConfig.retry.backoff.factor] -
      *  backoff factor
+     * @param {Object} [repConfig.rtc] - replication time control config
+     * @param {number} [repConfig.rtc.thresholdS] - max delay in seconds
+     *  between object last-modified time and replication completion
+     * @param {String} [repConfig.rtc.slaMissedTopic] - topic where to
+     *  publish objects replicated after the threshold
      * @param {Object} [internalHttpsConfig] - internal HTTPS
      *   configuration object
      * @param {String} [internalHttpsConfig.key] - client private key
@@ -84,6 +95,7 @@ class ReplicationStatusProcessor {
         this._consumer = null;
         this._gcProducer = null;
         this._mProducer = null;
+        this._slaMissedProducer = null;
 
         this.logger =
             new Logger('Backbeat:Replication:ReplicationStatusProcessor');
@@ -107,7 +119,13 @@ class ReplicationStatusProcessor {
             (monitorReplicationFailureExpiryTimeS + INTERVAL));
         // Serialize updates to the same master key
         this.taskScheduler = new TaskScheduler(
-            (ctx, done) => ctx.task.processQueueEntry(ctx.entry, done),
+            (ctx, done) => getTracer().traceEntry(
+                'replication.statusProcessor', ctx.entry, {
+                    'backbeat.site': ctx.entry.getSite(),
+                    'backbeat.status': ctx.entry.getReplicationSiteStatus(
+                        ctx.entry.getSite()),
+                }, next => ctx.task.processQueueEntry(ctx.entry, next),
+                done),
             ctx => ctx.entry.getCanonicalKey());
     }
 
@@ -138,6 +156,7 @@ class ReplicationStatusProcessor {
             vaultclientCache: this.vaultclientCache,
             gcProducer: this._gcProducer,
             mProducer: this._mProducer,
+            slaMissedProducer: this._slaMissedProducer,
             logger: this.logger,
         };
     }
@@ -166,16 +185,28 @@ class ReplicationStatusProcessor {
                     this.mConfig);
                 this._mProducer.setupProducer(done);
             },
+            done => {
+                const { rtc } = this.repConfig;
+                if (!rtc || !rtc.slaMissedTopic) {
+                    return process.nextTick(done);
+                }
+                this._slaMissedProducer = new SLAMissedProducer();
+                return this._slaMissedProducer.setupProducer(done);
+            },
             done => {
                 let consumerReady = false;
                 this._consumer = new BackbeatConsumer({
-                    kafka: { hosts: this.kafkaConfig.hosts },
+                    kafka: getKafkaClientConfig(this.kafkaConfig),
                     topic: this.repConfig.replicationStatusTopic,
                     groupId: this.repConfig.replicationStatusProcessor.groupId,
                     concurrency:
                     this.repConfig.replicationStatusProcessor.concurrency,
                     queueProcessor: this.processKafkaEntry.bind(this),
                     bootstrap: options && options.bootstrap,
+                    deadLetterTopic:
+                    this.repConfig.replicationStatusProcessor.deadLetterTopic,
+                    deadLetterMaxAttempts: this.repConfig
+                        .replicationStatusProcessor.deadLetterMaxAttempts,
                 });
                 this._consumer.on('error', () => {
                     if (!consumerReady) {
@@ -225,7 +256,16 @@ class ReplicationStatusProcessor {
                     method: 'ReplicationStatusProcessor.stop',
                 });
                 return next();
-            }
+            },
+            next => {
+                if (this._slaMissedProducer) {
+                    this.logger.debug('closing SLA missed producer', {
+                        method: 'ReplicationStatusProcessor.stop',
+                    });
+                    return this._slaMissedProducer.close(next);
+                }
+                return next();
+            },
         ], done);
     }
 
@@ -254,6 +294,15 @@ class ReplicationStatusProcessor {
                 member: getSortedSetMember(bucket, objectKey, versionId),
                 score,
             };
+            const reason = queueEntry.getFailureReason();
+            if (reason) {
+                message.reasonKey = getFailureReasonKey(site, latestHour);
+                message.reason = reason;
+            }
+            if (queueEntry.getFailureType() === failureTypes.objectLock) {
+                message.objectLockKey =
+                    getObjectLockSortedSetKey(site, latestHour);
+            }
             return this._failedCRRProducer
                 .publishFailedCRREntry(JSON.stringify(message), cb);
         }
@@ -12,6 +12,7 @@ const internalHttpsConfig = config.internalHttps;
 const mConfig = config.metrics;
 
 const { initManagement } = require('../../../lib/management/index');
+const { setupTracing, getTracer } = require('../../../lib/tracing/Tracer');
 const { HealthProbeServer } = require('arsenal').network.probe;
 
 const replicationStatusProcessor = new ReplicationStatusProcessor(
@@ -26,6 +27,8 @@ werelogs.configure({ level: config.log.logLevel,
      dump: config.log.dumpLevel });
 
 const logger = new werelogs.Logger('backbeat:ReplicationStatusProcessor:Init');
+setupTracing(config.tracing, 'backbeat-replication-status-processor', logger);
+
 function initAndStart() {
     initManagement({
         serviceName: 'replication',
@@ -61,6 +64,7 @@ process.on('SIGTERM', () => {
             });
             process.exit(1);
         }
-        process.exit(0);
+        // export the last spans before exiting
+        getTracer().close(() => process.exit(0));
     });
 });
@@ -0,0 +1,79 @@
+'use strict'; // eslint-disable-line strict
+
+const { Logger } = require('werelogs');
+
+const BackbeatProducer = require('../../../lib/BackbeatProducer');
+const { getKafkaClientConfig } = require('../../../lib/localQueue');
+const config = require('../../../conf/Config');
+
+class SLAMissedProducer {
+    /**
+     * Create the SLA missed producer.
+     */
+    constructor() {
+        this._kafkaConfig = config.kafka;
+        this._topic = config.extensions.replication.rtc.slaMissedTopic;
+        this._producer = null;
+        this._log = new Logger('Backbeat:SLAMissedProducer');
+    }
+
+    /**
+     * Set up the SLA missed producer.
+     * @param {function} [cb] - Optional callback called when startup
+     * is complete
+     * @return {undefined}
+     */
+    setupProducer(cb) {
+        const producer = new BackbeatProducer({
+            kafka: getKafkaClientConfig(this._kafkaConfig),
+            topic: this._topic,
+        });
+        producer.once('error', () => {});
+        producer.once('ready', () => {
+            producer.removeAllListeners('error');
+            producer.on('error', err =>
+                this._log.error('error from backbeat producer', {
+                    error: err,
+                }));
+            this._producer = producer;
+            if (cb) {
+                return cb();
+            }
+            return undefined;
+        });
+    }
+
+    /**
+     * Publish the given message to the SLA missed Kafka topic.
+     * @param {String} key - The message key
+     * @param {String} message - The message to publish
+     * @param {Function} cb - The callback function
+     * @return {undefined}
+     */
+    publishSLAMissedEntry(key, message, cb) {
+        this._producer.send([{ key, message }], err => {
+            if (err) {
+                this._log.trace('error publishing SLA missed entry');
+            }
+            return cb();
+        });
+    }
+
+    /**
+     * Close the SLA missed producer.
+     * @param {Function} cb - The callback function
+     * @return {undefined}
+     */
+    close(cb) {
+        if (!this._producer) {
+            return process.nextTick(cb);
+        }
+        return this._producer.close(cb);
+    }
+
+    isReady() {
+        return this._producer && this._producer.isReady();
+    }
+}
+
+module.exports = SLAMissedProducer;
@@ -244,6 +244,7 @@ class CopyLocationTask extends BackbeatTask {
                 return doneOnce(err);
             });
             log.debug('putting data', actionEntry.getLogInfo());
+            incomingMsg = this.bandwidthThrottle.throttle(incomingMsg);
         }
         return this._sendMultipleBackendPutObject(
             actionEntry, objMD, size, incomingMsg, log, doneOnce);
@@ -509,6 +510,7 @@ class CopyLocationTask extends BackbeatTask {
                 return doneOnce(err);
             });
             log.debug('putting data', actionEntry.getLogInfo());
+            incomingMsg = this.bandwidthThrottle.throttle(incomingMsg);
         }
 
         const { bucket, key } = actionEntry.getAttribute('target');
@@ -10,8 +10,13 @@ const ObjectQueueEntry = require('../../../lib/models/ObjectQueueEntry');
 const ReplicateObject = require('./ReplicateObject');
 const { attachReqUids } = require('../../../lib/clients/utils');
 const getExtMetrics = require('../utils/getExtMetrics');
-const { metricsExtension, metricsTypeQueued, metricsTypeCompleted } =
-    require('../constants');
+const { isObjectLockError } = require('../utils/objectLock');
+const {
+    metricsExtension,
+    metricsTypeQueued,
+    metricsTypeCompleted,
+    failureTypes,
+} = require('../constants');
 
 const MPU_CONC_LIMIT = 10;
 const MPU_GCP_MAX_PARTS = 1024;
@@ -378,6 +383,7 @@ class MultipleBackendTask extends ReplicateObject {
                 return doneOnce(err);
             });
             log.debug('putting data', { entry: sourceEntry.getLogInfo() });
+            incomingMsg = this.bandwidthThrottle.throttle(incomingMsg);
         }
 
         const destReq = this.backbeatSource.multipleBackendPutMPUPart({
@@ -422,25 +428,47 @@ class MultipleBackendTask extends ReplicateObject {
         }, cb);
     }
 
+    /**
+     * Get the object lock parameters of the requests creating the
+     * object on the destination, so that the replica is created with
+     * the retention and legal hold of the source object
+     * @param {ObjectQueueEntry} sourceEntry - The source object entry
+     * @return {Object} object lock request parameters, empty if the
+     * source object has no retention nor legal hold
+     */
+    _getObjectLockParams(sourceEntry) {
+        const lockAttributes = sourceEntry.getObjectLockAttributes();
+        if (!lockAttributes) {
+            return {};
+        }
+        const { mode, retainUntilDate, legalHold } = lockAttributes;
+        return {
+            ObjectLockMode: mode || undefined,
+            ObjectLockRetainUntilDate: retainUntilDate || undefined,
+            ObjectLockLegalHoldStatus: legalHold ? 'ON' : undefined,
+        };
+    }
+
     _initiateMPU(sourceEntry, log, cb) {
         // If using Azure backend, create a unique ID to use as the block ID.
         if (this._getReplicationEndpointType() === 'azure') {
             const uploadId = uuid().replace(/-/g, '');
             return setImmediate(() => cb(null, uploadId));
         }
-        const destReq = this.backbeatSource.multipleBackendInitiateMPU({
-            Bucket: sourceEntry.getBucket(),
-            Key: sourceEntry.getObjectKey(),
-            StorageType: sourceEntry.getReplicationStorageType(),
-            StorageClass: this.site,
-            VersionId: sourceEntry.getEncodedVersionId(),
-            UserMetaData: sourceEntry.getUserMetadata(),
-            ContentType: sourceEntry.getContentType(),
-            CacheControl: sourceEntry.getCacheControl() || undefined,
-            ContentDisposition:
-                sourceEntry.getContentDisposition() || undefined,
-            ContentEncoding: sourceEntry.getContentEncoding() || undefined,
-        });
+        const destReq = this.backbeatSource.multipleBackendInitiateMPU(
+            Object.assign({
+                Bucket: sourceEntry.getBucket(),
+                Key: sourceEntry.getObjectKey(),
+                StorageType: sourceEntry.getReplicationStorageType(),
+                StorageClass: this.site,
+                VersionId: sourceEntry.getEncodedVersionId(),
+                UserMetaData: sourceEntry.getUserMetadata(),
+                ContentType: sourceEntry.getContentType(),
+                CacheControl: sourceEntry.getCacheControl() || undefined,
+                ContentDisposition:
+                    sourceEntry.getContentDisposition() || undefined,
+                ContentEncoding: sourceEntry.getContentEncoding() || undefined,
+            }, this._getObjectLockParams(sourceEntry)));
         attachReqUids(destReq, log);
         return destReq.send((err, data) => {
             if (err) {
@@ -741,6 +769,7 @@ class MultipleBackendTask extends ReplicateObject {
                 return doneOnce(err);
             });
             log.debug('putting object', { entry: sourceEntry.getLogInfo() });
+            incomingMsg = this.bandwidthThrottle.throttle(incomingMsg);
         }
         if (sourceEntry.getReplicationIsNFS()) {
             return this._checkObjectState(sourceEntry, log, err => {
@@ -826,23 +855,24 @@ class MultipleBackendTask extends ReplicateObject {
      */
     _sendMultipleBackendPutObject(sourceEntry, size,
         incomingMsg, log, doneOnce) {
-        const destReq = this.backbeatSource.multipleBackendPutObject({
-            Bucket: sourceEntry.getBucket(),
-            Key: sourceEntry.getObjectKey(),
-            CanonicalID: sourceEntry.getOwnerId(),
-            ContentLength: size,
-            ContentMD5: sourceEntry.getContentMd5(),
-            StorageType: sourceEntry.getReplicationStorageType(),
-            StorageClass: this.site,
-            VersionId: sourceEntry.getEncodedVersionId(),
-            UserMetaData: sourceEntry.getUserMetadata(),
-            ContentType: sourceEntry.getContentType() || undefined,
-            CacheControl: sourceEntry.getCacheControl() || undefined,
-            ContentDisposition:
-                sourceEntry.getContentDisposition() || undefined,
-            ContentEncoding: sourceEntry.getContentEncoding() || undefined,
-            Body: incomingMsg,
-        });
+        const destReq = this.backbeatSource.multipleBackendPutObject(
+            Object.assign({
+                Bucket: sourceEntry.getBucket(),
+                Key: sourceEntry.getObjectKey(),
+                CanonicalID: sourceEntry.getOwnerId(),
+                ContentLength: size,
+                ContentMD5: sourceEntry.getContentMd5(),
+                StorageType: sourceEntry.getReplicationStorageType(),
+                StorageClass: this.site,
+                VersionId: sourceEntry.getEncodedVersionId(),
+                UserMetaData: sourceEntry.getUserMetadata(),
+                ContentType: sourceEntry.getContentType() || undefined,
+                CacheControl: sourceEntry.getCacheControl() || undefined,
+                ContentDisposition:
+                    sourceEntry.getContentDisposition() || undefined,
+                ContentEncoding: sourceEntry.getContentEncoding() || undefined,
+                Body: incomingMsg,
+            }, this._getObjectLockParams(sourceEntry)));
         attachReqUids(destReq, log);
         return destReq.send((err, data) => {
             if (err) {
@@ -1140,15 +1170,21 @@ class MultipleBackendTask extends ReplicateObject {
                      { entry: sourceEntry.getLogInfo() });
             return done();
         }
+        // the destination refuses the object lock attributes when
+        // the target bucket does not have object lock enabled
+        const failureType = sourceEntry.getObjectLockAttributes() &&
+            isObjectLockError(err) ? failureTypes.objectLock : undefined;
         log.debug('replication failed permanently for object, ' +
                   'publishing replication status as FAILED',
             { failMethod: err.method,
                 entry: sourceEntry.getLogInfo(),
-                error: err.description });
+                error: err.description,
+                failureType });
         this._publishReplicationStatus(
             sourceEntry, 'FAILED', {
                 log,
                 reason: err.description,
+                failureType,
                 kafkaEntry,
             });
         return done(null, { committable: false });
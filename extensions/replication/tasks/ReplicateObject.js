@@ -10,13 +10,22 @@ const BackbeatMetadataProxy = require('../../../lib/BackbeatMetadataProxy');
 
 const { attachReqUids } = require('../../../lib/clients/utils');
 const getExtMetrics = require('../utils/getExtMetrics');
+const { getObjectLockError } = require('../utils/objectLock');
+const {
+    normalizeS3Config,
+    getMatchingRule,
+} = require('../utils/replicationRules');
 const BackbeatTask = require('../../../lib/tasks/BackbeatTask');
 const { getAccountCredentials } =
           require('../../../lib/credentials/AccountCredentials');
 const RoleCredentials =
           require('../../../lib/credentials/RoleCredentials');
-const { metricsExtension, metricsTypeQueued, metricsTypeCompleted } =
-    require('../constants');
+const {
+    metricsExtension,
+    metricsTypeQueued,
+    metricsTypeCompleted,
+    metricsTypeFailed,
+} = require('../constants');
 
 const MPU_CONC_LIMIT = 10;
 
@@ -48,6 +57,8 @@ class ReplicateObject extends BackbeatTask {
         }
         this.sourceRole = null;
         this.targetRole = null;
+        // bucket replication rule applying to the entry
+        this.replicationRule = null;
         this.destBackbeatHost = null;
         this.s3sourceCredentials = null;
         this.s3destCredentials = null;
@@ -55,6 +66,7 @@ class ReplicateObject extends BackbeatTask {
         this.backbeatSource = null;
         this.backbeatSourceProxy = null;
         this.backbeatDest = null;
+        this.S3dest = null;
     }
 
     _createCredentials(where, authConfig, roleArn, log) {
@@ -130,6 +142,53 @@ class ReplicateObject extends BackbeatTask {
         }, cb);
     }
 
+    _checkTargetObjectLock(sourceEntry, destEntry, log, cb) {
+        // the object lock attributes are part of the replicated
+        // metadata, the target bucket must have object lock enabled
+        // for the replica to keep them
+        if (!sourceEntry.getObjectLockAttributes()) {
+            return process.nextTick(cb);
+        }
+        return this.retry({
+            actionDesc: 'check object lock configuration of target bucket',
+            logFields: { entry: destEntry.getLogInfo() },
+            actionFunc: done => this._checkTargetObjectLockOnce(
+                destEntry, log, done),
+            shouldRetryFunc: err => err.retryable,
+            onRetryFunc: err => {
+                if (err.origin === 'target') {
+                    this.destHosts.pickNextHost();
+                    this._setupDestClients(this.targetRole, log);
+                }
+            },
+            log,
+        }, cb);
+    }
+
+    _deleteReplicaVersion(destEntry, log, cb) {
+        if (!this.destHosts) {
+            log.warn('cannot process entry: no target site configured',
+                     { entry: destEntry.getLogInfo() });
+            return process.nextTick(() => cb(errors.InternalError));
+        }
+        this._setupDestClients(this.targetRole, log);
+
+        return this.retry({
+            actionDesc: 'delete replica version on target',
+            logFields: { entry: destEntry.getLogInfo() },
+            actionFunc: done => this._deleteReplicaVersionOnce(
+                destEntry, log, done),
+            shouldRetryFunc: err => err.retryable,
+            onRetryFunc: err => {
+                if (err.origin === 'target') {
+                    this.destHosts.pickNextHost();
+                    this._setupDestClients(this.targetRole, log);
+                }
+            },
+            log,
+        }, cb);
+    }
+
     _putMetadata(entry, mdOnly, log, cb) {
         this.retry({
             actionDesc: 'update metadata on target',
@@ -159,9 +218,13 @@ class ReplicateObject extends BackbeatTask {
     }
 
     _publishReplicationStatus(sourceEntry, replicationStatus, params) {
-        const { log, reason, kafkaEntry } = params;
+        const { log, reason, failureType, kafkaEntry } = params;
         const entryParams = { sourceEntry, replicationStatus };
         const updatedSourceEntry = this._getUpdatedSourceEntry(entryParams);
+        if (replicationStatus === 'FAILED') {
+            updatedSourceEntry.setFailureReason(reason);
+            updatedSourceEntry.setFailureType(failureType);
+        }
         const kafkaEntries = [updatedSourceEntry.toKafkaEntry(this.site)];
         this.replicationStatusProducer.send(kafkaEntries, err => {
             if (err) {
@@ -229,17 +292,18 @@ class ReplicateObject extends BackbeatTask {
                         httpStatus: err.statusCode });
                 return cb(err);
             }
-            const replicationEnabled = (
-                data.ReplicationConfiguration.Rules.some(
-                    rule => entry.getObjectKey().startsWith(rule.Prefix)
-                        && rule.Status === 'Enabled'));
-            if (!replicationEnabled) {
+            // only the rules replicating to the site of the task apply
+            const rule = getMatchingRule(
+                normalizeS3Config(data.ReplicationConfiguration),
+                entry.getObjectKey(), entry.getTags(), this.site);
+            if (!rule) {
                 log.debug('replication disabled for object',
                     { method: 'ReplicateObject._setupRolesOnce',
                         entry: entry.getLogInfo() });
                 return cb(errors.PreconditionFailed.customizeDescription(
                     'replication disabled for object'));
             }
+            this.replicationRule = rule;
             const roles = data.ReplicationConfiguration.Role.split(',');
             if (roles.length !== 2) {
                 log.error('expecting two roles separated by a ' +
@@ -311,6 +375,68 @@ class ReplicateObject extends BackbeatTask {
             });
     }
 
+    _checkTargetObjectLockOnce(destEntry, log, cb) {
+        const bucket = destEntry.getBucket();
+        log.debug('checking object lock configuration of target bucket',
+                  { entry: destEntry.getLogInfo() });
+        const req = this._getS3Dest().getObjectLockConfiguration({
+            Bucket: bucket,
+        });
+        attachReqUids(req, log);
+        return req.send((err, data) => {
+            if (err) {
+                if (err.code === 'ObjectLockConfigurationNotFoundError') {
+                    return cb(getObjectLockError(bucket));
+                }
+                // eslint-disable-next-line no-param-reassign
+                err.origin = 'target';
+                log.error('an error occurred when getting object lock ' +
+                          'configuration of target bucket',
+                    { method: 'ReplicateObject._checkTargetObjectLockOnce',
+                      entry: destEntry.getLogInfo(),
+                      origin: 'target',
+                      peer: this.destBackbeatHost,
+                      error: err.message });
+                return cb(err);
+            }
+            const lockConfig = data.ObjectLockConfiguration;
+            if (!lockConfig || lockConfig.ObjectLockEnabled !== 'Enabled') {
+                return cb(getObjectLockError(bucket));
+            }
+            return cb();
+        });
+    }
+
+    _deleteReplicaVersionOnce(destEntry, log, cb) {
+        log.debug('deleting replica version',
+                  { entry: destEntry.getLogInfo() });
+        const req = this._getS3Dest().deleteObject({
+            Bucket: destEntry.getBucket(),
+            Key: destEntry.getObjectKey(),
+            VersionId: destEntry.getEncodedVersionId(),
+        });
+        attachReqUids(req, log);
+        return req.send(err => {
+            if (err) {
+                if (err.code === 'NoSuchKey' || err.code === 'NoSuchVersion') {
+                    // the replica version was never created or is
+                    // already deleted
+                    return cb();
+                }
+                // eslint-disable-next-line no-param-reassign
+                err.origin = 'target';
+                log.error('an error occurred when deleting replica version',
+                    { method: 'ReplicateObject._deleteReplicaVersionOnce',
+                      entry: destEntry.getLogInfo(),
+                      origin: 'target',
+                      peer: this.destBackbeatHost,
+                      error: err.message });
+                return cb(err);
+            }
+            return cb();
+        });
+    }
+
     _getAndPutData(sourceEntry, destEntry, log, cb) {
         log.debug('replicating data', { entry: sourceEntry.getLogInfo() });
         if (sourceEntry.getLocation().some(part => {
@@ -381,7 +507,7 @@ class ReplicateObject extends BackbeatTask {
             CanonicalID: destEntry.getOwnerId(),
             ContentLength: partObj.getPartSize(),
             ContentMD5: partObj.getPartETag(),
-            Body: incomingMsg,
+            Body: this.bandwidthThrottle.throttle(incomingMsg),
         });
         attachReqUids(destReq, log);
         return destReq.send((err, data) => {
@@ -493,6 +619,30 @@ class ReplicateObject extends BackbeatTask {
             httpOptions: { agent: this.destHTTPAgent, timeout: 0 },
             maxRetries: 0,
         });
+        // only needed by some entries, created on first use
+        this.S3dest = null;
+    }
+
+    /**
+     * Get an S3 client of the target, with the host and credentials of
+     * the target Backbeat client
+     * @return {AWS.S3} S3 client
+     */
+    _getS3Dest() {
+        if (!this.S3dest) {
+            this.S3dest = new AWS.S3({
+                endpoint: `${this.destConfig.transport}://` +
+                    `${this.destBackbeatHost.host}:` +
+                    `${this.destBackbeatHost.port}`,
+                credentials: this.s3destCredentials,
+                sslEnabled: this.destConfig.transport === 'https',
+                s3ForcePathStyle: true,
+                signatureVersion: 'v4',
+                httpOptions: { agent: this.destHTTPAgent, timeout: 0 },
+                maxRetries: 0,
+            });
+        }
+        return this.S3dest;
     }
 
     processQueueEntry(sourceEntry, kafkaEntry, done) {
@@ -502,15 +652,29 @@ class ReplicateObject extends BackbeatTask {
         log.debug('processing entry',
                   { entry: sourceEntry.getLogInfo() });
 
-
+        if (sourceEntry.getIsVersionDeletion()) {
+            return this._processVersionDeletion(sourceEntry, destEntry, log,
+                                                done);
+        }
         if (sourceEntry.getIsDeleteMarker()) {
             return async.waterfall([
                 next => {
                     this._setupRoles(sourceEntry, log, next);
                 },
                 (sourceRole, targetRole, next) => {
-                    this._setTargetAccountMd(destEntry, targetRole, log,
-                                             next);
+                    if (!this.replicationRule.deleteMarkerReplication) {
+                        // fails permanently, for the delete marker not
+                        // to stay pending
+                        return next(errors.PreconditionFailed
+                            .customizeDescription('delete marker ' +
+                            'replication is disabled by replication rule'));
+                    }
+                    const extMetrics = getExtMetrics(this.site, 0,
+                                                     sourceEntry);
+                    this.mProducer.publishMetrics(extMetrics,
+                        metricsTypeQueued, metricsExtension, () => {});
+                    return this._setTargetAccountMd(destEntry, targetRole,
+                                                    log, next);
                 },
                 // put metadata in target bucket
                 next => {
@@ -530,6 +694,8 @@ class ReplicateObject extends BackbeatTask {
             (sourceRole, targetRole, next) => {
                 this._setTargetAccountMd(destEntry, targetRole, log, next);
             },
+            next => this._checkTargetObjectLock(sourceEntry, destEntry, log,
+                                                next),
             // Get data from source bucket and put it on the target bucket
             next => {
                 if (!mdOnly) {
@@ -552,6 +718,59 @@ class ReplicateObject extends BackbeatTask {
             err, sourceEntry, destEntry, kafkaEntry, log, done));
     }
 
+    /**
+     * Replicate the permanent deletion of a version by deleting the
+     * replica version in the target bucket. No replication status is
+     * published since the source version does not exist anymore, the
+     * outcome is only reported in the replication metrics.
+     * @param {ObjectQueueEntry} sourceEntry - version deletion entry
+     * @param {ObjectQueueEntry} destEntry - replica entry
+     * @param {Logger.newRequestLogger} log - request logger
+     * @param {Function} done - callback function
+     * @return {undefined}
+     */
+    _processVersionDeletion(sourceEntry, destEntry, log, done) {
+        let queued = false;
+        return async.waterfall([
+            next => this._setupRoles(sourceEntry, log, next),
+            (sourceRole, targetRole, next) => {
+                if (!this.replicationRule.deleteMarkerReplication) {
+                    return next(errors.InvalidObjectState
+                        .customizeDescription('delete marker replication ' +
+                        'is disabled by replication rule'));
+                }
+                this.mProducer.publishMetrics(
+                    getExtMetrics(this.site, 0, sourceEntry),
+                    metricsTypeQueued, metricsExtension, () => {});
+                queued = true;
+                return this._deleteReplicaVersion(destEntry, log, next);
+            },
+        ], err => {
+            if (queued) {
+                this.mProducer.publishMetrics(
+                    getExtMetrics(this.site, 0, sourceEntry),
+                    err ? metricsTypeFailed : metricsTypeCompleted,
+                    metricsExtension, () => {});
+            }
+            if (err && (err.InvalidObjectState || err.PreconditionFailed)) {
+                log.end().info('version deletion replication skipped',
+                    { entry: sourceEntry.getLogInfo(),
+                      reason: err.description });
+                return done();
+            }
+            if (err) {
+                log.end().error('could not replicate version deletion',
+                    { entry: sourceEntry.getLogInfo(),
+                      origin: err.origin,
+                      error: err.description || err.message });
+                return done();
+            }
+            log.end().info('version deletion replicated',
+                           { entry: sourceEntry.getLogInfo() });
+            return done();
+        });
+    }
+
     _processQueueEntryRetryFull(sourceEntry, destEntry, kafkaEntry, log, done) {
         log.debug('reprocessing entry as full replication',
                   { entry: sourceEntry.getLogInfo() });
@@ -605,7 +824,8 @@ class ReplicateObject extends BackbeatTask {
         }
         if (err.InvalidObjectState || err.code === 'InvalidObjectState') {
             log.info('replication skipped: invalid object state',
-                     { entry: sourceEntry.getLogInfo() });
+                     { entry: sourceEntry.getLogInfo(),
+                       reason: err.description });
             return done();
         }
         log.debug('replication failed permanently for object, ' +
@@ -617,6 +837,7 @@ class ReplicateObject extends BackbeatTask {
             sourceEntry, 'FAILED', {
                 log,
                 reason: err.description,
+                failureType: err.failureType,
                 kafkaEntry,
             });
         return done(null, { committable: false });
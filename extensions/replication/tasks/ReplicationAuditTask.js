@@ -0,0 +1,526 @@
+const async = require('async');
+
+const errors = require('arsenal').errors;
+
+const ReplicateObject = require('./ReplicateObject');
+const ObjectQueueEntry = require('../../../lib/models/ObjectQueueEntry');
+const { attachReqUids } = require('../../../lib/clients/utils');
+const {
+    normalizeS3Config,
+    isRuleMatching,
+    isRuleReplicatingToSite,
+} = require('../utils/replicationRules');
+
+const LISTING_PAGE_SIZE = 1000;
+const AUDIT_CONCURRENCY = 10;
+const USER_MD_PREFIX = 'x-amz-meta-';
+
+// S3 listings are sorted in the UTF-8 byte order of the keys, which
+// differs from the UTF-16 order of string comparisons
+function _compareKeys(key1, key2) {
+    return Buffer.compare(Buffer.from(key1), Buffer.from(key2));
+}
+
+function _getUserMetadata(objMd) {
+    const userMd = {};
+    Object.keys(objMd)
+        .filter(key => key.startsWith(USER_MD_PREFIX))
+        .forEach(key => {
+            userMd[key] = objMd[key];
+        });
+    return userMd;
+}
+
+/**
+ * Compare the versions of a source bucket with the versions of its
+ * replica on a S3 connector site, using the source and destination
+ * clients of the replication task
+ */
+class ReplicationAuditTask extends ReplicateObject {
+    /**
+     * @constructor
+     * @param {QueueProcessor} qp - queue processor instance, or any
+     * object providing the same state variables
+     */
+    constructor(qp) {
+        super(qp);
+        // rules replicating to the audited site, grouped by target bucket
+        this.auditTargets = null;
+        // rules and target bucket being audited
+        this.auditRules = null;
+        this.targetBucket = null;
+    }
+
+    /**
+     * Get the bucket replication configuration, and set up the source
+     * and destination clients with the replication roles
+     * @param {String} bucket - source bucket name
+     * @param {String} [roles] - source and target roles separated by a
+     * comma, required with role-based authentication
+     * @param {Logger} log - logger object
+     * @param {Function} cb - callback(err)
+     * @return {undefined}
+     */
+    _setupAuditClients(bucket, roles, log, cb) {
+        if (!this.destHosts) {
+            log.error('cannot audit bucket: no target site configured',
+                      { bucket, site: this.site });
+            return process.nextTick(() => cb(errors.InternalError));
+        }
+        if (!roles && this.sourceConfig.auth.type === 'role') {
+            return process.nextTick(() => cb(errors.BadRole
+                .customizeDescription('replication roles are required ' +
+                                      'with role-based authentication')));
+        }
+        const entryRoles = roles && roles.split(',');
+        this._setupSourceClients(entryRoles && entryRoles[0], log);
+        const req = this.S3source.getBucketReplication({ Bucket: bucket });
+        attachReqUids(req, log);
+        return req.send((err, data) => {
+            if (err) {
+                log.error('error getting replication configuration from S3',
+                    { method: 'ReplicationAuditTask._setupAuditClients',
+                      bucket,
+                      peer: this.sourceConfig.s3,
+                      error: err.message });
+                return cb(err);
+            }
+            const repConfig = normalizeS3Config(data.ReplicationConfiguration);
+            const [sourceRole, targetRole] =
+                (roles || repConfig.role).split(',');
+            this.sourceRole = sourceRole;
+            this.targetRole = targetRole;
+            const auditRules = repConfig.rules.filter(rule => rule.enabled &&
+                isRuleReplicatingToSite(rule, this.site));
+            if (auditRules.length === 0) {
+                return cb(errors.InvalidArgument.customizeDescription(
+                    `bucket ${bucket} is not replicated to ${this.site}`));
+            }
+            const rulesByTarget = {};
+            auditRules.forEach(rule => {
+                const targetBucket =
+                      rule.destination.split(':').slice(5).join(':');
+                if (!rulesByTarget[targetBucket]) {
+                    rulesByTarget[targetBucket] = [];
+                }
+                rulesByTarget[targetBucket].push(rule);
+            });
+            this.auditTargets = Object.keys(rulesByTarget).map(
+                targetBucket => ({
+                    targetBucket,
+                    rules: rulesByTarget[targetBucket],
+                }));
+            this._setupSourceClients(this.sourceRole, log);
+            this._setupDestClients(this.targetRole, log);
+            return cb();
+        });
+    }
+
+    _isReplicatedKey(key) {
+        return this.auditRules.some(rule => key.startsWith(rule.prefix));
+    }
+
+    /**
+     * Create an iterator over the versions of a bucket, grouped by key
+     * @param {AWS.S3} s3 - S3 client
+     * @param {String} bucket - bucket name
+     * @param {String} [prefix] - only list keys with this prefix
+     * @param {Logger} log - logger object
+     * @return {Object} iterator with a next(cb) method, calling
+     * cb(err, { key, versions }) or cb(null, null) at the end of the
+     * listing
+     */
+    _createVersionIterator(s3, bucket, prefix, log) {
+        const buffer = [];
+        let markers = {};
+        let isTruncated = true;
+        const listPage = done => {
+            const req = s3.listObjectVersions(Object.assign({
+                Bucket: bucket,
+                Prefix: prefix,
+                MaxKeys: LISTING_PAGE_SIZE,
+            }, markers));
+            attachReqUids(req, log);
+            return req.send((err, data) => {
+                if (err) {
+                    log.error('error listing bucket versions', {
+                        method: 'ReplicationAuditTask._createVersionIterator',
+                        bucket,
+                        error: err.message,
+                    });
+                    return done(err);
+                }
+                buffer.push(...data.Versions);
+                isTruncated = data.IsTruncated;
+                markers = {
+                    KeyMarker: data.NextKeyMarker,
+                    VersionIdMarker: data.NextVersionIdMarker,
+                };
+                return done();
+            });
+        };
+        // all versions of the first key are buffered once a version of
+        // another key is, or once the listing is done
+        const hasKeyGroup = () => !isTruncated || (buffer.length > 0 &&
+            buffer[buffer.length - 1].Key !== buffer[0].Key);
+        return {
+            next: cb => async.until(hasKeyGroup, listPage, err => {
+                if (err) {
+                    return cb(err);
+                }
+                if (buffer.length === 0) {
+                    return cb(null, null);
+                }
+                const key = buffer[0].Key;
+                const count = buffer.findIndex(v => v.Key !== key);
+                const versions = buffer.splice(
+                    0, count === -1 ? buffer.length : count);
+                return cb(null, { key, versions });
+            }),
+        };
+    }
+
+    _getDestMetadata(key, versionId, log, cb) {
+        const req = this.backbeatDest.getMetadata({
+            Bucket: this.targetBucket,
+            Key: key,
+            VersionId: versionId,
+        });
+        attachReqUids(req, log);
+        return req.send((err, data) => {
+            if (err) {
+                log.error('error getting metadata from target', {
+                    method: 'ReplicationAuditTask._getDestMetadata',
+                    bucket: this.targetBucket,
+                    key,
+                    versionId,
+                    error: err.message,
+                });
+                return cb(err);
+            }
+            try {
+                return cb(null, JSON.parse(data.Body));
+            } catch (parseErr) {
+                log.error('error parsing metadata from target', {
+                    method: 'ReplicationAuditTask._getDestMetadata',
+                    bucket: this.targetBucket,
+                    key,
+                    versionId,
+                    error: parseErr.message,
+                });
+                return cb(errors.InternalError);
+            }
+        });
+    }
+
+    /**
+     * Set the replication status of a version back to PENDING for the
+     * audited site, so that it gets queued for replication again
+     * @param {ObjectQueueEntry} entry - source version entry
+     * @param {Logger} log - logger object
+     * @param {Function} cb - callback(err, requeued)
+     * @return {undefined}
+     */
+    _requeueVersion(entry, log, cb) {
+        if (entry.getReplicationSiteStatus(this.site) === undefined) {
+            // never set for replication to the site, e.g. written
+            // before replication was enabled
+            return process.nextTick(() => cb(null, false));
+        }
+        entry.setReplicationSiteStatus(this.site, 'PENDING')
+            .setReplicationStatus('PENDING');
+        return this.backbeatSourceProxy.putMetadata({
+            bucket: entry.getBucket(),
+            objectKey: entry.getObjectKey(),
+            versionId: entry.getEncodedVersionId(),
+            mdBlob: entry.getSerialized(),
+        }, log, err => cb(err, !err));
+    }
+
+    /**
+     * Compare a source version with its replica, and report it if it is
+     * missing or different
+     * @param {Object} ctx - audit context
+     * @param {Object} srcVersion - source version from the listing
+     * @param {Object} [destVersion] - target version with the same
+     * version ID from the listing
+     * @param {Function} cb - callback(err)
+     * @return {undefined}
+     */
+    _auditVersion(ctx, srcVersion, destVersion, cb) {
+        const { stats, log } = ctx;
+        const { Key, VersionId } = srcVersion;
+        if (VersionId === 'null') {
+            // null versions are not replicated with their version ID
+            stats.Skipped += 1;
+            return process.nextTick(cb);
+        }
+        return async.waterfall([
+            next => this.backbeatSourceProxy.getMetadata({
+                bucket: ctx.bucket,
+                objectKey: Key,
+                versionId: VersionId,
+            }, log, next),
+            (res, next) => {
+                let mdObj;
+                try {
+                    mdObj = JSON.parse(res.Body);
+                } catch (parseErr) {
+                    log.error('error parsing metadata from source', {
+                        method: 'ReplicationAuditTask._auditVersion',
+                        bucket: ctx.bucket,
+                        key: Key,
+                        versionId: VersionId,
+                        error: parseErr.message,
+                    });
+                    return next(errors.InternalError);
+                }
+                const entry = new ObjectQueueEntry(ctx.bucket, Key, mdObj);
+                if (!this.auditRules.some(rule =>
+                    isRuleMatching(rule, Key, entry.getTags()))) {
+                    // excluded by the tag filters of the rules
+                    stats.Skipped += 1;
+                    return next(null, entry, null);
+                }
+                const siteStatus = entry.getReplicationSiteStatus(this.site);
+                if (siteStatus === 'PENDING' || siteStatus === 'PROCESSING') {
+                    stats.Pending += 1;
+                    return next(null, entry, null);
+                }
+                if (!destVersion) {
+                    stats.Missing += 1;
+                    return next(null, entry, {
+                        Key, VersionId,
+                        Status: 'Missing',
+                        ReplicationStatus: siteStatus,
+                    });
+                }
+                return this._getDestMetadata(Key, VersionId, log,
+                (err, destMd) => {
+                    if (err) {
+                        return next(err);
+                    }
+                    const differences = [];
+                    if (srcVersion.ETag !== destVersion.ETag) {
+                        differences.push({ Field: 'ETag',
+                                           Source: srcVersion.ETag,
+                                           Destination: destVersion.ETag });
+                    }
+                    if (srcVersion.Size !== destVersion.Size) {
+                        differences.push({ Field: 'Size',
+                                           Source: srcVersion.Size,
+                                           Destination: destVersion.Size });
+                    }
+                    const srcUserMd = _getUserMetadata(entry.getValue());
+                    const destUserMd = _getUserMetadata(destMd);
+                    const userMdKeys = new Set(Object.keys(srcUserMd)
+                        .concat(Object.keys(destUserMd)));
+                    userMdKeys.forEach(key => {
+                        if (srcUserMd[key] !== destUserMd[key]) {
+                            differences.push({ Field: key,
+                                               Source: srcUserMd[key],
+                                               Destination: destUserMd[key] });
+                        }
+                    });
+                    if (differences.length === 0) {
+                        stats.Matching += 1;
+                        return next(null, entry, null);
+                    }
+                    stats.Mismatched += 1;
+                    return next(null, entry, {
+                        Key, VersionId,
+                        Status: 'Mismatched',
+                        ReplicationStatus: siteStatus,
+                        Differences: differences,
+                    });
+                });
+            },
+            (entry, diff, next) => {
+                if (!diff || !ctx.requeue) {
+                    return next(null, diff);
+                }
+                return this._requeueVersion(entry, log, (err, requeued) => {
+                    if (err) {
+                        return next(err);
+                    }
+                    if (requeued) {
+                        stats.Requeued += 1;
+                    }
+                    return next(null, Object.assign(diff,
+                                                    { Requeued: requeued }));
+                });
+            },
+        ], (err, diff) => {
+            if (err && (err.ObjNotFound || err.code === 'ObjNotFound')) {
+                // deleted since listed
+                stats.Skipped += 1;
+                return cb();
+            }
+            if (err) {
+                return cb(err);
+            }
+            if (diff) {
+                ctx.report.write(`${JSON.stringify(diff)}\n`);
+            }
+            return cb();
+        });
+    }
+
+    /**
+     * Compare the versions of a key on the source and the target
+     * @param {Object} ctx - audit context
+     * @param {Object[]} srcVersions - source versions of the key
+     * @param {Object[]} destVersions - target versions of the key
+     * @param {Function} cb - callback(err)
+     * @return {undefined}
+     */
+    _auditKey(ctx, srcVersions, destVersions, cb) {
+        const key = (srcVersions[0] || destVersions[0]).Key;
+        if (!this._isReplicatedKey(key)) {
+            return process.nextTick(cb);
+        }
+        const destByVersionId = {};
+        destVersions.forEach(v => {
+            destByVersionId[v.VersionId] = v;
+        });
+        const srcVersionIds = new Set(srcVersions.map(v => v.VersionId));
+        destVersions
+            .filter(v => !srcVersionIds.has(v.VersionId))
+            .forEach(v => {
+                ctx.stats.Extra += 1;
+                ctx.report.write(`${JSON.stringify({
+                    Key: v.Key,
+                    VersionId: v.VersionId,
+                    Status: 'Extra',
+                })}\n`);
+            });
+        ctx.stats.Listed += srcVersions.length;
+        return async.eachLimit(srcVersions, AUDIT_CONCURRENCY,
+            (v, done) => this._auditVersion(ctx, v,
+                                            destByVersionId[v.VersionId], done),
+            cb);
+    }
+
+    /**
+     * Compare the versions of the source bucket with the versions of
+     * the target bucket being audited, for the keys of its rules
+     * @param {Object} ctx - audit context
+     * @param {String} [prefix] - only audit keys with this prefix
+     * @param {Function} cb - callback(err)
+     * @return {undefined}
+     */
+    _auditTargetBucket(ctx, prefix, cb) {
+        const srcIterator = this._createVersionIterator(
+            this.S3source, ctx.bucket, prefix, ctx.log);
+        const destIterator = this._createVersionIterator(
+            this._getS3Dest(), this.targetBucket, prefix, ctx.log);
+        let srcGroup;
+        let destGroup;
+        let isDone = false;
+        return async.doUntil(next => async.parallel([
+            // only fetch the next group of each side once consumed
+            done => (srcGroup === undefined ?
+                     srcIterator.next(done) : done(null, srcGroup)),
+            done => (destGroup === undefined ?
+                     destIterator.next(done) : done(null, destGroup)),
+        ], (err, groups) => {
+            if (err) {
+                return next(err);
+            }
+            [srcGroup, destGroup] = groups;
+            if (!srcGroup && !destGroup) {
+                isDone = true;
+                return next();
+            }
+            let srcVersions = [];
+            let destVersions = [];
+            if (!destGroup ||
+                (srcGroup && _compareKeys(srcGroup.key, destGroup.key) < 0)) {
+                srcVersions = srcGroup.versions;
+                srcGroup = undefined;
+            } else if (!srcGroup ||
+                       _compareKeys(srcGroup.key, destGroup.key) > 0) {
+                destVersions = destGroup.versions;
+                destGroup = undefined;
+            } else {
+                srcVersions = srcGroup.versions;
+                destVersions = destGroup.versions;
+                srcGroup = undefined;
+                destGroup = undefined;
+            }
+            return this._auditKey(ctx, srcVersions, destVersions, next);
+        }), () => isDone, cb);
+    }
+
+    /**
+     * Audit the replication of a bucket to the task site: list the
+     * versions of the source and target buckets, compare their version
+     * IDs, ETags, sizes and user metadata, and write a report line for
+     * each missing, mismatched or extra version.
+     *
+     * When the rules replicating to the site have several destination
+     * buckets, each target bucket is audited in turn for the keys of
+     * its rules.
+     *
+     * Versions whose replication to the site is still pending are not
+     * compared.
+     *
+     * @param {Object} params - audit params
+     * @param {String} params.bucket - source bucket name
+     * @param {String} [params.prefix] - only audit keys with this prefix
+     * @param {String} [params.roles] - source and target roles separated
+     * by a comma, required with role-based authentication
+     * @param {Boolean} [params.requeue] - set the replication status of
+     * missing and mismatched versions back to PENDING, to replicate
+     * them again
+     * @param {stream.Writable} params.report - stream where to write the
+     * report, one JSON line per difference
+     * @param {Function} done - callback(err, summary)
+     * @return {undefined}
+     */
+    auditBucket(params, done) {
+        const log = this.logger.newRequestLogger();
+        const { bucket, prefix, roles, requeue, report } = params;
+        const ctx = {
+            bucket,
+            requeue,
+            report,
+            log,
+            stats: {
+                Listed: 0,
+                Matching: 0,
+                Missing: 0,
+                Mismatched: 0,
+                Extra: 0,
+                Pending: 0,
+                Skipped: 0,
+                Requeued: 0,
+            },
+        };
+        return this._setupAuditClients(bucket, roles, log, err => {
+            if (err) {
+                return done(err);
+            }
+            return async.eachSeries(this.auditTargets, (target, next) => {
+                this.targetBucket = target.targetBucket;
+                this.auditRules = target.rules;
+                return this._auditTargetBucket(ctx, prefix, next);
+            }, err => {
+                if (err) {
+                    return done(err);
+                }
+                const summary = Object.assign({
+                    Bucket: bucket,
+                    TargetBuckets: this.auditTargets.map(
+                        target => target.targetBucket),
+                    Site: this.site,
+                    Prefix: prefix,
+                }, ctx.stats);
+                log.info('replication audit done', summary);
+                return done(null, summary);
+            });
+        });
+    }
+}
+
+module.exports = ReplicationAuditTask;
@@ -111,9 +111,61 @@ class UpdateReplicationStatus extends BackbeatTask {
             monitoringClient.crrOpDone.inc();
             monitoringClient.crrBytesDone.inc(bytes);
         }
+        if (status === 'COMPLETED' && content.includes('DATA')) {
+            this._reportReplicationDelay(updatedSourceEntry, site, new Date());
+        }
         return undefined;
     }
 
+    /**
+     * Report the delay between the object last-modified time and the
+     * completion of its replication to a site, and publish an SLA
+     * missed entry if the delay exceeds the RTC threshold
+     * @param {ObjectQueueEntry} entry - replicated object entry
+     * @param {String} site - replication site
+     * @param {Date} completedAt - replication completion time
+     * @return {Number|undefined} the replication delay in seconds, or
+     *   undefined if the object last-modified time is not valid
+     */
+    _reportReplicationDelay(entry, site, completedAt) {
+        const lastModified = new Date(entry.getLastModified());
+        if (isNaN(lastModified.getTime())) {
+            return undefined;
+        }
+        const delayS =
+            Math.max(completedAt.getTime() - lastModified.getTime(), 0) / 1000;
+        monitoringClient.crrReplicationDelay.observe({ site }, delayS);
+
+        const { thresholdS } = this.repConfig.rtc || {};
+        if (!thresholdS || delayS <= thresholdS) {
+            return delayS;
+        }
+        monitoringClient.crrSLAMissedCount.inc({ site });
+        this.logger.info('object replicated after RTC threshold', {
+            method: 'UpdateReplicationStatus._reportReplicationDelay',
+            entry: entry.getLogInfo(),
+            site,
+            delayS,
+            thresholdS,
+        });
+        if (!this.slaMissedProducer) {
+            return delayS;
+        }
+        const message = {
+            bucket: entry.getBucket(),
+            key: entry.getObjectKey(),
+            versionId: entry.getEncodedVersionId(),
+            site,
+            lastModified: lastModified.toISOString(),
+            completedAt: completedAt.toISOString(),
+            delayS,
+            thresholdS,
+        };
+        this.slaMissedProducer.publishSLAMissedEntry(
+            entry.getCanonicalKey(), JSON.stringify(message), () => {});
+        return delayS;
+    }
+
     /**
      * Get the appropriate source metadata for a non-versioned bucket. If the
      * object metadata has changed since we performed CRR, then we want to
@@ -154,6 +206,12 @@ class UpdateReplicationStatus extends BackbeatTask {
         const { sourceEntry, refreshedEntry } = params;
         const site = sourceEntry.getSite();
         const status = sourceEntry.getReplicationSiteStatus(site);
+        // sites set by backbeat rule evaluation are not in the source
+        // metadata until their first status update
+        if (refreshedEntry.getReplicationSiteStatus(site) === undefined) {
+            refreshedEntry.setReplicationInfo(
+                sourceEntry.getReplicationInfo());
+        }
         let entry;
         if (status === 'COMPLETED' && sourceEntry.getReplicationIsNFS()) {
             entry = this._getNFSUpdatedSourceEntry(sourceEntry, refreshedEntry);
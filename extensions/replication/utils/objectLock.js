@@ -0,0 +1,48 @@
+const errors = require('arsenal').errors;
+
+const { failureTypes } = require('../constants');
+
+// matches the messages of errors about the object lock configuration of
+// a bucket, e.g. "Bucket is missing Object Lock Configuration"
+const OBJECT_LOCK_MESSAGE_REGEX = /object ?lock/i;
+
+/**
+ * Get the error of a replication failing because the destination
+ * bucket cannot hold the object lock attributes of the source object
+ * @param {String} bucket - destination bucket name
+ * @param {String} [details] - details about the failure
+ * @return {ArsenalError} non-retryable error, with its "failureType"
+ * set for the failure to be tracked in the object lock failed CRR
+ * sorted sets
+ */
+function getObjectLockError(bucket, details) {
+    const err = errors.InvalidRequest.customizeDescription(
+        `cannot replicate object lock attributes to bucket ${bucket}: ` +
+        `${details || 'object lock is not enabled on destination bucket'}`);
+    err.failureType = failureTypes.objectLock;
+    return err;
+}
+
+/**
+ * Check if an error returned by the destination of a locked object is
+ * due to object lock not being enabled on the destination bucket
+ * @param {Error} err - error returned by the destination
+ * @return {Boolean} true if the error is an object lock error: other
+ * InvalidRequest errors are not
+ */
+function isObjectLockError(err) {
+    if (err.code === 'ObjectLockConfigurationNotFoundError' ||
+        err.ObjectLockConfigurationNotFoundError === true) {
+        return true;
+    }
+    if (err.code !== 'InvalidRequest' && err.InvalidRequest !== true) {
+        return false;
+    }
+    const message = err.description || err.message || '';
+    return OBJECT_LOCK_MESSAGE_REGEX.test(message);
+}
+
+module.exports = {
+    getObjectLockError,
+    isObjectLockError,
+};
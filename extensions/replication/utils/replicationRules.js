@@ -0,0 +1,223 @@
+const getLocationsFromStorageClass = require('./getLocationsFromStorageClass');
+
+/**
+ * Replication rules are normalized into:
+ * {
+ *     id: String,
+ *     enabled: Boolean,
+ *     priority: Number,
+ *     prefix: String,
+ *     tags: [{ key, value }],
+ *     destination: String, // bucket ARN, may be undefined
+ *     storageClass: String, // comma-separated sites, may be undefined
+ *     deleteMarkerReplication: Boolean,
+ * }
+ * and replication configurations into { role, destination, rules }.
+ *
+ * As on AWS, delete markers are replicated by rules of the legacy
+ * schema (prefix without filter) unless disabled, and only if enabled
+ * by rules with a filter.
+ */
+
+function _normalizeTags(tags) {
+    return (tags || []).map(tag => ({
+        key: tag.Key !== undefined ? tag.Key : tag.key,
+        value: tag.Value !== undefined ? tag.Value : tag.value,
+    }));
+}
+
+/**
+ * Normalize the replication configuration stored in bucket metadata
+ * @param {Object} replicationConfiguration - bucket metadata
+ * replication configuration, as { role, destination, rules } where
+ * rules are { id, prefix, enabled, storageClass, [filter],
+ * [priority], [destination], [deleteMarkerReplication] }, and filter
+ * is { [prefix], [tags] }
+ * @return {Object|null} normalized configuration, or null if there
+ * is no configuration
+ */
+function normalizeBucketMdConfig(replicationConfiguration) {
+    if (!replicationConfiguration) {
+        return null;
+    }
+    const { role, destination, rules } = replicationConfiguration;
+    return {
+        role,
+        destination,
+        rules: (rules || []).map(rule => {
+            const filter = rule.filter || {};
+            return {
+                id: rule.id,
+                enabled: rule.enabled === true,
+                priority: rule.priority || 0,
+                prefix: filter.prefix !== undefined ?
+                    filter.prefix : (rule.prefix || ''),
+                tags: _normalizeTags(filter.tags),
+                destination: rule.destination,
+                storageClass: rule.storageClass,
+                deleteMarkerReplication:
+                    rule.deleteMarkerReplication !== undefined ?
+                    rule.deleteMarkerReplication === true : !rule.filter,
+            };
+        }),
+    };
+}
+
+/**
+ * Normalize a replication configuration returned by the S3 API
+ * @param {Object} replicationConfiguration - configuration in AWS SDK
+ * format, as { Role, Rules } where rules have a Prefix or a Filter
+ * with a Prefix, a Tag, or an And of a Prefix and Tags, and an
+ * optional DeleteMarkerReplication { Status }
+ * @return {Object|null} normalized configuration, or null if there
+ * is no configuration
+ */
+function normalizeS3Config(replicationConfiguration) {
+    if (!replicationConfiguration) {
+        return null;
+    }
+    const { Role, Rules } = replicationConfiguration;
+    return {
+        role: Role,
+        destination: undefined,
+        rules: (Rules || []).map(rule => {
+            const filter = rule.Filter || {};
+            let prefix = rule.Prefix;
+            let tags = [];
+            if (filter.And) {
+                prefix = filter.And.Prefix;
+                tags = filter.And.Tags;
+            } else if (filter.Tag) {
+                tags = [filter.Tag];
+            } else if (filter.Prefix !== undefined) {
+                prefix = filter.Prefix;
+            }
+            const destination = rule.Destination || {};
+            const deleteMarkerReplication = rule.DeleteMarkerReplication ?
+                rule.DeleteMarkerReplication.Status === 'Enabled' :
+                !rule.Filter;
+            return {
+                id: rule.ID,
+                enabled: rule.Status === 'Enabled',
+                priority: rule.Priority || 0,
+                prefix: prefix || '',
+                tags: _normalizeTags(tags),
+                destination: destination.Bucket,
+                storageClass: destination.StorageClass,
+                deleteMarkerReplication,
+            };
+        }),
+    };
+}
+
+/**
+ * Check if an object matches the filter of a replication rule
+ * @param {Object} rule - normalized replication rule
+ * @param {String} key - object key
+ * @param {Object} [tags] - object tags, as a { key: value } object
+ * @return {Boolean} true if the key starts with the rule prefix and
+ * the object has all the rule tags
+ */
+function isRuleMatching(rule, key, tags) {
+    const objTags = tags || {};
+    return key.startsWith(rule.prefix) &&
+        rule.tags.every(tag =>
+            Object.prototype.hasOwnProperty.call(objTags, tag.key) &&
+            objTags[tag.key] === tag.value);
+}
+
+/**
+ * Check if a replication rule replicates to a site
+ * @param {Object} rule - normalized replication rule
+ * @param {String} site - replication site name
+ * @return {Boolean} true if the site is in the rule storage class, or
+ * if the rule has no storage class and replicates to the default site
+ */
+function isRuleReplicatingToSite(rule, site) {
+    return !rule.storageClass ||
+        getLocationsFromStorageClass(rule.storageClass).includes(site);
+}
+
+/**
+ * Get the enabled replication rule applying to an object: when
+ * several rules match, the one with the highest priority wins, then
+ * the first one in the configuration
+ * @param {Object} config - normalized replication configuration
+ * @param {String} key - object key
+ * @param {Object} [tags] - object tags, as a { key: value } object
+ * @param {String} [site] - only consider the rules replicating to
+ * this site
+ * @return {Object|null} matching rule, or null if no rule matches
+ */
+function getMatchingRule(config, key, tags, site) {
+    if (!config) {
+        return null;
+    }
+    return config.rules.reduce((best, rule) => {
+        if (!rule.enabled || !isRuleMatching(rule, key, tags) ||
+            (site !== undefined && !isRuleReplicatingToSite(rule, site))) {
+            return best;
+        }
+        if (best && best.priority >= rule.priority) {
+            return best;
+        }
+        return rule;
+    }, null);
+}
+
+/**
+ * Get the sites a rule replicates to
+ * @param {Object} rule - normalized replication rule
+ * @param {Object[]} bootstrapList - replication destination endpoints
+ * @return {String[]} sites of the rule storage class, or the default
+ * endpoint site
+ */
+function getRuleSites(rule, bootstrapList) {
+    if (rule.storageClass) {
+        return getLocationsFromStorageClass(rule.storageClass);
+    }
+    const defaultEndpoint = bootstrapList.find(ep => ep.default) ||
+        bootstrapList[0];
+    return defaultEndpoint ? [defaultEndpoint.site] : [];
+}
+
+/**
+ * Get the replication info to set on a version matching a rule,
+ * built like the S3 connector does on new writes
+ * @param {Object} config - normalized replication configuration
+ * @param {Object} rule - matching rule of the configuration
+ * @param {Number} size - object size
+ * @param {Object[]} bootstrapList - replication destination endpoints
+ * @return {Object} replication info
+ */
+function getReplicationInfo(config, rule, size, bootstrapList) {
+    const sites = getRuleSites(rule, bootstrapList);
+    const storageTypes = sites
+        .map(site => bootstrapList.find(ep => ep.site === site))
+        .filter(ep => ep && ep.type)
+        .map(ep => ep.type);
+    return {
+        status: 'PENDING',
+        backends: sites.map(site => ({
+            site,
+            status: 'PENDING',
+            dataStoreVersionId: '',
+        })),
+        content: size === 0 ? ['METADATA'] : ['DATA', 'METADATA'],
+        destination: rule.destination || config.destination,
+        storageClass: sites.join(','),
+        role: config.role,
+        storageType: storageTypes.join(','),
+        dataStoreVersionId: '',
+    };
+}
+
+module.exports = {
+    normalizeBucketMdConfig,
+    normalizeS3Config,
+    isRuleMatching,
+    isRuleReplicatingToSite,
+    getMatchingRule,
+    getRuleSites,
+    getReplicationInfo,
+};
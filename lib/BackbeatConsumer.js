@@ -2,6 +2,7 @@ const { EventEmitter } = require('events');
 const kafka = require('node-rdkafka');
 const assert = require('assert');
 const async = require('async');
+const BackOff = require('backo');
 const joi = require('joi');
 const Logger = require('werelogs').Logger;
 const zookeeper = require('node-zookeeper-client');
@@ -9,10 +10,20 @@ const zookeeper = require('node-zookeeper-client');
 const zookeeperHelper = require('./clients/zookeeper');
 const BackbeatProducer = require('./BackbeatProducer');
 const OffsetLedger = require('./OffsetLedger');
+const DeadLetterEntry = require('./models/DeadLetterEntry');
+const { LocalConsumer, getQueueBackend } = require('./localQueue');
 
 // controls the number of messages to process in parallel
 const CONCURRENCY_DEFAULT = 1;
 const CLIENT_ID = 'BackbeatConsumer';
+// backoff between processing attempts of a failed entry, and between
+// attempts to publish it to the dead-letter topic
+const DEAD_LETTER_RETRY_BACKOFF = {
+    min: 1000,
+    max: 60000,
+    jitter: 0.1,
+    factor: 1.5,
+};
 
 const { withTopicPrefix } = require('./util/topic');
 
@@ -37,6 +48,11 @@ class BackbeatConsumer extends EventEmitter {
      * @param {Object} config.kafka - kafka connection config
      * @param {string} config.kafka.hosts - kafka hosts list
      * as "host:port[,host:port...]"
+     * @param {string} [config.kafka.backend] - "kafka", or "local" to
+     * use the local queue backend instead of a Kafka cluster (defaults
+     * to the backend of the global kafka configuration)
+     * @param {object} [config.kafka.localQueue] - local queue backend
+     * config (see LocalBroker)
      * @param {string} [config.fromOffset] - valid values latest/earliest/none
      * @param {number} [config.concurrency] - represents the number of entries
      * that can be processed in parallel
@@ -56,6 +72,13 @@ class BackbeatConsumer extends EventEmitter {
      * @param {boolean} [config.bootstrap=false] - TEST ONLY: true to
      * bootstrap the consumer with test messages until it starts
      * consuming them
+     * @param {string} [config.deadLetterTopic] - if set, entries for
+     * which the queue processor keeps returning an error are
+     * published to this topic along with the error and their
+     * original topic/partition/offset, before being committed
+     * @param {number} [config.deadLetterMaxAttempts=1] - number of
+     * times an entry is processed before being sent to the
+     * dead-letter topic (only used if config.deadLetterTopic is set)
      */
     constructor(config) {
         super();
@@ -67,6 +90,8 @@ class BackbeatConsumer extends EventEmitter {
                                         then: joi.required() }),
             kafka: joi.object({
                 hosts: joi.string().required(),
+                backend: joi.string().valid('kafka', 'local'),
+                localQueue: joi.object(),
             }).required(),
             topic: joi.string().required(),
             groupId: joi.string().required(),
@@ -80,18 +105,24 @@ class BackbeatConsumer extends EventEmitter {
             },
             canary: joi.boolean().default(false),
             bootstrap: joi.boolean().default(false),
+            deadLetterTopic: joi.string(),
+            deadLetterMaxAttempts: joi.number().integer().greater(0)
+                .default(1),
         };
         const validConfig = joi.attempt(config, configJoi,
                                         'invalid config params');
 
         const { zookeeper, kafka, topic, groupId, queueProcessor,
                 fromOffset, concurrency, fetchMaxBytes,
-                backlogMetrics, canary, bootstrap } = validConfig;
+                backlogMetrics, canary, bootstrap,
+                deadLetterTopic, deadLetterMaxAttempts } = validConfig;
 
         this._zookeeperEndpoint = zookeeper && zookeeper.connectionString;
+        this._kafkaConfig = kafka;
         this._kafkaHosts = kafka.hosts;
         this._fromOffset = fromOffset;
         this._log = new Logger(CLIENT_ID);
+        this._topicName = topic;
         this._topic = withTopicPrefix(topic);
         this._groupId = groupId;
         this._queueProcessor = queueProcessor;
@@ -100,6 +131,9 @@ class BackbeatConsumer extends EventEmitter {
         this._backlogMetrics = backlogMetrics;
         this._canary = canary;
         this._bootstrap = bootstrap;
+        this._deadLetterTopic = deadLetterTopic;
+        this._deadLetterMaxAttempts = deadLetterMaxAttempts;
+        this._deadLetterRetryBackoff = DEAD_LETTER_RETRY_BACKOFF;
         this._offsetLedger = new OffsetLedger();
 
         this._processingQueue = null;
@@ -108,6 +142,9 @@ class BackbeatConsumer extends EventEmitter {
         // requested without having been received yet, i.e. still
         // being fetched by this._consumer.consume()
         this._nConsumePendingRequests = 0;
+        // number of failed entries waiting for their next processing
+        // attempt, which still occupy a slot in the pipeline
+        this._nRetryPendingEntries = 0;
         this._consumer = null;
         this._consumerReady = false;
         this._bootstrapping = false;
@@ -116,6 +153,12 @@ class BackbeatConsumer extends EventEmitter {
         this._publishOffsetsCronTimer = null;
         this._publishOffsetsCronActive = false;
         this._consumedEventTimeout = null;
+        this._deadLetterProducer = null;
+        this._deadLetterProducerReady = false;
+        // pending timers of the retries of failed entries and of their
+        // publishing to the dead-letter topic, cleared on close
+        this._retryTimers = new Set();
+        this._closing = false;
 
         this._init();
         return this;
@@ -132,6 +175,11 @@ class BackbeatConsumer extends EventEmitter {
         } else {
             this._zookeeperReady = true;
         }
+        if (this._deadLetterTopic) {
+            this._initDeadLetterProducer();
+        } else {
+            this._deadLetterProducerReady = true;
+        }
         process.nextTick(this._checkIfReady.bind(this));
     }
 
@@ -154,7 +202,14 @@ class BackbeatConsumer extends EventEmitter {
         if (this._fetchMaxBytes !== undefined) {
             consumerParams['fetch.message.max.bytes'] = this._fetchMaxBytes;
         }
-        this._consumer = new kafka.KafkaConsumer(consumerParams, topicParams);
+        const { backend, localQueue } = getQueueBackend(this._kafkaConfig);
+        if (backend === 'local') {
+            this._consumer = new LocalConsumer(consumerParams, topicParams,
+                                               localQueue);
+        } else {
+            this._consumer = new kafka.KafkaConsumer(consumerParams,
+                                                     topicParams);
+        }
         this._consumer.connect({ timeout: 10000 }, () => {
             const opts = {
                 topic: withTopicPrefix('backbeat-sanitycheck'),
@@ -181,8 +236,26 @@ class BackbeatConsumer extends EventEmitter {
         });
     }
 
+    _initDeadLetterProducer() {
+        this._deadLetterProducer = new BackbeatProducer({
+            kafka: this._kafkaConfig,
+            topic: this._deadLetterTopic,
+        });
+        this._deadLetterProducer.once('ready', () => {
+            this._deadLetterProducerReady = true;
+            this._checkIfReady();
+        });
+        this._deadLetterProducer.on('error', error => {
+            this._log.error('dead-letter producer error', {
+                error,
+                deadLetterTopic: this._deadLetterTopic,
+            });
+        });
+    }
+
     _checkIfReady() {
-        if (this._consumerReady && this._zookeeperReady) {
+        if (this._consumerReady && this._zookeeperReady &&
+            this._deadLetterProducerReady) {
             if (this._bootstrap) {
                 if (!this._bootstrapping) {
                     this._bootstrapConsumer();
@@ -285,7 +358,8 @@ class BackbeatConsumer extends EventEmitter {
         const nSlots = this._concurrency
               - this._processingQueue.running()
               - this._processingQueue.length()
-              - this._nConsumePendingRequests;
+              - this._nConsumePendingRequests
+              - this._nRetryPendingEntries;
         return nSlots > 0 ? nSlots : 0;
     }
 
@@ -325,9 +399,7 @@ class BackbeatConsumer extends EventEmitter {
                     this._offsetLedger.onOffsetConsumed(
                         entry.topic, entry.partition, entry.offset);
                     this._messagesConsumed++;
-                    this._processingQueue.push(entry, (err, completionArgs) => {
-                        this._onEntryProcessingDone(err, entry, completionArgs);
-                    });
+                    this._processEntry(entry, 1);
                     return undefined;
                 });
             }
@@ -338,7 +410,57 @@ class BackbeatConsumer extends EventEmitter {
         });
     }
 
-    _onEntryProcessingDone(err, entry, completionArgs) {
+    /**
+     * Push an entry to the processing queue
+     *
+     * If a dead-letter topic is configured, a failed entry is pushed
+     * again to the processing queue, with an exponential backoff,
+     * until it has been attempted this._deadLetterMaxAttempts times.
+     * Once the consumer is closing, failed entries are not retried and
+     * are left uncommitted, to be consumed again.
+     *
+     * @param {object} entry - kafka entry to process
+     * @param {number} attempt - current processing attempt, starting
+     * from 1
+     * @param {BackOff} [backoffCtx] - backoff context of the entry
+     * retries, created on the first retry
+     * @return {undefined}
+     */
+    _processEntry(entry, attempt, backoffCtx) {
+        this._processingQueue.push(entry, (err, completionArgs) => {
+            if (err && this._deadLetterTopic && this._closing) {
+                const { topic, partition, offset } = entry;
+                this._log.info('consumer closing, leaving failed entry ' +
+                               'uncommitted', {
+                                   error: err,
+                                   entry: { topic, partition, offset },
+                               });
+                return undefined;
+            }
+            if (err && this._deadLetterTopic &&
+                attempt < this._deadLetterMaxAttempts) {
+                const { topic, partition, offset } = entry;
+                const retryBackoff = backoffCtx ||
+                      new BackOff(this._deadLetterRetryBackoff);
+                const retryDelayMs = retryBackoff.duration();
+                this._log.debug('error processing an entry, retrying', {
+                    error: err,
+                    entry: { topic, partition, offset },
+                    attempt,
+                    retryDelay: `${retryDelayMs}ms`,
+                });
+                this._nRetryPendingEntries += 1;
+                return this._setRetryTimer(() => {
+                    this._nRetryPendingEntries -= 1;
+                    this._processEntry(entry, attempt + 1, retryBackoff);
+                }, retryDelayMs);
+            }
+            return this._onEntryProcessingDone(
+                err, entry, completionArgs, attempt);
+        });
+    }
+
+    _onEntryProcessingDone(err, entry, completionArgs, attempts) {
         const { topic, partition, offset, key, timestamp } = entry;
         this._log.debug('finished processing of consumed entry', {
             method: 'BackbeatConsumer.subscribe',
@@ -361,7 +483,17 @@ class BackbeatConsumer extends EventEmitter {
                 this._consumedEventTimeout = null;
             }, 100);
         }
-        if (!(completionArgs && completionArgs.committable === false)) {
+        const committable =
+              !(completionArgs && completionArgs.committable === false);
+        if (err && this._deadLetterTopic) {
+            // commit only once the entry is safe in the dead-letter
+            // topic, but let the pipeline move forward meanwhile
+            this._sendToDeadLetterTopic(err, entry, attempts, () => {
+                if (committable) {
+                    this.onEntryCommittable(entry);
+                }
+            });
+        } else if (committable) {
             this.onEntryCommittable(entry);
         }
         // check whether we may get new messages now that the queue
@@ -369,6 +501,76 @@ class BackbeatConsumer extends EventEmitter {
         process.nextTick(() => this._tryConsume());
     }
 
+    /**
+     * Publish a failed entry to the dead-letter topic
+     *
+     * Publishing is retried with an exponential backoff until it
+     * succeeds, so that a failure of the dead-letter topic does not
+     * block the consumer. The callback is only called once the entry
+     * is published: if the consumer closes meanwhile, the entry is
+     * left uncommitted and will be consumed again.
+     *
+     * @param {Error} err - error returned by the queue processor
+     * @param {object} entry - failed kafka entry
+     * @param {number} attempts - number of processing attempts
+     * @param {function} cb - callback: cb()
+     * @param {BackOff} [backoffCtx] - backoff context of the publish
+     * retries, created on the first retry
+     * @return {undefined}
+     */
+    _sendToDeadLetterTopic(err, entry, attempts, cb, backoffCtx) {
+        const deadLetterEntry = DeadLetterEntry.create({
+            topic: this._topicName,
+            entry,
+            error: err,
+            attempts: attempts || 1,
+        });
+        const logInfo = Object.assign({
+            deadLetterTopic: this._deadLetterTopic,
+        }, deadLetterEntry.getLogInfo());
+        this._deadLetterProducer.send([{
+            key: deadLetterEntry.getKey(),
+            message: deadLetterEntry.toKafkaMessage(),
+        }], sendErr => {
+            if (sendErr) {
+                if (this._closing) {
+                    this._log.error('error publishing entry to dead-letter ' +
+                                    'topic, leaving it uncommitted',
+                                    Object.assign({ error: sendErr }, logInfo));
+                    return undefined;
+                }
+                const retryBackoff = backoffCtx ||
+                      new BackOff(this._deadLetterRetryBackoff);
+                const retryDelayMs = retryBackoff.duration();
+                this._log.error('error publishing entry to dead-letter topic',
+                                Object.assign({
+                                    error: sendErr,
+                                    retryDelay: `${retryDelayMs}ms`,
+                                }, logInfo));
+                return this._setRetryTimer(() => this._sendToDeadLetterTopic(
+                    err, entry, attempts, cb, retryBackoff), retryDelayMs);
+            }
+            this._log.info('published entry to dead-letter topic', logInfo);
+            return cb();
+        });
+    }
+
+    /**
+     * Schedule a retry, keeping track of its timer so that it can be
+     * cleared when the consumer closes
+     *
+     * @param {function} fn - retry function
+     * @param {number} delayMs - retry delay in milliseconds
+     * @return {undefined}
+     */
+    _setRetryTimer(fn, delayMs) {
+        const timer = setTimeout(() => {
+            this._retryTimers.delete(timer);
+            fn();
+        }, delayMs);
+        this._retryTimers.add(timer);
+    }
+
     _onOffsetCommit(err, topicPartitions) {
         if (err) {
             // NO_OFFSET is a "soft error" meaning that the same
@@ -592,7 +794,7 @@ class BackbeatConsumer extends EventEmitter {
         }
         assert.strictEqual(this._consumer, null);
         producer = new BackbeatProducer({
-            kafka: { hosts: this._kafkaHosts },
+            kafka: this._kafkaConfig,
             topic: this._topic,
         });
         producer.on('ready', () => {
@@ -720,7 +922,7 @@ class BackbeatConsumer extends EventEmitter {
                 partition: p.id,
             }));
             const producer = new BackbeatProducer({
-                kafka: { hosts: this._kafkaHosts },
+                kafka: this._kafkaConfig,
                 topic: this._topic,
             });
             return producer.on('ready', () => {
@@ -746,10 +948,16 @@ class BackbeatConsumer extends EventEmitter {
      * @return {undefined}
      */
     close(cb) {
+        this._closing = true;
         if (this._publishOffsetsCronTimer) {
             clearInterval(this._publishOffsetsCronTimer);
             this._publishOffsetsCronTimer = null;
         }
+        // pending retries are dropped, their entries are left
+        // uncommitted to be consumed again
+        this._retryTimers.forEach(timer => clearTimeout(timer));
+        this._retryTimers.clear();
+        this._nRetryPendingEntries = 0;
         if (this._publishOffsetsCronActive) {
             return setTimeout(() => this.close(cb), 1000);
         }
@@ -764,6 +972,12 @@ class BackbeatConsumer extends EventEmitter {
                 }
                 return process.nextTick(next);
             },
+            next => {
+                if (this._deadLetterProducer) {
+                    return this._deadLetterProducer.close(() => next());
+                }
+                return process.nextTick(next);
+            },
             next => {
                 if (this._zookeeper) {
                     this._zookeeper.close();
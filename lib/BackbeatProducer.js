@@ -7,6 +7,7 @@ const jsutil = require('arsenal').jsutil;
 const Logger = require('werelogs').Logger;
 
 const { withTopicPrefix } = require('./util/topic');
+const { LocalProducer, getQueueBackend } = require('./localQueue');
 
 // waits for an ack for messages
 const REQUIRE_ACKS = 'all';
@@ -39,6 +40,11 @@ class BackbeatProducer extends EventEmitter {
     * @param {Object} config.kafka - kafka connection config
     * @param {string} config.kafka.hosts - kafka hosts list
     * as "host:port[,host:port...]"
+    * @param {string} [config.kafka.backend] - "kafka", or "local" to
+    * use the local queue backend instead of a Kafka cluster (defaults
+    * to the backend of the global kafka configuration)
+    * @param {object} [config.kafka.localQueue] - local queue backend
+    * config (see LocalBroker)
     */
     constructor(config) {
         super();
@@ -46,6 +52,8 @@ class BackbeatProducer extends EventEmitter {
         const configJoi = {
             kafka: joi.object({
                 hosts: joi.string().required(),
+                backend: joi.string().valid('kafka', 'local'),
+                localQueue: joi.object(),
             }).required(),
             topic: joi.string(),
             keyedPartitioner: joi.boolean().default(true),
@@ -62,14 +70,19 @@ class BackbeatProducer extends EventEmitter {
         this._messageMaxBytes = messageMaxBytes || PRODUCER_MESSAGE_MAX_BYTES;
 
         // create a new producer instance
-        this._producer = new Producer({
-            'metadata.broker.list': this._kafkaHosts,
-            'dr_cb': true,
-            'message.max.bytes': this._messageMaxBytes,
-        }, {
-            'request.required.acks': REQUIRE_ACKS,
-            'request.timeout.ms': ACK_TIMEOUT,
-        });
+        const { backend, localQueue } = getQueueBackend(kafka);
+        if (backend === 'local') {
+            this._producer = new LocalProducer(localQueue);
+        } else {
+            this._producer = new Producer({
+                'metadata.broker.list': this._kafkaHosts,
+                'dr_cb': true,
+                'message.max.bytes': this._messageMaxBytes,
+            }, {
+                'request.required.acks': REQUIRE_ACKS,
+                'request.timeout.ms': ACK_TIMEOUT,
+            });
+        }
         this._ready = false;
         this._producer.connect({ timeout: 30000 }, () => {
             const opts = {
@@ -0,0 +1,155 @@
+const { Transform } = require('stream');
+
+/**
+ * @class BandwidthThrottle
+ * @classdesc Limit the aggregated throughput of data streams
+ *
+ * All streams throttled by the same instance share a token bucket
+ * refilled at the configured rate, holding at most one second worth of
+ * bytes. Chunks are let through as long as the bucket is not empty,
+ * so a chunk larger than the bucket puts it in debt and delays the
+ * following chunks accordingly.
+ *
+ * The limit can be changed at any time, and applies immediately to
+ * streams already being throttled.
+ */
+class BandwidthThrottle {
+    /**
+     * @constructor
+     * @param {object} [params] - parameters
+     * @param {number} [params.bytesPerSec] - max throughput in bytes
+     *   per second, 0 or undefined means unlimited
+     */
+    constructor(params) {
+        this._limit = 0;
+        this._available = 0;
+        this._lastRefill = Date.now();
+        this._waiting = [];
+        this._timer = null;
+        this._activeStreams = 0;
+        this._throttledBytes = 0;
+        this.setLimit(params && params.bytesPerSec);
+    }
+
+    /**
+     * Set the max throughput
+     * @param {number} [bytesPerSec] - max throughput in bytes per
+     *   second, 0 or undefined means unlimited
+     * @return {BandwidthThrottle} this
+     */
+    setLimit(bytesPerSec) {
+        this._refill();
+        this._limit = bytesPerSec > 0 ? bytesPerSec : 0;
+        this._available = this._limit ?
+            Math.min(this._available, this._limit) : 0;
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        this._processWaiting();
+        return this;
+    }
+
+    /**
+     * Get the max throughput
+     * @return {number} max throughput in bytes per second, or 0 if
+     *   unlimited
+     */
+    getLimit() {
+        return this._limit;
+    }
+
+    /**
+     * Get the current throttling state
+     * @return {object} state object with the following attributes:
+     *   - bytesPerSec: max throughput, or 0 if unlimited
+     *   - activeStreams: number of streams currently throttled
+     *   - waitingChunks: number of chunks delayed by the throttle
+     *   - throttledBytes: total number of bytes that went through the
+     *     throttle while a limit was set
+     */
+    getState() {
+        return {
+            bytesPerSec: this._limit,
+            activeStreams: this._activeStreams,
+            waitingChunks: this._waiting.length,
+            throttledBytes: this._throttledBytes,
+        };
+    }
+
+    _refill() {
+        const now = Date.now();
+        if (this._limit) {
+            const refill = (now - this._lastRefill) * this._limit / 1000;
+            this._available = Math.min(this._limit, this._available + refill);
+        }
+        this._lastRefill = now;
+    }
+
+    _processWaiting() {
+        this._refill();
+        while (this._waiting.length > 0 &&
+               (!this._limit || this._available > 0)) {
+            const { size, cb } = this._waiting.shift();
+            if (this._limit) {
+                this._available -= size;
+                this._throttledBytes += size;
+            }
+            cb();
+        }
+        if (this._waiting.length > 0 && !this._timer) {
+            const delayMs =
+                  Math.max(Math.ceil(-this._available * 1000 / this._limit),
+                           1);
+            this._timer = setTimeout(() => {
+                this._timer = null;
+                this._processWaiting();
+            }, delayMs);
+        }
+    }
+
+    _consume(stream, size, cb) {
+        this._waiting.push({ stream, size, cb });
+        this._processWaiting();
+    }
+
+    _removeWaiting(stream) {
+        this._waiting = this._waiting.filter(w => w.stream !== stream);
+    }
+
+    /**
+     * Pipe a readable stream through the throttle
+     *
+     * Errors on the source stream are not forwarded: the returned
+     * stream is destroyed instead, so that callers keep handling
+     * errors from the source stream.
+     *
+     * @param {stream.Readable} source - source stream
+     * @return {stream.Readable} throttled stream
+     */
+    throttle(source) {
+        let ended = false;
+        const throttled = new Transform({
+            transform: (chunk, encoding, cb) => this._consume(
+                throttled, chunk.length, () => cb(null, chunk)),
+        });
+        const onEnd = () => {
+            if (!ended) {
+                ended = true;
+                this._activeStreams -= 1;
+                // chunks of a destroyed stream must not be waited for
+                this._removeWaiting(throttled);
+            }
+        };
+        this._activeStreams += 1;
+        throttled.once('end', onEnd);
+        throttled.once('close', onEnd);
+        source.once('error', () => {
+            onEnd();
+            throttled.destroy();
+        });
+        return source.pipe(throttled);
+    }
+}
+
+module.exports = BandwidthThrottle;
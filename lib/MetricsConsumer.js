@@ -5,6 +5,7 @@ const { RedisClient, StatsModel } = require('arsenal').metrics;
 const errors = require('arsenal').errors;
 
 const BackbeatConsumer = require('./BackbeatConsumer');
+const { getKafkaClientConfig } = require('./localQueue');
 const {
     redisKeys: crrRedisKeys,
     metricsExtension: crrExtension,
@@ -50,7 +51,7 @@ class MetricsConsumer {
     start() {
         let consumerReady = false;
         const consumer = new BackbeatConsumer({
-            kafka: { hosts: this.kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this.kafkaConfig),
             topic: this.mConfig.topic,
             groupId: `backbeat-metrics-group-${this._id}`,
             concurrency: CONCURRENCY,
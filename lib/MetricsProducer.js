@@ -4,6 +4,7 @@ const async = require('async');
 const { Logger } = require('werelogs');
 
 const BackbeatProducer = require('./BackbeatProducer');
+const { getKafkaClientConfig } = require('./localQueue');
 const MetricsModel = require('./models/MetricsModel');
 
 class MetricsProducer {
@@ -22,7 +23,7 @@ class MetricsProducer {
 
     setupProducer(done) {
         const producer = new BackbeatProducer({
-            kafka: { hosts: this._kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this._kafkaConfig),
             topic: this._topic,
         });
         producer.once('error', done);
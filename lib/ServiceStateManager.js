@@ -0,0 +1,403 @@
+'use strict'; // eslint-disable-line
+
+const async = require('async');
+const { EventEmitter } = require('events');
+const Redis = require('ioredis');
+const schedule = require('node-schedule');
+
+const zookeeperHelper = require('./clients/zookeeper');
+
+/**
+ * @class ServiceStateManager
+ *
+ * @classdesc Manage the paused state of a backbeat service (e.g. the
+ * lifecycle conductor or the garbage collector), following requests
+ * published by the backbeat API on a redis channel. The state is
+ * persisted in a zookeeper node so that it survives restarts, along
+ * with the date of a scheduled resume, if any.
+ *
+ * Emits a 'pause' event when the service must pause, and a 'resume'
+ * event when it must resume.
+ */
+class ServiceStateManager extends EventEmitter {
+
+    /**
+     * @constructor
+     * @param {Object} params - constructor params
+     * @param {String} params.service - name of the managed service,
+     *   used in logs
+     * @param {String} params.zkPath - path of the zookeeper state node
+     * @param {String} params.channel - redis channel where pause and
+     *   resume requests are published
+     * @param {Object} params.redisConfig - redis configuration
+     * @param {Object} [params.zkConfig] - zookeeper configuration, used
+     *   to create a zookeeper client if none is given
+     * @param {node-zookeeper-client.Client} [params.zkClient] -
+     *   zookeeper client
+     * @param {werelogs.Logger} params.logger - logger object
+     */
+    constructor(params) {
+        super();
+        this._service = params.service;
+        this._zkPath = params.zkPath;
+        this._channel = params.channel;
+        this._redisConfig = params.redisConfig;
+        this._zkConfig = params.zkConfig;
+        this._zkClient = params.zkClient || null;
+        this._logger = params.logger;
+        this._redis = null;
+        this._paused = false;
+        this._scheduledResume = null;
+    }
+
+    /**
+     * Load the persisted state of the service, then subscribe to
+     * pause and resume requests
+     * @param {Function} cb - callback(error, paused) where paused is
+     *   true if the service must start paused
+     * @return {undefined}
+     */
+    setup(cb) {
+        async.series([
+            next => this._setupZkClient(next),
+            next => this._setupZkStateNode(next),
+            next => this._setupRedis(next),
+        ], err => {
+            if (err) {
+                return cb(err);
+            }
+            return cb(null, this._paused);
+        });
+    }
+
+    /**
+     * Tell whether the service is paused
+     * @return {boolean} true if paused
+     */
+    isPaused() {
+        return this._paused;
+    }
+
+    _setupZkClient(cb) {
+        if (this._zkClient) {
+            return process.nextTick(cb);
+        }
+        const { connectionString, autoCreateNamespace } = this._zkConfig;
+        const zkClient = zookeeperHelper.createClient(connectionString, {
+            autoCreateNamespace,
+        });
+        zkClient.connect();
+        zkClient.once('error', cb);
+        zkClient.once('ready', () => {
+            zkClient.removeAllListeners('error');
+            zkClient.on('error', err => {
+                this._logger.error('error from zookeeper client', {
+                    method: 'ServiceStateManager._setupZkClient',
+                    service: this._service,
+                    error: err.message,
+                });
+            });
+            this._zkClient = zkClient;
+            return cb();
+        });
+        return undefined;
+    }
+
+    /**
+     * Create the zookeeper state node of the service, or load the
+     * state it holds. A scheduled resume is rescheduled if its date
+     * has not expired, or applied otherwise.
+     * @param {Function} cb - callback(error)
+     * @return {undefined}
+     */
+    _setupZkStateNode(cb) {
+        const parentPath = this._zkPath.slice(0, this._zkPath.lastIndexOf('/'));
+        const data = Buffer.from(JSON.stringify({ paused: false }));
+        async.waterfall([
+            next => this._zkClient.mkdirp(parentPath, err => next(err)),
+            next => this._zkClient.create(this._zkPath, data, err => {
+                if (err && err.name === 'NODE_EXISTS') {
+                    return this._zkClient.getData(this._zkPath,
+                        (err, data) => next(err, data));
+                }
+                return next(err, data);
+            }),
+            (data, next) => {
+                let state;
+                try {
+                    state = JSON.parse(data.toString());
+                } catch (err) {
+                    return next(err);
+                }
+                return next(null, state);
+            },
+        ], (err, state) => {
+            if (err) {
+                this._logger.fatal('could not setup zookeeper state node', {
+                    method: 'ServiceStateManager._setupZkStateNode',
+                    service: this._service,
+                    zookeeperPath: this._zkPath,
+                    error: err.message,
+                });
+                return cb(err);
+            }
+            this._paused = !!state.paused;
+            if (!state.scheduledResume) {
+                return cb();
+            }
+            const scheduleDate = new Date(state.scheduledResume);
+            if (new Date() < scheduleDate) {
+                this._paused = true;
+                this.scheduleResume(scheduleDate);
+                return cb();
+            }
+            // the scheduled resume expired while the service was down
+            const resumedState = Object.assign({}, state, { paused: false });
+            delete resumedState.scheduledResume;
+            return this._zkClient.setData(this._zkPath,
+                Buffer.from(JSON.stringify(resumedState)), err => {
+                    if (err) {
+                        this._logger.fatal('could not set zookeeper state node',
+                            { method: 'ServiceStateManager._setupZkStateNode',
+                              service: this._service,
+                              zookeeperPath: this._zkPath,
+                              error: err.message });
+                        return cb(err);
+                    }
+                    this._paused = false;
+                    return cb();
+                });
+        });
+    }
+
+    /**
+     * Setup the Redis subscriber which listens for pause and resume
+     * requests from the backbeat API
+     * @param {Function} cb - callback(error)
+     * @return {undefined}
+     */
+    _setupRedis(cb) {
+        this._redis = new Redis(this._redisConfig);
+        this._redis.subscribe(this._channel, err => {
+            if (err) {
+                this._logger.fatal('failed to subscribe to redis channel', {
+                    method: 'ServiceStateManager._setupRedis',
+                    service: this._service,
+                    channel: this._channel,
+                    error: err.message,
+                });
+                return cb(err);
+            }
+            this._redis.on('message', (channel, message) => {
+                const validActions = {
+                    pauseService: () => this._pauseService(),
+                    resumeService: msg => this._resumeService(msg.date),
+                    deleteScheduledResumeService:
+                        () => this._deleteScheduledResumeService(),
+                };
+                try {
+                    const msg = JSON.parse(message);
+                    const cmd = validActions[msg.action];
+                    if (channel === this._channel &&
+                        typeof cmd === 'function') {
+                        cmd(msg);
+                    }
+                } catch (e) {
+                    this._logger.error('error parsing redis sub message', {
+                        method: 'ServiceStateManager._setupRedis',
+                        service: this._service,
+                        error: e,
+                    });
+                }
+            });
+            return cb();
+        });
+    }
+
+    /**
+     * Pause the service
+     * @return {undefined}
+     */
+    _pauseService() {
+        if (this._paused) {
+            this._logger.info(`cannot pause, ${this._service} is paused`);
+            return;
+        }
+        this._updateZkStateNode('paused', true, err => {
+            if (err) {
+                this._logger.trace('error occurred saving state to ' +
+                'zookeeper', {
+                    method: 'ServiceStateManager._pauseService',
+                });
+            } else {
+                this._paused = true;
+                this.emit('pause');
+                this._logger.info(`paused ${this._service}`);
+                this._deleteScheduledResumeService();
+            }
+        });
+    }
+
+    /**
+     * Resume the service
+     * @param {Date} [date] - optional date object for scheduling resume
+     * @return {undefined}
+     */
+    _resumeService(date) {
+        if (!this._paused) {
+            this._logger.info(`cannot resume, ${this._service} is not paused`);
+            return;
+        }
+        if (date && new Date() < new Date(date)) {
+            // if date is in the future, attempt to schedule job
+            this.scheduleResume(new Date(date));
+            return;
+        }
+        this._updateZkStateNode('paused', false, err => {
+            if (err) {
+                this._logger.trace('error occurred saving state to ' +
+                'zookeeper', {
+                    method: 'ServiceStateManager._resumeService',
+                });
+            } else {
+                this._paused = false;
+                this.emit('resume');
+                this._logger.info(`resumed ${this._service}`);
+                this._deleteScheduledResumeService();
+            }
+        });
+    }
+
+    /**
+     * Delete scheduled resume (if any)
+     * @return {undefined}
+     */
+    _deleteScheduledResumeService() {
+        this._updateZkStateNode('scheduledResume', null, err => {
+            if (err) {
+                this._logger.trace('error occurred saving state to zookeeper', {
+                    method: 'ServiceStateManager._deleteScheduledResumeService',
+                });
+            } else if (this._scheduledResume) {
+                this._scheduledResume.cancel();
+                this._scheduledResume = null;
+                this._logger.info(
+                    `deleted scheduled resume of ${this._service}`);
+            }
+        });
+    }
+
+    /**
+     * Update a property of the zookeeper state node
+     * @param {String} key - key name to store in zk state node
+     * @param {String|Boolean} value - value
+     * @param {Function} cb - callback(error)
+     * @return {undefined}
+     */
+    _updateZkStateNode(key, value, cb) {
+        const path = this._zkPath;
+        return async.waterfall([
+            next => this._zkClient.getData(path, (err, data) => {
+                if (err) {
+                    this._logger.error('could not get state from zookeeper', {
+                        method: 'ServiceStateManager._updateZkStateNode',
+                        zookeeperPath: path,
+                        error: err.message,
+                    });
+                    return next(err);
+                }
+                try {
+                    const state = JSON.parse(data.toString());
+                    // set revised status
+                    state[key] = value;
+                    return next(null, Buffer.from(JSON.stringify(state)));
+                } catch (err) {
+                    this._logger.error('could not parse state data from ' +
+                    'zookeeper', {
+                        method: 'ServiceStateManager._updateZkStateNode',
+                        zookeeperPath: path,
+                        error: err,
+                    });
+                    return next(err);
+                }
+            }),
+            (data, next) => this._zkClient.setData(path, data, err => {
+                if (err) {
+                    this._logger.error('could not save state data in ' +
+                    'zookeeper', {
+                        method: 'ServiceStateManager._updateZkStateNode',
+                        zookeeperPath: path,
+                        error: err,
+                    });
+                    return next(err);
+                }
+                return next();
+            }),
+        ], cb);
+    }
+
+    /**
+     * Schedule the resume of the service
+     * @param {Date} date - date of the resume
+     * @return {undefined}
+     */
+    scheduleResume(date) {
+        function triggerResume() {
+            this._updateZkStateNode('scheduledResume', null, err => {
+                if (err) {
+                    this._logger.error('error occurred saving state ' +
+                    'to zookeeper for resuming a scheduled resume. Retry ' +
+                    'again in 1 minute', {
+                        method: 'ServiceStateManager.scheduleResume',
+                        error: err,
+                    });
+                    // if an error occurs, retry in a minute
+                    const retryDate = new Date();
+                    retryDate.setMinutes(retryDate.getMinutes() + 1);
+                    this._scheduledResume = schedule.scheduleJob(retryDate,
+                        triggerResume.bind(this));
+                } else {
+                    if (this._scheduledResume) {
+                        this._scheduledResume.cancel();
+                    }
+                    this._scheduledResume = null;
+                    this._resumeService();
+                }
+            });
+        }
+
+        this._updateZkStateNode('scheduledResume', date, err => {
+            if (err) {
+                this._logger.trace('error occurred saving state to zookeeper', {
+                    method: 'ServiceStateManager.scheduleResume',
+                });
+            } else {
+                if (this._scheduledResume) {
+                    this._scheduledResume.cancel();
+                }
+                this._scheduledResume = schedule.scheduleJob(date,
+                    triggerResume.bind(this));
+                this._logger.info(`scheduled resume of ${this._service}`, {
+                    scheduleTime: date.toString(),
+                });
+            }
+        });
+    }
+
+    /**
+     * Stop listening to pause and resume requests
+     * @return {undefined}
+     */
+    close() {
+        if (this._scheduledResume) {
+            this._scheduledResume.cancel();
+            this._scheduledResume = null;
+        }
+        if (this._redis) {
+            this._redis.quit();
+            this._redis = null;
+        }
+    }
+}
+
+module.exports = ServiceStateManager;
@@ -1,7 +1,10 @@
 'use strict'; // eslint-disable-line strict
 
 const async = require('async');
+const AWS = require('aws-sdk');
+const http = require('http');
 const Redis = require('ioredis');
+const uuid = require('uuid/v4');
 
 const { errors } = require('arsenal');
 const { RedisClient, StatsModel } = require('arsenal').metrics;
@@ -10,31 +13,63 @@ const getRoutesFn = require('arsenal').backbeat.routes;
 
 const zookeeper = require('../clients/zookeeper');
 const BackbeatProducer = require('../BackbeatProducer');
+const { getKafkaClientConfig } = require('../localQueue');
 const ObjectQueueEntry =
     require('../../lib/models/ObjectQueueEntry');
 const ObjectFailureEntry =
     require('../../extensions/replication/utils/ObjectFailureEntry');
 const BackbeatMetadataProxy = require('../BackbeatMetadataProxy');
 const Healthcheck = require('./Healthcheck');
-const { getSortedSetKey, getSortedSetMember } =
-    require('../util/sortedSetHelper');
+const DeadLetterReader = require('./DeadLetterReader');
+const ReplicationBackfill = require('./ReplicationBackfill');
+const getLocalRoutes = require('./routes');
+const {
+    getSortedSetKey,
+    getSortedSetMember,
+    getFailureReasonKey,
+    getObjectLockSortedSetKey,
+} = require('../util/sortedSetHelper');
 const monitoringClient = require('../clients/monitoringHandler').client;
+const { getAccountCredentials } =
+    require('../credentials/AccountCredentials');
+const LifecycleDryRunTask =
+    require('../../extensions/lifecycle/tasks/LifecycleDryRunTask');
+const LifecycleRunStatus =
+    require('../../extensions/lifecycle/LifecycleRunStatus');
 
 const {
     redisKeys: crrRedisKeys,
     zookeeperNamespace: zookeeperReplicationNamespace,
     zkStatePath: zkReplicationStatePath,
+    failureTypes,
 } = require('../../extensions/replication/constants');
 const {
     redisKeys: ingestionRedisKeys,
     zookeeperNamespace: zookeeperIngestionNamespace,
     zkStatePath: zkIngestionStatePath,
 } = require('../../extensions/ingestion/constants');
+const {
+    services: lifecycleServices,
+    zkStatePath: zkLifecycleStatePath,
+    serviceStateChannel: lifecycleServiceStateChannel,
+} = require('../../extensions/lifecycle/constants');
+const {
+    services: gcServices,
+    zookeeperNamespace: zookeeperGCNamespace,
+    zkStatePath: zkGCStatePath,
+    serviceStateChannel: gcServiceStateChannel,
+} = require('../../extensions/gc/constants');
 
 // StatsClient constant defaults
 // TODO: This should be moved to constants file
 const INTERVAL = 300; // 5 minutes
 const EXPIRY = 86400; // 24 hours.
+// max number of dead-letter entries returned in a listing
+const DEAD_LETTER_LISTING_MAX = 100;
+// number of failed entries re-queued at once by a retry job
+const RETRY_JOB_BATCH_SIZE = 100;
+// retry job progress is kept for 24 hours
+const RETRY_JOB_EXPIRY = 86400;
 
 /**
  * Class representing Backbeat API endpoints and internals
@@ -54,6 +89,8 @@ class BackbeatAPI {
         this._kafkaConfig = config.kafka;
         this._repConfig = config.extensions.replication;
         this._ingestionConfig = config.extensions.ingestion;
+        this._lcConfig = config.extensions.lifecycle;
+        this._gcConfig = config.extensions.gc;
         this._queuePopulator = config.queuePopulator;
         this._kafkaHost = config.kafka.hosts;
         this._redisConfig = config.redis;
@@ -66,12 +103,17 @@ class BackbeatAPI {
         this._metricsTopic = config.metrics.topic;
 
         this._updateConfigSites();
+        this._deadLetterTopics = this._getDeadLetterTopics();
 
         this._crrProducer = null;
         this._crrStatusProducer = null;
         this._metricProducer = null;
         this._healthcheck = null;
         this._zkClient = null;
+        this._replayProducer = null;
+        this._replicationBackfill = null;
+        this._deadLetterReader = new DeadLetterReader(this._kafkaConfig,
+                                                      this._logger);
 
         // TODO: this should rely on the data stored in Redis and not an
         //  internal timer
@@ -91,6 +133,8 @@ class BackbeatAPI {
         // Redis expiry increased by an additional interval so we can reference
         // the immediate older data for average throughput calculation
         this._statsClient = new StatsModel(this._redisClient, INTERVAL, EXPIRY);
+        this._lcRunStatus = new LifecycleRunStatus(this._redisClient,
+                                                   this._logger);
         const metricsConfig = {
             redisConfig: this._redisConfig,
             crrSites: this._crrSites,
@@ -130,15 +174,32 @@ class BackbeatAPI {
      * @return {Object|null} - The error object or `null` if no error
      */
     validateQuery(bbRequest) {
-        const { marker, sitename } = bbRequest.getRouteDetails();
+        const { marker, sitename, partition, failureType } =
+            bbRequest.getRouteDetails();
         if (marker !== undefined && (marker === '' || isNaN(marker))) {
             return errors.InvalidQueryParameter
                 .customizeDescription('marker must be a number');
         }
+        if (partition !== undefined && (partition === '' || isNaN(partition))) {
+            return errors.InvalidQueryParameter
+                .customizeDescription('partition must be a number');
+        }
         if (sitename !== undefined && sitename === '') {
             return errors.InvalidQueryParameter
                 .customizeDescription('must be a non-empty string');
         }
+        if (failureType !== undefined) {
+            const types = Object.keys(failureTypes)
+                .map(type => failureTypes[type]);
+            if (!types.includes(failureType)) {
+                return errors.InvalidQueryParameter.customizeDescription(
+                    `failureType must be one of: ${types.join(', ')}`);
+            }
+            if (!sitename) {
+                return errors.InvalidQueryParameter.customizeDescription(
+                    'failureType requires a sitename');
+            }
+        }
         return null;
     }
 
@@ -156,6 +217,27 @@ class BackbeatAPI {
             [...new Set(ingestionBuckets.map(b => b.locationConstraint))];
     }
 
+    /**
+     * Get the dead-letter topics configured for the extension consumers
+     * @return {Array} list of unique dead-letter topic names
+     */
+    _getDeadLetterTopics() {
+        const { replication, lifecycle, gc, mongoProcessor } =
+            this._config.extensions;
+        const consumerConfigs = [
+            replication && replication.queueProcessor,
+            replication && replication.replicationStatusProcessor,
+            lifecycle && lifecycle.bucketProcessor,
+            lifecycle && lifecycle.objectProcessor,
+            gc && gc.consumer,
+            mongoProcessor,
+        ];
+        const topics = consumerConfigs
+            .filter(c => c && c.deadLetterTopic)
+            .map(c => c.deadLetterTopic);
+        return [...new Set(topics)];
+    }
+
     /**
      * Maps the data points to their respective redis keys
      * @param {String} service - service name, i.e. 'crr', 'ingestion'
@@ -189,7 +271,14 @@ class BackbeatAPI {
         const routes = getRoutesFn({
             crr: this._crrSites,
             ingestion: this._ingestionSites,
-        });
+        }).concat(getLocalRoutes({
+            crr: this._crrSites,
+            deadletter: this._deadLetterTopics,
+            lifecycle: this._lcConfig !== undefined,
+            lifecycleServices,
+            gc: this._gcConfig !== undefined,
+            gcServices,
+        }));
 
         // first validate healthcheck routes or prom routes since they do not
         // have rDetails set
@@ -268,6 +357,9 @@ class BackbeatAPI {
                     // this is optional for backward compatibility
                     addKeys.sitename = sitename;
                 }
+                if (rDetails.failureType) {
+                    addKeys.failureType = rDetails.failureType;
+                }
             } else {
                 // currently only pause/resume (for both crr and ingestion)
                 filteredRoutes = filteredRoutes.filter(r =>
@@ -283,6 +375,75 @@ class BackbeatAPI {
                 rDetails.type === r.type);
         }
 
+        // dead-letter routes must target a configured dead-letter topic
+        if (rDetails.extension === 'deadletter') {
+            filteredRoutes = filteredRoutes.filter(r => {
+                const list = r.extensions[rDetails.extension];
+                return list.includes(rDetails.topic);
+            });
+            addKeys.topic = rDetails.topic;
+            if (rDetails.partition) {
+                addKeys.partition = rDetails.partition;
+            }
+            if (rDetails.marker) {
+                addKeys.marker = rDetails.marker;
+            }
+        }
+
+        // object replication status routes apply to a given object
+        if (rDetails.extension === 'crr' && rDetails.status === 'object') {
+            if (!rDetails.bucket || !rDetails.key) {
+                return errors.RouteNotFound.customizeDescription(
+                    'must provide bucket name and object key in route: ' +
+                    `${route}`);
+            }
+            addKeys.bucket = rDetails.bucket;
+            addKeys.key = rDetails.key;
+            if (rDetails.versionId) {
+                addKeys.versionId = rDetails.versionId;
+            }
+        }
+
+        // retry job routes apply to a given job
+        if (rDetails.extension === 'crr' && rDetails.status === 'retry') {
+            if (!rDetails.jobId) {
+                return errors.RouteNotFound.customizeDescription(
+                    `must provide job ID in route: ${route}`);
+            }
+            addKeys.jobId = rDetails.jobId;
+        }
+
+        // backfill routes apply to a given bucket
+        if (rDetails.extension === 'crr' && rDetails.status === 'backfill') {
+            if (!rDetails.bucket) {
+                return errors.RouteNotFound.customizeDescription(
+                    `must provide bucket name in route: ${route}`);
+            }
+            addKeys.bucket = rDetails.bucket;
+        }
+
+        // lifecycle simulation and status routes apply to a given bucket
+        if (rDetails.extension === 'lifecycle' &&
+            (rDetails.status === 'simulate' || rDetails.status === 'status')) {
+            if (!rDetails.bucket) {
+                return errors.RouteNotFound.customizeDescription(
+                    `must provide bucket name in route: ${route}`);
+            }
+            addKeys.bucket = rDetails.bucket;
+        }
+
+        // log offset routes apply to all the log readers of the queue
+        // populator, or to a given one
+        if (rDetails.extension === 'queuepopulator') {
+            if (bbRequest.getHTTPMethod() === 'POST' && !rDetails.logId) {
+                return errors.RouteNotFound.customizeDescription(
+                    `must provide log ID in route: ${route}`);
+            }
+            if (rDetails.logId) {
+                addKeys.logId = rDetails.logId;
+            }
+        }
+
         // if rDetails has a site property. Should only have 1 matched route
         // at this point, or else there is an error
         if (rDetails.site && filteredRoutes.length === 1) {
@@ -452,6 +613,18 @@ class BackbeatAPI {
         return timestamps.map(timestamp => getSortedSetKey(site, timestamp));
     }
 
+    /**
+     * Get the keys of the sorted sets of a site tracking the failures due
+     * to object lock.
+     * @param {String} site - The site name
+     * @return {String[]} - The sorted set keys
+     */
+    _getObjectLockSortedSetKeys(site) {
+        const timestamps = this._statsClient.getSortedSetHours(Date.now());
+        return timestamps.map(timestamp =>
+            getObjectLockSortedSetKey(site, timestamp));
+    }
+
     /**
      * Find all failed CRR operations that match the bucket, key, and versionID.
      * @param {Object} details - The route details
@@ -477,14 +650,142 @@ class BackbeatAPI {
      * @return {undefined}
      */
     getSiteFailedCRR(details, cb) {
-        const { marker, sitename } = details;
+        const { marker, sitename, failureType } = details;
         const score = Number.parseInt(marker, 10) || 0;
-        const keys = this._getSortedSetKeys(sitename);
+        const keys = failureType === failureTypes.objectLock ?
+            this._getObjectLockSortedSetKeys(sitename) :
+            this._getSortedSetKeys(sitename);
         return this._getEntriesBySite(score, sitename, keys,
             (err, nextMarker, entries) =>
                 this._getFailedCRRResponse(nextMarker, entries, cb));
     }
 
+    /**
+     * Get the latest replication failure of an object to a site, as
+     * recorded in the site failed CRR sorted sets.
+     * @param {String} site - The site name
+     * @param {String} member - The sorted set member of the object
+     * @param {Function} cb - The callback to call: cb(err, failure) where
+     * failure is undefined if no failure is recorded, or an object with the
+     * failure time and reason (if recorded)
+     * @return {undefined}
+     */
+    _getLatestFailure(site, member, cb) {
+        const timestamps = this._statsClient.getSortedSetHours(Date.now());
+        let latest;
+        return async.eachLimit(timestamps, 10, (timestamp, next) => {
+            const key = getSortedSetKey(site, timestamp);
+            this._redisClient.zscore(key, member, (err, res) => {
+                if (err) {
+                    return next(err);
+                }
+                const score = Number.parseInt(res, 10);
+                if (res !== null && (!latest || score > latest.time)) {
+                    latest = { time: score, timestamp };
+                }
+                return next();
+            });
+        }, err => {
+            if (err) {
+                return cb(err);
+            }
+            if (!latest) {
+                return cb();
+            }
+            const reasonKey = getFailureReasonKey(site, latest.timestamp);
+            return this._redisClient.batch([['hget', reasonKey, member]],
+            (err, res) => {
+                if (err) {
+                    return cb(err);
+                }
+                const [cmdErr, reason] = res[0];
+                if (cmdErr) {
+                    return cb(cmdErr);
+                }
+                return cb(null, {
+                    time: latest.time,
+                    reason: reason || undefined,
+                });
+            });
+        });
+    }
+
+    /**
+     * Get the replication status of an object, per site. The status is read
+     * from the source object metadata, and completed with the time and reason
+     * of the latest failure for sites where replication failed.
+     * @param {Object} details - The route details
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    getObjectReplicationStatus(details, cb) {
+        const { bucket, key, versionId } = details;
+        const log = this._logger.newRequestLogger();
+        return async.waterfall([
+            next => this._backbeatMetadataProxy
+                .setSourceClient(log)
+                .getMetadata({ bucket, objectKey: key, versionId }, log,
+                (err, res) => {
+                    if (err) {
+                        return next(err);
+                    }
+                    let mdObj;
+                    try {
+                        mdObj = JSON.parse(res.Body);
+                    } catch (parseErr) {
+                        return next(parseErr);
+                    }
+                    return next(null, new ObjectQueueEntry(bucket, key, mdObj));
+                }),
+            (queueEntry, next) => {
+                const member = getSortedSetMember(bucket, key,
+                    queueEntry.getEncodedVersionId());
+                const { status, backends } = queueEntry.getReplicationInfo();
+                return async.mapLimit(backends, 10, (backend, done) => {
+                    const siteStatus = {
+                        Site: backend.site,
+                        Status: backend.status,
+                    };
+                    if (backend.status !== 'FAILED') {
+                        return process.nextTick(done, null, siteStatus);
+                    }
+                    return this._getLatestFailure(backend.site, member,
+                    (err, failure) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        if (failure) {
+                            siteStatus.LastAttempt =
+                                new Date(failure.time).toISOString();
+                            siteStatus.FailureReason = failure.reason;
+                        }
+                        return done(null, siteStatus);
+                    });
+                }, (err, sites) => next(err, {
+                    Bucket: bucket,
+                    Key: key,
+                    VersionId: queueEntry.getEncodedVersionId(),
+                    ReplicationStatus: status,
+                    Sites: sites,
+                }));
+            },
+        ], (err, response) => {
+            if (err) {
+                if (err.ObjNotFound || err.code === 'ObjNotFound' ||
+                    err.statusCode === 404) {
+                    return cb(errors.ObjNotFound);
+                }
+                log.error('could not get object replication status', {
+                    method: 'BackbeatAPI.getObjectReplicationStatus',
+                    bucket, key, versionId,
+                    error: err.message || err,
+                });
+                return cb(errors.InternalError);
+            }
+            return cb(null, response);
+        });
+    }
+
     /**
      * Get all entries across all site sorted sets.
      * @param {String} member - The member in the sorted set to find
@@ -662,13 +963,32 @@ class BackbeatAPI {
                 }
                 if (res !== null) {
                     shouldContinue = false;
-                    return this._redisClient.zrem(key, member, next);
+                    return this._deleteFailedMember(key, member, next);
                 }
                 return next();
             });
         }, () => (shouldContinue && i < keys.length), cb);
     }
 
+    /**
+     * Delete a member from a failed CRR sorted set, along with its entry in
+     * the matching object lock failures sorted set if any.
+     * @param {String} key - The failed CRR sorted set key
+     * @param {String} member - The sorted set member to delete
+     * @param {Function} cb - Callback to call
+     * @return {undefined}
+     */
+    _deleteFailedMember(key, member, cb) {
+        const { failedCRR, failedCRRObjectLock } = crrRedisKeys;
+        const objectLockKey =
+            key.replace(`${failedCRR}:`, `${failedCRRObjectLock}:`);
+        const cmds = [
+            ['zrem', key, member],
+            ['zrem', objectLockKey, member],
+        ];
+        return this._redisClient.batch(cmds, err => cb(err));
+    }
+
     /**
      * Delete a Redis key.
      * @param {String} key - The key to delete
@@ -720,7 +1040,7 @@ class BackbeatAPI {
                     // longer can consider it a failed operation. Delete the
                     // member used to monitor the failure.
                     if (key) {
-                        return this._redisClient.zrem(key, member, next);
+                        return this._deleteFailedMember(key, member, next);
                     }
                     // If it is a forced retry we do not remove the member.
                     return next();
@@ -752,7 +1072,8 @@ class BackbeatAPI {
                     // Delete the Redis member from the prior failure.
                     done => {
                         if (key) {
-                            return this._redisClient.zrem(key, member, done);
+                            return this._deleteFailedMember(key, member,
+                                                            done);
                         }
                         // If it is a forced retry we do not remove the member.
                         return done();
@@ -913,17 +1234,22 @@ class BackbeatAPI {
     }
 
     /**
-     * Retry all CRR operations that have failed.
+     * Retry all CRR operations that have failed. The request body is either
+     * the list of operations to retry, or filters matching the operations to
+     * retry, in which case the retry is done by a background job.
      * @param {Object} details - The route details
      * @param {String} body - The POST request body string
      * @param {Function} cb - The callback to call
      * @return {undefined}
      */
     retryFailedCRR(details, body, cb) {
-        const { error, reqBody } = this._parseRetryFailedCRR(body);
+        const { error, reqBody, filters } = this._parseRetryFailedCRR(body);
         if (error) {
             return cb(error);
         }
+        if (filters) {
+            return this._startFailedCRRRetryJob(filters, cb);
+        }
         const entries = [];
         return async.eachLimit(reqBody, 10, (o, next) => {
             const { Bucket, Key, VersionId, StorageClass, ForceRetry } = o;
@@ -1021,6 +1347,10 @@ class BackbeatAPI {
                 error: errors.MalformedPOSTRequest.customizeDescription(msg),
             };
         }
+        if (reqBody !== null && typeof reqBody === 'object' &&
+            !Array.isArray(reqBody)) {
+            return this._parseRetryFilters(reqBody);
+        }
         if (!Array.isArray(reqBody) || reqBody.length === 0) {
             return {
                 error: errors.MalformedPOSTRequest.customizeDescription(
@@ -1065,170 +1395,766 @@ class BackbeatAPI {
     }
 
     /**
-     * Pause operations for given site(s)
-     * @param {Object} details - The route details
-     * @param {String} body - The POST request body string
-     * @param {Function} cb - The callback to call
-     * @return {undefined}
-     */
-    pauseService(details, body, cb) {
-        const service = details.service;
-        let sites;
-        if (details.site === 'all') {
-            sites = details.extensions[service].filter(s => s !== 'all');
-        } else {
-            sites = [details.site];
-        }
-        sites.forEach(site => {
-            // TODO: assumption that site is available on processor side
-            const topic = service === 'crr' ?
-                this._crrTopic : this._ingestionTopic;
-            const channel = `${topic}-${site}`;
-            const message = JSON.stringify({ action: 'pauseService' });
-            this._redisPublisher.publish(channel, message);
-        });
-        this._logger.info(`${service} service paused for locations: ${sites}`);
-        return cb(null, {});
-    }
-
-    /**
-     * Validate that the POST request body has the necessary content
-     * @param {String} body - the POST request body string
-     * @return {Object} object containing an error and the request body
+     * Validate the filters of a retry job request.
+     * @param {Object} reqBody - The parsed POST request body
+     * @return {Object} - Object containing any error and the filters
      */
-    _parseScheduleResumeBody(body) {
+    _parseRetryFilters(reqBody) {
         const msg = 'The body of your POST request is not well-formed';
-        let reqBody;
-        const defaultRes = { hours: 6 };
-        if (!body) {
-            return defaultRes;
+        const { Site, Bucket, Prefix, StartTime, EndTime } = reqBody;
+        const stringProps = { Site, Bucket, Prefix };
+        const invalidProp = Object.keys(stringProps).find(prop =>
+            stringProps[prop] !== undefined &&
+            (typeof stringProps[prop] !== 'string' ||
+             stringProps[prop] === ''));
+        if (invalidProp) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: ${invalidProp} must be a non-empty string`),
+            };
         }
-        try {
-            reqBody = JSON.parse(body);
-            // default 6 hours if no body value sent by user
-            if (!reqBody.hours) {
-                return defaultRes;
-            }
-            if (reqBody.hours === '' || isNaN(reqBody.hours) ||
-                parseInt(reqBody.hours, 10) <= 0) {
-                return {
-                    error: errors.MalformedPOSTrequest.customizeDescription(
-                        `${msg}: hours must be an integer greater than 0`),
-                };
-            }
-            return { hours: parseInt(reqBody.hours, 10) };
-        } catch (e) {
+        if (Site !== undefined && !this._crrSites.includes(Site)) {
             return {
-                error: errors.MalformedPOSTRequest.customizeDescription(msg),
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: Site must be a replication site`),
+            };
+        }
+        const startTime = StartTime === undefined ?
+            undefined : new Date(StartTime).getTime();
+        const endTime = EndTime === undefined ?
+            undefined : new Date(EndTime).getTime();
+        if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: StartTime and EndTime must be valid dates`),
+            };
+        }
+        if (startTime !== undefined && endTime !== undefined &&
+            startTime > endTime) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: StartTime must not be after EndTime`),
             };
         }
+        return {
+            filters: {
+                sites: Site ? [Site] : this._crrSites,
+                bucket: Bucket,
+                prefix: Prefix,
+                startTime,
+                endTime,
+            },
+        };
     }
 
     /**
-     * Resume operations for given site(s)
-     * @param {Object} details - The route details
-     * @param {String} body - The POST request body string
+     * Get the Redis key holding the progress of a retry job.
+     * @param {String} jobId - The retry job ID
+     * @return {String} - The Redis key
+     */
+    _getRetryJobKey(jobId) {
+        return `${crrRedisKeys.failedCRRRetryJob}:${jobId}`;
+    }
+
+    /**
+     * Save the progress of a retry job in Redis, so that it can be polled
+     * from any API server.
+     * @param {Object} job - The retry job progress
      * @param {Function} cb - The callback to call
      * @return {undefined}
      */
-    resumeService(details, body, cb) {
-        const service = details.service;
-        let schedule;
-        let sites;
-        if (details.site === 'all') {
-            sites = details.extensions[service].filter(s => s !== 'all');
-        } else {
-            sites = [details.site];
-        }
-
-        if (typeof details.schedule === 'boolean') {
-            if (!details.schedule) {
-                // escalate error
-                this._logger.error('error scheduling resume, wrong route path');
-                return cb(errors.RouteNotFound);
-            }
-            // parse body and handle scheduling
-            const { error, hours } = this._parseScheduleResumeBody(body);
-            if (error) {
-                return cb(error);
+    _saveRetryJob(job, cb) {
+        const cmd = ['set', this._getRetryJobKey(job.JobId),
+            JSON.stringify(job), 'EX', RETRY_JOB_EXPIRY];
+        return this._redisClient.batch([cmd], (err, res) => {
+            const cmdErr = err || res[0][0];
+            if (cmdErr) {
+                this._logger.error('error saving retry job progress', {
+                    method: 'BackbeatAPI._saveRetryJob',
+                    jobId: job.JobId,
+                    error: cmdErr,
+                });
+                return cb(cmdErr);
             }
-            schedule = new Date();
-            schedule.setHours(schedule.getHours() + hours);
-        }
-
-        sites.forEach(site => {
-            const topic = service === 'crr' ?
-                this._crrTopic : this._ingestionTopic;
-            const channel = `${topic}-${site}`;
-            const message = JSON.stringify({
-                action: 'resumeService',
-                date: schedule,
-            });
-            this._redisPublisher.publish(channel, message);
+            return cb();
         });
-        if (schedule) {
-            this._logger.info(`${service} for locations ${sites} scheduled ` +
-                `to resume at a later time: ${schedule}`);
-        } else {
-            this._logger.info(`${service} resumed for locations ${sites}`);
-        }
-        return cb(null, {});
     }
 
     /**
-     * Remove scheduled resume for given site(s)
-     * @param {Object} details - The route details
-     * @param {Function} cb - The callback to call
+     * Start a background job retrying the failed CRR operations matching
+     * the given filters.
+     * @param {Object} filters - The filters returned by _parseRetryFilters
+     * @param {Function} cb - The callback to call with the job ID
      * @return {undefined}
      */
-    deleteScheduledResumeService(details, cb) {
-        const service = details.service;
-        let sites;
-        if (details.site === 'all') {
-            sites = details.extensions[service].filter(s => s !== 'all');
-        } else {
-            sites = [details.site];
-        }
-        sites.forEach(site => {
-            const topic = service === 'crr' ?
-                this._crrTopic : this._ingestionTopic;
-            const channel = `${topic}-${site}`;
-            const message = JSON.stringify({
-                action: 'deleteScheduledResumeService',
+    _startFailedCRRRetryJob(filters, cb) {
+        const job = {
+            JobId: uuid(),
+            Status: 'Running',
+            Filters: {
+                Sites: filters.sites,
+                Bucket: filters.bucket,
+                Prefix: filters.prefix,
+                StartTime: filters.startTime === undefined ? undefined :
+                    new Date(filters.startTime).toISOString(),
+                EndTime: filters.endTime === undefined ? undefined :
+                    new Date(filters.endTime).toISOString(),
+            },
+            CreatedAt: new Date().toISOString(),
+            Scanned: 0,
+            Matched: 0,
+            Queued: 0,
+        };
+        return this._saveRetryJob(job, err => {
+            if (err) {
+                return cb(errors.InternalError);
+            }
+            this._logger.info('started failed CRR retry job', {
+                method: 'BackbeatAPI._startFailedCRRRetryJob',
+                job,
             });
-            this._redisPublisher.publish(channel, message);
+            setImmediate(() => this._runFailedCRRRetryJob(job, filters));
+            return cb(null, { JobId: job.JobId });
         });
-        this._logger.info(`deleted scheduled resume for locations: ${sites}`);
-        return cb(null, {});
     }
 
     /**
-     * Helper method to get zookeeper state details for given site(s)
-     * @param {Object} details - The route details
-     * @param {Function} cb - callback(error, stateBySite)
+     * Re-queue a batch of failed CRR entries of a retry job, and save the
+     * job progress.
+     * @param {Object} job - The retry job progress
+     * @param {String} site - The site of the entries
+     * @param {String} key - The sorted set key holding the entries
+     * @param {Array} members - The sorted set members to retry
+     * @param {Function} cb - The callback to call
      * @return {undefined}
      */
-    _getZkStateNodeDetails(details, cb) {
-        const service = details.service;
-        let sites;
-        if (details.site === 'all') {
-            sites = details.extensions[service].filter(s => s !== 'all');
-        } else {
-            sites = [details.site];
-        }
-        const stateBySite = {};
-        async.each(sites, (site, next) => {
-            const zkNamespace = service === 'crr' ?
-                zookeeperReplicationNamespace : zookeeperIngestionNamespace;
-            const zkStatePath = service === 'crr' ?
-                zkReplicationStatePath : zkIngestionStatePath;
-            const path = `${zkNamespace}${zkStatePath}/${site}`;
-            this._zkClient.getData(path, (err, data) => {
+    _retryFailedCRRBatch(job, site, key, members, cb) {
+        const entries = [];
+        return async.eachLimit(members, 10, (member, next) => {
+            const entry = new ObjectFailureEntry(member, site);
+            const lockKey = `${entry.getBucket()}:${entry.getObjectKey()}:` +
+                `${entry.getEncodedVersionId()}:${site}:processingFailures`;
+            return this._applyRetryLockKey(lockKey, (err, lockApplied) => {
                 if (err) {
                     return next(err);
                 }
-                try {
-                    const d = JSON.parse(data.toString());
+                if (lockApplied) {
+                    entries.push({ key, member, StorageClass: site });
+                }
+                return next();
+            });
+        }, err => {
+            if (err) {
+                return cb(err);
+            }
+            return this._processFailedKafkaEntries(entries, (err, response) => {
+                if (err) {
+                    return cb(err);
+                }
+                // eslint-disable-next-line no-param-reassign
+                job.Queued += response.length;
+                return this._saveRetryJob(job, cb);
+            });
+        });
+    }
+
+    /**
+     * Walk the failed CRR sorted sets of the job sites, and re-queue the
+     * entries matching the job filters.
+     * @param {Object} job - The retry job progress
+     * @param {Object} filters - The filters returned by _parseRetryFilters
+     * @param {Function} [cb] - Optional callback called when the job is done
+     * @return {undefined}
+     */
+    _runFailedCRRRetryJob(job, filters, cb) {
+        const { bucket, prefix, startTime, endTime } = filters;
+        const min = startTime === undefined ? '-inf' : startTime;
+        const max = endTime === undefined ? '+inf' : endTime;
+        const isMatching = entry =>
+            (!bucket || entry.getBucket() === bucket) &&
+            (!prefix || entry.getObjectKey().startsWith(prefix));
+        /* eslint-disable no-param-reassign */
+        async.eachSeries(filters.sites, (site, nextSite) =>
+            async.eachSeries(this._getSortedSetKeys(site), (key, nextKey) =>
+                this._redisClient.zrangebyscore(key, min, max,
+                (err, members) => {
+                    if (err) {
+                        return nextKey(err);
+                    }
+                    const matching = members.filter(member =>
+                        isMatching(new ObjectFailureEntry(member, site)));
+                    job.Scanned += members.length;
+                    job.Matched += matching.length;
+                    const batches = [];
+                    for (let i = 0; i < matching.length;
+                         i += RETRY_JOB_BATCH_SIZE) {
+                        batches.push(
+                            matching.slice(i, i + RETRY_JOB_BATCH_SIZE));
+                    }
+                    return async.eachSeries(batches, (batch, done) =>
+                        this._retryFailedCRRBatch(job, site, key, batch, done),
+                        nextKey);
+                }), nextSite),
+        err => {
+            job.Status = err ? 'Failed' : 'Completed';
+            job.CompletedAt = new Date().toISOString();
+            if (err) {
+                job.Error = err.message || err.toString();
+                this._logger.error('failed CRR retry job failed', {
+                    method: 'BackbeatAPI._runFailedCRRRetryJob',
+                    job,
+                });
+            } else {
+                this._logger.info('failed CRR retry job completed', {
+                    method: 'BackbeatAPI._runFailedCRRRetryJob',
+                    job,
+                });
+            }
+            return this._saveRetryJob(job, () => {
+                if (cb) {
+                    return cb(err, job);
+                }
+                return undefined;
+            });
+        });
+        /* eslint-enable no-param-reassign */
+    }
+
+    /**
+     * Get the progress of a failed CRR retry job.
+     * @param {Object} details - The route details
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    getFailedCRRRetryJob(details, cb) {
+        const { jobId } = details;
+        return this._redisClient.batch([['get', this._getRetryJobKey(jobId)]],
+        (err, res) => {
+            const cmdErr = err || res[0][0];
+            if (cmdErr) {
+                this._logger.error('error getting retry job progress', {
+                    method: 'BackbeatAPI.getFailedCRRRetryJob',
+                    jobId,
+                    error: cmdErr,
+                });
+                return cb(errors.InternalError);
+            }
+            const job = res[0][1];
+            if (!job) {
+                return cb(errors.ObjNotFound.customizeDescription(
+                    `retry job ${jobId} does not exist`));
+            }
+            let jobProgress;
+            try {
+                jobProgress = JSON.parse(job);
+            } catch (parseErr) {
+                this._logger.error('error parsing retry job progress', {
+                    method: 'BackbeatAPI.getFailedCRRRetryJob',
+                    jobId,
+                    error: parseErr.message,
+                });
+                return cb(errors.InternalError);
+            }
+            return cb(null, jobProgress);
+        });
+    }
+
+    /**
+     * Validate the POST request body of a replication backfill job,
+     * either empty or an object with an optional Prefix.
+     * @param {String} body - The POST request body string
+     * @return {Object} - Object containing any error and the prefix
+     */
+    _parseReplicationBackfill(body) {
+        if (!body) {
+            return {};
+        }
+        const msg = 'The body of your POST request is not well-formed';
+        let reqBody;
+        try {
+            reqBody = JSON.parse(body);
+        } catch (e) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(msg),
+            };
+        }
+        if (typeof reqBody !== 'object' || reqBody === null ||
+            Array.isArray(reqBody)) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: body must be an object`),
+            };
+        }
+        const { Prefix } = reqBody;
+        if (Prefix !== undefined &&
+            (typeof Prefix !== 'string' || Prefix === '')) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: Prefix must be a non-empty string`),
+            };
+        }
+        return { prefix: Prefix };
+    }
+
+    /**
+     * Start a background job queueing for replication the existing
+     * versions of a bucket that were never replicated or failed to
+     * replicate, or resume the interrupted job of the bucket.
+     * @param {Object} details - The route details
+     * @param {String} details.bucket - The bucket name
+     * @param {String} body - The POST request body string
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    startReplicationBackfill(details, body, cb) {
+        const { error, prefix } = this._parseReplicationBackfill(body);
+        if (error) {
+            return cb(error);
+        }
+        return this._replicationBackfill.startJob(details.bucket, prefix, cb);
+    }
+
+    /**
+     * Get the progress of the replication backfill job of a bucket.
+     * @param {Object} details - The route details
+     * @param {String} details.bucket - The bucket name
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    getReplicationBackfill(details, cb) {
+        return this._replicationBackfill.getJob(details.bucket, cb);
+    }
+
+    /**
+     * Get the zookeeper path of the state of a queue populator log
+     * reader, or of the parent node of all log readers
+     * @param {String} [logId] - The log reader ID, e.g. "raft_1"
+     * @return {String} - The zookeeper path
+     */
+    _getLogStatePath(logId) {
+        const basePath = `${this._queuePopulator.zookeeperPath}/logState`;
+        return logId ? `${basePath}/${logId}` : basePath;
+    }
+
+    /**
+     * Check if the queue populator log offsets are sequence numbers, or
+     * opaque strings (mongo oplog or change streams)
+     * @return {Boolean} - true if log offsets are sequence numbers
+     */
+    _hasNumericLogOffsets() {
+        const { logSource } = this._queuePopulator;
+        return logSource !== 'mongo' && logSource !== 'mongoChangeStream';
+    }
+
+    /**
+     * Get the current log offset of a queue populator log reader, and
+     * the offset requested through the API that it has not applied yet
+     * @param {String} logId - The log reader ID
+     * @param {Function} cb - callback(error, logOffsetDetails)
+     * @return {undefined}
+     */
+    _getLogReaderOffset(logId, cb) {
+        const path = this._getLogStatePath(logId);
+        async.parallel([
+            done => this._zkClient.getData(`${path}/logOffset`, done),
+            done => this._zkClient.getData(`${path}/requestedLogOffset`,
+            (err, data) => {
+                if (err && err.name === 'NO_NODE') {
+                    return done(null, null);
+                }
+                return done(err, data);
+            }),
+        ], (err, results) => {
+            if (err && err.name === 'NO_NODE') {
+                return cb(errors.ObjNotFound.customizeDescription(
+                    `no log reader with ID ${logId}`));
+            }
+            if (err) {
+                this._logger.error('error getting log offset from zookeeper',
+                                   { logId, error: err.message });
+                return cb(errors.InternalError);
+            }
+            const [logOffsetData, requestData] = results;
+            const logOffset = logOffsetData && logOffsetData.length > 0 ?
+                logOffsetData.toString() : '1';
+            const details = {
+                LogId: logId,
+                LogOffset: this._hasNumericLogOffsets() ?
+                    Number.parseInt(logOffset, 10) : logOffset,
+            };
+            if (requestData) {
+                try {
+                    const request = JSON.parse(requestData.toString());
+                    if (request.logOffset !== undefined) {
+                        details.RequestedLogOffset = request.logOffset;
+                    } else {
+                        details.RequestedTimestamp = request.timestamp;
+                    }
+                } catch (e) {
+                    this._logger.error('invalid requested log offset',
+                                       { logId, error: e.message });
+                }
+            }
+            return cb(null, details);
+        });
+    }
+
+    /**
+     * Get the log offsets of the queue populator log readers
+     * @param {Object} details - The route details
+     * @param {String} [details.logId] - The log reader ID, all log
+     * readers if not set
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    getLogOffsets(details, cb) {
+        if (details.logId) {
+            return this._getLogReaderOffset(details.logId, cb);
+        }
+        const path = this._getLogStatePath();
+        return this._zkClient.getChildren(path, (err, logIds) => {
+            if (err && err.name === 'NO_NODE') {
+                return cb(null, []);
+            }
+            if (err) {
+                this._logger.error('error listing log readers in zookeeper',
+                                   { zkPath: path, error: err.message });
+                return cb(errors.InternalError);
+            }
+            return async.mapLimit(logIds.sort(), 10, (logId, done) =>
+                this._getLogReaderOffset(logId, (err, res) => {
+                    // the node of a new log reader may not be complete yet
+                    if (err && err.ObjNotFound) {
+                        return done(null, null);
+                    }
+                    return done(err, res);
+                }), (err, res) => {
+                if (err) {
+                    return cb(err);
+                }
+                return cb(null, res.filter(r => r !== null));
+            });
+        });
+    }
+
+    /**
+     * Validate the body of a log offset POST request, with either a
+     * LogOffset (a sequence number, or an offset previously returned by
+     * the API for mongo log sources) or a Timestamp (mongo log sources
+     * only)
+     * @param {String} body - The POST request body string
+     * @return {Object} - Object containing any error and the request to
+     * save for the log reader
+     */
+    _parseLogOffsetBody(body) {
+        const msg = 'The body of your POST request is not well-formed';
+        let reqBody;
+        try {
+            reqBody = JSON.parse(body);
+        } catch (e) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(msg),
+            };
+        }
+        if (typeof reqBody !== 'object' || reqBody === null ||
+            Array.isArray(reqBody) ||
+            (reqBody.LogOffset === undefined) ===
+            (reqBody.Timestamp === undefined)) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: body must be an object with either a ` +
+                    'LogOffset or a Timestamp'),
+            };
+        }
+        const { LogOffset, Timestamp } = reqBody;
+        if (Timestamp !== undefined) {
+            if (this._hasNumericLogOffsets()) {
+                return {
+                    error: errors.NotImplemented.customizeDescription(
+                        'log source does not support rewinding to a ' +
+                        'timestamp'),
+                };
+            }
+            const timestamp = new Date(Timestamp);
+            if (typeof Timestamp !== 'string' ||
+                Number.isNaN(timestamp.getTime())) {
+                return {
+                    error: errors.MalformedPOSTRequest.customizeDescription(
+                        `${msg}: Timestamp must be a date`),
+                };
+            }
+            return { request: { timestamp: timestamp.toISOString() } };
+        }
+        if (this._hasNumericLogOffsets()) {
+            if (!Number.isInteger(LogOffset) || LogOffset < 1) {
+                return {
+                    error: errors.MalformedPOSTRequest.customizeDescription(
+                        `${msg}: LogOffset must be an integer greater ` +
+                        'than 0'),
+                };
+            }
+        } else if (typeof LogOffset !== 'string' || LogOffset === '') {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: LogOffset must be a non-empty string`),
+            };
+        }
+        return { request: { logOffset: LogOffset } };
+    }
+
+    /**
+     * Set the log offset of a queue populator log reader to an earlier
+     * offset or point in time, to process the metadata log again from
+     * there. The new offset is applied by the log reader at the start of
+     * its next batch.
+     * @param {Object} details - The route details
+     * @param {String} details.logId - The log reader ID
+     * @param {String} body - The POST request body string
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    setLogOffset(details, body, cb) {
+        const { error, request } = this._parseLogOffsetBody(body);
+        if (error) {
+            return cb(error);
+        }
+        const { logId } = details;
+        return this._getLogReaderOffset(logId, (err, current) => {
+            if (err) {
+                return cb(err);
+            }
+            if (this._hasNumericLogOffsets() &&
+                request.logOffset > current.LogOffset) {
+                return cb(errors.InvalidArgument.customizeDescription(
+                    'LogOffset must not be greater than the current log ' +
+                    `offset ${current.LogOffset}`));
+            }
+            const path = `${this._getLogStatePath(logId)}/requestedLogOffset`;
+            return this._zkClient.setOrCreate(path,
+            Buffer.from(JSON.stringify(request)), err => {
+                if (err) {
+                    this._logger.error('error saving requested log offset', {
+                        zkPath: path,
+                        error: err.message,
+                    });
+                    return cb(errors.InternalError);
+                }
+                this._logger.info('requested new log offset',
+                                  { logId, request });
+                const res = {
+                    LogId: logId,
+                    LogOffset: current.LogOffset,
+                };
+                if (request.logOffset !== undefined) {
+                    res.RequestedLogOffset = request.logOffset;
+                } else {
+                    res.RequestedTimestamp = request.timestamp;
+                }
+                return cb(null, res);
+            });
+        });
+    }
+
+    /**
+     * Get the redis channel where pause and resume requests are
+     * published for a location of a service, or for a lifecycle or
+     * garbage collector service
+     * @param {String} service - service name, i.e. 'crr', 'ingestion',
+     *   'lifecycle' or 'gc'
+     * @param {String} site - location or service name
+     * @return {String} redis channel name
+     */
+    _getServiceStateChannel(service, site) {
+        if (service === 'lifecycle') {
+            return `${lifecycleServiceStateChannel}-${site}`;
+        }
+        if (service === 'gc') {
+            return `${gcServiceStateChannel}-${site}`;
+        }
+        const topic = service === 'crr' ?
+            this._crrTopic : this._ingestionTopic;
+        return `${topic}-${site}`;
+    }
+
+    /**
+     * Get the path of the zookeeper node holding the state of a
+     * location of a service, or of a lifecycle or garbage collector
+     * service
+     * @param {String} service - service name, i.e. 'crr', 'ingestion',
+     *   'lifecycle' or 'gc'
+     * @param {String} site - location or service name
+     * @return {String} zookeeper state node path
+     */
+    _getServiceStateZkPath(service, site) {
+        if (service === 'lifecycle') {
+            return `${this._lcConfig.zookeeperPath}${zkLifecycleStatePath}` +
+                `/${site}`;
+        }
+        if (service === 'gc') {
+            return `${zookeeperGCNamespace}${zkGCStatePath}/${site}`;
+        }
+        const zkNamespace = service === 'crr' ?
+            zookeeperReplicationNamespace : zookeeperIngestionNamespace;
+        const zkStatePath = service === 'crr' ?
+            zkReplicationStatePath : zkIngestionStatePath;
+        return `${zkNamespace}${zkStatePath}/${site}`;
+    }
+
+    /**
+     * Pause operations for given site(s)
+     * @param {Object} details - The route details
+     * @param {String} body - The POST request body string
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    pauseService(details, body, cb) {
+        const service = details.service;
+        let sites;
+        if (details.site === 'all') {
+            sites = details.extensions[service].filter(s => s !== 'all');
+        } else {
+            sites = [details.site];
+        }
+        sites.forEach(site => {
+            // TODO: assumption that site is available on processor side
+            const channel = this._getServiceStateChannel(service, site);
+            const message = JSON.stringify({ action: 'pauseService' });
+            this._redisPublisher.publish(channel, message);
+        });
+        this._logger.info(`${service} service paused for locations: ${sites}`);
+        return cb(null, {});
+    }
+
+    /**
+     * Validate that the POST request body has the necessary content
+     * @param {String} body - the POST request body string
+     * @return {Object} object containing an error and the request body
+     */
+    _parseScheduleResumeBody(body) {
+        const msg = 'The body of your POST request is not well-formed';
+        let reqBody;
+        const defaultRes = { hours: 6 };
+        if (!body) {
+            return defaultRes;
+        }
+        try {
+            reqBody = JSON.parse(body);
+            // default 6 hours if no body value sent by user
+            if (!reqBody.hours) {
+                return defaultRes;
+            }
+            if (reqBody.hours === '' || isNaN(reqBody.hours) ||
+                parseInt(reqBody.hours, 10) <= 0) {
+                return {
+                    error: errors.MalformedPOSTrequest.customizeDescription(
+                        `${msg}: hours must be an integer greater than 0`),
+                };
+            }
+            return { hours: parseInt(reqBody.hours, 10) };
+        } catch (e) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(msg),
+            };
+        }
+    }
+
+    /**
+     * Resume operations for given site(s)
+     * @param {Object} details - The route details
+     * @param {String} body - The POST request body string
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    resumeService(details, body, cb) {
+        const service = details.service;
+        let schedule;
+        let sites;
+        if (details.site === 'all') {
+            sites = details.extensions[service].filter(s => s !== 'all');
+        } else {
+            sites = [details.site];
+        }
+
+        if (typeof details.schedule === 'boolean') {
+            if (!details.schedule) {
+                // escalate error
+                this._logger.error('error scheduling resume, wrong route path');
+                return cb(errors.RouteNotFound);
+            }
+            // parse body and handle scheduling
+            const { error, hours } = this._parseScheduleResumeBody(body);
+            if (error) {
+                return cb(error);
+            }
+            schedule = new Date();
+            schedule.setHours(schedule.getHours() + hours);
+        }
+
+        sites.forEach(site => {
+            const channel = this._getServiceStateChannel(service, site);
+            const message = JSON.stringify({
+                action: 'resumeService',
+                date: schedule,
+            });
+            this._redisPublisher.publish(channel, message);
+        });
+        if (schedule) {
+            this._logger.info(`${service} for locations ${sites} scheduled ` +
+                `to resume at a later time: ${schedule}`);
+        } else {
+            this._logger.info(`${service} resumed for locations ${sites}`);
+        }
+        return cb(null, {});
+    }
+
+    /**
+     * Remove scheduled resume for given site(s)
+     * @param {Object} details - The route details
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    deleteScheduledResumeService(details, cb) {
+        const service = details.service;
+        let sites;
+        if (details.site === 'all') {
+            sites = details.extensions[service].filter(s => s !== 'all');
+        } else {
+            sites = [details.site];
+        }
+        sites.forEach(site => {
+            const channel = this._getServiceStateChannel(service, site);
+            const message = JSON.stringify({
+                action: 'deleteScheduledResumeService',
+            });
+            this._redisPublisher.publish(channel, message);
+        });
+        this._logger.info(`deleted scheduled resume for locations: ${sites}`);
+        return cb(null, {});
+    }
+
+    /**
+     * Helper method to get zookeeper state details for given site(s)
+     * @param {Object} details - The route details
+     * @param {Function} cb - callback(error, stateBySite)
+     * @return {undefined}
+     */
+    _getZkStateNodeDetails(details, cb) {
+        const service = details.service;
+        let sites;
+        if (details.site === 'all') {
+            sites = details.extensions[service].filter(s => s !== 'all');
+        } else {
+            sites = [details.site];
+        }
+        const stateBySite = {};
+        async.each(sites, (site, next) => {
+            const path = this._getServiceStateZkPath(service, site);
+            this._zkClient.getData(path, (err, data) => {
+                if (err) {
+                    return next(err);
+                }
+                try {
+                    const d = JSON.parse(data.toString());
                     stateBySite[site] = d;
                 } catch (e) {
                     return next(e);
@@ -1287,6 +2213,410 @@ class BackbeatAPI {
         });
     }
 
+    /**
+     * Validate the body of a bandwidth limit POST request
+     * @param {String} body - the POST request body string
+     * @return {Object} object containing an error or the limit in bytes
+     *   per second
+     */
+    _parseBandwidthLimitBody(body) {
+        const msg = 'The body of your POST request is not well-formed';
+        let reqBody;
+        try {
+            reqBody = JSON.parse(body);
+        } catch (e) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(msg),
+            };
+        }
+        const bytesPerSec = reqBody && reqBody.BytesPerSecond;
+        if (!Number.isInteger(bytesPerSec) || bytesPerSec < 0) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: BytesPerSecond must be an integer greater ` +
+                    'than or equal to 0'),
+            };
+        }
+        return { bytesPerSec };
+    }
+
+    /**
+     * Set the replication bandwidth limit for given site(s)
+     * @param {Object} details - The route details
+     * @param {String} body - The POST request body string
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    setBandwidthLimit(details, body, cb) {
+        const { error, bytesPerSec } = this._parseBandwidthLimitBody(body);
+        if (error) {
+            return cb(error);
+        }
+        let sites;
+        if (details.site === 'all') {
+            sites = details.extensions.crr.filter(s => s !== 'all');
+        } else {
+            sites = [details.site];
+        }
+        sites.forEach(site => {
+            const channel = `${this._crrTopic}-${site}`;
+            const message = JSON.stringify({
+                action: 'setBandwidthLimit',
+                bytesPerSec,
+            });
+            this._redisPublisher.publish(channel, message);
+        });
+        this._logger.info(`crr bandwidth limit set to ${bytesPerSec} bytes/s ` +
+            `for locations: ${sites}`);
+        return cb(null, {});
+    }
+
+    /**
+     * Get the replication bandwidth limit of given site(s)
+     * @param {Object} details - The route details
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    getBandwidthLimit(details, cb) {
+        this._getZkStateNodeDetails(details, (err, data) => {
+            if (err) {
+                return cb(err);
+            }
+            const configLimits =
+                  this._repConfig.queueProcessor.bandwidthLimits || {};
+            const limits = {};
+            Object.keys(data).forEach(site => {
+                let limit = data[site].bandwidthLimit;
+                if (limit === undefined) {
+                    limit = configLimits[site] || 0;
+                }
+                limits[site] = { BytesPerSecond: limit };
+            });
+            return cb(null, limits);
+        });
+    }
+
+    /**
+     * Format a dead-letter entry for API responses
+     * @param {DeadLetterEntry} entry - dead-letter entry
+     * @return {Object} formatted entry
+     */
+    _getDeadLetterResponseEntry(entry) {
+        const { partition, offset } = entry.getDeadLetterPosition();
+        return {
+            Partition: partition,
+            Offset: offset,
+            OriginalTopic: entry.getOriginalTopic(),
+            OriginalPartition: entry.getOriginalPartition(),
+            OriginalOffset: entry.getOriginalOffset(),
+            Key: entry.getKey(),
+            Value: entry.getValue(),
+            Error: entry.getError(),
+            Attempts: entry.getAttempts(),
+            FailedAt: new Date(entry.getFailedAt()).toISOString(),
+        };
+    }
+
+    /**
+     * List entries of a dead-letter topic partition
+     * @param {Object} details - The route details
+     * @param {String} details.topic - dead-letter topic
+     * @param {String} [details.partition] - topic partition, defaults
+     * to 0
+     * @param {String} [details.marker] - offset to start listing from,
+     * defaults to the oldest entry of the partition
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    getDeadLetterEntries(details, cb) {
+        const { topic } = details;
+        const partition = details.partition === undefined ? 0 :
+            Number.parseInt(details.partition, 10);
+        const fromOffset = details.marker === undefined ? undefined :
+            Number.parseInt(details.marker, 10);
+        return this._deadLetterReader.listEntries({
+            topic,
+            partition,
+            fromOffset,
+            maxEntries: DEAD_LETTER_LISTING_MAX,
+        }, (err, res) => {
+            if (err) {
+                this._logger.error('error listing dead-letter entries', {
+                    method: 'BackbeatAPI.getDeadLetterEntries',
+                    topic,
+                    partition,
+                    error: err.message,
+                });
+                return cb(errors.InternalError);
+            }
+            const response = {
+                IsTruncated: res.nextOffset !== undefined,
+                Entries: res.entries.map(entry =>
+                    this._getDeadLetterResponseEntry(entry)),
+            };
+            if (response.IsTruncated) {
+                response.NextMarker = res.nextOffset;
+            }
+            return cb(null, response);
+        });
+    }
+
+    /**
+     * Replay entries of a dead-letter topic by publishing them again
+     * to their original topic
+     * @param {Object} details - The route details
+     * @param {String} details.topic - dead-letter topic
+     * @param {String} body - The POST request body string, as an array
+     * of { Partition, Offset } objects locating the entries in the
+     * dead-letter topic
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    replayDeadLetterEntries(details, body, cb) {
+        const { error, reqBody } = this._parseReplayDeadLetterEntries(body);
+        if (error) {
+            return cb(error);
+        }
+        const { topic } = details;
+        const positions = reqBody.map(o => ({
+            partition: o.Partition,
+            offset: o.Offset,
+        }));
+        return this._deadLetterReader.getEntries(topic, positions,
+        (err, entries) => {
+            if (err) {
+                this._logger.error('error reading dead-letter entries', {
+                    method: 'BackbeatAPI.replayDeadLetterEntries',
+                    topic,
+                    error: err.message,
+                });
+                return cb(errors.InternalError);
+            }
+            const response = { Replayed: [], NotFound: [] };
+            return async.eachOfSeries(entries, (entry, i, next) => {
+                if (!entry) {
+                    response.NotFound.push(reqBody[i]);
+                    return process.nextTick(next);
+                }
+                return this._replayProducer.sendToTopic(
+                    entry.getOriginalTopic(), [entry.toKafkaEntry()], err => {
+                        if (err) {
+                            return next(err);
+                        }
+                        this._logger.info('replayed dead-letter entry',
+                            Object.assign({ deadLetterTopic: topic },
+                                          entry.getLogInfo()));
+                        response.Replayed.push(
+                            this._getDeadLetterResponseEntry(entry));
+                        return next();
+                    });
+            }, err => {
+                if (err) {
+                    this._logger.error('error replaying dead-letter entries', {
+                        method: 'BackbeatAPI.replayDeadLetterEntries',
+                        topic,
+                        error: err.message,
+                    });
+                    return cb(errors.InternalError);
+                }
+                return cb(null, response);
+            });
+        });
+    }
+
+    /**
+     * Validate that the POST request body of a dead-letter replay has
+     * the necessary content.
+     * @param {String} body - The POST request body string
+     * @return {Object} - Object containing any error and the request body
+     */
+    _parseReplayDeadLetterEntries(body) {
+        const msg = 'The body of your POST request is not well-formed';
+        let reqBody;
+        try {
+            reqBody = JSON.parse(body);
+        } catch (e) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(msg),
+            };
+        }
+        if (!Array.isArray(reqBody) || reqBody.length === 0) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: body must be a non-empty array`),
+            };
+        }
+        const invalid = reqBody.find(o => typeof o !== 'object' || o === null
+            || !Number.isInteger(o.Partition) || o.Partition < 0
+            || !Number.isInteger(o.Offset) || o.Offset < 0);
+        if (invalid !== undefined) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: Partition and Offset must be non-negative ` +
+                    'integers'),
+            };
+        }
+        return { reqBody };
+    }
+
+    /**
+     * Validate that the POST request body of a lifecycle simulation is
+     * either empty or a lifecycle configuration, and convert dates of
+     * the rules to Date objects as returned by AWS SDK.
+     * @param {String} body - The POST request body string
+     * @return {Object} - Object containing any error and the candidate
+     * rules (undefined if the bucket configuration should be used)
+     */
+    _parseSimulateLifecycle(body) {
+        if (!body) {
+            return {};
+        }
+        const msg = 'The body of your POST request is not well-formed';
+        let reqBody;
+        try {
+            reqBody = JSON.parse(body);
+        } catch (e) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(msg),
+            };
+        }
+        if (typeof reqBody !== 'object' || reqBody === null ||
+            !Array.isArray(reqBody.Rules) || reqBody.Rules.length === 0) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: Rules must be a non-empty array`),
+            };
+        }
+        const invalidRule = reqBody.Rules.find(rule =>
+            typeof rule !== 'object' || rule === null ||
+            typeof rule.ID !== 'string' ||
+            !['Enabled', 'Disabled'].includes(rule.Status));
+        if (invalidRule !== undefined) {
+            return {
+                error: errors.MalformedPOSTRequest.customizeDescription(
+                    `${msg}: each rule must have an ID and a Status of ` +
+                    'Enabled or Disabled'),
+            };
+        }
+        const rules = reqBody.Rules.map(rule => {
+            const parsedRule = Object.assign({}, rule);
+            if (rule.Expiration && rule.Expiration.Date) {
+                parsedRule.Expiration = Object.assign({}, rule.Expiration, {
+                    Date: new Date(rule.Expiration.Date),
+                });
+            }
+            if (Array.isArray(rule.Transitions)) {
+                parsedRule.Transitions = rule.Transitions.map(t => (
+                    t.Date ? Object.assign({}, t, { Date: new Date(t.Date) }) :
+                        t));
+            }
+            return parsedRule;
+        });
+        return { rules };
+    }
+
+    /**
+     * Get an S3 client with the lifecycle service credentials
+     * @return {AWS.S3|null} The S3 client instance, or null if the
+     * configured lifecycle authentication type is not supported
+     */
+    _getLifecycleS3Client() {
+        const credentials = getAccountCredentials(this._lcConfig.auth,
+                                                  this._logger);
+        if (!credentials) {
+            return null;
+        }
+        const { s3, transport } = this._config;
+        return new AWS.S3({
+            endpoint: `${transport}://${s3.host}:${s3.port}`,
+            credentials,
+            sslEnabled: transport === 'https',
+            s3ForcePathStyle: true,
+            signatureVersion: 'v4',
+            httpOptions: {
+                agent: new http.Agent({ keepAlive: true }),
+                timeout: 0,
+            },
+            maxRetries: 0,
+        });
+    }
+
+    /**
+     * Simulate lifecycle processing of a bucket, with either the bucket
+     * lifecycle configuration or a candidate one, without performing any
+     * action
+     * @param {Object} details - The route details
+     * @param {String} details.bucket - The bucket name
+     * @param {String} body - The POST request body string, either empty
+     * or a lifecycle configuration ({ "Rules": [...] } in AWS SDK format)
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    simulateLifecycle(details, body, cb) {
+        const { error, rules } = this._parseSimulateLifecycle(body);
+        if (error) {
+            return cb(error);
+        }
+        const { bucket } = details;
+        const s3 = this._getLifecycleS3Client();
+        if (!s3) {
+            return cb(errors.NotImplemented.customizeDescription(
+                'lifecycle simulation is not supported with ' +
+                `"${this._lcConfig.auth.type}" authentication`));
+        }
+        return async.waterfall([
+            next => {
+                if (rules) {
+                    return process.nextTick(() => next(null, rules));
+                }
+                return s3.getBucketLifecycleConfiguration({ Bucket: bucket },
+                    (err, data) => next(err, data && data.Rules));
+            },
+            (bucketLCRules, next) => {
+                const task = new LifecycleDryRunTask({
+                    enabledRules: this._lcConfig.rules,
+                    log: this._logger,
+                });
+                const bucketData = {
+                    action: 'processObjects',
+                    target: { bucket },
+                    details: {},
+                };
+                return task.simulate(bucketLCRules, bucketData, s3, next);
+            },
+        ], (err, report) => {
+            if (err) {
+                this._logger.error('error simulating bucket lifecycle', {
+                    method: 'BackbeatAPI.simulateLifecycle',
+                    bucket,
+                    error: err.message,
+                });
+                if (err.statusCode === 404) {
+                    return cb(errors[err.code] || errors.NoSuchBucket);
+                }
+                return cb(errors.InternalError);
+            }
+            return cb(null, Object.assign({ Bucket: bucket }, report));
+        });
+    }
+
+    /**
+     * Get the status of the last lifecycle runs of a bucket
+     * @param {Object} details - The route details
+     * @param {String} details.bucket - The bucket name
+     * @param {Function} cb - The callback to call
+     * @return {undefined}
+     */
+    getLifecycleStatus(details, cb) {
+        const { bucket } = details;
+        return this._lcRunStatus.getRuns(bucket, (err, runs) => {
+            if (err) {
+                return cb(errors.InternalError);
+            }
+            return cb(null, { Bucket: bucket, Runs: runs });
+        });
+    }
+
     /**
      * Setup internals
      * @param {function} cb - callback(error)
@@ -1316,6 +2646,20 @@ class BackbeatAPI {
                 this._crrStatusProducer = producer;
                 return done();
             }),
+            done => {
+                if (this._deadLetterTopics.length === 0) {
+                    return process.nextTick(done);
+                }
+                // no default topic: replayed dead-letter entries are
+                // sent back to their original topic
+                return this._setProducer(undefined, (err, producer) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    this._replayProducer = producer;
+                    return done();
+                });
+            },
         ], err => {
             if (err) {
                 this._logger.error('error setting up internal clients');
@@ -1324,6 +2668,12 @@ class BackbeatAPI {
             this._healthcheck = new Healthcheck(this._repConfig, this._zkClient,
                 this._crrProducer, this._crrStatusProducer,
                 this._metricProducer);
+            this._replicationBackfill = new ReplicationBackfill({
+                repConfig: this._repConfig,
+                zkClient: this._zkClient,
+                logger: this._logger,
+                internalHttpsConfig: this._config.internalHttps,
+            });
             this._logger.info('BackbeatAPI setup ready');
             return cb();
         });
@@ -1331,7 +2681,7 @@ class BackbeatAPI {
 
     _setProducer(topic, cb) {
         const producer = new BackbeatProducer({
-            kafka: { hosts: this._kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this._kafkaConfig),
             topic,
         });
 
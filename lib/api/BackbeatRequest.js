@@ -35,14 +35,16 @@ class BackbeatRequest {
     }
 
     /**
-     * Parse the route details for any of the crr routes (retry, pause, resume).
+     * Parse the route details for any of the crr routes (retry, pause, resume,
+     * object status).
      * @param {Array} parts - The route schema split by '/'
      * @param {String} query - The query string.
      * @return {undefined}
      */
     _parseCRRRoutes(parts, query) {
-        if (parts[1] && parts[1] === 'failed') {
-            const { versionId, marker, sitename } = querystring.parse(query);
+        if (parts[1] && (parts[1] === 'failed' || parts[1] === 'object')) {
+            const { versionId, marker, sitename, failureType } =
+                querystring.parse(query);
             this._routeDetails.extension = parts[0];
             this._routeDetails.status = parts[1];
             this._routeDetails.bucket = parts[2];
@@ -50,6 +52,15 @@ class BackbeatRequest {
             this._routeDetails.versionId = versionId;
             this._routeDetails.marker = marker;
             this._routeDetails.sitename = sitename;
+            this._routeDetails.failureType = failureType;
+        } else if (parts[1] === 'retry') {
+            this._routeDetails.extension = parts[0];
+            this._routeDetails.status = parts[1];
+            this._routeDetails.jobId = parts[2];
+        } else if (parts[1] === 'backfill') {
+            this._routeDetails.extension = parts[0];
+            this._routeDetails.status = parts[1];
+            this._routeDetails.bucket = parts[2];
         } else {
             // for now: pause/resume/status
             this._routeDetails.extension = parts[0];
@@ -102,6 +113,65 @@ class BackbeatRequest {
         this._routeDetails.type = parts[1];
     }
 
+    /**
+     * Parse the route details for any of the lifecycle routes (simulate,
+     * status, pause, resume)
+     * @param {Array} parts - route schema split by '/'
+     * @return {undefined}
+     */
+    _parseLifecycleRoutes(parts) {
+        if (parts[1] === 'pause' || parts[1] === 'resume') {
+            this._parseServiceStateRoutes(parts);
+            return;
+        }
+        this._routeDetails.extension = parts[0];
+        this._routeDetails.status = parts[1];
+        this._routeDetails.bucket = parts[2];
+    }
+
+    /**
+     * Parse the route details for any of the routes pausing or resuming
+     * services (lifecycle, garbage collector) or giving their status
+     * @param {Array} parts - route schema split by '/'
+     * @return {undefined}
+     */
+    _parseServiceStateRoutes(parts) {
+        this._routeDetails.extension = parts[0];
+        this._routeDetails.status = parts[1];
+        this._routeDetails.site = parts[2] || 'all';
+        if (parts[3]) {
+            this._routeDetails.schedule = parts[3] === 'schedule';
+        }
+    }
+
+    /**
+     * Parse the route details for any of the dead-letter routes (list,
+     * replay)
+     * @param {Array} parts - route schema split by '/'
+     * @param {String} query - The query string.
+     * @return {undefined}
+     */
+    _parseDeadLetterRoutes(parts, query) {
+        const { partition, marker } = querystring.parse(query);
+        this._routeDetails.extension = parts[0];
+        this._routeDetails.topic = parts[1];
+        this._routeDetails.type = parts[2] || 'list';
+        this._routeDetails.partition = partition;
+        this._routeDetails.marker = marker;
+    }
+
+    /**
+     * Parse the route details for any of the queue populator routes (log
+     * offsets)
+     * @param {Array} parts - route schema split by '/'
+     * @return {undefined}
+     */
+    _parseQueuePopulatorRoutes(parts) {
+        this._routeDetails.extension = parts[0];
+        this._routeDetails.status = parts[1];
+        this._routeDetails.logId = parts[2];
+    }
+
     /**
      * Parse a route and store to this._routeDetails
      * A route will have certain a specific structure following:
@@ -122,6 +192,14 @@ class BackbeatRequest {
             this._parseMonitoringRoutes(parts);
         } else if (parts[0] === 'ingestion') {
             this._parseIngestionRoutes(parts);
+        } else if (parts[0] === 'lifecycle') {
+            this._parseLifecycleRoutes(parts);
+        } else if (parts[0] === 'gc') {
+            this._parseServiceStateRoutes(parts);
+        } else if (parts[0] === 'deadletter') {
+            this._parseDeadLetterRoutes(parts, query);
+        } else if (parts[0] === 'queuepopulator') {
+            this._parseQueuePopulatorRoutes(parts);
         }
         return;
     }
@@ -0,0 +1,206 @@
+'use strict'; // eslint-disable-line strict
+
+const async = require('async');
+const kafka = require('node-rdkafka');
+const uuid = require('uuid/v4');
+
+const DeadLetterEntry = require('../models/DeadLetterEntry');
+const { LocalConsumer, getQueueBackend } = require('../localQueue');
+const { withTopicPrefix } = require('../util/topic');
+
+// max number of consume() calls returning no message before giving up
+// on reaching the requested offsets
+const MAX_EMPTY_FETCHES = 5;
+const KAFKA_TIMEOUT = 10000;
+
+/**
+ * Class reading entries from dead-letter topics, without committing
+ * any consumer group offset
+ *
+ * @class
+ */
+class DeadLetterReader {
+    /**
+     * @constructor
+     * @param {object} kafkaConfig - kafka configuration
+     * @param {string} kafkaConfig.hosts - kafka hosts list
+     * as "host:port[,host:port...]"
+     * @param {werelogs.Logger} logger - Logger object
+     */
+    constructor(kafkaConfig, logger) {
+        this._kafkaConfig = kafkaConfig;
+        this._kafkaHosts = kafkaConfig.hosts;
+        this._logger = logger;
+    }
+
+    /**
+     * Run a function with a temporary connected kafka consumer, then
+     * disconnect it
+     *
+     * @param {function} fn - function(consumer, done) to run
+     * @param {function} cb - callback: cb(err, result) with result
+     * passed to done() by fn
+     * @return {undefined}
+     */
+    _withConsumer(fn, cb) {
+        const consumerParams = {
+            'metadata.broker.list': this._kafkaHosts,
+            // not used for committing offsets, but mandatory
+            'group.id': `backbeat-deadletter-reader-${uuid()}`,
+            'enable.auto.commit': false,
+        };
+        const { backend, localQueue } = getQueueBackend(this._kafkaConfig);
+        const consumer = backend === 'local' ?
+              new LocalConsumer(consumerParams, {}, localQueue) :
+              new kafka.KafkaConsumer(consumerParams, {});
+        consumer.connect({ timeout: KAFKA_TIMEOUT }, err => {
+            if (err) {
+                this._logger.error('error connecting dead-letter reader', {
+                    method: 'DeadLetterReader._withConsumer',
+                    error: err.message,
+                });
+                return cb(err);
+            }
+            return fn(consumer, (err, result) => {
+                consumer.disconnect(() => cb(err, result));
+            });
+        });
+    }
+
+    /**
+     * Read consecutive entries from a dead-letter topic partition
+     *
+     * @param {object} consumer - connected node-rdkafka consumer
+     * @param {object} params - params object
+     * @param {string} params.topic - dead-letter topic (with prefix)
+     * @param {number} params.partition - topic partition
+     * @param {number} [params.fromOffset] - first offset to read,
+     * defaults to the oldest available offset
+     * @param {number} params.maxEntries - max number of entries to read
+     * @param {function} cb - callback: cb(err, { entries, nextOffset })
+     * where nextOffset is the offset to read next if more entries are
+     * available
+     * @return {undefined}
+     */
+    _readEntries(consumer, params, cb) {
+        const { topic, partition, fromOffset, maxEntries } = params;
+        consumer.queryWatermarkOffsets(
+            topic, partition, KAFKA_TIMEOUT, (err, offsets) => {
+                if (err) {
+                    return cb(err);
+                }
+                const startOffset = fromOffset === undefined ?
+                      offsets.lowOffset :
+                      Math.max(fromOffset, offsets.lowOffset);
+                const endOffset = Math.min(offsets.highOffset,
+                                           startOffset + maxEntries);
+                if (startOffset >= endOffset) {
+                    return cb(null, { entries: [] });
+                }
+                consumer.assign([{ topic, partition, offset: startOffset }]);
+                const entries = [];
+                let nextOffset = startOffset;
+                let emptyFetches = 0;
+                return async.doWhilst(
+                    done => consumer.consume(
+                        endOffset - nextOffset, (err, messages) => {
+                            if (err) {
+                                return done(err);
+                            }
+                            if (messages.length === 0) {
+                                emptyFetches += 1;
+                            }
+                            messages.forEach(message => {
+                                if (message.offset < nextOffset ||
+                                    message.offset >= endOffset) {
+                                    return;
+                                }
+                                nextOffset = message.offset + 1;
+                                const entry = DeadLetterEntry
+                                      .createFromKafkaEntry(message);
+                                if (entry.error) {
+                                    this._logger.warn(
+                                        'skipping malformed dead-letter entry',
+                                        { topic, partition,
+                                          offset: message.offset,
+                                          error: entry.error });
+                                    return;
+                                }
+                                entries.push(entry);
+                            });
+                            return done();
+                        }),
+                    () => (nextOffset < endOffset &&
+                           emptyFetches < MAX_EMPTY_FETCHES),
+                    err => {
+                        consumer.unassign();
+                        if (err) {
+                            return cb(err);
+                        }
+                        return cb(null, {
+                            entries,
+                            nextOffset: nextOffset < offsets.highOffset ?
+                                nextOffset : undefined,
+                        });
+                    });
+            });
+    }
+
+    /**
+     * List entries from a dead-letter topic partition
+     *
+     * @param {object} params - params object
+     * @param {string} params.topic - dead-letter topic (without prefix)
+     * @param {number} params.partition - topic partition
+     * @param {number} [params.fromOffset] - first offset to list,
+     * defaults to the oldest available offset
+     * @param {number} params.maxEntries - max number of entries to list
+     * @param {function} cb - callback: cb(err, { entries, nextOffset })
+     * where entries are DeadLetterEntry instances (malformed entries
+     * are skipped)
+     * @return {undefined}
+     */
+    listEntries(params, cb) {
+        const readParams = Object.assign({}, params, {
+            topic: withTopicPrefix(params.topic),
+        });
+        this._withConsumer((consumer, done) =>
+            this._readEntries(consumer, readParams, done), cb);
+    }
+
+    /**
+     * Get specific entries from a dead-letter topic
+     *
+     * @param {string} topic - dead-letter topic (without prefix)
+     * @param {object[]} positions - list of { partition, offset }
+     * objects
+     * @param {function} cb - callback: cb(err, entries) where entries
+     * follow the order of positions, and are undefined if the
+     * position does not exist (anymore) in the topic
+     * @return {undefined}
+     */
+    getEntries(topic, positions, cb) {
+        const readParams = {
+            topic: withTopicPrefix(topic),
+            maxEntries: 1,
+        };
+        this._withConsumer((consumer, done) => async.mapSeries(
+            positions, (position, next) => this._readEntries(
+                consumer, Object.assign({
+                    partition: position.partition,
+                    fromOffset: position.offset,
+                }, readParams), (err, res) => {
+                    if (err) {
+                        return next(err);
+                    }
+                    const entry = res.entries[0];
+                    if (!entry || entry.getDeadLetterPosition()
+                        .offset !== position.offset) {
+                        return next();
+                    }
+                    return next(null, entry);
+                }), done), cb);
+    }
+}
+
+module.exports = DeadLetterReader;
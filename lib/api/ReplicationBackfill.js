@@ -0,0 +1,441 @@
+'use strict'; // eslint-disable-line strict
+
+const async = require('async');
+const AWS = require('aws-sdk');
+const http = require('http');
+const https = require('https');
+
+const { errors } = require('arsenal');
+
+const BackbeatMetadataProxy = require('../BackbeatMetadataProxy');
+const ObjectQueueEntry = require('../models/ObjectQueueEntry');
+const { getAccountCredentials } =
+    require('../credentials/AccountCredentials');
+const {
+    zookeeperNamespace,
+    zkBackfillPath,
+} = require('../../extensions/replication/constants');
+const {
+    normalizeS3Config,
+    getMatchingRule,
+    getReplicationInfo,
+} = require('../../extensions/replication/utils/replicationRules');
+
+// number of versions listed per page, a checkpoint is saved after
+// each page
+const LISTING_PAGE_SIZE = 1000;
+// number of versions processed in parallel
+const VERSION_CONCURRENCY = 10;
+// a running job not updated for this long is considered interrupted
+// and can be resumed
+const JOB_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * Class running replication backfill jobs, which set a PENDING
+ * replication status on the existing versions of a bucket that were
+ * never replicated or failed to replicate, so that they get queued for
+ * replication by the queue populator like new writes.
+ *
+ * The progress of each job is saved in Zookeeper along with a listing
+ * checkpoint, so that an interrupted job can be resumed.
+ *
+ * @class
+ */
+class ReplicationBackfill {
+    /**
+     * @constructor
+     * @param {object} params - constructor params
+     * @param {object} params.repConfig - replication extension config
+     * @param {node-zookeeper-client.Client} params.zkClient - zookeeper
+     * client
+     * @param {werelogs.Logger} params.logger - Logger object
+     * @param {object} [params.internalHttpsConfig] - internal source
+     * HTTPS configuration, used with the https source transport
+     * @param {String} [params.internalHttpsConfig.key] - client private key
+     * @param {String} [params.internalHttpsConfig.cert] - client certificate
+     * @param {String} [params.internalHttpsConfig.ca] - alternate CA bundle
+     */
+    constructor(params) {
+        this._repConfig = params.repConfig;
+        this._zkClient = params.zkClient;
+        this._logger = params.logger;
+        // buckets of the jobs running in this process
+        this._activeJobs = new Set();
+
+        const { transport, s3, auth } = this._repConfig.source;
+        this._s3Endpoint = `${transport}://${s3.host}:${s3.port}`;
+        if (transport === 'https') {
+            const internalHttpsConfig = params.internalHttpsConfig || {};
+            this._httpAgent = new https.Agent({
+                key: internalHttpsConfig.key,
+                cert: internalHttpsConfig.cert,
+                ca: internalHttpsConfig.ca,
+                keepAlive: true,
+            });
+        } else {
+            this._httpAgent = new http.Agent({ keepAlive: true });
+        }
+        this._metadataProxy = new BackbeatMetadataProxy(
+            this._s3Endpoint, auth, this._httpAgent);
+    }
+
+    _getJobPath(bucket) {
+        return `${zookeeperNamespace}${zkBackfillPath}/${bucket}`;
+    }
+
+    /**
+     * Get an S3 client of the replication source, with the replication
+     * service account credentials
+     * @return {AWS.S3|null} S3 client, or null if the replication
+     * source authentication is not account-based
+     */
+    _getS3Client() {
+        const credentials = getAccountCredentials(this._repConfig.source.auth,
+                                                  this._logger);
+        if (!credentials) {
+            return null;
+        }
+        return new AWS.S3({
+            endpoint: this._s3Endpoint,
+            credentials,
+            sslEnabled: this._s3Endpoint.startsWith('https:'),
+            s3ForcePathStyle: true,
+            signatureVersion: 'v4',
+            httpOptions: { agent: this._httpAgent, timeout: 0 },
+            maxRetries: 0,
+        });
+    }
+
+    /**
+     * Load the progress of the backfill job of a bucket from Zookeeper
+     * @param {String} bucket - bucket name
+     * @param {Function} cb - callback(err, job) with job undefined if
+     * there is no job for the bucket
+     * @return {undefined}
+     */
+    _loadJob(bucket, cb) {
+        const path = this._getJobPath(bucket);
+        return this._zkClient.getData(path, (err, data) => {
+            if (err && err.name === 'NO_NODE') {
+                return cb();
+            }
+            if (err) {
+                this._logger.error('could not get backfill job progress', {
+                    method: 'ReplicationBackfill._loadJob',
+                    zkPath: path,
+                    error: err.message,
+                });
+                return cb(errors.InternalError);
+            }
+            try {
+                return cb(null, JSON.parse(data.toString()));
+            } catch (e) {
+                this._logger.error('invalid backfill job progress', {
+                    method: 'ReplicationBackfill._loadJob',
+                    zkPath: path,
+                    error: e.message,
+                });
+                return cb(errors.InternalError);
+            }
+        });
+    }
+
+    _saveJob(job, cb) {
+        const path = this._getJobPath(job.Bucket);
+        // eslint-disable-next-line no-param-reassign
+        job.UpdatedAt = new Date().toISOString();
+        return this._zkClient.setOrCreate(
+            path, Buffer.from(JSON.stringify(job)), err => {
+                if (err) {
+                    this._logger.error('could not save backfill job ' +
+                    'progress', {
+                        method: 'ReplicationBackfill._saveJob',
+                        zkPath: path,
+                        error: err.message,
+                    });
+                    return cb(errors.InternalError);
+                }
+                return cb();
+            });
+    }
+
+    /**
+     * Get the replication configuration of a bucket
+     * @param {AWS.S3} s3 - S3 client
+     * @param {String} bucket - bucket name
+     * @param {Function} cb - callback(err, replicationConfiguration)
+     * @return {undefined}
+     */
+    _getReplicationConfiguration(s3, bucket, cb) {
+        return s3.getBucketReplication({ Bucket: bucket }, (err, data) => {
+            if (err) {
+                this._logger.error('could not get bucket replication ' +
+                'configuration', {
+                    method: 'ReplicationBackfill._getReplicationConfiguration',
+                    bucket,
+                    error: err.message,
+                });
+                if (err.statusCode === 404) {
+                    return cb(errors[err.code] || errors.NoSuchBucket);
+                }
+                return cb(errors.InternalError);
+            }
+            return cb(null, data.ReplicationConfiguration);
+        });
+    }
+
+    /**
+     * Start a backfill job for a bucket, or resume the interrupted job
+     * of the bucket if it has the same prefix
+     * @param {String} bucket - bucket name
+     * @param {String} [prefix] - only backfill keys with this prefix
+     * @param {Function} cb - callback(err, job)
+     * @return {undefined}
+     */
+    startJob(bucket, prefix, cb) {
+        if (this._activeJobs.has(bucket)) {
+            return process.nextTick(() => cb(errors.OperationAborted
+                .customizeDescription('a backfill job is already running ' +
+                                      `for bucket ${bucket}`)));
+        }
+        const s3 = this._getS3Client();
+        if (!s3) {
+            return process.nextTick(() => cb(errors.NotImplemented
+                .customizeDescription('replication backfill is not ' +
+                'supported with ' +
+                `"${this._repConfig.source.auth.type}" authentication`)));
+        }
+        return async.waterfall([
+            next => this._getReplicationConfiguration(s3, bucket, next),
+            (repConfig, next) => this._loadJob(bucket,
+                (err, prevJob) => next(err, repConfig, prevJob)),
+        ], (err, repConfig, prevJob) => {
+            if (err) {
+                return cb(err);
+            }
+            if (prevJob && prevJob.Status === 'Running' &&
+                Date.now() - new Date(prevJob.UpdatedAt).getTime() <
+                JOB_STALE_MS) {
+                return cb(errors.OperationAborted.customizeDescription(
+                    `a backfill job is already running for bucket ${bucket}`));
+            }
+            let job;
+            if (prevJob && prevJob.Status !== 'Completed' &&
+                prevJob.Prefix === prefix) {
+                job = Object.assign(prevJob, {
+                    Status: 'Running',
+                    ResumedAt: new Date().toISOString(),
+                });
+                delete job.Error;
+            } else {
+                job = {
+                    Bucket: bucket,
+                    Prefix: prefix,
+                    Status: 'Running',
+                    CreatedAt: new Date().toISOString(),
+                    Listed: 0,
+                    Queued: 0,
+                    Skipped: 0,
+                    SkippedNullVersions: 0,
+                    Failed: 0,
+                    Checkpoint: null,
+                };
+            }
+            if (this._activeJobs.has(bucket)) {
+                return cb(errors.OperationAborted.customizeDescription(
+                    `a backfill job is already running for bucket ${bucket}`));
+            }
+            this._activeJobs.add(bucket);
+            return this._saveJob(job, err => {
+                if (err) {
+                    this._activeJobs.delete(bucket);
+                    return cb(err);
+                }
+                this._logger.info('started replication backfill job',
+                    { method: 'ReplicationBackfill.startJob', job });
+                setImmediate(() => this._runJob(job, s3, repConfig));
+                return cb(null, job);
+            });
+        });
+    }
+
+    /**
+     * Get the progress of the backfill job of a bucket
+     * @param {String} bucket - bucket name
+     * @param {Function} cb - callback(err, job)
+     * @return {undefined}
+     */
+    getJob(bucket, cb) {
+        return this._loadJob(bucket, (err, job) => {
+            if (err) {
+                return cb(err);
+            }
+            if (!job) {
+                return cb(errors.ObjNotFound.customizeDescription(
+                    `no backfill job for bucket ${bucket}`));
+            }
+            return cb(null, job);
+        });
+    }
+
+    /**
+     * Set a PENDING replication status on a version if it has no
+     * replication status, or if it failed to replicate
+     *
+     * Null versions, and versions which metadata cannot be parsed, are
+     * counted in the job progress without failing the job.
+     *
+     * @param {Object} job - backfill job progress
+     * @param {Object} repConfig - normalized bucket replication
+     * configuration
+     * @param {Object} version - version from the bucket listing
+     * @param {Function} cb - callback(err)
+     * @return {undefined}
+     */
+    _backfillVersion(job, repConfig, version, cb) {
+        /* eslint-disable no-param-reassign */
+        const { Key, VersionId } = version;
+        // tag filters are checked once the version metadata is read
+        const prefixMatch = repConfig.rules.some(rule => rule.enabled &&
+            Key.startsWith(rule.prefix));
+        if (!prefixMatch) {
+            job.Skipped += 1;
+            return process.nextTick(cb);
+        }
+        // null versions were written before versioning was enabled,
+        // they cannot be updated without creating a new version
+        if (VersionId === 'null') {
+            job.SkippedNullVersions = (job.SkippedNullVersions || 0) + 1;
+            return process.nextTick(cb);
+        }
+        const log = this._logger.newRequestLogger();
+        const params = { bucket: job.Bucket, objectKey: Key,
+                         versionId: VersionId };
+        return this._metadataProxy.getMetadata(params, log, (err, res) => {
+            if (err && (err.ObjNotFound || err.code === 'ObjNotFound')) {
+                // deleted since listed
+                job.Skipped += 1;
+                return cb();
+            }
+            if (err) {
+                return cb(err);
+            }
+            let mdObj;
+            try {
+                mdObj = JSON.parse(res.Body);
+            } catch (parseErr) {
+                log.error('could not parse version metadata, skipping', {
+                    method: 'ReplicationBackfill._backfillVersion',
+                    bucket: job.Bucket,
+                    key: Key,
+                    versionId: VersionId,
+                    error: parseErr.message,
+                });
+                job.Failed = (job.Failed || 0) + 1;
+                return cb();
+            }
+            const entry = new ObjectQueueEntry(job.Bucket, Key, mdObj);
+            const status = entry.getReplicationStatus();
+            const rule = getMatchingRule(repConfig, Key, entry.getTags());
+            if (!status && rule) {
+                entry.setReplicationInfo(getReplicationInfo(repConfig, rule,
+                    entry.getContentLength(),
+                    this._repConfig.destination.bootstrapList));
+            } else if (status === 'FAILED') {
+                entry.getReplicationBackends()
+                    .filter(backend => backend.status === 'FAILED')
+                    .forEach(backend =>
+                        entry.setReplicationSiteStatus(backend.site,
+                                                       'PENDING'));
+                entry.setReplicationStatus('PENDING');
+            } else {
+                job.Skipped += 1;
+                return cb();
+            }
+            return this._metadataProxy.putMetadata(Object.assign({
+                mdBlob: entry.getSerialized(),
+            }, params), log, err => {
+                if (err) {
+                    return cb(err);
+                }
+                job.Queued += 1;
+                return cb();
+            });
+        });
+        /* eslint-enable no-param-reassign */
+    }
+
+    /**
+     * List the versions of the job bucket from the job checkpoint, and
+     * backfill them, saving the job progress after each listing page
+     * @param {Object} job - backfill job progress
+     * @param {AWS.S3} s3 - S3 client
+     * @param {Object} repConfig - bucket replication configuration
+     * @param {Function} [cb] - optional callback called when the job
+     * is done
+     * @return {undefined}
+     */
+    _runJob(job, s3, repConfig, cb) {
+        /* eslint-disable no-param-reassign */
+        let isTruncated = true;
+        const bucketConfig = normalizeS3Config(repConfig);
+        this._metadataProxy.setSourceClient(this._logger);
+        async.whilst(() => isTruncated, next => {
+            const params = {
+                Bucket: job.Bucket,
+                Prefix: job.Prefix,
+                MaxKeys: LISTING_PAGE_SIZE,
+            };
+            if (job.Checkpoint) {
+                params.KeyMarker = job.Checkpoint.KeyMarker;
+                params.VersionIdMarker = job.Checkpoint.VersionIdMarker;
+            }
+            return s3.listObjectVersions(params, (err, data) => {
+                if (err) {
+                    return next(err);
+                }
+                job.Listed += data.Versions.length;
+                return async.eachLimit(data.Versions, VERSION_CONCURRENCY,
+                    (version, done) =>
+                        this._backfillVersion(job, bucketConfig, version,
+                                             done),
+                    err => {
+                        if (err) {
+                            return next(err);
+                        }
+                        isTruncated = data.IsTruncated;
+                        job.Checkpoint = isTruncated ? {
+                            KeyMarker: data.NextKeyMarker,
+                            VersionIdMarker: data.NextVersionIdMarker,
+                        } : null;
+                        return this._saveJob(job, next);
+                    });
+            });
+        }, err => {
+            job.Status = err ? 'Failed' : 'Completed';
+            job.CompletedAt = new Date().toISOString();
+            if (err) {
+                job.Error = err.message || err.toString();
+                this._logger.error('replication backfill job failed', {
+                    method: 'ReplicationBackfill._runJob',
+                    job,
+                });
+            } else {
+                this._logger.info('replication backfill job completed', {
+                    method: 'ReplicationBackfill._runJob',
+                    job,
+                });
+            }
+            return this._saveJob(job, () => {
+                this._activeJobs.delete(job.Bucket);
+                if (cb) {
+                    return cb(err, job);
+                }
+                return undefined;
+            });
+        });
+        /* eslint-enable no-param-reassign */
+    }
+}
+
+module.exports = ReplicationBackfill;
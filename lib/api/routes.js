@@ -0,0 +1,138 @@
+'use strict'; // eslint-disable-line strict
+
+/**
+ * Get the list of backbeat API routes defined in this repository, to
+ * be matched along with the routes defined in Arsenal
+ *
+ * @param {object} params - params object
+ * @param {string[]} params.crr - list of replication sites
+ * @param {string[]} params.deadletter - list of configured
+ * dead-letter topics
+ * @param {boolean} params.lifecycle - true if the lifecycle extension
+ * is configured
+ * @param {string[]} [params.lifecycleServices] - list of lifecycle
+ * services that can be paused and resumed
+ * @param {boolean} params.gc - true if the garbage collector extension
+ * is configured
+ * @param {string[]} [params.gcServices] - list of garbage collector
+ * services that can be paused and resumed
+ * @return {object[]} list of route objects
+ */
+function getLocalRoutes(params) {
+    const routes = [
+        {
+            httpMethod: 'GET',
+            type: 'object',
+            extensions: { crr: ['object'] },
+            method: 'getObjectReplicationStatus',
+        },
+        {
+            httpMethod: 'GET',
+            type: 'retry',
+            extensions: { crr: ['retry'] },
+            method: 'getFailedCRRRetryJob',
+        },
+        {
+            httpMethod: 'GET',
+            type: 'backfill',
+            extensions: { crr: ['backfill'] },
+            method: 'getReplicationBackfill',
+        },
+        {
+            httpMethod: 'POST',
+            type: 'backfill',
+            extensions: { crr: ['backfill'] },
+            method: 'startReplicationBackfill',
+        },
+        {
+            httpMethod: 'GET',
+            type: 'bandwidth',
+            extensions: { crr: [...params.crr, 'all'] },
+            method: 'getBandwidthLimit',
+        },
+        {
+            httpMethod: 'POST',
+            type: 'bandwidth',
+            extensions: { crr: [...params.crr, 'all'] },
+            method: 'setBandwidthLimit',
+        },
+        {
+            httpMethod: 'GET',
+            type: 'offset',
+            extensions: { queuepopulator: ['offset'] },
+            method: 'getLogOffsets',
+        },
+        {
+            httpMethod: 'POST',
+            type: 'offset',
+            extensions: { queuepopulator: ['offset'] },
+            method: 'setLogOffset',
+        },
+        {
+            httpMethod: 'GET',
+            type: 'list',
+            extensions: { deadletter: params.deadletter },
+            method: 'getDeadLetterEntries',
+        },
+        {
+            httpMethod: 'POST',
+            type: 'replay',
+            extensions: { deadletter: params.deadletter },
+            method: 'replayDeadLetterEntries',
+        },
+    ];
+    const serviceStateRoutes = extensions => [
+        {
+            httpMethod: 'POST',
+            type: 'pause',
+            extensions,
+            method: 'pauseService',
+        },
+        {
+            httpMethod: 'POST',
+            type: 'resume',
+            extensions,
+            method: 'resumeService',
+        },
+        {
+            httpMethod: 'DELETE',
+            type: 'resume',
+            extensions,
+            method: 'deleteScheduledResumeService',
+        },
+        {
+            httpMethod: 'GET',
+            type: 'resume',
+            extensions,
+            method: 'getResumeSchedule',
+        },
+    ];
+    if (params.lifecycle) {
+        routes.push(...serviceStateRoutes({
+            lifecycle: [...params.lifecycleServices, 'all'],
+        }));
+        routes.push({
+            httpMethod: 'POST',
+            type: 'simulate',
+            extensions: { lifecycle: ['simulate'] },
+            method: 'simulateLifecycle',
+        }, {
+            httpMethod: 'GET',
+            type: 'status',
+            extensions: { lifecycle: ['status'] },
+            method: 'getLifecycleStatus',
+        });
+    }
+    if (params.gc) {
+        const extensions = { gc: [...params.gcServices, 'all'] };
+        routes.push(...serviceStateRoutes(extensions), {
+            httpMethod: 'GET',
+            type: 'status',
+            extensions,
+            method: 'getServiceStatus',
+        });
+    }
+    return routes;
+}
+
+module.exports = getLocalRoutes;
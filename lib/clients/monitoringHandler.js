@@ -21,6 +21,78 @@ const crrSiteCount = new client.Gauge({
     name: 'crr_number_of_sites',
     help: 'CRR number of sites',
 });
+const crrReplicationDelay = new client.Histogram({
+    name: 'crr_replication_delay_seconds',
+    help: 'CRR delay between object last-modified time and replication ' +
+        'completion',
+    labelNames: ['site'],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200],
+});
+const crrSLAMissedCount = new client.Counter({
+    name: 'crr_number_of_sla_missed',
+    help: 'CRR number of objects replicated after the RTC threshold',
+    labelNames: ['site'],
+});
+const ingestionBucketCacheHits = new client.Counter({
+    name: 'ingestion_mongo_processor_bucket_cache_hits',
+    help: 'Ingestion number of bucket info lookups served from the cache',
+    labelNames: ['site'],
+});
+const ingestionBucketCacheMisses = new client.Counter({
+    name: 'ingestion_mongo_processor_bucket_cache_misses',
+    help: 'Ingestion number of bucket info lookups not found in the cache',
+    labelNames: ['site'],
+});
+const lifecycleBucketsScanned = new client.Counter({
+    name: 'lifecycle_bucket_processor_buckets_scanned',
+    help: 'Lifecycle number of buckets which listing started',
+});
+const lifecycleListings = new client.Counter({
+    name: 'lifecycle_bucket_processor_listings',
+    help: 'Lifecycle number of listing pages fetched',
+    labelNames: ['type'],
+});
+const lifecycleObjectsExpired = new client.Counter({
+    name: 'lifecycle_object_processor_objects_expired',
+    help: 'Lifecycle number of objects expired',
+    labelNames: ['owner', 'ruleType'],
+});
+const lifecycleObjectsTransitioned = new client.Counter({
+    name: 'lifecycle_object_processor_objects_transitioned',
+    help: 'Lifecycle number of objects transitioned',
+    labelNames: ['owner', 'ruleType'],
+});
+const lifecycleMPUsAborted = new client.Counter({
+    name: 'lifecycle_object_processor_mpus_aborted',
+    help: 'Lifecycle number of incomplete multipart uploads aborted',
+    labelNames: ['owner', 'ruleType'],
+});
+const lifecycleActionFailures = new client.Counter({
+    name: 'lifecycle_object_processor_action_failures',
+    help: 'Lifecycle number of actions which execution failed',
+    labelNames: ['action', 'ruleType'],
+});
+const lifecycleConductorCycleDuration = new client.Histogram({
+    name: 'lifecycle_conductor_cycle_duration_seconds',
+    help: 'Lifecycle conductor duration of the queueing of bucket tasks',
+    labelNames: ['type'],
+    buckets: [0.1, 0.5, 1, 5, 10, 30, 60, 120, 300, 600],
+});
+const lifecycleConductorBacklogSkips = new client.Counter({
+    name: 'lifecycle_conductor_backlog_control_skips',
+    help: 'Lifecycle conductor number of cycles skipped because of the ' +
+        'backlog of a topic',
+    labelNames: ['topic'],
+});
+const gcBatchDeleteBytes = new client.Counter({
+    name: 'gc_batch_delete_bytes',
+    help: 'GC number of bytes deleted',
+});
+const gcBatchDeleteDuration = new client.Histogram({
+    name: 'gc_batch_delete_duration_seconds',
+    help: 'GC duration of batch delete requests',
+    buckets: [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60],
+});
 
 module.exports = {
     client,
@@ -30,4 +102,18 @@ module.exports = {
     crrBytesCount,
     crrBytesDone,
     crrSiteCount,
+    crrReplicationDelay,
+    crrSLAMissedCount,
+    ingestionBucketCacheHits,
+    ingestionBucketCacheMisses,
+    lifecycleBucketsScanned,
+    lifecycleListings,
+    lifecycleObjectsExpired,
+    lifecycleObjectsTransitioned,
+    lifecycleMPUsAborted,
+    lifecycleActionFailures,
+    lifecycleConductorCycleDuration,
+    lifecycleConductorBacklogSkips,
+    gcBatchDeleteBytes,
+    gcBatchDeleteDuration,
 };
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PARTITIONS = 1;
+
+// one broker per storage path, shared by all clients of the process
+const brokers = {};
+
+function mkdirp(dirPath) {
+    if (fs.existsSync(dirPath)) {
+        return;
+    }
+    mkdirp(path.dirname(dirPath));
+    fs.mkdirSync(dirPath);
+}
+
+/**
+ * Partition of a local queue topic
+ *
+ * Messages are kept in memory. If a file path is given, they are also
+ * appended to this file as JSON lines, and messages appended by other
+ * processes are read back from it, so that the partition can be shared
+ * between processes of the same machine.
+ *
+ * @class
+ */
+class LocalPartition {
+    /**
+     * @constructor
+     * @param {string} [filePath] - path of the partition log file
+     */
+    constructor(filePath) {
+        this._filePath = filePath;
+        this._messages = [];
+        this._fileSize = 0;
+        this._incompleteLine = '';
+        if (this._filePath && !fs.existsSync(this._filePath)) {
+            fs.writeFileSync(this._filePath, '');
+        }
+    }
+
+    /**
+     * Read messages appended to the partition log file since last read
+     * @return {undefined}
+     */
+    _sync() {
+        if (!this._filePath) {
+            return undefined;
+        }
+        const { size } = fs.statSync(this._filePath);
+        if (size <= this._fileSize) {
+            return undefined;
+        }
+        const buffer = Buffer.alloc(size - this._fileSize);
+        const fd = fs.openSync(this._filePath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, this._fileSize);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this._fileSize = size;
+        const lines = (this._incompleteLine + buffer.toString()).split('\n');
+        // last item is an empty string if the last line is complete
+        this._incompleteLine = lines.pop();
+        lines.forEach(line => this._messages.push(JSON.parse(line)));
+        return undefined;
+    }
+
+    /**
+     * Append a message to the partition
+     * @param {object} message - message to append
+     * @param {string} message.value - message value
+     * @param {string|null} message.key - message key
+     * @param {number} message.timestamp - message timestamp
+     * @return {number} offset of the message
+     */
+    append(message) {
+        if (!this._filePath) {
+            this._messages.push(message);
+            return this._messages.length - 1;
+        }
+        fs.appendFileSync(this._filePath, `${JSON.stringify(message)}\n`);
+        this._sync();
+        return this._messages.length - 1;
+    }
+
+    /**
+     * Read messages from the partition
+     * @param {number} offset - offset of the first message to read
+     * @param {number} maxMessages - max number of messages to read
+     * @return {object[]} messages
+     */
+    read(offset, maxMessages) {
+        this._sync();
+        return this._messages.slice(offset, offset + maxMessages);
+    }
+
+    /**
+     * Get the offset of the next message appended to the partition
+     * @return {number} high watermark offset
+     */
+    getHighOffset() {
+        this._sync();
+        return this._messages.length;
+    }
+}
+
+/**
+ * Local replacement of a Kafka cluster, used by the "local" queue backend
+ *
+ * Topics are created on first use, with the configured number of
+ * partitions. Consumer group offsets are saved by the broker, and the
+ * partitions of a topic are balanced between the consumers of a group
+ * created in the same process.
+ *
+ * @class
+ */
+class LocalBroker {
+    /**
+     * @constructor
+     * @param {object} params - broker params
+     * @param {string} [params.path] - directory where to store topics
+     * and consumer group offsets, they are only kept in memory if not set
+     * @param {number} [params.partitions=1] - number of partitions of
+     * new topics
+     */
+    constructor(params) {
+        this._path = params.path;
+        this._nPartitions = params.partitions || DEFAULT_PARTITIONS;
+        this._topics = {};
+        this._committedOffsets = {};
+        this._groups = {};
+        this._roundRobin = 0;
+    }
+
+    /**
+     * Get the broker storing topics in the given path, shared by all
+     * clients of the process
+     * @param {object} params - broker params (see constructor)
+     * @return {LocalBroker} broker instance
+     */
+    static getBroker(params) {
+        const brokerKey = params.path || '';
+        if (!brokers[brokerKey]) {
+            brokers[brokerKey] = new LocalBroker(params);
+        }
+        return brokers[brokerKey];
+    }
+
+    _getTopicPath(topic) {
+        return path.join(this._path, topic);
+    }
+
+    _getOffsetPath(topic, groupId, partition) {
+        return path.join(this._getTopicPath(topic), 'consumers', groupId,
+                         `${partition}`);
+    }
+
+    /**
+     * Get the partitions of a topic, creating it if it does not exist
+     * @param {string} topic - topic name
+     * @return {LocalPartition[]} topic partitions
+     */
+    _getTopic(topic) {
+        if (this._topics[topic]) {
+            return this._topics[topic];
+        }
+        let nPartitions = this._nPartitions;
+        let topicPath;
+        if (this._path) {
+            topicPath = this._getTopicPath(topic);
+            mkdirp(topicPath);
+            // another process may have created the topic already
+            const logFiles = fs.readdirSync(topicPath)
+                  .filter(file => file.endsWith('.log'));
+            if (logFiles.length > 0) {
+                nPartitions = logFiles.length;
+            }
+        }
+        const partitions = [];
+        for (let i = 0; i < nPartitions; ++i) {
+            partitions.push(new LocalPartition(
+                topicPath && path.join(topicPath, `${i}.log`)));
+        }
+        this._topics[topic] = partitions;
+        return partitions;
+    }
+
+    /**
+     * Get the number of partitions of a topic
+     * @param {string} topic - topic name
+     * @return {number} number of partitions
+     */
+    getPartitionCount(topic) {
+        return this._getTopic(topic).length;
+    }
+
+    /**
+     * Get the metadata of all known topics, in the node-rdkafka format
+     * @param {string} [topic] - topic to create if it does not exist yet
+     * @return {object} metadata
+     */
+    getMetadata(topic) {
+        if (topic) {
+            this._getTopic(topic);
+        }
+        return {
+            orig_broker_id: 0,
+            orig_broker_name: 'local',
+            brokers: [{ id: 0, host: 'local', port: 0 }],
+            topics: Object.keys(this._topics).map(name => ({
+                name,
+                partitions: this._topics[name].map((p, id) => ({
+                    id, leader: 0, replicas: [0], isrs: [0],
+                })),
+            })),
+        };
+    }
+
+    /**
+     * Append a message to a topic
+     * @param {string} topic - topic name
+     * @param {number|null} partition - partition number, if null the
+     * partition is chosen from a hash of the key, or in round-robin
+     * if there is no key
+     * @param {object} message - message to append (see
+     * LocalPartition.append())
+     * @return {object} { partition, offset } of the message
+     */
+    append(topic, partition, message) {
+        const partitions = this._getTopic(topic);
+        let targetPartition = partition;
+        if (targetPartition === null || targetPartition === undefined) {
+            if (message.key !== null && message.key !== undefined) {
+                targetPartition = crypto.createHash('md5')
+                    .update(message.key).digest().readUInt32BE(0) %
+                    partitions.length;
+            } else {
+                targetPartition = this._roundRobin % partitions.length;
+                this._roundRobin += 1;
+            }
+        }
+        const offset = partitions[targetPartition].append(message);
+        return { partition: targetPartition, offset };
+    }
+
+    /**
+     * Read messages from a topic partition
+     * @param {string} topic - topic name
+     * @param {number} partition - partition number
+     * @param {number} offset - offset of the first message to read
+     * @param {number} maxMessages - max number of messages to read
+     * @return {object[]} messages
+     */
+    read(topic, partition, offset, maxMessages) {
+        return this._getTopic(topic)[partition].read(offset, maxMessages);
+    }
+
+    /**
+     * Get the offset of the next message appended to a topic partition
+     * @param {string} topic - topic name
+     * @param {number} partition - partition number
+     * @return {number} high watermark offset
+     */
+    getHighOffset(topic, partition) {
+        return this._getTopic(topic)[partition].getHighOffset();
+    }
+
+    /**
+     * Get the committed offset of a consumer group
+     * @param {string} topic - topic name
+     * @param {string} groupId - consumer group id
+     * @param {number} partition - partition number
+     * @return {number|undefined} next offset to consume, or undefined
+     * if the group never committed an offset on this partition
+     */
+    getCommittedOffset(topic, groupId, partition) {
+        if (!this._path) {
+            return this._committedOffsets[`${topic}:${groupId}:${partition}`];
+        }
+        const offsetPath = this._getOffsetPath(topic, groupId, partition);
+        if (!fs.existsSync(offsetPath)) {
+            return undefined;
+        }
+        return Number.parseInt(fs.readFileSync(offsetPath).toString(), 10);
+    }
+
+    /**
+     * Commit the offset of a consumer group
+     * @param {string} topic - topic name
+     * @param {string} groupId - consumer group id
+     * @param {number} partition - partition number
+     * @param {number} offset - next offset to consume
+     * @return {undefined}
+     */
+    commitOffset(topic, groupId, partition, offset) {
+        if (!this._path) {
+            this._committedOffsets[`${topic}:${groupId}:${partition}`] =
+                offset;
+            return undefined;
+        }
+        const offsetPath = this._getOffsetPath(topic, groupId, partition);
+        mkdirp(path.dirname(offsetPath));
+        fs.writeFileSync(offsetPath, `${offset}`);
+        return undefined;
+    }
+
+    /**
+     * Add a consumer to a consumer group, and rebalance the topic
+     * partitions between the group members
+     * @param {string} topic - topic name
+     * @param {LocalConsumer} consumer - consumer joining the group
+     * @return {undefined}
+     */
+    joinGroup(topic, consumer) {
+        const groupKey = `${topic}:${consumer.getGroupId()}`;
+        const members = this._groups[groupKey] || [];
+        if (!members.includes(consumer)) {
+            members.push(consumer);
+        }
+        this._groups[groupKey] = members;
+        this._rebalance(topic, members);
+    }
+
+    /**
+     * Remove a consumer from a consumer group, and rebalance the topic
+     * partitions between the remaining group members
+     * @param {string} topic - topic name
+     * @param {LocalConsumer} consumer - consumer leaving the group
+     * @return {undefined}
+     */
+    leaveGroup(topic, consumer) {
+        const groupKey = `${topic}:${consumer.getGroupId()}`;
+        const members = (this._groups[groupKey] || [])
+              .filter(member => member !== consumer);
+        this._groups[groupKey] = members;
+        consumer.setAssignment(topic, []);
+        this._rebalance(topic, members);
+    }
+
+    _rebalance(topic, members) {
+        const nPartitions = this.getPartitionCount(topic);
+        members.forEach((member, index) => {
+            const partitions = [];
+            for (let p = index; p < nPartitions; p += members.length) {
+                partitions.push(p);
+            }
+            member.setAssignment(topic, partitions);
+        });
+    }
+}
+
+module.exports = LocalBroker;
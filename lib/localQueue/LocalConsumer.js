@@ -0,0 +1,253 @@
+const { EventEmitter } = require('events');
+
+const LocalBroker = require('./LocalBroker');
+
+// interval between automatic commits of stored offsets, as the
+// "auto.commit.interval.ms" default of librdkafka
+const AUTO_COMMIT_INTERVAL_MS = 5000;
+
+/**
+ * Consumer of the "local" queue backend, implementing the subset of the
+ * node-rdkafka KafkaConsumer interface used by BackbeatConsumer and
+ * DeadLetterReader
+ *
+ * @class
+ */
+class LocalConsumer extends EventEmitter {
+    /**
+     * @constructor
+     * @param {object} consumerParams - consumer params, with the same
+     * names as node-rdkafka consumer params: "group.id",
+     * "enable.auto.commit" and "offset_commit_cb" are supported
+     * @param {object} topicParams - topic params, with the same names
+     * as node-rdkafka topic params: "auto.offset.reset" is supported
+     * @param {object} localQueueConfig - local queue config (see
+     * LocalProducer)
+     */
+    constructor(consumerParams, topicParams, localQueueConfig) {
+        super();
+        this._broker = LocalBroker.getBroker(localQueueConfig);
+        this._groupId = consumerParams['group.id'];
+        this._autoCommit = consumerParams['enable.auto.commit'] !== false;
+        this._offsetCommitCb = consumerParams.offset_commit_cb;
+        this._offsetReset = topicParams['auto.offset.reset'] || 'latest';
+        this._connected = false;
+        this._subscription = [];
+        // current read position of each assigned partition, by
+        // "topic:partition"
+        this._positions = {};
+        // offsets stored by offsetsStore(), committed on next commit
+        this._storedOffsets = {};
+        this._autoCommitTimer = null;
+    }
+
+    connect(options, cb) {
+        process.nextTick(() => {
+            this._connected = true;
+            if (this._autoCommit) {
+                this._autoCommitTimer = setInterval(
+                    () => this.commit(), AUTO_COMMIT_INTERVAL_MS);
+            }
+            this.emit('ready', { name: 'local' });
+            if (cb) {
+                cb(null, this._broker.getMetadata());
+            }
+        });
+    }
+
+    isConnected() {
+        return this._connected;
+    }
+
+    getGroupId() {
+        return this._groupId;
+    }
+
+    getMetadata(params, cb) {
+        process.nextTick(cb, null, this._broker.getMetadata(params.topic));
+    }
+
+    get _metadata() {
+        return this._broker.getMetadata();
+    }
+
+    /**
+     * Subscribe to topics, partitions are balanced between the
+     * consumers of the same group
+     * @param {string[]} topics - topics to subscribe to
+     * @return {undefined}
+     */
+    subscribe(topics) {
+        this._subscription = topics.slice();
+        topics.forEach(topic => this._broker.joinGroup(topic, this));
+    }
+
+    unsubscribe() {
+        const topics = this._subscription;
+        this._subscription = [];
+        topics.forEach(topic => this._broker.leaveGroup(topic, this));
+    }
+
+    subscription() {
+        return this._subscription.slice();
+    }
+
+    /**
+     * Set the partitions of a topic assigned to this consumer, called
+     * by the broker when the group is rebalanced
+     * @param {string} topic - topic name
+     * @param {number[]} partitions - assigned partitions
+     * @return {undefined}
+     */
+    setAssignment(topic, partitions) {
+        Object.keys(this._positions).forEach(tp => {
+            const { partition } = this._parseTopicPartition(tp);
+            if (tp.startsWith(`${topic}:`) && !partitions.includes(partition)) {
+                this._commitPartition(tp);
+                delete this._positions[tp];
+            }
+        });
+        partitions.forEach(partition => {
+            const tp = `${topic}:${partition}`;
+            if (this._positions[tp] !== undefined) {
+                return;
+            }
+            const committed = this._broker.getCommittedOffset(
+                topic, this._groupId, partition);
+            if (committed !== undefined) {
+                this._positions[tp] = committed;
+            } else if (this._offsetReset === 'earliest') {
+                this._positions[tp] = 0;
+            } else {
+                this._positions[tp] =
+                    this._broker.getHighOffset(topic, partition);
+            }
+        });
+    }
+
+    /**
+     * Manually assign partitions, starting at the given offsets
+     * @param {object[]} assignments - list of { topic, partition,
+     * offset } objects
+     * @return {undefined}
+     */
+    assign(assignments) {
+        assignments.forEach(({ topic, partition, offset }) => {
+            this._positions[`${topic}:${partition}`] = offset;
+        });
+    }
+
+    unassign() {
+        this._positions = {};
+    }
+
+    assignments() {
+        return Object.keys(this._positions)
+            .map(tp => this._parseTopicPartition(tp));
+    }
+
+    _parseTopicPartition(tp) {
+        const sepIndex = tp.lastIndexOf(':');
+        return {
+            topic: tp.slice(0, sepIndex),
+            partition: Number.parseInt(tp.slice(sepIndex + 1), 10),
+        };
+    }
+
+    /**
+     * Consume messages from the assigned partitions
+     * @param {number} maxMessages - max number of messages to consume
+     * @param {function} cb - callback: cb(err, messages) with messages
+     * in the node-rdkafka format
+     * @return {undefined}
+     */
+    consume(maxMessages, cb) {
+        const messages = [];
+        Object.keys(this._positions).forEach(tp => {
+            if (messages.length >= maxMessages) {
+                return;
+            }
+            const { topic, partition } = this._parseTopicPartition(tp);
+            const offset = this._positions[tp];
+            const partitionMessages = this._broker.read(
+                topic, partition, offset, maxMessages - messages.length);
+            partitionMessages.forEach((message, index) => {
+                const value = Buffer.from(message.value);
+                messages.push({
+                    value,
+                    size: value.length,
+                    key: message.key === null ? null :
+                        Buffer.from(message.key),
+                    topic,
+                    partition,
+                    offset: offset + index,
+                    timestamp: message.timestamp,
+                });
+            });
+            this._positions[tp] = offset + partitionMessages.length;
+        });
+        process.nextTick(cb, null, messages);
+    }
+
+    offsetsStore(topicPartitions) {
+        topicPartitions.forEach(({ topic, partition, offset }) => {
+            this._storedOffsets[`${topic}:${partition}`] = offset;
+        });
+    }
+
+    _commitPartition(tp) {
+        const offset = this._storedOffsets[tp];
+        if (offset === undefined) {
+            return null;
+        }
+        const { topic, partition } = this._parseTopicPartition(tp);
+        this._broker.commitOffset(topic, this._groupId, partition, offset);
+        delete this._storedOffsets[tp];
+        return { topic, partition, offset };
+    }
+
+    /**
+     * Commit the stored offsets
+     * @return {undefined}
+     */
+    commit() {
+        const committed = Object.keys(this._storedOffsets)
+            .map(tp => this._commitPartition(tp))
+            .filter(topicPartition => topicPartition !== null);
+        if (committed.length > 0 && this._offsetCommitCb) {
+            this._offsetCommitCb(null, committed);
+        }
+    }
+
+    position() {
+        return this.assignments().map(({ topic, partition }) => ({
+            topic,
+            partition,
+            offset: this._positions[`${topic}:${partition}`],
+        }));
+    }
+
+    queryWatermarkOffsets(topic, partition, timeout, cb) {
+        process.nextTick(cb, null, {
+            lowOffset: 0,
+            highOffset: this._broker.getHighOffset(topic, partition),
+        });
+    }
+
+    disconnect(cb) {
+        if (this._autoCommitTimer) {
+            clearInterval(this._autoCommitTimer);
+            this._autoCommitTimer = null;
+        }
+        this.unsubscribe();
+        this._connected = false;
+        process.nextTick(() => {
+            this.emit('disconnected');
+            if (cb) {
+                cb();
+            }
+        });
+    }
+}
+
+module.exports = LocalConsumer;
@@ -0,0 +1,89 @@
+const { EventEmitter } = require('events');
+
+const LocalBroker = require('./LocalBroker');
+
+/**
+ * Producer of the "local" queue backend, implementing the subset of the
+ * node-rdkafka Producer interface used by BackbeatProducer
+ *
+ * @class
+ */
+class LocalProducer extends EventEmitter {
+    /**
+     * @constructor
+     * @param {object} localQueueConfig - local queue config
+     * @param {string} [localQueueConfig.path] - directory where to store
+     * topics, they are only kept in memory if not set
+     * @param {number} [localQueueConfig.partitions] - number of
+     * partitions of new topics
+     */
+    constructor(localQueueConfig) {
+        super();
+        this._broker = LocalBroker.getBroker(localQueueConfig);
+        this._connected = false;
+    }
+
+    connect(options, cb) {
+        process.nextTick(() => {
+            this._connected = true;
+            this.emit('ready', { name: 'local' });
+            if (cb) {
+                cb(null, this._broker.getMetadata());
+            }
+        });
+    }
+
+    isConnected() {
+        return this._connected;
+    }
+
+    getMetadata(params, cb) {
+        process.nextTick(cb, null, this._broker.getMetadata(params.topic));
+    }
+
+    setPollInterval() {}
+
+    /**
+     * Append a message to a topic, then emit its delivery report
+     * @param {string} topic - topic name
+     * @param {number|null} partition - partition number, or null to
+     * choose the partition from the key
+     * @param {Buffer} value - message value
+     * @param {string} [key] - message key
+     * @param {number} timestamp - message timestamp
+     * @param {object} [opaque] - opaque object passed back in the
+     * delivery report
+     * @return {undefined}
+     */
+    produce(topic, partition, value, key, timestamp, opaque) {
+        const msgKey = key === undefined ? null : key;
+        const position = this._broker.append(topic, partition, {
+            value: value.toString(),
+            key: msgKey,
+            timestamp,
+        });
+        process.nextTick(() => this.emit('delivery-report', null, {
+            topic,
+            partition: position.partition,
+            offset: position.offset,
+            key: msgKey === null ? null : Buffer.from(msgKey),
+            opaque,
+        }));
+    }
+
+    flush(timeout, cb) {
+        process.nextTick(cb);
+    }
+
+    disconnect(cb) {
+        this._connected = false;
+        process.nextTick(() => {
+            this.emit('disconnected');
+            if (cb) {
+                cb();
+            }
+        });
+    }
+}
+
+module.exports = LocalProducer;
@@ -0,0 +1,42 @@
+const LocalBroker = require('./LocalBroker');
+const LocalConsumer = require('./LocalConsumer');
+const LocalProducer = require('./LocalProducer');
+
+/**
+ * Get the queue backend to use for the given kafka connection config
+ *
+ * @param {object} kafkaConfig - kafka connection config
+ * @param {string} [kafkaConfig.backend] - "kafka" (default) or "local"
+ * @param {object} [kafkaConfig.localQueue] - local queue config (see
+ * LocalBroker)
+ * @return {object} { backend, localQueue }
+ */
+function getQueueBackend(kafkaConfig) {
+    return {
+        backend: kafkaConfig.backend || 'kafka',
+        localQueue: kafkaConfig.localQueue || {},
+    };
+}
+
+/**
+ * Get the kafka connection params of a BackbeatProducer or
+ * BackbeatConsumer from the kafka section of the configuration
+ *
+ * @param {object} kafkaConfig - kafka configuration
+ * @param {string} kafkaConfig.hosts - kafka hosts list
+ * @param {string} [kafkaConfig.backend] - "kafka" or "local"
+ * @param {object} [kafkaConfig.localQueue] - local queue config
+ * @return {object} kafka connection params
+ */
+function getKafkaClientConfig(kafkaConfig) {
+    const { hosts, backend, localQueue } = kafkaConfig;
+    return { hosts, backend, localQueue };
+}
+
+module.exports = {
+    LocalBroker,
+    LocalConsumer,
+    LocalProducer,
+    getQueueBackend,
+    getKafkaClientConfig,
+};
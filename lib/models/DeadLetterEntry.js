@@ -0,0 +1,163 @@
+/**
+ * @class
+ * @classdesc Entry published to a dead-letter topic by a
+ * BackbeatConsumer when processing of a Kafka entry failed for good.
+ *
+ * It holds the original entry contents along with where it came from
+ * (topic/partition/offset), the error returned by the last processing
+ * attempt and the number of attempts, so that the entry can be
+ * inspected and replayed later to its original topic.
+ */
+class DeadLetterEntry {
+
+    /**
+     * Class method that creates a DeadLetterEntry from a failed kafka
+     * entry
+     *
+     * @param {object} params - params object
+     * @param {string} params.topic - original topic name (without
+     * prefix)
+     * @param {object} params.entry - original kafka entry, as passed
+     * to the queue processor function
+     * @param {Error|object} params.error - error returned by the last
+     * processing attempt
+     * @param {number} params.attempts - number of processing attempts
+     * @return {DeadLetterEntry} - a new instance of DeadLetterEntry
+     */
+    static create(params) {
+        const { topic, entry, error, attempts } = params;
+        const { partition, offset, key, value, timestamp } = entry;
+        const errorInfo = (error instanceof Object) ? {
+            code: error.code,
+            message: error.message,
+            description: error.description,
+        } : { message: String(error) };
+        return new DeadLetterEntry({
+            originalTopic: topic,
+            partition,
+            offset,
+            key: key ? key.toString() : key,
+            value: value ? value.toString() : value,
+            timestamp,
+            error: errorInfo,
+            attempts,
+            failedAt: Date.now(),
+        });
+    }
+
+    /**
+     * Class method that creates a DeadLetterEntry instance from an
+     * entry read from a dead-letter topic
+     *
+     * @param {Object} kafkaEntry - entry as read from Kafka queue
+     * @return {DeadLetterEntry|object} - a new instance of
+     * DeadLetterEntry, or an object with an "error" attribute if the
+     * entry could not be parsed
+     */
+    static createFromKafkaEntry(kafkaEntry) {
+        try {
+            const record = JSON.parse(kafkaEntry.value);
+            if (typeof record.originalTopic !== 'string' ||
+                typeof record.value !== 'string') {
+                return { error: 'unknown dead-letter entry format' };
+            }
+            const entry = new DeadLetterEntry(record);
+            entry.setDeadLetterPosition(kafkaEntry.partition,
+                                        kafkaEntry.offset);
+            return entry;
+        } catch (err) {
+            return { error: { message: 'malformed JSON in kafka entry',
+                              description: err.message } };
+        }
+    }
+
+    /**
+     * Do not use this constructor directly, use the
+     * DeadLetterEntry.create() method or
+     * DeadLetterEntry.createFromKafkaEntry() instead.
+     * @constructor
+     * @param {object} record - dead-letter record
+     */
+    constructor(record) {
+        this._record = record;
+        this._deadLetterPosition = null;
+    }
+
+    /**
+     * Set the position of this entry in the dead-letter topic
+     *
+     * @param {number} partition - dead-letter topic partition
+     * @param {number} offset - offset in dead-letter topic partition
+     * @return {DeadLetterEntry} - this
+     */
+    setDeadLetterPosition(partition, offset) {
+        this._deadLetterPosition = { partition, offset };
+        return this;
+    }
+
+    getDeadLetterPosition() {
+        return this._deadLetterPosition;
+    }
+
+    getOriginalTopic() {
+        return this._record.originalTopic;
+    }
+
+    getOriginalPartition() {
+        return this._record.partition;
+    }
+
+    getOriginalOffset() {
+        return this._record.offset;
+    }
+
+    getKey() {
+        return this._record.key;
+    }
+
+    getValue() {
+        return this._record.value;
+    }
+
+    getError() {
+        return this._record.error;
+    }
+
+    getAttempts() {
+        return this._record.attempts;
+    }
+
+    getFailedAt() {
+        return this._record.failedAt;
+    }
+
+    getLogInfo() {
+        return {
+            originalTopic: this.getOriginalTopic(),
+            originalPartition: this.getOriginalPartition(),
+            originalOffset: this.getOriginalOffset(),
+            key: this.getKey(),
+            attempts: this.getAttempts(),
+            error: this.getError(),
+        };
+    }
+
+    /**
+     * Get the original entry, to send back to the original topic for
+     * a replay
+     *
+     * @return {object} entry suitable for BackbeatProducer.send()
+     */
+    toKafkaEntry() {
+        return {
+            key: this.getKey(),
+            message: this.getValue(),
+        };
+    }
+
+    toKafkaMessage() {
+        return JSON.stringify(this._record);
+    }
+}
+
+module.exports = DeadLetterEntry;
@@ -26,6 +26,10 @@ class ObjectQueueEntry extends ObjectMD {
         this.objectVersionedKey = objectVersionedKey;
         this.objectKey = _extractVersionedBaseKey(objectVersionedKey);
         this.site = null;
+        this.failureReason = undefined;
+        this.failureType = undefined;
+        this.traceContext = undefined;
+        this.versionDeletion = false;
     }
 
     setSite(site) {
@@ -37,8 +41,88 @@ class ObjectQueueEntry extends ObjectMD {
         return this.site;
     }
 
+    /**
+     * Set the reason of a replication failure, conveyed along with the
+     * FAILED replication status
+     * @param {string} [reason] - description of the failure
+     * @return {ObjectQueueEntry} this
+     */
+    setFailureReason(reason) {
+        this.failureReason = reason;
+        return this;
+    }
+
+    getFailureReason() {
+        return this.failureReason;
+    }
+
+    /**
+     * Set the type of a replication failure, for failures tracked
+     * separately in the failed CRR sorted sets
+     * @param {string} [failureType] - failure type, one of the
+     * replication constants "failureTypes" values
+     * @return {ObjectQueueEntry} this
+     */
+    setFailureType(failureType) {
+        this.failureType = failureType;
+        return this;
+    }
+
+    getFailureType() {
+        return this.failureType;
+    }
+
+    /**
+     * Get the object lock attributes of the object
+     * @return {object|null} { mode, retainUntilDate, legalHold } if the
+     * object has a retention or a legal hold, null otherwise
+     */
+    getObjectLockAttributes() {
+        const { retentionMode, retentionDate, legalHold } = this.getValue();
+        if (!retentionMode && !legalHold) {
+            return null;
+        }
+        return {
+            mode: retentionMode,
+            retainUntilDate: retentionDate,
+            legalHold: legalHold === true,
+        };
+    }
+
+    /**
+     * Set the W3C traceparent of the processing stage that produced
+     * the entry, conveyed to the next stage
+     * @param {string} [traceContext] - traceparent string
+     * @return {ObjectQueueEntry} this
+     */
+    setTraceContext(traceContext) {
+        this.traceContext = traceContext;
+        return this;
+    }
+
+    getTraceContext() {
+        return this.traceContext;
+    }
+
+    /**
+     * Set if the entry is the permanent deletion of the version, to be
+     * replicated, rather than the version itself
+     * @param {boolean} versionDeletion - true for a version deletion
+     * @return {ObjectQueueEntry} this
+     */
+    setIsVersionDeletion(versionDeletion) {
+        this.versionDeletion = versionDeletion;
+        return this;
+    }
+
+    getIsVersionDeletion() {
+        return this.versionDeletion;
+    }
+
     clone() {
-        return new ObjectQueueEntry(this.bucket, this.objectVersionedKey, this);
+        return new ObjectQueueEntry(this.bucket, this.objectVersionedKey, this)
+            .setTraceContext(this.traceContext)
+            .setIsVersionDeletion(this.versionDeletion);
     }
 
     checkSanity() {
@@ -150,6 +234,9 @@ class ObjectQueueEntry extends ObjectMD {
                      key: this.getObjectVersionedKey(),
                      value: JSON.stringify(this.getValue()),
                      site,
+                     reason: this.getFailureReason(),
+                     failureType: this.getFailureType(),
+                     traceContext: this.getTraceContext(),
                  }),
                };
     }
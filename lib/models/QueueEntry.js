@@ -51,6 +51,11 @@ class QueueEntry {
                     entry = new ObjectQueueEntry(record.bucket, record.key,
                         metadataVal);
                     entry.setSite(record.site);
+                    entry.setFailureReason(record.reason);
+                    entry.setFailureType(record.failureType);
+                    entry.setTraceContext(record.traceContext);
+                    entry.setIsVersionDeletion(
+                        record.versionDeletion === true);
                 }
             } else {
                 return { error: 'unknown kafka entry format' };
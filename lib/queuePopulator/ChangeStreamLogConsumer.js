@@ -0,0 +1,229 @@
+const stream = require('stream');
+const { MongoClient, Timestamp } = require('mongodb');
+
+// change events of metadata documents, other events (e.g. collection
+// drops) have no matching log entry
+const WATCHED_OPERATIONS = ['insert', 'replace', 'update', 'delete'];
+
+/**
+ * Convert a change event to a log entry, in the format of the oplog
+ * entries
+ *
+ * @param {object} change - change event
+ * @return {object|null} log entry { type, key, value }, or null if the
+ *   change has no matching entry
+ */
+function getEntryFromChange(change) {
+    const key = change.documentKey && change.documentKey._id;
+    if (key === undefined) {
+        return null;
+    }
+    if (change.operationType === 'delete') {
+        return { type: 'delete', key };
+    }
+    let value;
+    if (change.operationType === 'update') {
+        const { updatedFields } = change.updateDescription || {};
+        if (updatedFields && updatedFields.value !== undefined) {
+            value = updatedFields.value;
+        } else if (change.fullDocument) {
+            // partial update: use the looked up document, which may
+            // include later updates
+            value = change.fullDocument.value;
+        }
+    } else if (change.fullDocument) {
+        value = change.fullDocument.value;
+    }
+    if (value === undefined) {
+        return null;
+    }
+    return { type: 'put', key, value: JSON.stringify(value) };
+}
+
+/**
+ * Stream of log records from a change stream, one record per change
+ * event. The log offset is the resume token of the last change event,
+ * serialized in JSON.
+ */
+class ChangeStreamRecordStream extends stream.Transform {
+    /**
+     * @constructor
+     * @param {Logger} logger - logger object
+     * @param {string} startOffset - log offset the stream starts from
+     */
+    constructor(logger, startOffset) {
+        super({ objectMode: true });
+        this._logger = logger;
+        this._offset = startOffset;
+    }
+
+    _transform(change, encoding, callback) {
+        // always move the offset forward, even for changes with no log
+        // entry, so that they are not read again
+        this._offset = JSON.stringify({ resumeToken: change._id });
+        const entry = getEntryFromChange(change);
+        if (!entry) {
+            return callback();
+        }
+        this.push({
+            timestamp: change.clusterTime ?
+                new Date(change.clusterTime.getHighBits() * 1000) : undefined,
+            db: change.ns.coll,
+            entries: [entry],
+        });
+        return callback();
+    }
+
+    /**
+     * Get the offset to resume reading the log after the last change
+     * event
+     *
+     * @return {string} log offset
+     */
+    getOffset() {
+        return this._offset;
+    }
+}
+
+class ChangeStreamLogConsumer {
+    /**
+     * Create a log consumer reading the changes of the metadata
+     * database from MongoDB change streams, which are supported on
+     * replica sets and sharded clusters.
+     *
+     * @constructor
+     * @param {object} mongoConfig - mongo configuration object
+     * @param {string} mongoConfig.replicaSetHosts - comma-separated list
+     *   of hosts of the replica set, or of the mongos routers
+     * @param {string} [mongoConfig.replicaSet] - replica set name, empty
+     *   for sharded clusters
+     * @param {string} mongoConfig.readPreference - read preference
+     * @param {string} mongoConfig.database - metadata database name
+     * @param {Logger} logger - logger object
+     */
+    constructor(mongoConfig, logger) {
+        const { replicaSetHosts, replicaSet, readPreference, database } =
+            mongoConfig;
+        let mongoUrl = `mongodb://${replicaSetHosts}/` +
+            `?readPreference=${readPreference}`;
+        if (replicaSet) {
+            mongoUrl += `&replicaSet=${replicaSet}`;
+        }
+        this._mongoUrl = mongoUrl;
+        this._database = database;
+        this._logger = logger;
+        this._client = null;
+        this._db = null;
+        // change stream of the last opened log
+        this._changeStream = null;
+    }
+
+    /**
+     * Close the change stream of the last opened log, if any
+     *
+     * @return {undefined}
+     */
+    _closeChangeStream() {
+        if (!this._changeStream) {
+            return undefined;
+        }
+        const changeStream = this._changeStream;
+        this._changeStream = null;
+        return changeStream.close(err => {
+            if (err) {
+                this._logger.warn('error closing change stream', {
+                    method: 'ChangeStreamLogConsumer._closeChangeStream',
+                    error: err.message,
+                });
+            }
+        });
+    }
+
+    /**
+     * Connect to MongoDB
+     *
+     * @param {function} done - callback function
+     * @return {undefined}
+     */
+    connectMongo(done) {
+        MongoClient.connect(this._mongoUrl, { useNewUrlParser: true },
+        (err, client) => {
+            if (err) {
+                this._logger.error('error connecting to mongodb', {
+                    method: 'ChangeStreamLogConsumer.connectMongo',
+                    error: err.message,
+                });
+                return done(err);
+            }
+            this._client = client;
+            this._db = client.db(this._database);
+            return done();
+        });
+    }
+
+    /**
+     * Open a change stream on the metadata database. The change stream
+     * of the previously opened log is closed, as the log reader opens a
+     * new log after a rewind or an error.
+     *
+     * @param {object} params - read params
+     * @param {string} [params.startSeq] - log offset to start from: a
+     *   JSON object with either the "resumeToken" of the last read change
+     *   event, or a "startAtOperationTime" in seconds since epoch. The
+     *   stream starts with the next changes if not set.
+     * @param {function} cb - callback(err, { log, tailable })
+     * @return {undefined}
+     */
+    readRecords(params, cb) {
+        let startSeq = {};
+        if (typeof params.startSeq === 'string') {
+            try {
+                startSeq = JSON.parse(params.startSeq);
+            } catch (err) {
+                this._logger.error('cannot parse log offset', {
+                    method: 'ChangeStreamLogConsumer.readRecords',
+                    startSeq: params.startSeq,
+                    error: err.message,
+                });
+                return process.nextTick(cb, err);
+            }
+        }
+        const options = { fullDocument: 'updateLookup' };
+        if (startSeq && startSeq.resumeToken) {
+            options.resumeAfter = startSeq.resumeToken;
+        } else if (startSeq && startSeq.startAtOperationTime !== undefined) {
+            options.startAtOperationTime =
+                new Timestamp(0, startSeq.startAtOperationTime);
+        }
+        this._closeChangeStream();
+        const changeStream = this._db.watch([{
+            $match: { operationType: { $in: WATCHED_OPERATIONS } },
+        }], options);
+        this._changeStream = changeStream;
+        const recordStream = new ChangeStreamRecordStream(
+            this._logger, params.startSeq);
+        changeStream.on('error', err => {
+            this._logger.error('error from change stream', {
+                method: 'ChangeStreamLogConsumer.readRecords',
+                error: err.message,
+            });
+            if (this._changeStream !== changeStream) {
+                // already closed, the log was opened again
+                return;
+            }
+            this._closeChangeStream();
+            recordStream.emit('error', err);
+        });
+        changeStream.stream().pipe(recordStream);
+        return process.nextTick(cb, null, {
+            log: recordStream,
+            tailable: true,
+        });
+    }
+}
+
+module.exports = {
+    ChangeStreamLogConsumer,
+    ChangeStreamRecordStream,
+    getEntryFromChange,
+};
@@ -473,11 +473,11 @@ class IngestionPopulator {
     _getSourceInformation(ingestionInfo) {
         const {
             accessKey, secretKey, endpoint, locationType,
-            bucketName, zenkoBucket, locationConstraint,
+            bucketName, zenkoBucket, locationConstraint, region,
         } = ingestionInfo;
 
         const urlObject = url.parse(endpoint);
-        // TODO: will change for non-ring sources
+        const isHttps = urlObject.protocol.startsWith('https');
         const auth = { accessKey, secretKey };
 
         return {
@@ -487,8 +487,10 @@ class IngestionPopulator {
             bucket: bucketName,
             // source (s3c) endpoint
             host: urlObject.hostname,
-            port: parseInt(urlObject.port, 10) || 80,
-            https: urlObject.protocol.startsWith('https'),
+            port: parseInt(urlObject.port, 10) || (isHttps ? 443 : 80),
+            https: isHttps,
+            // source region, for generic S3 sources
+            region,
             type: locationType,
             locationConstraint,
             auth,
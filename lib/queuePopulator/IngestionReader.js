@@ -4,6 +4,7 @@ const VID_SEP = require('arsenal').versioning.VersioningConstants
           .VersionId.Separator;
 
 const IngestionProducer = require('./IngestionProducer');
+const S3IngestionProducer = require('./S3IngestionProducer');
 const LogReader = require('./LogReader');
 const { decryptLocationSecret } = require('../management/index');
 const {
@@ -15,6 +16,11 @@ function _isVersionedLogKey(key) {
     return key.split(VID_SEP)[1] !== undefined;
 }
 
+// source location types read through the RING raft logs
+const RING_SOURCE_TYPES = ['scality_s3'];
+// source location types read through versioned listings
+const S3_SOURCE_TYPES = ['aws_s3'];
+
 class IngestionReader extends LogReader {
     constructor(params) {
         const { zkClient, ingestionConfig, kafkaConfig, bucketdConfig, qpConfig,
@@ -36,6 +42,8 @@ class IngestionReader extends LogReader {
         this.zkBasePath = `${ingestionPath}/${this._targetZenkoBucket}`;
         this.bucketInitPath = `${this.zkBasePath}/init`;
         this.pathToLogOffset = null;
+        // ingestion log offsets are not managed through the API
+        this.pathToRequestedLogOffset = null;
         this.raftId = null;
         this.logId = null;
     }
@@ -48,7 +56,27 @@ class IngestionReader extends LogReader {
         return ['isStatusComplete', 'versionMarker', 'keyMarker'];
     }
 
+    /**
+     * Check if the source is a generic S3 source, ingested through versioned
+     * listings instead of RING raft logs
+     * @return {boolean} true if the source is a generic S3 source
+     */
+    _isS3Source() {
+        return S3_SOURCE_TYPES.includes(this.bucketdConfig.type);
+    }
+
     _setupIngestionProducer(cb) {
+        const { type } = this.bucketdConfig;
+        if (!RING_SOURCE_TYPES.includes(type) &&
+            !S3_SOURCE_TYPES.includes(type)) {
+            this.logger.error('unsupported ingestion source type', {
+                method: 'IngestionReader._setupIngestionProducer',
+                type,
+            });
+            return process.nextTick(cb, errors.NotImplemented
+                .customizeDescription(
+                    `ingestion from source type ${type} is not supported`));
+        }
         const encryptedKey = this.bucketdConfig.auth.secretKey;
         return decryptLocationSecret(encryptedKey, this.logger,
         (err, decryptedKey) => {
@@ -61,8 +89,13 @@ class IngestionReader extends LogReader {
                 this.bucketdConfig.auth, { secretKey: decryptedKey });
             const bucketdConfig = Object.assign({},
                 this.bucketdConfig, { auth: updatedAuth });
-            this._iProducer = new IngestionProducer(bucketdConfig,
-                this.qpConfig, this.s3Config);
+            if (this._isS3Source()) {
+                this._iProducer = new S3IngestionProducer(bucketdConfig,
+                    this.qpConfig, this._ingestionConfig);
+            } else {
+                this._iProducer = new IngestionProducer(bucketdConfig,
+                    this.qpConfig, this.s3Config);
+            }
             return cb();
         });
     }
@@ -72,6 +105,14 @@ class IngestionReader extends LogReader {
             if (err) {
                 return done(err);
             }
+            if (this._isS3Source()) {
+                // no raft session: changes are tracked with a cursor on
+                // the last-modified time of the source objects
+                this.logId = `s3_${this.bucket}`;
+                this.pathToLogOffset =
+                    `${this.zkBasePath}/logState/${this.logId}/logOffset`;
+                return super.setup(done);
+            }
             return this._iProducer.getRaftId(this.bucket, (err, data) => {
                 if (err) {
                     return done(err);
@@ -197,6 +238,23 @@ class IngestionReader extends LogReader {
         return async.waterfall([
             next => this._readInitState(logger, next),
             (initState, next) => {
+                if (initState.isStatusComplete && this._isS3Source()) {
+                    return this._iProducer.getChanges(this.bucket,
+                    readOptions.startSeq, (err, res) => {
+                        if (err) {
+                            logger.error('Error retrieving changes', { err,
+                                bucket: this.bucket, method:
+                                'IngestionReader._processReadRecords' });
+                            return next(err);
+                        }
+                        batchState.logRes = {
+                            info: { start: readOptions.startSeq },
+                            log: res.log,
+                        };
+                        batchState.changeCursor = res.cursor;
+                        return next();
+                    });
+                }
                 if (initState.isStatusComplete) {
                     return this._iProducer.getRaftLog(this.raftId,
                     readOptions.startSeq, readOptions.limit, false,
@@ -296,8 +354,9 @@ class IngestionReader extends LogReader {
         if (!logRes.log) {
             return done();
         }
-        // if initState, then these current log entries came from a snapshot
-        if (initState) {
+        // if initState, then these current log entries came from a snapshot.
+        // Changes from generic S3 sources are also listed as entries
+        if (initState || Array.isArray(logRes.log)) {
             logRes.log.forEach(entry => {
                 // for snapshot phase, only versioned keys are separate records
                 // and non-versioned keys are only considered entries.
@@ -341,6 +400,7 @@ class IngestionReader extends LogReader {
     _processPublishEntries(batchState, done) {
         const {
             entriesToPublish, logRes, logStats, logger, initState,
+            changeCursor,
         } = batchState;
 
         // initState.cseq is only fetched at very start of snapshot phase.
@@ -352,7 +412,9 @@ class IngestionReader extends LogReader {
         }
         // only set this after snapshot phase is done.
         // `initState` is only set during snapshot phase.
-        if (!initState) {
+        if (!initState && changeCursor !== undefined) {
+            batchState.nextLogOffset = changeCursor;
+        } else if (!initState) {
             batchState.nextLogOffset =
             logRes.info.start + logStats.nbLogRecordsRead;
         }
@@ -446,7 +508,8 @@ class IngestionReader extends LogReader {
     /**
      * Helper method to fetch an bucketdConfig object of only editable fields
      * following a specific format.
-     * Editable fields: auth.accessKey, auth.secretKey, host, port, https
+     * Editable fields: auth.accessKey, auth.secretKey, host, port, https,
+     * region
      * @param {Object} info - bucketdConfig information
      * @return {String} editableInfo as a string
      */
@@ -457,10 +520,14 @@ class IngestionReader extends LogReader {
             host: info.host,
             port: info.port,
             https: info.https,
+            region: info.region,
         });
     }
 
     getLogInfo() {
+        if (this._isS3Source()) {
+            return { bucket: this.bucket };
+        }
         return { raftId: this.raftId };
     }
 
@@ -1,15 +1,19 @@
 const async = require('async');
 
-const jsutil = require('arsenal').jsutil;
+const { errors, jsutil } = require('arsenal');
 
 const config = require('../../conf/Config');
 const BackbeatProducer = require('../BackbeatProducer');
+const { getKafkaClientConfig } = require('../localQueue');
 const ReplicationQueuePopulator =
     require('../../extensions/replication/ReplicationQueuePopulator');
 
 const { metricsExtension, metricsTypeQueued } =
     require('../../extensions/replication/constants');
 
+// log sources with opaque string offsets
+const MONGO_LOG_SOURCES = ['mongo', 'mongoChangeStream'];
+
 class LogReader {
 
     /**
@@ -36,6 +40,11 @@ class LogReader {
         this.logConsumer = params.logConsumer;
         this.pathToLogOffset = `${config.queuePopulator.zookeeperPath}/` +
             `logState/${params.logId}/logOffset`;
+        // offset set through the API, applied at the start of the next
+        // batch
+        this.pathToRequestedLogOffset =
+            `${config.queuePopulator.zookeeperPath}/` +
+            `logState/${params.logId}/requestedLogOffset`;
         this.logOffset = null;
         this.log = params.logger;
         this._producers = {};
@@ -122,7 +131,8 @@ class LogReader {
             }
             if (data) {
                 let logOffset;
-                if (config.queuePopulator.logSource === 'mongo') {
+                if (MONGO_LOG_SOURCES.includes(
+                    config.queuePopulator.logSource)) {
                     logOffset = data.toString();
                 } else {
                     const logOffsetNumber = Number.parseInt(data, 10);
@@ -171,6 +181,124 @@ class LogReader {
             });
     }
 
+    /**
+     * Convert a timestamp to a log offset, for log sources which
+     * support rewinding to a point in time. The default implementation
+     * returns a NotImplemented error, subclasses may override.
+     *
+     * @param {Date} timestamp - time to rewind the log to
+     * @param {Logger} logger - logger object
+     * @param {function} done - callback(err, logOffset)
+     * @return {undefined}
+     */
+    _getLogOffsetFromTimestamp(timestamp, logger, done) {
+        return process.nextTick(() => done(
+            errors.NotImplemented.customizeDescription(
+                'log source does not support rewinding to a timestamp')));
+    }
+
+    /**
+     * Apply the log offset requested through the API, if any: the
+     * request is read from zookeeper and removed once the new offset is
+     * saved, so that it is applied exactly once even if the populator
+     * restarts in between. The request node is only removed if it was
+     * not updated meanwhile, so that a newer request is applied at the
+     * next batch instead of being dropped.
+     *
+     * @param {Object} batchState - batch state object
+     * @param {function} done - callback function
+     * @return {undefined}
+     */
+    _processRequestedLogOffset(batchState, done) {
+        const { logger } = batchState;
+        const path = this.pathToRequestedLogOffset;
+        if (!path) {
+            return process.nextTick(done);
+        }
+        return this.zkClient.getData(path, (err, data, stat) => {
+            if (err && err.name === 'NO_NODE') {
+                return done();
+            }
+            if (err) {
+                logger.error('could not fetch requested log offset', {
+                    method: 'LogReader._processRequestedLogOffset',
+                    zkPath: path,
+                    error: err,
+                });
+                return done(err);
+            }
+            let request;
+            try {
+                request = JSON.parse(data.toString());
+            } catch (e) {
+                request = {};
+            }
+            return async.waterfall([
+                next => {
+                    if (request.logOffset !== undefined) {
+                        return next(null, request.logOffset);
+                    }
+                    const timestamp = new Date(request.timestamp);
+                    if (request.timestamp === undefined ||
+                        Number.isNaN(timestamp.getTime())) {
+                        return next(errors.InvalidArgument
+                            .customizeDescription('invalid request'));
+                    }
+                    return this._getLogOffsetFromTimestamp(
+                        timestamp, logger, next);
+                },
+                (logOffset, next) => {
+                    logger.info('rewinding log to requested offset', {
+                        method: 'LogReader._processRequestedLogOffset',
+                        logSource: this.getLogInfo(),
+                        currentLogOffset: this.logOffset,
+                        logOffset,
+                        request,
+                    });
+                    // the tailable cursor is positioned after the
+                    // current offset: drop it so that records are read
+                    // again from the new offset
+                    if (this._openLog) {
+                        this._openLog.log.pause();
+                        this._openLog = null;
+                    }
+                    this.logOffset = logOffset;
+                    return this._writeLogOffset(logger, next);
+                },
+            ], err => {
+                if (err && !err.NotImplemented && !err.InvalidArgument) {
+                    return done(err);
+                }
+                if (err) {
+                    // do not retry a request which cannot be applied
+                    logger.error('ignoring requested log offset', {
+                        method: 'LogReader._processRequestedLogOffset',
+                        logSource: this.getLogInfo(),
+                        request,
+                        error: err.description,
+                    });
+                }
+                return this.zkClient.remove(path, stat.version, err => {
+                    if (err && err.name === 'BAD_VERSION') {
+                        logger.info('requested log offset was updated, ' +
+                            'keeping it for the next batch',
+                            { method: 'LogReader._processRequestedLogOffset',
+                              zkPath: path });
+                        return done();
+                    }
+                    if (err && err.name !== 'NO_NODE') {
+                        logger.error('could not remove requested log offset',
+                            { method: 'LogReader._processRequestedLogOffset',
+                              zkPath: path,
+                              error: err });
+                        return done(err);
+                    }
+                    return done();
+                });
+            });
+        });
+    }
+
     /**
      * Process log entries, up to the maximum defined in params or
      * until the timeout is reached waiting for new entries to come
@@ -203,6 +331,7 @@ class LogReader {
         };
 
         async.waterfall([
+            next => this._processRequestedLogOffset(batchState, next),
             next => this._processReadRecords(params, batchState, next),
             next => this._processPrepareEntries(batchState, next),
             next => this._processPublishEntries(batchState, next),
@@ -336,6 +465,9 @@ class LogReader {
                 method: 'LogReader._processPrepareEntries',
                 error: err,
             });
+            // do not reuse a failed tailable cursor: the next batch
+            // reads the log again from the last saved offset
+            this._openLog = null;
             return shipBatchCb(err);
         };
         const endEventHandler = () => {
@@ -406,7 +538,7 @@ class LogReader {
             return process.nextTick(done);
         }
         const producer = new BackbeatProducer({
-            kafka: { hosts: this.kafkaConfig.hosts },
+            kafka: getKafkaClientConfig(this.kafkaConfig),
             topic,
         });
         producer.once('error', done);
@@ -453,6 +585,8 @@ class LogReader {
                 done => this._setupProducer(topic, done),
                 done => this._producers[topic].send(topicEntries, done),
             ], err => {
+                topicEntries.forEach(entry =>
+                    entry.span && entry.span.end(err));
                 if (err) {
                     logger.error(
                         'error publishing entries from log to topic',
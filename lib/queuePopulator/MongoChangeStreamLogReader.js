@@ -0,0 +1,59 @@
+const { ChangeStreamLogConsumer } = require('./ChangeStreamLogConsumer');
+const LogReader = require('./LogReader');
+
+class MongoChangeStreamLogReader extends LogReader {
+    constructor(params) {
+        const { zkClient, kafkaConfig, zkConfig, mongoConfig,
+                logger, extensions, metricsProducer } = params;
+        logger.info('initializing mongo change stream log reader',
+            { method: 'MongoChangeStreamLogReader.constructor',
+                mongoConfig });
+        const logConsumer = new ChangeStreamLogConsumer(mongoConfig, logger);
+        super({ zkClient, kafkaConfig, zkConfig, logConsumer,
+                logId: `mongoChangeStream_${mongoConfig.logName}`, logger,
+                extensions, metricsProducer });
+        this._mongoConfig = mongoConfig;
+    }
+
+    /**
+    * start up MongoDB connection
+    * @param {object} done callback function
+    * @return {undefined}
+    */
+    setup(done) {
+        this.logConsumer.connectMongo(err => {
+            if (err) {
+                this.log.error('error opening change stream log', {
+                    method: 'MongoChangeStreamLogReader.setup',
+                    mongoConfig: this._mongoConfig,
+                });
+                return done(err);
+            }
+            return super.setup(done);
+        });
+    }
+
+    /**
+     * Get the log offset to start the change stream at a timestamp
+     *
+     * @param {Date} timestamp - time to rewind the log to
+     * @param {Logger} logger - logger object
+     * @param {function} done - callback(err, logOffset)
+     * @return {undefined}
+     */
+    _getLogOffsetFromTimestamp(timestamp, logger, done) {
+        const startAtOperationTime = Math.floor(timestamp.getTime() / 1000);
+        return process.nextTick(done, null,
+                                JSON.stringify({ startAtOperationTime }));
+    }
+
+    /**
+     * Get mongo log info
+     * @return {object} logName
+     */
+    getLogInfo() {
+        return { logName: this._mongoConfig.logName };
+    }
+}
+
+module.exports = MongoChangeStreamLogReader;
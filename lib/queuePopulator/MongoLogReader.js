@@ -1,4 +1,7 @@
+const async = require('async');
+const { MongoClient, Timestamp } = require('mongodb');
 const arsenal = require('arsenal');
+const { errors } = arsenal;
 const LogConsumer = arsenal.storage.metadata.mongoclient.LogConsumer;
 const LogReader = require('./LogReader');
 
@@ -34,6 +37,53 @@ class MongoLogReader extends LogReader {
         });
     }
 
+    /**
+     * Get the offset of the last oplog entry of the metadata database
+     * before a timestamp, so that the entries written since then are
+     * read again. The offset is the unique ID of the entry, the oplog
+     * being read from the beginning and skipped up to it.
+     *
+     * @param {Date} timestamp - time to rewind the oplog to
+     * @param {Logger} logger - logger object
+     * @param {function} done - callback(err, logOffset)
+     * @return {undefined}
+     */
+    _getLogOffsetFromTimestamp(timestamp, logger, done) {
+        const { replicaSetHosts, database } = this._mongoConfig;
+        const seconds = Math.floor(timestamp.getTime() / 1000);
+        let client = null;
+        return async.waterfall([
+            next => MongoClient.connect(`mongodb://${replicaSetHosts}/local`,
+                                        { useNewUrlParser: true }, next),
+            (mongoClient, next) => {
+                client = mongoClient;
+                client.db('local').collection('oplog.rs').find({
+                    ns: new RegExp(`^${database}\\.`),
+                    ts: { $lt: new Timestamp(0, seconds) },
+                }).sort({ $natural: -1 }).limit(1).toArray(next);
+            },
+        ], (err, entries) => {
+            if (client) {
+                client.close();
+            }
+            if (err) {
+                logger.error('could not read oplog', {
+                    method: 'MongoLogReader._getLogOffsetFromTimestamp',
+                    timestamp,
+                    error: err.message,
+                });
+                return done(errors.InternalError);
+            }
+            if (entries.length === 0) {
+                // timestamp older than the oplog: read it all
+                return done(null, JSON.stringify({}));
+            }
+            return done(null, JSON.stringify({
+                uniqID: entries[0].h.toString(),
+            }));
+        });
+    }
+
     /**
      * Get mongo log info
      * @return {object} logName
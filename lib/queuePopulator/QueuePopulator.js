@@ -11,6 +11,7 @@ const MetricsConsumer = require('../MetricsConsumer');
 const FailedCRRConsumer =
     require('../../extensions/replication/failedCRR/FailedCRRConsumer');
 const MongoLogReader = require('./MongoLogReader');
+const MongoChangeStreamLogReader = require('./MongoChangeStreamLogReader');
 const { metricsExtension } = require('../../extensions/replication/constants');
 
 class QueuePopulator {
@@ -29,13 +30,15 @@ class QueuePopulator {
      * @param {String} qpConfig.zookeeperPath - sub-path to use for
      *   storing populator state in zookeeper
      * @param {String} qpConfig.logSource - type of source
-     *   log: "bucketd" (raft log) or "dmd" (bucketfile)
+     *   log: "bucketd" (raft log), "dmd" (bucketfile), "mongo" (mongo
+     *   oplog) or "mongoChangeStream" (mongo change streams)
      * @param {Object} [qpConfig.bucketd] - bucketd source
      *   configuration (mandatory if logSource is "bucket")
      * @param {Object} [qpConfig.dmd] - dmd source
      *   configuration (mandatory if logSource is "dmd")
      * @param {Object} [qpConfig.mongo] - mongo source
-     *   configuration (mandatory if logSource is "mongo")
+     *   configuration (mandatory if logSource is "mongo" or
+     *   "mongoChangeStream")
      * @param {Object} [httpsConfig] - HTTPS configuration object
      * @param {String} [httpsConfig.key] - private key file path
      * @param {String} [httpsConfig.cert] - certificate file path
@@ -193,6 +196,19 @@ class QueuePopulator {
                 }),
             ];
             break;
+        case 'mongoChangeStream':
+            this.logReadersUpdate = [
+                new MongoChangeStreamLogReader({
+                    zkClient: this.zkClient,
+                    kafkaConfig: this.kafkaConfig,
+                    zkConfig: this.zkConfig,
+                    mongoConfig: this.qpConfig.mongo,
+                    logger: this.log,
+                    extensions: this._extensions,
+                    metricsProducer: this._mProducer,
+                }),
+            ];
+            break;
         case 'dmd':
             this.logReadersUpdate = [
                 new BucketFileLogReader({ zkClient: this.zkClient,
@@ -205,8 +221,9 @@ class QueuePopulator {
             ];
             break;
         default:
-            throw new Error("bad 'logSource' config value: expect 'bucketd,'" +
-                        ` mongo or 'dmd', got '${this.qpConfig.logSource}'`);
+            throw new Error("bad 'logSource' config value: expect 'bucketd'," +
+                        " 'mongo', 'mongoChangeStream' or 'dmd', got " +
+                        `'${this.qpConfig.logSource}'`);
         }
     }
 
@@ -275,6 +292,7 @@ class QueuePopulator {
                 // eslint-disable-next-line new-cap
                 const ext = new index.queuePopulatorExtension({
                     config: extConfig,
+                    redisConfig: this.rConfig,
                     logger: this.log,
                 });
                 ext.setZkConfig(this.zkConfig);
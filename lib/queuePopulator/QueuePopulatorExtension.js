@@ -65,15 +65,20 @@ class QueuePopulatorExtension {
      * @param {string} topic - topic name
      * @param {string} key - key of the kafka entry, for keyed partitioning
      * @param {string} message - kafka message
+     * @param {Span} [span] - tracing span of the entry, ended when the
+     * entry is published
      * @return {undefined}
      */
-    publish(topic, key, message) {
+    publish(topic, key, message, span) {
         assert(this._batch,
                'logic error: QueuePopulatorExtension.publish() called ' +
                'without an active batch. Please make sure it\'s called ' +
                'synchronously from the filter() method.');
 
         const kafkaEntry = { key: encodeURIComponent(key), message };
+        if (span) {
+            kafkaEntry.span = span;
+        }
         this.log.trace('queueing kafka entry to topic',
                        { key: kafkaEntry.key, topic });
         if (this._batch[topic] === undefined) {
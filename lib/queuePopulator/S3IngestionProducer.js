@@ -0,0 +1,390 @@
+const async = require('async');
+const AWS = require('aws-sdk');
+const http = require('http');
+const https = require('https');
+const Logger = require('werelogs').Logger;
+
+const ObjectMD = require('arsenal').models.ObjectMD;
+
+const { attachReqUids } = require('../clients/utils');
+const RaftLogEntry = require('../models/RaftLogEntry');
+
+// margin applied to the change cursor, at the start of the snapshot and when
+// listing changes, to catch changes that would not yet appear in the listing,
+// e.g. because of the eventual consistency of the source or of the time
+// taken to complete multipart uploads
+const CURSOR_MARGIN_MS = 60000;
+const LISTING_MAX_KEYS = 1000;
+
+class S3IngestionProducer {
+    /**
+     * Create an S3IngestionProducer class that helps create a snapshot of
+     * a bucket on any S3-compatible source, then keep up with the changes
+     * made to it by periodically listing the bucket versions.
+     *
+     * It exposes the same snapshot interface as IngestionProducer, plus
+     * `getChanges()` to be used instead of `getRaftLog()` once the snapshot
+     * is complete.
+     *
+     * @constructor
+     * @param {object} sourceConfig - source config (also called bucketdConfig)
+     * @param {object} qpConfig - queuePopulator config object
+     * @param {object} ingestionConfig - ingestion extension config object
+     * @param {number} [ingestionConfig.listingIntervalS] - minimum interval
+     *   between two listings of the source bucket looking for changes
+     */
+    constructor(sourceConfig, qpConfig, ingestionConfig) {
+        this.log = new Logger('Backbeat:S3IngestionProducer');
+        this.qpConfig = qpConfig;
+        this._targetZenkoBucket = sourceConfig.name;
+        this._locationConstraint = sourceConfig.locationConstraint;
+        this._listingIntervalMs =
+            ((ingestionConfig && ingestionConfig.listingIntervalS) || 0) * 1000;
+        this.requestLogger = this.log.newRequestLogger();
+        this.createEntry = new RaftLogEntry();
+
+        // time of the last listing looking for changes
+        this._lastListingTime = null;
+        // versions already returned with a last-modified time within the
+        // cursor margin, mapped to their last-modified time, used to not
+        // return them twice when listing again the changes of the margin
+        this._cursorVersions = new Map();
+
+        this._s3Client = null;
+        this._setupClients(sourceConfig);
+    }
+
+    /**
+     * Helper method to create a new HTTP(S) agent
+     * @param {string} protocol - "https" || "http"
+     * @return {http.Agent|https.Agent} new http or https Agent
+     */
+    _createHTTPAgent(protocol) {
+        const params = { keepAlive: true };
+        if (protocol === 'https') {
+            return new https.Agent(params);
+        }
+        return new http.Agent(params);
+    }
+
+    /**
+     * Setup internal client: `this._s3Client`
+     * @param {object} sourceConfig - source config (also called bucketdConfig)
+     * @return {undefined}
+     */
+    _setupClients(sourceConfig) {
+        const { https, host, port, region } = sourceConfig;
+        const protocol = https ? 'https' : 'http';
+        this._s3Client = new AWS.S3({
+            endpoint: `${protocol}://${host}:${port}`,
+            region: region || 'us-east-1',
+            credentials: new AWS.Credentials({
+                accessKeyId: sourceConfig.auth.accessKey,
+                secretAccessKey: sourceConfig.auth.secretKey,
+            }),
+            sslEnabled: protocol === 'https',
+            s3ForcePathStyle: true,
+            signatureVersion: 'v4',
+            httpOptions: {
+                agent: this._createHTTPAgent(protocol),
+                timeout: 0,
+            },
+            maxRetries: 0,
+        });
+    }
+
+    /**
+     * generate a listing of all current objects that exist on the source
+     * bucket
+     * @param {string} bucketName - name of source bucket
+     * @param {object} state - previous state used to paginate version listing
+     * @param {string} [state.versionMarker] - NextVersionIdMarker
+     * @param {string} [state.keyMarker] - NextKeyMarker
+     * @param {function} done - callback(error, response) where response has:
+     *   logRes {object} - metadata logs formed as RaftLogEntry put entries
+     *   initState {object} - returns status for snapshot process
+     *   initState.isStatusComplete {boolean} - true/false
+     *   [initState.versionMarker] {string} - NextVersionIdMarker, if any
+     *   [initState.keyMarker] {string} - KeyMarker, if any
+     *   [initState.cseq] {integer} - change cursor at start of snapshot phase,
+     *     as a timestamp in milliseconds
+     * @return {undefined}
+     */
+    snapshot(bucketName, state, done) {
+        // set the change cursor ONLY on first snapshot request, indicated by
+        // markers
+        let initialCursor;
+        if (!state.versionMarker && !state.keyMarker) {
+            initialCursor = Date.now() - CURSOR_MARGIN_MS;
+        }
+        async.waterfall([
+            next => this._listObjectVersions(bucketName, state, next),
+            (data, next) => {
+                const {
+                    IsTruncated, versionList, versionMarker, keyMarker,
+                } = data;
+                // delete markers are not ingested during the snapshot, as
+                // there is nothing to delete yet on the Zenko bucket
+                const latestVersions = versionList.filter(version =>
+                    version.IsLatest && !version.isDeleteMarker);
+                this._getEntries(bucketName, latestVersions, (err, logRes) => {
+                    if (err) {
+                        return next(err);
+                    }
+                    const response = {
+                        logRes,
+                        initState: {
+                            isStatusComplete: !IsTruncated,
+                            versionMarker,
+                            keyMarker,
+                        },
+                    };
+                    if (initialCursor) {
+                        response.initState.cseq = initialCursor;
+                    }
+                    return next(null, response);
+                });
+            },
+        ], done);
+    }
+
+    /**
+     * List the source bucket versions to find the changes made since the
+     * given cursor. Only the latest version of each key is ingested: as a
+     * put entry if it is an object, or as a del entry if it is a delete
+     * marker.
+     *
+     * Versions last modified up to CURSOR_MARGIN_MS before the cursor are
+     * checked again, as they may appear late in the listing, and are only
+     * returned if they were not already.
+     *
+     * The source bucket must be versioned: deletions are only found from
+     * delete markers, so deleting a version permanently, or an object of
+     * a non-versioned bucket, is not ingested.
+     *
+     * The listing is skipped if the previous one is more recent than the
+     * configured listing interval.
+     *
+     * @param {string} bucketName - name of source bucket
+     * @param {number|string} cursor - last-modified time of the most recent
+     *   change already ingested, as a timestamp in milliseconds
+     * @param {function} done - callback(error, response) where response has:
+     *   log {array} - RaftLogEntry put and del entries
+     *   cursor {number} - cursor to use for the next call
+     * @return {undefined}
+     */
+    getChanges(bucketName, cursor, done) {
+        const cursorTime = Number.parseInt(cursor, 10) || 0;
+        const minTime = cursorTime - CURSOR_MARGIN_MS;
+        const now = Date.now();
+        if (this._lastListingTime !== null &&
+            now - this._lastListingTime < this._listingIntervalMs) {
+            return process.nextTick(done, null,
+                { log: [], cursor: cursorTime });
+        }
+        this._lastListingTime = now;
+
+        const changes = [];
+        const state = {};
+        let isTruncated = true;
+        return async.whilst(() => isTruncated,
+        next => this._listObjectVersions(bucketName, state, (err, data) => {
+            if (err) {
+                return next(err);
+            }
+            data.versionList.forEach(version => {
+                if (version.IsLatest &&
+                    version.LastModified.getTime() >= minTime &&
+                    !this._cursorVersions.has(this._getVersionTag(version))) {
+                    changes.push(version);
+                }
+            });
+            isTruncated = data.IsTruncated;
+            state.versionMarker = data.versionMarker;
+            state.keyMarker = data.keyMarker;
+            return next();
+        }), err => {
+            if (err) {
+                return done(err);
+            }
+            const nextCursor = this._updateCursorVersions(cursorTime, changes);
+            const puts = changes.filter(version => !version.isDeleteMarker);
+            const dels = changes.filter(version => version.isDeleteMarker)
+                .map(version => ({
+                    type: 'del',
+                    bucket: this._targetZenkoBucket,
+                    key: version.Key,
+                }));
+            return this._getEntries(bucketName, puts, (err, entries) => {
+                if (err) {
+                    return done(err);
+                }
+                return done(null, {
+                    log: entries.concat(dels),
+                    cursor: nextCursor,
+                });
+            });
+        });
+    }
+
+    /**
+     * Helper method returning a string that identifies a listed version
+     * @param {object} version - version or delete marker from the listing
+     * @return {string} version identifier
+     */
+    _getVersionTag(version) {
+        return `${version.Key}\0${version.VersionId}\0` +
+            `${version.LastModified.getTime()}`;
+    }
+
+    /**
+     * Compute the next change cursor, and remember the versions returned
+     * with a last-modified time within the margin of it
+     * @param {number} cursorTime - current cursor
+     * @param {array} changes - versions returned for the current cursor
+     * @return {number} next cursor
+     */
+    _updateCursorVersions(cursorTime, changes) {
+        const nextCursor = changes.reduce((max, version) =>
+            Math.max(max, version.LastModified.getTime()), cursorTime);
+        const minTime = nextCursor - CURSOR_MARGIN_MS;
+        changes.forEach(version => {
+            this._cursorVersions.set(this._getVersionTag(version),
+                version.LastModified.getTime());
+        });
+        this._cursorVersions.forEach((lastModified, tag) => {
+            if (lastModified < minTime) {
+                this._cursorVersions.delete(tag);
+            }
+        });
+        return nextCursor;
+    }
+
+    /**
+     * Get one page of the list of object versions for a bucket
+     *
+     * @param {string} bucket - bucket name
+     * @param {object} state - previous state used to paginate version listing
+     * @param {string} [state.versionMarker] - NextVersionIdMarker
+     * @param {string} [state.keyMarker] - NextKeyMarker
+     * @param {function} done - callback function
+     * @return {undefined}
+     */
+    _listObjectVersions(bucket, state, done) {
+        const { versionMarker, keyMarker } = state;
+        const params = {
+            Bucket: bucket,
+            MaxKeys: LISTING_MAX_KEYS,
+        };
+        if (keyMarker) {
+            params.KeyMarker = keyMarker;
+        }
+        if (versionMarker) {
+            params.VersionIdMarker = versionMarker;
+        }
+        const req = this._s3Client.listObjectVersions(params);
+        attachReqUids(req, this.requestLogger);
+        return req.send((err, data) => {
+            if (err) {
+                this.log.error('error getting list of object versions', {
+                    method: 'S3IngestionProducer._listObjectVersions',
+                    error: err,
+                    bucket,
+                });
+                return done(err);
+            }
+            const deleteMarkers = (data.DeleteMarkers || []).map(marker =>
+                Object.assign({}, marker, { isDeleteMarker: true }));
+            return done(null, {
+                versionList: [...(data.Versions || []), ...deleteMarkers],
+                IsTruncated: data.IsTruncated,
+                versionMarker: data.NextVersionIdMarker,
+                keyMarker: data.NextKeyMarker,
+            });
+        });
+    }
+
+    /**
+     * Get metadata of the given object versions, formatted as put entries
+     * of the master keys
+     *
+     * @param {string} bucket - bucket name
+     * @param {array} versionList - list of object versions
+     * @param {function} done - callback(error, entries)
+     * @return {undefined}
+     */
+    _getEntries(bucket, versionList, done) {
+        return async.mapLimit(versionList, 10, (version, cb) =>
+            this._getObjectMetadata(bucket, version, (err, objMd) => {
+                if (err) {
+                    return cb(err);
+                }
+                return cb(null, this.createEntry.createPutEntry({
+                    res: objMd.getValue(),
+                    objectKey: version.Key,
+                }, this._targetZenkoBucket));
+            }), done);
+    }
+
+    /**
+     * Build the Zenko metadata of an object version from its source
+     * metadata. The object data is kept on the source: its location
+     * references the source version.
+     *
+     * @param {string} bucket - bucket name
+     * @param {object} version - version from the listing
+     * @param {function} done - callback(error, ObjectMD)
+     * @return {undefined}
+     */
+    _getObjectMetadata(bucket, version, done) {
+        const { Key, VersionId } = version;
+        const params = { Bucket: bucket, Key };
+        if (VersionId && VersionId !== 'null') {
+            params.VersionId = VersionId;
+        }
+        const req = this._s3Client.headObject(params);
+        attachReqUids(req, this.requestLogger);
+        req.send((err, data) => {
+            if (err) {
+                this.log.error('error getting metadata for object', {
+                    method: 'S3IngestionProducer._getObjectMetadata',
+                    bucket,
+                    key: Key,
+                    versionId: VersionId,
+                    error: err,
+                });
+                return done(err);
+            }
+            const md5 = (data.ETag || version.ETag || '').replace(/"/g, '');
+            const userMetadata = {};
+            Object.keys(data.Metadata || {}).forEach(name => {
+                userMetadata[`x-amz-meta-${name}`] = data.Metadata[name];
+            });
+            const location = {
+                key: Key,
+                size: data.ContentLength,
+                start: 0,
+                dataStoreName: this._locationConstraint,
+                dataStoreType: 'aws_s3',
+                dataStoreETag: `1:${md5}`,
+            };
+            if (params.VersionId) {
+                location.dataStoreVersionId = params.VersionId;
+            }
+            const objMd = new ObjectMD()
+                .setKey(Key)
+                .setContentLength(data.ContentLength)
+                .setContentType(data.ContentType)
+                .setContentMd5(md5)
+                .setLastModified((data.LastModified || version.LastModified)
+                    .toISOString())
+                .setAmzStorageClass(version.StorageClass || 'STANDARD')
+                .setUserMetadata(userMetadata)
+                .setDataStoreName(this._locationConstraint)
+                .setLocation(data.ContentLength > 0 ? [location] : null);
+            return done(null, objMd);
+        });
+    }
+}
+
+module.exports = S3IngestionProducer;
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const url = require('url');
+
+const EXPORT_TIMEOUT_MS = 10000;
+
+/**
+ * Build an OTLP/JSON ExportTraceServiceRequest from finished spans
+ * @param {object} resource - resource attributes, as a { key: value }
+ * object
+ * @param {object[]} spans - spans in OTLP/JSON format
+ * @return {object} export request
+ */
+function buildExportRequest(resource, spans) {
+    return {
+        resourceSpans: [{
+            resource: {
+                attributes: Object.keys(resource).map(key => ({
+                    key,
+                    value: { stringValue: String(resource[key]) },
+                })),
+            },
+            scopeSpans: [{
+                scope: { name: 'backbeat' },
+                spans,
+            }],
+        }],
+    };
+}
+
+/**
+ * Append export requests to a file, one JSON document per line, as
+ * read by the OpenTelemetry collector "otlpjsonfile" receiver
+ */
+class FileSpanExporter {
+    /**
+     * @constructor
+     * @param {object} params - constructor params
+     * @param {string} params.filePath - path of the file
+     */
+    constructor(params) {
+        this._filePath = params.filePath;
+    }
+
+    export(request, cb) {
+        fs.appendFile(this._filePath, `${JSON.stringify(request)}\n`, cb);
+    }
+}
+
+/**
+ * Send export requests to an OTLP/HTTP endpoint of a collector, with
+ * the JSON encoding
+ */
+class OTLPHttpSpanExporter {
+    /**
+     * @constructor
+     * @param {object} params - constructor params
+     * @param {string} params.endpoint - URL of the traces endpoint,
+     * e.g. "http://localhost:4318/v1/traces"
+     */
+    constructor(params) {
+        this._endpoint = url.parse(params.endpoint);
+        this._transport = this._endpoint.protocol === 'https:' ?
+            https : http;
+    }
+
+    export(request, cb) {
+        const body = JSON.stringify(request);
+        const req = this._transport.request({
+            protocol: this._endpoint.protocol,
+            hostname: this._endpoint.hostname,
+            port: this._endpoint.port,
+            path: this._endpoint.path,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+            },
+            timeout: EXPORT_TIMEOUT_MS,
+        }, res => {
+            res.resume();
+            res.once('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    return cb(new Error('trace export failed with ' +
+                                        `status ${res.statusCode}`));
+                }
+                return cb();
+            });
+        });
+        req.once('timeout', () => req.abort());
+        req.once('error', cb);
+        req.end(body);
+    }
+}
+
+module.exports = {
+    buildExportRequest,
+    FileSpanExporter,
+    OTLPHttpSpanExporter,
+};
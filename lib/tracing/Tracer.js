@@ -0,0 +1,379 @@
+const {
+    generateTraceId,
+    generateSpanId,
+    parseTraceParent,
+    formatTraceParent,
+} = require('./traceContext');
+const {
+    buildExportRequest,
+    FileSpanExporter,
+    OTLPHttpSpanExporter,
+} = require('./SpanExporters');
+
+// OTLP span kinds and status codes
+const SpanKind = {
+    INTERNAL: 1,
+    SERVER: 2,
+    CLIENT: 3,
+    PRODUCER: 4,
+    CONSUMER: 5,
+};
+const STATUS_CODE_OK = 1;
+const STATUS_CODE_ERROR = 2;
+
+// wall clock reference, to get timestamps with sub-millisecond
+// precision from the monotonic clock
+const START_TIME_MS = Date.now();
+const START_HRTIME = process.hrtime();
+
+/**
+ * Get the current time as nanoseconds since the epoch, in a string
+ * since it does not fit in a number
+ * @return {string} current time
+ */
+function nowUnixNano() {
+    const [s, ns] = process.hrtime(START_HRTIME);
+    const elapsedNs = s * 1e9 + ns;
+    const ms = START_TIME_MS + Math.floor(elapsedNs / 1e6);
+    const subMsNs = Math.floor(elapsedNs % 1e6);
+    return `${ms}${String(subMsNs).padStart(6, '0')}`;
+}
+
+function toOTLPAttributes(attributes) {
+    return Object.keys(attributes)
+        .filter(key => attributes[key] !== undefined)
+        .map(key => {
+            const value = attributes[key];
+            if (typeof value === 'boolean') {
+                return { key, value: { boolValue: value } };
+            }
+            if (Number.isInteger(value)) {
+                return { key, value: { intValue: String(value) } };
+            }
+            if (typeof value === 'number') {
+                return { key, value: { doubleValue: value } };
+            }
+            return { key, value: { stringValue: String(value) } };
+        });
+}
+
+class Span {
+    /**
+     * @constructor
+     * @param {Tracer} tracer - tracer exporting the span
+     * @param {string} name - span name
+     * @param {object} context - span context
+     * @param {string} context.traceId - trace id
+     * @param {string} context.spanId - span id
+     * @param {boolean} context.sampled - true if the span is exported
+     * @param {string} [parentSpanId] - id of the parent span
+     * @param {number} kind - span kind
+     * @param {object} attributes - span attributes, as a { key: value }
+     * object
+     */
+    constructor(tracer, name, context, parentSpanId, kind, attributes) {
+        this._tracer = tracer;
+        this._name = name;
+        this._context = context;
+        this._parentSpanId = parentSpanId;
+        this._kind = kind;
+        this._attributes = Object.assign({}, attributes);
+        this._startTime = nowUnixNano();
+        this._ended = false;
+    }
+
+    isSampled() {
+        return this._context.sampled;
+    }
+
+    /**
+     * Get the W3C traceparent of the span, to propagate its context to
+     * the next processing stage
+     * @return {string} traceparent string
+     */
+    getTraceParent() {
+        return formatTraceParent(this._context);
+    }
+
+    getTraceId() {
+        return this._context.traceId;
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this._attributes, attributes);
+        return this;
+    }
+
+    /**
+     * End the span, and queue it for export if it is sampled
+     * @param {Error} [err] - error of the traced operation
+     * @return {undefined}
+     */
+    end(err) {
+        if (this._ended) {
+            return undefined;
+        }
+        this._ended = true;
+        if (!this._context.sampled) {
+            return undefined;
+        }
+        const span = {
+            traceId: this._context.traceId,
+            spanId: this._context.spanId,
+            name: this._name,
+            kind: this._kind,
+            startTimeUnixNano: this._startTime,
+            endTimeUnixNano: nowUnixNano(),
+            attributes: toOTLPAttributes(this._attributes),
+            status: err ? {
+                code: STATUS_CODE_ERROR,
+                message: err.message || err.description ||
+                    err.code || String(err),
+            } : { code: STATUS_CODE_OK },
+        };
+        if (this._parentSpanId) {
+            span.parentSpanId = this._parentSpanId;
+        }
+        return this._tracer._addFinishedSpan(span);
+    }
+}
+
+/**
+ * Span of a disabled tracer: it only propagates the context of its
+ * parent, if any
+ */
+class NoopSpan {
+    constructor(traceParent) {
+        this._traceParent = traceParent;
+    }
+
+    isSampled() {
+        return false;
+    }
+
+    getTraceParent() {
+        return this._traceParent;
+    }
+
+    getTraceId() {
+        const context = parseTraceParent(this._traceParent);
+        return context ? context.traceId : undefined;
+    }
+
+    setAttributes() {
+        return this;
+    }
+
+    end() {
+        return undefined;
+    }
+}
+
+class Tracer {
+    /**
+     * @constructor
+     * @param {object} params - constructor params
+     * @param {object} params.config - tracing configuration
+     * @param {boolean} params.config.enabled - true to create and
+     * export spans
+     * @param {string} [params.config.exporter] - "file" or "otlp"
+     * @param {string} [params.config.filePath] - path of the file
+     * exporter output
+     * @param {string} [params.config.endpoint] - URL of the OTLP/HTTP
+     * traces endpoint
+     * @param {number} [params.config.sampleRatio] - ratio of traces
+     * started by backbeat that are sampled
+     * @param {number} [params.config.flushIntervalMs] - interval of
+     * span exports
+     * @param {number} [params.config.maxBatchSize] - number of finished
+     * spans triggering an export
+     * @param {string} params.serviceName - name of the service
+     * creating spans, exported as the "service.name" resource
+     * attribute
+     * @param {Logger} params.logger - logger object
+     */
+    constructor(params) {
+        const { config, serviceName, logger } = params;
+        this._config = config;
+        this._log = logger;
+        this._resource = { 'service.name': serviceName };
+        this._finishedSpans = [];
+        this._exporter = null;
+        this._flushTimer = null;
+        if (!config.enabled) {
+            return;
+        }
+        if (config.exporter === 'otlp') {
+            this._exporter = new OTLPHttpSpanExporter(config);
+        } else {
+            this._exporter = new FileSpanExporter(config);
+        }
+        this._flushTimer = setInterval(() => this.flush(),
+                                       config.flushIntervalMs);
+        this._flushTimer.unref();
+    }
+
+    isEnabled() {
+        return this._exporter !== null;
+    }
+
+    /**
+     * Start a span
+     * @param {string} name - span name
+     * @param {object} [options] - span options
+     * @param {string} [options.parent] - W3C traceparent of the parent
+     * span, a new trace is started if not set or invalid
+     * @param {number} [options.kind] - span kind, from SpanKind
+     * @param {object} [options.attributes] - span attributes, as a
+     * { key: value } object
+     * @return {Span} span, to end when the traced operation completes
+     */
+    startSpan(name, options) {
+        const { parent, kind, attributes } = options || {};
+        if (!this.isEnabled()) {
+            return new NoopSpan(parent);
+        }
+        const parentContext = parseTraceParent(parent);
+        let context;
+        if (parentContext) {
+            context = {
+                traceId: parentContext.traceId,
+                spanId: generateSpanId(),
+                sampled: parentContext.sampled,
+            };
+        } else {
+            context = {
+                traceId: generateTraceId(),
+                spanId: generateSpanId(),
+                sampled: Math.random() < this._config.sampleRatio,
+            };
+        }
+        return new Span(this, name, context,
+                        parentContext ? parentContext.spanId : undefined,
+                        kind || SpanKind.INTERNAL, attributes || {});
+    }
+
+    /**
+     * Trace the processing of a queue entry carrying a trace context:
+     * the span is a child of the entry context, and the entry context
+     * is updated to the span, so that the next processing stage is a
+     * child of this span
+     * @param {string} name - span name
+     * @param {object} entry - queue entry, with getTraceContext() and
+     * setTraceContext() methods
+     * @param {object} attributes - span attributes
+     * @param {function} processFunc - processing function, called with
+     * a callback(err)
+     * @param {function} cb - callback(err), called with the processing
+     * result
+     * @return {undefined}
+     */
+    traceEntry(name, entry, attributes, processFunc, cb) {
+        if (typeof entry.getTraceContext !== 'function') {
+            return processFunc(cb);
+        }
+        const span = this.startSpan(name, {
+            parent: entry.getTraceContext(),
+            kind: SpanKind.CONSUMER,
+            attributes,
+        });
+        entry.setTraceContext(span.getTraceParent());
+        return processFunc((err, ...args) => {
+            span.end(err);
+            return cb(err, ...args);
+        });
+    }
+
+    _addFinishedSpan(span) {
+        this._finishedSpans.push(span);
+        if (this._finishedSpans.length >= this._config.maxBatchSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Export the finished spans
+     * @param {function} [cb] - callback(err)
+     * @return {undefined}
+     */
+    flush(cb) {
+        const done = cb || (() => {});
+        if (this._finishedSpans.length === 0) {
+            return process.nextTick(done);
+        }
+        const spans = this._finishedSpans;
+        this._finishedSpans = [];
+        let called = false;
+        return this._exporter.export(
+            buildExportRequest(this._resource, spans), err => {
+                if (called) {
+                    return undefined;
+                }
+                called = true;
+                if (err) {
+                    this._log.error('could not export trace spans', {
+                        method: 'Tracer.flush',
+                        spanCount: spans.length,
+                        error: err.message,
+                    });
+                }
+                return done(err);
+            });
+    }
+
+    /**
+     * Stop periodic exports and export the remaining spans
+     * @param {function} [cb] - callback(err)
+     * @return {undefined}
+     */
+    close(cb) {
+        if (this._flushTimer) {
+            clearInterval(this._flushTimer);
+            this._flushTimer = null;
+        }
+        if (!this.isEnabled()) {
+            return process.nextTick(() => cb && cb());
+        }
+        return this.flush(cb);
+    }
+}
+
+let tracer = null;
+
+/**
+ * Set up the tracer of the process
+ * @param {object} config - tracing configuration
+ * @param {string} serviceName - name of the service
+ * @param {Logger} logger - logger object
+ * @return {Tracer} tracer of the process
+ */
+function setupTracing(config, serviceName, logger) {
+    if (tracer) {
+        tracer.close();
+    }
+    tracer = new Tracer({ config, serviceName, logger });
+    return tracer;
+}
+
+/**
+ * Get the tracer of the process
+ * @return {Tracer} tracer set up with setupTracing(), or a disabled
+ * tracer only propagating trace contexts
+ */
+function getTracer() {
+    if (!tracer) {
+        tracer = new Tracer({
+            config: { enabled: false },
+            serviceName: 'backbeat',
+        });
+    }
+    return tracer;
+}
+
+module.exports = {
+    SpanKind,
+    Span,
+    Tracer,
+    setupTracing,
+    getTracer,
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// W3C trace context, see https://www.w3.org/TR/trace-context/
+const TRACE_PARENT_VERSION = '00';
+const TRACE_PARENT_REGEX =
+    /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+function generateTraceId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function generateSpanId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Parse a W3C traceparent string
+ * @param {string} [traceParent] - traceparent string, as
+ * "00-<trace id>-<parent span id>-<flags>"
+ * @return {object|null} { traceId, spanId, sampled }, or null if the
+ * traceparent is missing or invalid
+ */
+function parseTraceParent(traceParent) {
+    if (typeof traceParent !== 'string') {
+        return null;
+    }
+    const match = TRACE_PARENT_REGEX.exec(traceParent);
+    if (!match || match[1] === 'ff' || match[2] === INVALID_TRACE_ID ||
+        match[3] === INVALID_SPAN_ID) {
+        return null;
+    }
+    return {
+        traceId: match[2],
+        spanId: match[3],
+        sampled: (parseInt(match[4], 16) & 1) === 1,
+    };
+}
+
+/**
+ * Format a W3C traceparent string
+ * @param {object} context - span context
+ * @param {string} context.traceId - trace id, as 32 hex characters
+ * @param {string} context.spanId - span id, as 16 hex characters
+ * @param {boolean} context.sampled - true if the trace is sampled
+ * @return {string} traceparent string
+ */
+function formatTraceParent(context) {
+    const flags = context.sampled ? '01' : '00';
+    return `${TRACE_PARENT_VERSION}-${context.traceId}-` +
+        `${context.spanId}-${flags}`;
+}
+
+module.exports = {
+    generateTraceId,
+    generateSpanId,
+    parseTraceParent,
+    formatTraceParent,
+};
@@ -25,7 +25,33 @@ function getSortedSetKey(storageClass, timestamp) {
     return `${failedCRR}:${storageClass}:${timestamp}`;
 }
 
+/**
+ * Returns the key of the Redis hash holding the failure reasons of the
+ * members of the matching sorted set.
+ * @param {String} storageClass - The storage class of the object
+ * @param {Number} timestamp - The normalized timestamp
+ * @return {String} - The hash key name
+ */
+function getFailureReasonKey(storageClass, timestamp) {
+    const { failedCRRReason } = redisKeys;
+    return `${failedCRRReason}:${storageClass}:${timestamp}`;
+}
+
+/**
+ * Returns the key of the sorted set tracking the members of the matching
+ * failed CRR sorted set that failed because of object lock.
+ * @param {String} storageClass - The storage class of the object
+ * @param {Number} timestamp - The normalized timestamp
+ * @return {String} - The sorted set key name
+ */
+function getObjectLockSortedSetKey(storageClass, timestamp) {
+    const { failedCRRObjectLock } = redisKeys;
+    return `${failedCRRObjectLock}:${storageClass}:${timestamp}`;
+}
+
 module.exports = {
     getSortedSetMember,
     getSortedSetKey,
+    getFailureReasonKey,
+    getObjectLockSortedSetKey,
 };
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const { PassThrough } = require('stream');
+
+const BandwidthThrottle = require('../../lib/BandwidthThrottle');
+
+function readAll(stream, cb) {
+    let size = 0;
+    stream.on('data', chunk => {
+        size += chunk.length;
+    });
+    stream.on('end', () => cb(size));
+}
+
+describe('BandwidthThrottle', () => {
+    it('should not limit throughput when no limit is set', done => {
+        const throttle = new BandwidthThrottle();
+        const source = new PassThrough();
+        const startTime = Date.now();
+
+        readAll(throttle.throttle(source), size => {
+            assert.strictEqual(size, 10000);
+            assert(Date.now() - startTime < 100);
+            assert.deepStrictEqual(throttle.getState(), {
+                bytesPerSec: 0,
+                activeStreams: 0,
+                waitingChunks: 0,
+                throttledBytes: 0,
+            });
+            done();
+        });
+        for (let i = 0; i < 10; ++i) {
+            source.write(Buffer.alloc(1000));
+        }
+        source.end();
+    });
+
+    it('should limit throughput of a stream to the set limit', done => {
+        const throttle = new BandwidthThrottle({ bytesPerSec: 2000 });
+        const source = new PassThrough();
+        const startTime = Date.now();
+
+        readAll(throttle.throttle(source), size => {
+            assert.strictEqual(size, 3000);
+            // first chunk goes through, the two others must wait
+            // for the bucket to refill
+            assert(Date.now() - startTime >= 900);
+            assert.strictEqual(throttle.getState().throttledBytes, 3000);
+            assert.strictEqual(throttle.getState().activeStreams, 0);
+            done();
+        });
+        assert.strictEqual(throttle.getState().activeStreams, 1);
+        for (let i = 0; i < 3; ++i) {
+            source.write(Buffer.alloc(1000));
+        }
+        source.end();
+    });
+
+    it('should share the limit between throttled streams', done => {
+        const throttle = new BandwidthThrottle({ bytesPerSec: 2000 });
+        const source1 = new PassThrough();
+        const source2 = new PassThrough();
+        const startTime = Date.now();
+        let nDone = 0;
+        const onEnd = size => {
+            assert.strictEqual(size, 1000);
+            nDone += 1;
+            if (nDone === 2) {
+                assert(Date.now() - startTime >= 400);
+                done();
+            }
+        };
+        readAll(throttle.throttle(source1), onEnd);
+        readAll(throttle.throttle(source2), onEnd);
+        assert.strictEqual(throttle.getState().activeStreams, 2);
+        source1.end(Buffer.alloc(1000));
+        source2.end(Buffer.alloc(1000));
+    });
+
+    it('should apply a new limit to waiting chunks', done => {
+        const throttle = new BandwidthThrottle({ bytesPerSec: 10 });
+        const source = new PassThrough();
+        const startTime = Date.now();
+
+        readAll(throttle.throttle(source), size => {
+            assert.strictEqual(size, 2000);
+            assert(Date.now() - startTime < 500);
+            done();
+        });
+        source.write(Buffer.alloc(1000));
+        source.end(Buffer.alloc(1000));
+        setTimeout(() => {
+            assert.strictEqual(throttle.getState().waitingChunks, 1);
+            throttle.setLimit(0);
+            assert.strictEqual(throttle.getLimit(), 0);
+        }, 50);
+    });
+
+    it('should release a throttled stream on source error', done => {
+        const throttle = new BandwidthThrottle({ bytesPerSec: 1000 });
+        const source = new PassThrough();
+        const throttled = throttle.throttle(source);
+
+        throttled.on('close', () => {
+            assert.strictEqual(throttle.getState().activeStreams, 0);
+            done();
+        });
+        source.on('error', () => {});
+        source.emit('error', new Error('OOPS'));
+    });
+
+    it('should drop the waiting chunks of a stream on source error',
+    done => {
+        const throttle = new BandwidthThrottle({ bytesPerSec: 10 });
+        const source = new PassThrough();
+        const throttled = throttle.throttle(source);
+
+        throttled.on('data', () => {});
+        throttled.on('close', () => {
+            assert.strictEqual(throttle.getState().waitingChunks, 0);
+            done();
+        });
+        source.on('error', () => {});
+        source.write(Buffer.alloc(1000));
+        source.write(Buffer.alloc(1000));
+        setTimeout(() => {
+            assert.strictEqual(throttle.getState().waitingChunks, 1);
+            source.emit('error', new Error('OOPS'));
+        }, 50);
+    });
+});
@@ -0,0 +1,232 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LocalBroker = require('../../lib/localQueue/LocalBroker');
+const LocalConsumer = require('../../lib/localQueue/LocalConsumer');
+const LocalProducer = require('../../lib/localQueue/LocalProducer');
+const { getQueueBackend, getKafkaClientConfig } =
+      require('../../lib/localQueue');
+
+function removeDir(dirPath) {
+    fs.readdirSync(dirPath).forEach(file => {
+        const filePath = path.join(dirPath, file);
+        if (fs.statSync(filePath).isDirectory()) {
+            removeDir(filePath);
+        } else {
+            fs.unlinkSync(filePath);
+        }
+    });
+    fs.rmdirSync(dirPath);
+}
+
+function produce(producer, topic, messages, cb) {
+    let nReports = 0;
+    const reports = [];
+    const onReport = (err, report) => {
+        assert.ifError(err);
+        reports.push(report);
+        nReports += 1;
+        if (nReports === messages.length) {
+            producer.removeListener('delivery-report', onReport);
+            cb(reports);
+        }
+    };
+    producer.on('delivery-report', onReport);
+    messages.forEach(({ key, value, partition }) => producer.produce(
+        topic, partition === undefined ? null : partition,
+        Buffer.from(value), key, Date.now()));
+}
+
+describe('local queue backend', () => {
+    let localQueueConfig;
+    let topic;
+    let testIndex = 0;
+
+    beforeEach(() => {
+        testIndex += 1;
+        topic = `local-queue-test-${testIndex}`;
+        localQueueConfig = { partitions: 2 };
+    });
+
+    it('should consume produced messages with their position', done => {
+        const producer = new LocalProducer(localQueueConfig);
+        const consumer = new LocalConsumer({ 'group.id': 'test-group' },
+            { 'auto.offset.reset': 'earliest' }, localQueueConfig);
+        producer.connect({}, () => produce(producer, topic, [
+            { key: 'foo', value: 'hello', partition: 0 },
+            { key: 'bar', value: 'world', partition: 1 },
+            { key: 'foo', value: 'again', partition: 0 },
+        ], reports => {
+            assert.deepStrictEqual(reports.map(r => [r.partition, r.offset]),
+                [[0, 0], [1, 0], [0, 1]]);
+            consumer.connect({}, () => {
+                consumer.subscribe([topic]);
+                assert.deepStrictEqual(consumer.assignments(), [
+                    { topic, partition: 0 }, { topic, partition: 1 },
+                ]);
+                consumer.consume(10, (err, messages) => {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(messages.map(m => [
+                        m.partition, m.offset, m.key.toString(),
+                        m.value.toString(),
+                    ]), [
+                        [0, 0, 'foo', 'hello'],
+                        [0, 1, 'foo', 'again'],
+                        [1, 0, 'bar', 'world'],
+                    ]);
+                    consumer.disconnect(done);
+                });
+            });
+        }));
+    });
+
+    it('should send messages with the same key to the same partition',
+    done => {
+        const producer = new LocalProducer(localQueueConfig);
+        producer.connect({}, () => produce(producer, topic, [
+            { key: 'foo', value: '1' },
+            { key: 'foo', value: '2' },
+            { key: 'foo', value: '3' },
+        ], reports => {
+            const partitions = new Set(reports.map(r => r.partition));
+            assert.strictEqual(partitions.size, 1);
+            done();
+        }));
+    });
+
+    it('should start from latest offset without committed offset', done => {
+        const producer = new LocalProducer(localQueueConfig);
+        const consumer = new LocalConsumer({ 'group.id': 'test-group' },
+            {}, localQueueConfig);
+        producer.connect({}, () => produce(producer, topic, [
+            { value: 'old', partition: 0 },
+        ], () => {
+            consumer.subscribe([topic]);
+            produce(producer, topic, [{ value: 'new', partition: 0 }], () =>
+                consumer.consume(10, (err, messages) => {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(
+                        messages.map(m => m.value.toString()), ['new']);
+                    consumer.disconnect(done);
+                }));
+        }));
+    });
+
+    it('should resume consumer group from committed offset', done => {
+        const producer = new LocalProducer(localQueueConfig);
+        const consumer1 = new LocalConsumer({ 'group.id': 'test-group' },
+            { 'auto.offset.reset': 'earliest' }, localQueueConfig);
+        const committed = [];
+        const consumer2 = new LocalConsumer({
+            'group.id': 'test-group',
+            'offset_commit_cb': (err, topicPartitions) =>
+                committed.push(...topicPartitions),
+        }, { 'auto.offset.reset': 'earliest' }, localQueueConfig);
+        producer.connect({}, () => produce(producer, topic, [
+            { value: '1', partition: 0 },
+            { value: '2', partition: 0 },
+            { value: '3', partition: 0 },
+        ], () => {
+            consumer1.subscribe([topic]);
+            consumer1.consume(2, (err, messages) => {
+                assert.ifError(err);
+                assert.strictEqual(messages.length, 2);
+                consumer1.offsetsStore([{ topic, partition: 0, offset: 1 }]);
+                consumer1.commit();
+                consumer1.unsubscribe();
+                consumer2.subscribe([topic]);
+                consumer2.consume(10, (err, messages) => {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(
+                        messages.map(m => m.value.toString()), ['2', '3']);
+                    consumer2.offsetsStore([{ topic, partition: 0,
+                                              offset: 3 }]);
+                    consumer2.commit();
+                    assert.deepStrictEqual(committed,
+                        [{ topic, partition: 0, offset: 3 }]);
+                    done();
+                });
+            });
+        }));
+    });
+
+    it('should balance partitions between consumers of a group', () => {
+        const consumer1 = new LocalConsumer({ 'group.id': 'test-group' },
+            {}, localQueueConfig);
+        const consumer2 = new LocalConsumer({ 'group.id': 'test-group' },
+            {}, localQueueConfig);
+        const otherConsumer = new LocalConsumer({ 'group.id': 'other-group' },
+            {}, localQueueConfig);
+        consumer1.subscribe([topic]);
+        consumer2.subscribe([topic]);
+        otherConsumer.subscribe([topic]);
+        assert.deepStrictEqual(consumer1.assignments(),
+            [{ topic, partition: 0 }]);
+        assert.deepStrictEqual(consumer2.assignments(),
+            [{ topic, partition: 1 }]);
+        assert.strictEqual(otherConsumer.assignments().length, 2);
+        consumer1.unsubscribe();
+        assert.deepStrictEqual(consumer1.assignments(), []);
+        assert.strictEqual(consumer2.assignments().length, 2);
+    });
+
+    describe('file storage', () => {
+        let dirPath;
+
+        beforeEach(() => {
+            dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'localqueue-'));
+        });
+
+        afterEach(() => removeDir(dirPath));
+
+        it('should share topics and offsets between brokers', () => {
+            // brokers of two different processes
+            const broker1 = new LocalBroker({ path: dirPath, partitions: 2 });
+            const broker2 = new LocalBroker({ path: dirPath, partitions: 4 });
+
+            broker1.append(topic, 1, { value: 'hello', key: null,
+                                       timestamp: 1 });
+            broker1.commitOffset(topic, 'test-group', 1, 1);
+            assert.strictEqual(broker2.getPartitionCount(topic), 2);
+            assert.strictEqual(broker2.getHighOffset(topic, 1), 1);
+            assert.deepStrictEqual(broker2.read(topic, 1, 0, 10),
+                [{ value: 'hello', key: null, timestamp: 1 }]);
+            assert.strictEqual(
+                broker2.getCommittedOffset(topic, 'test-group', 1), 1);
+            assert.strictEqual(
+                broker2.getCommittedOffset(topic, 'test-group', 0),
+                undefined);
+
+            const position = broker2.append(topic, 1, {
+                value: 'world', key: null, timestamp: 2 });
+            assert.deepStrictEqual(position, { partition: 1, offset: 1 });
+            assert.deepStrictEqual(
+                broker1.read(topic, 1, 1, 10).map(m => m.value), ['world']);
+        });
+    });
+
+    describe('queue backend settings', () => {
+        it('should default to the kafka backend', () => {
+            assert.deepStrictEqual(
+                getQueueBackend({ hosts: 'localhost:9092' }),
+                { backend: 'kafka', localQueue: {} });
+        });
+
+        it('should pass the backend settings of the kafka configuration',
+        () => {
+            const kafkaConfig = {
+                hosts: 'localhost:9092',
+                backend: 'local',
+                localQueue: { partitions: 2 },
+            };
+            const clientConfig = getKafkaClientConfig(kafkaConfig);
+            assert.deepStrictEqual(clientConfig, kafkaConfig);
+            assert.deepStrictEqual(getQueueBackend(clientConfig), {
+                backend: 'local',
+                localQueue: { partitions: 2 },
+            });
+        });
+    });
+});
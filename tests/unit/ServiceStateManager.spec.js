@@ -0,0 +1,141 @@
+const assert = require('assert');
+
+const ServiceStateManager = require('../../lib/ServiceStateManager');
+const fakeLogger = require('../utils/fakeLogger');
+
+const ZK_PATH = '/lifecycle/state/conductor';
+
+class ZkClientMock {
+    constructor(state) {
+        this.data = state ? Buffer.from(JSON.stringify(state)) : null;
+    }
+
+    getState() {
+        return this.data && JSON.parse(this.data.toString());
+    }
+
+    mkdirp(path, cb) {
+        return process.nextTick(cb);
+    }
+
+    create(path, data, cb) {
+        if (this.data) {
+            const err = new Error('node exists');
+            err.name = 'NODE_EXISTS';
+            return process.nextTick(() => cb(err));
+        }
+        this.data = data;
+        return process.nextTick(cb);
+    }
+
+    getData(path, cb) {
+        return process.nextTick(() => cb(null, this.data));
+    }
+
+    setData(path, data, cb) {
+        this.data = data;
+        return process.nextTick(cb);
+    }
+}
+
+describe('ServiceStateManager', () => {
+    let zkClient;
+    let stateManager;
+
+    function createStateManager(state) {
+        zkClient = new ZkClientMock(state);
+        stateManager = new ServiceStateManager({
+            service: 'test service',
+            zkPath: ZK_PATH,
+            channel: 'test-channel',
+            redisConfig: {},
+            zkClient,
+            logger: fakeLogger,
+        });
+    }
+
+    afterEach(() => {
+        stateManager.close();
+    });
+
+    it('should create the state node of a new service', done => {
+        createStateManager(null);
+        stateManager._setupZkStateNode(err => {
+            assert.ifError(err);
+            assert.strictEqual(stateManager.isPaused(), false);
+            assert.deepStrictEqual(zkClient.getState(), { paused: false });
+            done();
+        });
+    });
+
+    it('should load the paused state of a service', done => {
+        createStateManager({ paused: true });
+        stateManager._setupZkStateNode(err => {
+            assert.ifError(err);
+            assert.strictEqual(stateManager.isPaused(), true);
+            done();
+        });
+    });
+
+    it('should resume a service which scheduled resume expired', done => {
+        createStateManager({
+            paused: true,
+            scheduledResume: new Date(Date.now() - 1000).toISOString(),
+        });
+        stateManager._setupZkStateNode(err => {
+            assert.ifError(err);
+            assert.strictEqual(stateManager.isPaused(), false);
+            assert.deepStrictEqual(zkClient.getState(), { paused: false });
+            done();
+        });
+    });
+
+    it('should reschedule the pending resume of a service', done => {
+        const scheduledResume = new Date(Date.now() + 3600000).toISOString();
+        createStateManager({ paused: true, scheduledResume });
+        stateManager._setupZkStateNode(err => {
+            assert.ifError(err);
+            assert.strictEqual(stateManager.isPaused(), true);
+            setImmediate(() => {
+                assert(stateManager._scheduledResume);
+                assert.strictEqual(
+                    new Date(zkClient.getState().scheduledResume)
+                        .toISOString(), scheduledResume);
+                done();
+            });
+        });
+    });
+
+    it('should pause and resume a service', done => {
+        createStateManager({ paused: false });
+        stateManager.once('pause', () => {
+            assert.strictEqual(stateManager.isPaused(), true);
+            assert.strictEqual(zkClient.getState().paused, true);
+            stateManager.once('resume', () => {
+                assert.strictEqual(stateManager.isPaused(), false);
+                assert.strictEqual(zkClient.getState().paused, false);
+                done();
+            });
+            stateManager._resumeService();
+        });
+        stateManager._pauseService();
+    });
+
+    it('should schedule the resume of a service', done => {
+        createStateManager({ paused: true });
+        stateManager.once('resume', () => {
+            assert.fail('service should not resume yet');
+        });
+        stateManager._setupZkStateNode(err => {
+            assert.ifError(err);
+            const date = new Date(Date.now() + 3600000);
+            stateManager._resumeService(date);
+            setImmediate(() => {
+                assert.strictEqual(stateManager.isPaused(), true);
+                assert(stateManager._scheduledResume);
+                stateManager.removeAllListeners('resume');
+                done();
+            });
+        });
+    });
+});
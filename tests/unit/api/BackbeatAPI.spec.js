@@ -5,6 +5,8 @@ const BackbeatRequest = require('../../../lib/api/BackbeatRequest');
 const config = require('../../../conf/Config');
 const fakeLogger = require('../../utils/fakeLogger');
 const setupIngestionSiteMock = require('../../utils/mockIngestionSite');
+const { replicationEntry } = require('../../utils/kafkaEntries');
+const { redisKeys } = require('../../../extensions/replication/constants');
 
 describe('BackbeatAPI', () => {
     let bbapi;
@@ -40,11 +42,22 @@ describe('BackbeatAPI', () => {
         // invalid params but will default to getting all buckets
         { url: '/_/crr/failed/mybucket', method: 'GET' },
         { url: '/_/crr/failed', method: 'POST' },
+        { url: '/_/crr/object/mybucket/mykey?versionId=test-myvId',
+            method: 'GET' },
+        { url: '/_/crr/object/mybucket/my/nested/key', method: 'GET' },
+        { url: '/_/crr/retry/myjobid', method: 'GET' },
+        { url: '/_/crr/backfill/mybucket', method: 'GET' },
+        { url: '/_/crr/backfill/mybucket', method: 'POST' },
+        { url: '/_/queuepopulator/offset', method: 'GET' },
+        { url: '/_/queuepopulator/offset/raft_1', method: 'GET' },
+        { url: '/_/queuepopulator/offset/raft_1', method: 'POST' },
         { url: '/_/crr/pause', method: 'POST' },
         { url: '/_/crr/resume', method: 'POST' },
         { url: '/_/crr/resume/all/schedule', method: 'POST' },
         { url: '/_/crr/resume', method: 'GET' },
         { url: '/_/crr/status', method: 'GET' },
+        { url: '/_/crr/bandwidth', method: 'GET' },
+        { url: '/_/crr/bandwidth', method: 'POST' },
         { url: '/_/ingestion/pause', method: 'POST' },
         { url: '/_/ingestion/resume', method: 'POST' },
         { url: '/_/ingestion/resume/all/schedule', method: 'POST' },
@@ -58,6 +71,8 @@ describe('BackbeatAPI', () => {
         { url: `/_/crr/pause/${site}`, method: 'POST' },
         { url: `/_/crr/resume/${site}`, method: 'POST' },
         { url: `/_/crr/status/${site}`, method: 'GET' },
+        { url: `/_/crr/bandwidth/${site}`, method: 'GET' },
+        { url: `/_/crr/bandwidth/${site}`, method: 'POST' },
         { url: `/_/ingestion/pause/${ingestSite}`, method: 'POST' },
         { url: `/_/ingestion/resume/${ingestSite}`, method: 'POST' },
         { url: `/_/ingestion/status/${ingestSite}`, method: 'GET' },
@@ -90,6 +105,19 @@ describe('BackbeatAPI', () => {
         { url: '/_/monitoring/metrics', method: 'POST' },
         { url: '/_/crr/pause', method: 'GET' },
         { url: '/_/crr/status', method: 'POST' },
+        { url: '/_/crr/object/mybucket/mykey', method: 'POST' },
+        // object status requires a bucket and a key
+        { url: '/_/crr/object', method: 'GET' },
+        { url: '/_/crr/object/mybucket', method: 'GET' },
+        // retry job status requires a job ID
+        { url: '/_/crr/retry', method: 'GET' },
+        { url: '/_/crr/retry/myjobid', method: 'POST' },
+        // backfill jobs require a bucket
+        { url: '/_/crr/backfill', method: 'POST' },
+        { url: '/_/crr/backfill', method: 'GET' },
+        // log offsets can only be set for a given log reader
+        { url: '/_/queuepopulator/offset', method: 'POST' },
+        { url: '/_/queuepopulator/offsets', method: 'GET' },
         { url: '/_/ingestion/pause', method: 'GET' },
         { url: '/_/ingestion/status', method: 'POST' },
         { url: '/_/metrics/crr/unknown-site/throughput/mybucket/mykey' +
@@ -107,6 +135,8 @@ describe('BackbeatAPI', () => {
         { url: `/_/crr/pause/${ingestSite}`, method: 'POST' },
         { url: `/_/crr/resume/${ingestSite}`, method: 'POST' },
         { url: `/_/crr/status/${ingestSite}`, method: 'GET' },
+        { url: `/_/crr/bandwidth/${ingestSite}`, method: 'POST' },
+        { url: '/_/ingestion/bandwidth', method: 'POST' },
         { url: `/_/ingestion/pause/${site}`, method: 'POST' },
         { url: `/_/ingestion/resume/${site}`, method: 'POST' },
         { url: `/_/ingestion/status/${site}`, method: 'GET' },
@@ -119,6 +149,807 @@ describe('BackbeatAPI', () => {
         });
     });
 
+    describe('dead-letter routes', () => {
+        const deadLetterTopic = 'backbeat-test-dead-letter';
+        let savedDeadLetterTopics;
+
+        before(() => {
+            savedDeadLetterTopics = bbapi._deadLetterTopics;
+            bbapi._deadLetterTopics = [deadLetterTopic];
+        });
+
+        after(() => {
+            bbapi._deadLetterTopics = savedDeadLetterTopics;
+        });
+
+        [
+            { url: `/_/deadletter/${deadLetterTopic}`, method: 'GET' },
+            { url: `/_/deadletter/${deadLetterTopic}?partition=1&marker=10`,
+                method: 'GET' },
+            { url: `/_/deadletter/${deadLetterTopic}/replay`, method: 'POST' },
+        ].forEach(request => {
+            it(`should validate route: ${request.method} ${request.url}`,
+            () => {
+                const req = new BackbeatRequest(request);
+                const routeError = bbapi.findValidRoute(req);
+
+                assert.equal(routeError, null);
+                assert.strictEqual(req.getMatchedRoute().topic,
+                                   deadLetterTopic);
+            });
+        });
+
+        [
+            { url: '/_/deadletter', method: 'GET' },
+            { url: '/_/deadletter/unknown-topic', method: 'GET' },
+            { url: '/_/deadletter/unknown-topic/replay', method: 'POST' },
+            { url: `/_/deadletter/${deadLetterTopic}`, method: 'POST' },
+            { url: `/_/deadletter/${deadLetterTopic}/replay`, method: 'GET' },
+            { url: `/_/deadletter/${deadLetterTopic}/foo`, method: 'GET' },
+        ].forEach(request => {
+            it(`should invalidate route: ${request.method} ${request.url}`,
+            () => {
+                const req = new BackbeatRequest(request);
+                const routeError = bbapi.findValidRoute(req);
+
+                assert(routeError);
+            });
+        });
+
+        it('should invalidate a non-numeric partition query parameter', () => {
+            const req = new BackbeatRequest({
+                url: `/_/deadletter/${deadLetterTopic}?partition=foo`,
+                method: 'GET',
+            });
+            assert(bbapi.validateQuery(req));
+        });
+
+        [
+            { body: 'not json', valid: false },
+            { body: '[]', valid: false },
+            { body: '[{"Partition":0}]', valid: false },
+            { body: '[{"Partition":-1,"Offset":0}]', valid: false },
+            { body: '[{"Partition":"0","Offset":0}]', valid: false },
+            { body: '[{"Partition":0,"Offset":3},{"Partition":1,"Offset":0}]',
+                valid: true },
+        ].forEach(test => {
+            it(`should ${test.valid ? '' : 'not '}accept replay body ` +
+            `${test.body}`, () => {
+                const { error, reqBody } =
+                    bbapi._parseReplayDeadLetterEntries(test.body);
+                if (test.valid) {
+                    assert.ifError(error);
+                    assert.deepStrictEqual(reqBody, JSON.parse(test.body));
+                } else {
+                    assert(error);
+                    assert(error.MalformedPOSTRequest);
+                }
+            });
+        });
+    });
+
+    describe('getObjectReplicationStatus', () => {
+        const failureTime = 1600000000000;
+        const objMd = JSON.parse(JSON.parse(replicationEntry.value).value);
+        objMd.replicationInfo.status = 'FAILED';
+        objMd.replicationInfo.backends[0].status = 'FAILED';
+        objMd.replicationInfo.backends[1].status = 'COMPLETED';
+        let saved;
+        let mdError;
+        let mdBody;
+
+        before(() => {
+            saved = {
+                logger: bbapi._logger,
+                mdProxy: bbapi._backbeatMetadataProxy,
+                redisClient: bbapi._redisClient,
+            };
+            bbapi._logger = Object.assign({}, fakeLogger, {
+                newRequestLogger: () => fakeLogger,
+            });
+            bbapi._backbeatMetadataProxy = {
+                setSourceClient() {
+                    return this;
+                },
+                getMetadata: (params, log, cb) => process.nextTick(() => (
+                    mdError ? cb(mdError) :
+                        cb(null, { Body: mdBody || JSON.stringify(objMd) }))),
+            };
+            // failures are only recorded for site "sf"
+            bbapi._redisClient = {
+                zscore: (key, member, cb) => process.nextTick(() => cb(null,
+                    key.startsWith(`${redisKeys.failedCRR}:sf:`) ?
+                        `${failureTime}` : null)),
+                batch: (cmds, cb) => process.nextTick(() => cb(null,
+                    cmds.map(cmd => [null,
+                        cmd[1].startsWith(`${redisKeys.failedCRRReason}:sf:`) ?
+                            'Access Denied' : null]))),
+            };
+        });
+
+        after(() => {
+            bbapi._logger = saved.logger;
+            bbapi._backbeatMetadataProxy = saved.mdProxy;
+            bbapi._redisClient = saved.redisClient;
+        });
+
+        beforeEach(() => {
+            mdError = null;
+            mdBody = null;
+        });
+
+        it('should return the replication status of each site', done => {
+            bbapi.getObjectReplicationStatus({
+                bucket: 'mybucket',
+                key: 'mykey',
+            }, (err, res) => {
+                assert.ifError(err);
+                assert.deepStrictEqual(res, {
+                    Bucket: 'mybucket',
+                    Key: 'mykey',
+                    VersionId: '3938353030303836313334343731393939393939' +
+                        '5247303031202030',
+                    ReplicationStatus: 'FAILED',
+                    Sites: [
+                        {
+                            Site: 'sf',
+                            Status: 'FAILED',
+                            LastAttempt: new Date(failureTime).toISOString(),
+                            FailureReason: 'Access Denied',
+                        },
+                        {
+                            Site: 'replicationaws',
+                            Status: 'COMPLETED',
+                        },
+                    ],
+                });
+                done();
+            });
+        });
+
+        it('should return ObjNotFound if the object does not exist', done => {
+            mdError = { code: 'ObjNotFound', statusCode: 404 };
+            bbapi.getObjectReplicationStatus({
+                bucket: 'mybucket',
+                key: 'mykey',
+            }, err => {
+                assert(err);
+                assert(err.ObjNotFound);
+                done();
+            });
+        });
+
+        it('should return InternalError if the object metadata is malformed',
+        done => {
+            mdBody = '{"malformed":';
+            bbapi.getObjectReplicationStatus({
+                bucket: 'mybucket',
+                key: 'mykey',
+            }, err => {
+                assert(err);
+                assert(err.InternalError);
+                done();
+            });
+        });
+    });
+
+    describe('failed CRR listing by failure type', () => {
+        let saved;
+        let listedKeys;
+
+        before(() => {
+            saved = {
+                redisClient: bbapi._redisClient,
+                getFailedCRRResponse: bbapi._getFailedCRRResponse,
+            };
+            bbapi._redisClient = {
+                zrange: (key, start, stop, cb) => {
+                    listedKeys.push(key);
+                    return process.nextTick(() => cb(null,
+                        key.startsWith(`${redisKeys.failedCRRObjectLock}:`) ?
+                            ['mybucket:mykey:'] : []));
+                },
+            };
+            bbapi._getFailedCRRResponse = (nextMarker, entries, cb) =>
+                process.nextTick(() => cb(null, entries));
+        });
+
+        after(() => {
+            bbapi._redisClient = saved.redisClient;
+            bbapi._getFailedCRRResponse = saved.getFailedCRRResponse;
+        });
+
+        beforeEach(() => {
+            listedKeys = [];
+        });
+
+        [
+            { query: 'failureType=unknown', valid: false },
+            { query: 'failureType=objectlock', valid: false },
+            { query: 'sitename=sf&failureType=', valid: false },
+            { query: 'sitename=sf&failureType=objectlock', valid: true },
+        ].forEach(test => {
+            it(`should ${test.valid ? '' : 'not '}accept query ` +
+            `${test.query}`, () => {
+                const req = new BackbeatRequest({
+                    url: `/_/crr/failed?${test.query}`,
+                    method: 'GET',
+                });
+                const error = bbapi.validateQuery(req);
+                if (test.valid) {
+                    assert.strictEqual(error, null);
+                } else {
+                    assert(error);
+                    assert(error.InvalidQueryParameter);
+                }
+            });
+        });
+
+        it('should list the object lock failures of a site', done => {
+            bbapi.getSiteFailedCRR({
+                sitename: 'sf',
+                failureType: 'objectlock',
+            }, (err, entries) => {
+                assert.ifError(err);
+                assert(listedKeys.length > 0);
+                listedKeys.forEach(key => assert(
+                    key.startsWith(`${redisKeys.failedCRRObjectLock}:sf:`)));
+                assert.strictEqual(entries.length, 1);
+                assert.strictEqual(entries[0].getBucket(), 'mybucket');
+                assert.strictEqual(entries[0].getSite(), 'sf');
+                done();
+            });
+        });
+
+        it('should list all failures of a site by default', done => {
+            bbapi.getSiteFailedCRR({ sitename: 'sf' }, (err, entries) => {
+                assert.ifError(err);
+                listedKeys.forEach(key => assert(
+                    key.startsWith(`${redisKeys.failedCRR}:sf:`)));
+                assert.strictEqual(entries.length, 0);
+                done();
+            });
+        });
+    });
+
+    describe('failed CRR retry jobs', () => {
+        let saved;
+        let redisData;
+        let queued;
+
+        before(() => {
+            saved = {
+                logger: bbapi._logger,
+                redisClient: bbapi._redisClient,
+                processFailedKafkaEntries: bbapi._processFailedKafkaEntries,
+            };
+            bbapi._logger = fakeLogger;
+            bbapi._redisClient = {
+                zrangebyscore: (key, min, max, cb) => process.nextTick(() =>
+                    cb(null, (redisData[key] || [])
+                        .filter(m => (min === '-inf' || m.score >= min) &&
+                            (max === '+inf' || m.score <= max))
+                        .map(m => m.member))),
+                batch: (cmds, cb) => process.nextTick(() => cb(null,
+                    cmds.map(cmd => {
+                        if (cmd[0] === 'get') {
+                            return [null, redisData[cmd[1]] || null];
+                        }
+                        redisData[cmd[1]] = cmd[2];
+                        return [null, 'OK'];
+                    }))),
+            };
+            bbapi._processFailedKafkaEntries = (entries, cb) => {
+                queued.push(...entries);
+                return process.nextTick(() => cb(null, entries));
+            };
+        });
+
+        after(() => {
+            bbapi._logger = saved.logger;
+            bbapi._redisClient = saved.redisClient;
+            bbapi._processFailedKafkaEntries = saved.processFailedKafkaEntries;
+        });
+
+        beforeEach(() => {
+            redisData = {};
+            queued = [];
+        });
+
+        [
+            '{"Site":""}',
+            '{"Site":"unknown-site"}',
+            '{"Bucket":42}',
+            '{"StartTime":"not a date"}',
+            '{"StartTime":"2020-01-02T00:00:00Z",' +
+                '"EndTime":"2020-01-01T00:00:00Z"}',
+        ].forEach(body => {
+            it(`should not accept retry filters ${body}`, () => {
+                const { error } = bbapi._parseRetryFailedCRR(body);
+                assert(error);
+                assert(error.MalformedPOSTRequest);
+            });
+        });
+
+        it('should parse retry filters', () => {
+            const { error, filters } = bbapi._parseRetryFailedCRR(
+                JSON.stringify({
+                    Site: site,
+                    Bucket: 'mybucket',
+                    Prefix: 'logs/',
+                    StartTime: '2020-01-01T00:00:00Z',
+                }));
+            assert.ifError(error);
+            assert.deepStrictEqual(filters, {
+                sites: [site],
+                bucket: 'mybucket',
+                prefix: 'logs/',
+                startTime: 1577836800000,
+                endTime: undefined,
+            });
+        });
+
+        it('should re-queue the failed entries matching the filters', done => {
+            const now = Date.now();
+            const key = bbapi._getSortedSetKeys(site)[0];
+            redisData[key] = [
+                { member: 'mybucket:logs/a:vid1', score: now },
+                { member: 'mybucket:data/b:vid2', score: now },
+                { member: 'otherbucket:logs/c:vid3', score: now },
+                { member: 'mybucket:logs/d:vid4', score: now - 7200000 },
+            ];
+            const job = { JobId: 'myjobid', Scanned: 0, Matched: 0, Queued: 0 };
+            const { filters } = bbapi._parseRetryFailedCRR(JSON.stringify({
+                Site: site,
+                Bucket: 'mybucket',
+                Prefix: 'logs/',
+                StartTime: new Date(now - 3600000).toISOString(),
+            }));
+            bbapi._runFailedCRRRetryJob(job, filters, err => {
+                assert.ifError(err);
+                assert.deepStrictEqual(queued, [{
+                    key,
+                    member: 'mybucket:logs/a:vid1',
+                    StorageClass: site,
+                }]);
+                bbapi.getFailedCRRRetryJob({ jobId: 'myjobid' },
+                (err, res) => {
+                    assert.ifError(err);
+                    assert.strictEqual(res.Status, 'Completed');
+                    assert.strictEqual(res.Scanned, 3);
+                    assert.strictEqual(res.Matched, 1);
+                    assert.strictEqual(res.Queued, 1);
+                    done();
+                });
+            });
+        });
+
+        it('should return ObjNotFound for an unknown job', done => {
+            bbapi.getFailedCRRRetryJob({ jobId: 'unknown' }, err => {
+                assert(err);
+                assert(err.ObjNotFound);
+                done();
+            });
+        });
+
+        it('should return InternalError for a malformed job progress',
+        done => {
+            redisData[bbapi._getRetryJobKey('badjob')] = '{"Status":';
+            bbapi.getFailedCRRRetryJob({ jobId: 'badjob' }, err => {
+                assert(err);
+                assert(err.InternalError);
+                done();
+            });
+        });
+    });
+
+    describe('replication backfill routes', () => {
+        [
+            'not json',
+            '[]',
+            '{"Prefix":""}',
+            '{"Prefix":42}',
+        ].forEach(body => {
+            it(`should not accept backfill body ${body}`, () => {
+                const { error } = bbapi._parseReplicationBackfill(body);
+                assert(error);
+                assert(error.MalformedPOSTRequest);
+            });
+        });
+
+        it('should parse the backfill prefix', () => {
+            assert.deepStrictEqual(bbapi._parseReplicationBackfill(''), {});
+            assert.deepStrictEqual(
+                bbapi._parseReplicationBackfill('{"Prefix":"logs/"}'),
+                { prefix: 'logs/' });
+        });
+    });
+
+    describe('queue populator log offset routes', () => {
+        const logStatePath =
+            `${config.queuePopulator.zookeeperPath}/logState`;
+        let origZkClient;
+        let zkData;
+
+        beforeEach(() => {
+            origZkClient = bbapi._zkClient;
+            zkData = {
+                [`${logStatePath}/raft_1/logOffset`]: '1200',
+                [`${logStatePath}/raft_2/logOffset`]: '300',
+                [`${logStatePath}/raft_2/requestedLogOffset`]:
+                    '{"logOffset":100}',
+            };
+            bbapi._zkClient = {
+                getChildren: (path, cb) => cb(null, ['raft_2', 'raft_1']),
+                getData: (path, cb) => {
+                    if (zkData[path] === undefined) {
+                        const err = new Error('no node');
+                        err.name = 'NO_NODE';
+                        return cb(err);
+                    }
+                    return cb(null, Buffer.from(zkData[path]));
+                },
+                setOrCreate: (path, data, cb) => {
+                    zkData[path] = data.toString();
+                    return cb();
+                },
+            };
+            bbapi._hasNumericLogOffsets = () => true;
+        });
+
+        afterEach(() => {
+            bbapi._zkClient = origZkClient;
+            delete bbapi._hasNumericLogOffsets;
+        });
+
+        [
+            'not json',
+            '{}',
+            '{"LogOffset":0}',
+            '{"LogOffset":"100"}',
+            '{"LogOffset":100,"Timestamp":"2021-01-01T00:00:00Z"}',
+        ].forEach(body => {
+            it(`should not accept log offset body ${body}`, () => {
+                const { error } = bbapi._parseLogOffsetBody(body);
+                assert(error);
+                assert(error.MalformedPOSTRequest);
+            });
+        });
+
+        it('should only accept timestamps for mongo oplogs', () => {
+            const body = '{"Timestamp":"2021-01-01T00:00:00Z"}';
+            assert(bbapi._parseLogOffsetBody(body).error.NotImplemented);
+            bbapi._hasNumericLogOffsets = () => false;
+            assert.deepStrictEqual(bbapi._parseLogOffsetBody(body), {
+                request: { timestamp: '2021-01-01T00:00:00.000Z' },
+            });
+            assert(bbapi._parseLogOffsetBody('{"Timestamp":"yesterday"}')
+                   .error.MalformedPOSTRequest);
+        });
+
+        it('should get the log offset of each log reader', done => {
+            bbapi.getLogOffsets({}, (err, res) => {
+                assert.ifError(err);
+                assert.deepStrictEqual(res, [
+                    { LogId: 'raft_1', LogOffset: 1200 },
+                    { LogId: 'raft_2', LogOffset: 300,
+                      RequestedLogOffset: 100 },
+                ]);
+                done();
+            });
+        });
+
+        it('should return ObjNotFound for an unknown log reader', done => {
+            bbapi.getLogOffsets({ logId: 'raft_3' }, err => {
+                assert(err);
+                assert(err.ObjNotFound);
+                done();
+            });
+        });
+
+        it('should save the requested log offset', done => {
+            bbapi.setLogOffset({ logId: 'raft_1' }, '{"LogOffset":1000}',
+            (err, res) => {
+                assert.ifError(err);
+                assert.deepStrictEqual(res, {
+                    LogId: 'raft_1',
+                    LogOffset: 1200,
+                    RequestedLogOffset: 1000,
+                });
+                assert.deepStrictEqual(JSON.parse(
+                    zkData[`${logStatePath}/raft_1/requestedLogOffset`]),
+                    { logOffset: 1000 });
+                done();
+            });
+        });
+
+        it('should not set a log offset greater than the current one',
+        done => {
+            bbapi.setLogOffset({ logId: 'raft_1' }, '{"LogOffset":1300}',
+            err => {
+                assert(err);
+                assert(err.InvalidArgument);
+                assert.strictEqual(
+                    zkData[`${logStatePath}/raft_1/requestedLogOffset`],
+                    undefined);
+                done();
+            });
+        });
+    });
+
+    describe('bandwidth limit routes', () => {
+        [
+            'not json',
+            '{}',
+            '{"BytesPerSecond":-1}',
+            '{"BytesPerSecond":1.5}',
+            '{"BytesPerSecond":"1000"}',
+        ].forEach(body => {
+            it(`should not accept bandwidth limit body ${body}`, () => {
+                const { error } = bbapi._parseBandwidthLimitBody(body);
+                assert(error);
+                assert(error.MalformedPOSTRequest);
+            });
+        });
+
+        it('should publish the new limit to each site', done => {
+            const published = [];
+            const origPublisher = bbapi._redisPublisher;
+            bbapi._redisPublisher = {
+                publish: (channel, message) =>
+                    published.push({ channel, message: JSON.parse(message) }),
+            };
+            const req = new BackbeatRequest({
+                url: '/_/crr/bandwidth',
+                method: 'POST',
+            });
+            assert.equal(bbapi.findValidRoute(req), null);
+            const sites = destconfig.bootstrapList.map(b => b.site);
+            bbapi.setBandwidthLimit(req.getMatchedRoute(),
+            '{"BytesPerSecond":1048576}', err => {
+                bbapi._redisPublisher = origPublisher;
+                assert.ifError(err);
+                assert.deepStrictEqual(published, sites.map(s => ({
+                    channel: `${config.extensions.replication.topic}-${s}`,
+                    message: {
+                        action: 'setBandwidthLimit',
+                        bytesPerSec: 1048576,
+                    },
+                })));
+                done();
+            });
+        });
+
+        it('should get the limit saved in zookeeper per site', done => {
+            const origZkClient = bbapi._zkClient;
+            bbapi._zkClient = {
+                getData: (path, cb) => cb(null, Buffer.from(
+                    JSON.stringify({ paused: false, bandwidthLimit: 1000 }))),
+            };
+            bbapi.getBandwidthLimit({
+                service: 'crr',
+                site,
+                extensions: { crr: [site, 'all'] },
+            }, (err, data) => {
+                bbapi._zkClient = origZkClient;
+                assert.ifError(err);
+                assert.deepStrictEqual(data, {
+                    [site]: { BytesPerSecond: 1000 },
+                });
+                done();
+            });
+        });
+    });
+
+    describe('lifecycle simulation routes', () => {
+        it('should validate route: POST /_/lifecycle/simulate/mybucket',
+        () => {
+            const req = new BackbeatRequest({
+                url: '/_/lifecycle/simulate/mybucket',
+                method: 'POST',
+            });
+            const routeError = bbapi.findValidRoute(req);
+
+            assert.equal(routeError, null);
+            assert.strictEqual(req.getMatchedRoute().bucket, 'mybucket');
+        });
+
+        [
+            { url: '/_/lifecycle/simulate', method: 'POST' },
+            { url: '/_/lifecycle/simulate/mybucket', method: 'GET' },
+            { url: '/_/lifecycle/foo/mybucket', method: 'POST' },
+        ].forEach(request => {
+            it(`should invalidate route: ${request.method} ${request.url}`,
+            () => {
+                const req = new BackbeatRequest(request);
+                const routeError = bbapi.findValidRoute(req);
+
+                assert(routeError);
+            });
+        });
+
+        it('should use the bucket lifecycle configuration if no body is ' +
+        'given', () => {
+            assert.deepStrictEqual(bbapi._parseSimulateLifecycle(''), {});
+        });
+
+        [
+            'not json',
+            '{}',
+            '{"Rules":[]}',
+            '{"Rules":[{"ID":"rule1"}]}',
+            '{"Rules":[{"Status":"Enabled"}]}',
+        ].forEach(body => {
+            it(`should not accept simulation body ${body}`, () => {
+                const { error } = bbapi._parseSimulateLifecycle(body);
+                assert(error);
+                assert(error.MalformedPOSTRequest);
+            });
+        });
+
+        it('should parse rule dates of the simulation body', () => {
+            const { error, rules } = bbapi._parseSimulateLifecycle(
+                JSON.stringify({ Rules: [{
+                    ID: 'rule1',
+                    Status: 'Enabled',
+                    Prefix: '',
+                    Expiration: { Date: '2020-01-01T00:00:00.000Z' },
+                    Transitions: [
+                        { Days: 1, StorageClass: 'us-east-2' },
+                        { Date: '2019-01-01T00:00:00.000Z',
+                            StorageClass: 'us-east-1' },
+                    ],
+                }] }));
+            assert.ifError(error);
+            assert.strictEqual(rules.length, 1);
+            assert(rules[0].Expiration.Date instanceof Date);
+            assert.strictEqual(rules[0].Transitions[0].Days, 1);
+            assert(rules[0].Transitions[1].Date instanceof Date);
+        });
+    });
+
+    describe('lifecycle status routes', () => {
+        it('should validate route: GET /_/lifecycle/status/mybucket', () => {
+            const req = new BackbeatRequest({
+                url: '/_/lifecycle/status/mybucket',
+                method: 'GET',
+            });
+            const routeError = bbapi.findValidRoute(req);
+
+            assert.equal(routeError, null);
+            assert.strictEqual(req.getMatchedRoute().bucket, 'mybucket');
+        });
+
+        [
+            { url: '/_/lifecycle/status', method: 'GET' },
+            { url: '/_/lifecycle/status/mybucket', method: 'POST' },
+        ].forEach(request => {
+            it(`should invalidate route: ${request.method} ${request.url}`,
+            () => {
+                const req = new BackbeatRequest(request);
+                const routeError = bbapi.findValidRoute(req);
+
+                assert(routeError);
+            });
+        });
+
+        it('should return the last lifecycle runs of the bucket', done => {
+            const origRunStatus = bbapi._lcRunStatus;
+            const runs = [{ RunId: 'run1', Status: 'InProgress' }];
+            bbapi._lcRunStatus = {
+                getRuns: (bucket, cb) => {
+                    assert.strictEqual(bucket, 'mybucket');
+                    return cb(null, runs);
+                },
+            };
+            bbapi.getLifecycleStatus({ bucket: 'mybucket' }, (err, data) => {
+                bbapi._lcRunStatus = origRunStatus;
+                assert.ifError(err);
+                assert.deepStrictEqual(data,
+                                       { Bucket: 'mybucket', Runs: runs });
+                done();
+            });
+        });
+    });
+
+    describe('lifecycle and garbage collector pause/resume routes', () => {
+        [
+            { url: '/_/lifecycle/pause', method: 'POST' },
+            { url: '/_/lifecycle/pause/conductor', method: 'POST' },
+            { url: '/_/lifecycle/resume/bucket-processor', method: 'POST' },
+            { url: '/_/lifecycle/resume/object-processor/schedule',
+                method: 'POST' },
+            { url: '/_/lifecycle/resume/all/schedule', method: 'DELETE' },
+            { url: '/_/lifecycle/resume', method: 'GET' },
+            { url: '/_/gc/pause', method: 'POST' },
+            { url: '/_/gc/resume/collector', method: 'POST' },
+            { url: '/_/gc/resume/all/schedule', method: 'POST' },
+            { url: '/_/gc/resume', method: 'GET' },
+            { url: '/_/gc/status', method: 'GET' },
+        ].forEach(request => {
+            it(`should validate route: ${request.method} ${request.url}`,
+            () => {
+                const req = new BackbeatRequest(request);
+                const routeError = bbapi.findValidRoute(req);
+
+                assert.equal(routeError, null);
+            });
+        });
+
+        [
+            { url: '/_/lifecycle/pause', method: 'GET' },
+            { url: '/_/lifecycle/pause/unknown-service', method: 'POST' },
+            { url: `/_/lifecycle/pause/${site}`, method: 'POST' },
+            { url: '/_/gc/pause/conductor', method: 'POST' },
+            { url: '/_/gc/status', method: 'POST' },
+        ].forEach(request => {
+            it(`should invalidate route: ${request.method} ${request.url}`,
+            () => {
+                const req = new BackbeatRequest(request);
+                const routeError = bbapi.findValidRoute(req);
+
+                assert(routeError);
+            });
+        });
+
+        it('should publish pause requests to each lifecycle service', done => {
+            const published = [];
+            const origPublisher = bbapi._redisPublisher;
+            bbapi._redisPublisher = {
+                publish: (channel, message) =>
+                    published.push({ channel, message: JSON.parse(message) }),
+            };
+            bbapi.pauseService({
+                service: 'lifecycle',
+                site: 'all',
+                extensions: {
+                    lifecycle: ['conductor', 'object-processor', 'all'],
+                },
+            }, null, err => {
+                bbapi._redisPublisher = origPublisher;
+                assert.ifError(err);
+                assert.deepStrictEqual(published, [{
+                    channel: 'backbeat-lifecycle-service-conductor',
+                    message: { action: 'pauseService' },
+                }, {
+                    channel: 'backbeat-lifecycle-service-object-processor',
+                    message: { action: 'pauseService' },
+                }]);
+                done();
+            });
+        });
+
+        it('should get the garbage collector state from zookeeper', done => {
+            const origZkClient = bbapi._zkClient;
+            bbapi._zkClient = {
+                getData: (path, cb) => {
+                    assert(path.endsWith('/gc/state/collector'));
+                    return cb(null, Buffer.from(JSON.stringify({
+                        paused: true,
+                        scheduledResume: '2020-01-01T06:00:00.000Z',
+                    })));
+                },
+            };
+            const details = {
+                service: 'gc',
+                site: 'all',
+                extensions: { gc: ['collector', 'all'] },
+            };
+            bbapi.getServiceStatus(details, (err, statuses) => {
+                assert.ifError(err);
+                assert.deepStrictEqual(statuses, { collector: 'disabled' });
+                bbapi.getResumeSchedule(details, (err, schedules) => {
+                    bbapi._zkClient = origZkClient;
+                    assert.ifError(err);
+                    assert.deepStrictEqual(schedules, {
+                        collector: '2020-01-01T06:00:00.000Z',
+                    });
+                    done();
+                });
+            });
+        });
+    });
+
     it('should calculate the average throughput through redis intervals',
     () => {
         bbapi._getData = function overwriteGetData(details, data, cb) {
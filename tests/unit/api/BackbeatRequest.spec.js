@@ -77,6 +77,31 @@ describe('BackbeatRequest helper class', () => {
             assert.strictEqual(details3.bucket, 'mybucket');
             assert.strictEqual(details3.key, 'mykey');
             assert.strictEqual(details3.versionId, 'myvId');
+
+            const req4 = new BackbeatRequest({
+                url: '/_/crr/failed?sitename=sf&failureType=objectlock',
+                method: 'GET',
+            });
+            const details4 = req4.getRouteDetails();
+
+            assert.strictEqual(details4.status, 'failed');
+            assert.strictEqual(details4.sitename, 'sf');
+            assert.strictEqual(details4.failureType, 'objectlock');
+        });
+
+        it('should parse crr object status routes and store internally as ' +
+        'route details', () => {
+            const req = new BackbeatRequest({
+                url: '/_/crr/object/mybucket/my/key?versionId=myvId',
+                method: 'GET',
+            });
+            const details = req.getRouteDetails();
+
+            assert.strictEqual(details.extension, 'crr');
+            assert.strictEqual(details.status, 'object');
+            assert.strictEqual(details.bucket, 'mybucket');
+            assert.strictEqual(details.key, 'my/key');
+            assert.strictEqual(details.versionId, 'myvId');
         });
 
         it('should parse monitoring routes and store internally as route ' +
@@ -125,6 +150,45 @@ describe('BackbeatRequest helper class', () => {
             assert.strictEqual(details3.site, 'all');
         });
 
+        it('should parse crr retry job routes and store internally as ' +
+        'route details', () => {
+            const req = new BackbeatRequest({
+                url: '/_/crr/retry/myjobid',
+                method: 'GET',
+            });
+            const details = req.getRouteDetails();
+
+            assert.strictEqual(details.extension, 'crr');
+            assert.strictEqual(details.status, 'retry');
+            assert.strictEqual(details.jobId, 'myjobid');
+        });
+
+        it('should parse crr backfill routes and store internally as ' +
+        'route details', () => {
+            const req = new BackbeatRequest({
+                url: '/_/crr/backfill/mybucket',
+                method: 'POST',
+            });
+            const details = req.getRouteDetails();
+
+            assert.strictEqual(details.extension, 'crr');
+            assert.strictEqual(details.status, 'backfill');
+            assert.strictEqual(details.bucket, 'mybucket');
+        });
+
+        it('should parse crr bandwidth routes and store internally as ' +
+        'route details', () => {
+            const req = new BackbeatRequest({
+                url: '/_/crr/bandwidth/mysite',
+                method: 'POST',
+            });
+            const details = req.getRouteDetails();
+
+            assert.strictEqual(details.extension, 'crr');
+            assert.strictEqual(details.status, 'bandwidth');
+            assert.strictEqual(details.site, 'mysite');
+        });
+
         it('should parse ingestion pause/resume routes and store internally ' +
         'as route details', () => {
             const req = new BackbeatRequest({
@@ -155,6 +219,86 @@ describe('BackbeatRequest helper class', () => {
             assert.strictEqual(details3.status, 'status');
             assert.strictEqual(details3.site, 'all');
         });
+
+        it('should parse dead-letter routes and store internally as route ' +
+        'details', () => {
+            const req = new BackbeatRequest({
+                url: '/_/deadletter/my-dlq?partition=1&marker=42',
+                method: 'GET',
+            });
+            const details = req.getRouteDetails();
+
+            assert.strictEqual(details.extension, 'deadletter');
+            assert.strictEqual(details.topic, 'my-dlq');
+            // should default to 'list' if none specified
+            assert.strictEqual(details.type, 'list');
+            assert.strictEqual(details.partition, '1');
+            assert.strictEqual(details.marker, '42');
+
+            const req2 = new BackbeatRequest({
+                url: '/_/deadletter/my-dlq/replay',
+                method: 'POST',
+            });
+            const details2 = req2.getRouteDetails();
+
+            assert.strictEqual(details2.extension, 'deadletter');
+            assert.strictEqual(details2.topic, 'my-dlq');
+            assert.strictEqual(details2.type, 'replay');
+            assert.strictEqual(details2.partition, undefined);
+            assert.strictEqual(details2.marker, undefined);
+        });
+
+        it('should parse lifecycle routes and store internally as route ' +
+        'details', () => {
+            const req = new BackbeatRequest({
+                url: '/_/lifecycle/simulate/mybucket',
+                method: 'POST',
+            });
+            const details = req.getRouteDetails();
+
+            assert.strictEqual(details.extension, 'lifecycle');
+            assert.strictEqual(details.status, 'simulate');
+            assert.strictEqual(details.bucket, 'mybucket');
+
+            const req2 = new BackbeatRequest({
+                url: '/_/lifecycle/resume/conductor/schedule',
+                method: 'POST',
+            });
+            const details2 = req2.getRouteDetails();
+
+            assert.strictEqual(details2.extension, 'lifecycle');
+            assert.strictEqual(details2.status, 'resume');
+            assert.strictEqual(details2.site, 'conductor');
+            assert.strictEqual(details2.schedule, true);
+            assert.strictEqual(details2.bucket, undefined);
+        });
+
+        it('should parse garbage collector routes and store internally as ' +
+        'route details', () => {
+            const req = new BackbeatRequest({
+                url: '/_/gc/pause',
+                method: 'POST',
+            });
+            const details = req.getRouteDetails();
+
+            assert.strictEqual(details.extension, 'gc');
+            assert.strictEqual(details.status, 'pause');
+            // should default to 'all' if none specified
+            assert.strictEqual(details.site, 'all');
+        });
+
+        it('should parse queue populator routes and store internally as ' +
+        'route details', () => {
+            const req = new BackbeatRequest({
+                url: '/_/queuepopulator/offset/raft_1',
+                method: 'POST',
+            });
+            const details = req.getRouteDetails();
+
+            assert.strictEqual(details.extension, 'queuepopulator');
+            assert.strictEqual(details.status, 'offset');
+            assert.strictEqual(details.logId, 'raft_1');
+        });
     });
 
     it('should set route without prefix if valid route has valid prefix',
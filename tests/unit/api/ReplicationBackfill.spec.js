@@ -0,0 +1,302 @@
+const assert = require('assert');
+const http = require('http');
+const https = require('https');
+
+const ReplicationBackfill = require('../../../lib/api/ReplicationBackfill');
+const config = require('../../../conf/Config');
+const fakeLogger = require('../../utils/fakeLogger');
+const {
+    zookeeperNamespace,
+    zkBackfillPath,
+} = require('../../../extensions/replication/constants');
+
+const repConfig = config.extensions.replication;
+const sites = repConfig.destination.bootstrapList.map(b => b.site);
+const logger = Object.assign({ newRequestLogger: () => fakeLogger },
+                             fakeLogger);
+
+const bucketRepConfig = {
+    Role: 'arn:aws:iam::123456789012:role/src,' +
+        'arn:aws:iam::123456789012:role/dest',
+    Rules: [{
+        ID: 'logs',
+        Prefix: 'logs/',
+        Status: 'Enabled',
+        Destination: {
+            Bucket: 'arn:aws:s3:::destbucket',
+            StorageClass: sites.join(','),
+        },
+    }],
+};
+
+function getObjMd(replicationInfo) {
+    return {
+        'content-length': 42,
+        'versionId': '98445675956517999999RG001  1.30.12',
+        'replicationInfo': Object.assign({
+            status: '',
+            backends: [],
+            content: [],
+            destination: '',
+            storageClass: '',
+            role: '',
+            storageType: '',
+            dataStoreVersionId: '',
+        }, replicationInfo),
+    };
+}
+
+describe('ReplicationBackfill', () => {
+    let backfill;
+    let zkNodes;
+    let objects;
+    let puts;
+    let listings;
+    let s3;
+
+    beforeEach(() => {
+        zkNodes = {};
+        puts = [];
+        listings = [];
+        objects = {
+            'logs/never-replicated': getObjMd({}),
+            'logs/failed': getObjMd({
+                status: 'FAILED',
+                backends: sites.map((site, i) => ({
+                    site,
+                    status: i === 0 ? 'FAILED' : 'COMPLETED',
+                    dataStoreVersionId: '',
+                })),
+                content: ['DATA', 'METADATA'],
+                storageClass: sites.join(','),
+            }),
+            'logs/completed': getObjMd({
+                status: 'COMPLETED',
+                backends: sites.map(site => ({
+                    site, status: 'COMPLETED', dataStoreVersionId: '',
+                })),
+            }),
+            'data/not-matching-rule': getObjMd({}),
+        };
+        const keys = Object.keys(objects).sort();
+        s3 = {
+            getBucketReplication: (params, cb) => process.nextTick(() =>
+                cb(null, { ReplicationConfiguration: bucketRepConfig })),
+            // one version per page
+            listObjectVersions: (params, cb) => {
+                listings.push(params);
+                const remaining = keys.filter(key => !params.KeyMarker ||
+                                              key > params.KeyMarker);
+                const isTruncated = remaining.length > 1;
+                return process.nextTick(() => cb(null, {
+                    IsTruncated: isTruncated,
+                    NextKeyMarker: isTruncated ? remaining[0] : undefined,
+                    NextVersionIdMarker: isTruncated ? 'vid' : undefined,
+                    Versions: remaining.slice(0, 1).map(key => ({
+                        Key: key,
+                        VersionId: 'vid',
+                    })),
+                }));
+            },
+        };
+        backfill = new ReplicationBackfill({
+            repConfig,
+            zkClient: {
+                getData: (path, cb) => process.nextTick(() => {
+                    if (zkNodes[path] === undefined) {
+                        const err = new Error('NO_NODE');
+                        err.name = 'NO_NODE';
+                        return cb(err);
+                    }
+                    return cb(null, Buffer.from(zkNodes[path]));
+                }),
+                setOrCreate: (path, data, cb) => {
+                    zkNodes[path] = data.toString();
+                    return process.nextTick(cb);
+                },
+            },
+            logger,
+        });
+        backfill._getS3Client = () => s3;
+        backfill._metadataProxy = {
+            setSourceClient: () => backfill._metadataProxy,
+            getMetadata: (params, log, cb) => process.nextTick(() =>
+                cb(null, { Body: JSON.stringify(objects[params.objectKey]) })),
+            putMetadata: (params, log, cb) => {
+                puts.push({
+                    key: params.objectKey,
+                    md: JSON.parse(params.mdBlob),
+                });
+                return process.nextTick(cb);
+            },
+        };
+    });
+
+    it('should set a pending status on versions never replicated or failed',
+    done => {
+        const job = {
+            Bucket: 'mybucket',
+            Status: 'Running',
+            Listed: 0,
+            Queued: 0,
+            Skipped: 0,
+            Checkpoint: null,
+        };
+        backfill._runJob(job, s3, bucketRepConfig, err => {
+            assert.ifError(err);
+            assert.deepStrictEqual(puts.map(put => put.key),
+                ['logs/failed', 'logs/never-replicated']);
+            const failedInfo = puts[0].md.replicationInfo;
+            assert.strictEqual(failedInfo.status, 'PENDING');
+            assert.deepStrictEqual(failedInfo.backends.map(b => b.status),
+                sites.map((site, i) => (i === 0 ? 'PENDING' : 'COMPLETED')));
+            const newInfo = puts[1].md.replicationInfo;
+            assert.strictEqual(newInfo.status, 'PENDING');
+            assert.strictEqual(newInfo.role, bucketRepConfig.Role);
+            assert.strictEqual(newInfo.destination,
+                               'arn:aws:s3:::destbucket');
+            assert.strictEqual(newInfo.storageClass, sites.join(','));
+            assert.deepStrictEqual(newInfo.backends.map(b => b.site), sites);
+            assert.deepStrictEqual(newInfo.content, ['DATA', 'METADATA']);
+
+            const saved = JSON.parse(
+                zkNodes[`${zookeeperNamespace}${zkBackfillPath}/mybucket`]);
+            assert.strictEqual(saved.Status, 'Completed');
+            assert.strictEqual(saved.Listed, 4);
+            assert.strictEqual(saved.Queued, 2);
+            assert.strictEqual(saved.Skipped, 2);
+            assert.strictEqual(saved.Checkpoint, null);
+            done();
+        });
+    });
+
+    it('should count null versions and malformed metadata in the job',
+    done => {
+        const job = {
+            Bucket: 'mybucket',
+            Status: 'Running',
+            Listed: 0,
+            Queued: 0,
+            Skipped: 0,
+            SkippedNullVersions: 0,
+            Failed: 0,
+            Checkpoint: null,
+        };
+        s3.listObjectVersions = (params, cb) => process.nextTick(() =>
+            cb(null, {
+                IsTruncated: false,
+                Versions: [
+                    { Key: 'logs/null-version', VersionId: 'null' },
+                    { Key: 'logs/malformed', VersionId: 'vid' },
+                    { Key: 'logs/never-replicated', VersionId: 'vid' },
+                ],
+            }));
+        const { getMetadata } = backfill._metadataProxy;
+        backfill._metadataProxy.getMetadata = (params, log, cb) => {
+            if (params.objectKey === 'logs/malformed') {
+                return process.nextTick(() => cb(null, { Body: '{"bad":' }));
+            }
+            return getMetadata(params, log, cb);
+        };
+        backfill._runJob(job, s3, bucketRepConfig, err => {
+            assert.ifError(err);
+            assert.deepStrictEqual(puts.map(put => put.key),
+                ['logs/never-replicated']);
+            assert.strictEqual(job.Status, 'Completed');
+            assert.strictEqual(job.Listed, 3);
+            assert.strictEqual(job.Queued, 1);
+            assert.strictEqual(job.Skipped, 0);
+            assert.strictEqual(job.SkippedNullVersions, 1);
+            assert.strictEqual(job.Failed, 1);
+            done();
+        });
+    });
+
+    it('should resume an interrupted job from its checkpoint', done => {
+        const path = `${zookeeperNamespace}${zkBackfillPath}/mybucket`;
+        zkNodes[path] = JSON.stringify({
+            Bucket: 'mybucket',
+            Status: 'Failed',
+            Listed: 2,
+            Queued: 0,
+            Skipped: 2,
+            Checkpoint: { KeyMarker: 'logs/completed', VersionIdMarker: 'vid' },
+        });
+        backfill.startJob('mybucket', undefined, (err, job) => {
+            assert.ifError(err);
+            assert.strictEqual(job.Status, 'Running');
+            backfill.startJob('mybucket', undefined, err => {
+                assert(err);
+                assert(err.OperationAborted);
+                const check = () => {
+                    const saved = JSON.parse(zkNodes[path]);
+                    if (saved.Status === 'Running') {
+                        return setTimeout(check, 10);
+                    }
+                    assert.strictEqual(listings[0].KeyMarker,
+                                       'logs/completed');
+                    assert.strictEqual(saved.Status, 'Completed');
+                    assert.strictEqual(saved.Listed, 4);
+                    assert.strictEqual(saved.Queued, 2);
+                    return done();
+                };
+                return check();
+            });
+        });
+    });
+
+    it('should start a new job if the previous one has another prefix',
+    done => {
+        const path = `${zookeeperNamespace}${zkBackfillPath}/mybucket`;
+        zkNodes[path] = JSON.stringify({
+            Bucket: 'mybucket',
+            Status: 'Failed',
+            Listed: 2,
+            Queued: 0,
+            Skipped: 2,
+            Checkpoint: { KeyMarker: 'logs/completed', VersionIdMarker: 'vid' },
+        });
+        backfill.startJob('mybucket', 'logs/', (err, job) => {
+            assert.ifError(err);
+            assert.strictEqual(job.Prefix, 'logs/');
+            assert.strictEqual(job.Listed, 0);
+            assert.strictEqual(job.Checkpoint, null);
+            done();
+        });
+    });
+
+    it('should return ObjNotFound if the bucket has no backfill job',
+    done => {
+        backfill.getJob('mybucket', err => {
+            assert(err);
+            assert(err.ObjNotFound);
+            done();
+        });
+    });
+
+    [
+        { transport: 'http', agentClass: http.Agent },
+        { transport: 'https', agentClass: https.Agent },
+    ].forEach(({ transport, agentClass }) => {
+        it(`should use an ${transport} agent with the ${transport} ` +
+        'source transport', () => {
+            const source = Object.assign({}, repConfig.source, { transport });
+            const internalHttpsConfig = { ca: 'ca', cert: 'cert', key: 'key' };
+            const backfill = new ReplicationBackfill({
+                repConfig: Object.assign({}, repConfig, { source }),
+                zkClient: {},
+                logger,
+                internalHttpsConfig,
+            });
+            assert.strictEqual(backfill._httpAgent.constructor, agentClass);
+            assert.strictEqual(backfill._metadataProxy._sourceHTTPAgent,
+                               backfill._httpAgent);
+            assert(backfill._s3Endpoint.startsWith(`${transport}://`));
+            if (transport === 'https') {
+                assert.strictEqual(backfill._httpAgent.options.ca, 'ca');
+                assert.strictEqual(backfill._httpAgent.options.cert, 'cert');
+                assert.strictEqual(backfill._httpAgent.options.key, 'key');
+            }
+        });
+    });
+});
@@ -1,4 +1,5 @@
 const assert = require('assert');
+const async = require('async');
 
 const BackbeatConsumer = require('../../lib/BackbeatConsumer');
 
@@ -27,5 +28,179 @@ describe('backbeatConsumer', () => {
     afterEach(() => {
         process.env.KAFKA_TOPIC_PREFIX = '';
     });
+
+    describe('dead-letter topic', () => {
+        const entry = {
+            topic: 'my-test-topic',
+            partition: 0,
+            offset: 10,
+            key: Buffer.from('mykey'),
+            value: Buffer.from('{"foo":"bar"}'),
+        };
+        let backbeatConsumer;
+        let attempts;
+        let sentEntries;
+        let committedEntries;
+        let sendAttempts;
+        let sendFailures;
+
+        function setupConsumer(queueProcessorError) {
+            backbeatConsumer = new BackbeatConsumer({
+                kafka,
+                groupId: 'unittest-group',
+                topic: 'my-test-topic',
+            });
+            backbeatConsumer._deadLetterTopic = 'my-dead-letter-topic';
+            backbeatConsumer._deadLetterMaxAttempts = 3;
+            backbeatConsumer._deadLetterRetryBackoff = {
+                min: 1, max: 5, jitter: 0, factor: 1.5,
+            };
+            backbeatConsumer._deadLetterProducer = {
+                send: (entries, cb) => {
+                    sendAttempts += 1;
+                    if (sendAttempts <= sendFailures) {
+                        return process.nextTick(
+                            () => cb(new Error('send failure')));
+                    }
+                    sentEntries.push(...entries);
+                    return process.nextTick(cb);
+                },
+                close: cb => process.nextTick(cb),
+            };
+            backbeatConsumer._processingQueue = async.queue((entry, done) => {
+                attempts += 1;
+                process.nextTick(() => done(
+                    attempts > 1 && !queueProcessorError ?
+                        null : queueProcessorError || new Error('boom')));
+            }, 1);
+            backbeatConsumer._tryConsume = () => {};
+            backbeatConsumer.onEntryCommittable = entry => {
+                committedEntries.push(entry);
+            };
+            // ignore emitted processing errors
+            backbeatConsumer.on('error', () => {});
+        }
+
+        beforeEach(() => {
+            attempts = 0;
+            sentEntries = [];
+            committedEntries = [];
+            sendAttempts = 0;
+            sendFailures = 0;
+        });
+
+        it('should publish entry to dead-letter topic after max attempts',
+        done => {
+            setupConsumer(new Error('permanent failure'));
+            backbeatConsumer._processEntry(entry, 1);
+            setTimeout(() => {
+                assert.strictEqual(attempts, 3);
+                assert.strictEqual(sentEntries.length, 1);
+                assert.strictEqual(sentEntries[0].key, 'mykey');
+                const record = JSON.parse(sentEntries[0].message);
+                assert.strictEqual(record.originalTopic, 'my-test-topic');
+                assert.strictEqual(record.partition, 0);
+                assert.strictEqual(record.offset, 10);
+                assert.strictEqual(record.value, '{"foo":"bar"}');
+                assert.strictEqual(record.attempts, 3);
+                assert.strictEqual(record.error.message, 'permanent failure');
+                assert.deepStrictEqual(committedEntries, [entry]);
+                done();
+            }, 100);
+        });
+
+        it('should not publish entry to dead-letter topic if a retry ' +
+        'succeeds', done => {
+            setupConsumer(null);
+            backbeatConsumer._processEntry(entry, 1);
+            setTimeout(() => {
+                assert.strictEqual(attempts, 2);
+                assert.strictEqual(sentEntries.length, 0);
+                assert.deepStrictEqual(committedEntries, [entry]);
+                done();
+            }, 100);
+        });
+
+        it('should retry publishing to dead-letter topic before committing',
+        done => {
+            setupConsumer(new Error('permanent failure'));
+            sendFailures = 2;
+            backbeatConsumer._sendToDeadLetterTopic(
+                new Error('permanent failure'), entry, 3, () => {
+                    committedEntries.push(entry);
+                });
+            setTimeout(() => {
+                assert.strictEqual(sendAttempts, 3);
+                assert.strictEqual(sentEntries.length, 1);
+                assert.deepStrictEqual(committedEntries, [entry]);
+                done();
+            }, 100);
+        });
+
+        it('should not commit entry if publishing to dead-letter topic ' +
+        'fails while closing', done => {
+            setupConsumer(new Error('permanent failure'));
+            sendFailures = 1;
+            backbeatConsumer._closing = true;
+            backbeatConsumer._sendToDeadLetterTopic(
+                new Error('permanent failure'), entry, 3, () => {
+                    committedEntries.push(entry);
+                });
+            setTimeout(() => {
+                assert.strictEqual(sendAttempts, 1);
+                assert.strictEqual(sentEntries.length, 0);
+                assert.deepStrictEqual(committedEntries, []);
+                done();
+            }, 100);
+        });
+
+        it('should drop pending processing retries on close', done => {
+            setupConsumer(new Error('permanent failure'));
+            backbeatConsumer._deadLetterRetryBackoff = {
+                min: 50, max: 50, jitter: 0, factor: 1,
+            };
+            backbeatConsumer._processEntry(entry, 1);
+            setTimeout(() => backbeatConsumer.close(() => {}), 10);
+            setTimeout(() => {
+                assert.strictEqual(attempts, 1);
+                assert.strictEqual(backbeatConsumer._retryTimers.size, 0);
+                assert.strictEqual(sentEntries.length, 0);
+                assert.deepStrictEqual(committedEntries, []);
+                done();
+            }, 100);
+        });
+
+        it('should drop pending dead-letter topic publishing retries on ' +
+        'close', done => {
+            setupConsumer(new Error('permanent failure'));
+            backbeatConsumer._deadLetterRetryBackoff = {
+                min: 50, max: 50, jitter: 0, factor: 1,
+            };
+            sendFailures = 10;
+            backbeatConsumer._sendToDeadLetterTopic(
+                new Error('permanent failure'), entry, 3, () => {
+                    committedEntries.push(entry);
+                });
+            setTimeout(() => backbeatConsumer.close(() => {}), 10);
+            setTimeout(() => {
+                assert.strictEqual(sendAttempts, 1);
+                assert.strictEqual(backbeatConsumer._retryTimers.size, 0);
+                assert.deepStrictEqual(committedEntries, []);
+                done();
+            }, 100);
+        });
+
+        it('should not retry an entry failing while closing', done => {
+            setupConsumer(new Error('permanent failure'));
+            backbeatConsumer._closing = true;
+            backbeatConsumer._processEntry(entry, 1);
+            setTimeout(() => {
+                assert.strictEqual(attempts, 1);
+                assert.strictEqual(sentEntries.length, 0);
+                assert.deepStrictEqual(committedEntries, []);
+                done();
+            }, 100);
+        });
+    });
 });
 
@@ -7,6 +7,8 @@ const GarbageCollector = require('../../../extensions/gc/GarbageCollector');
 const GarbageCollectorTask =
       require('../../../extensions/gc/tasks/GarbageCollectorTask');
 const ActionQueueEntry = require('../../../lib/models/ActionQueueEntry');
+const monitoringClient = require('../../../lib/clients/monitoringHandler');
+const getMetricValue = require('../../utils/metrics');
 
 describe('garbage collector', () => {
     let gc;
@@ -85,4 +87,59 @@ describe('garbage collector', () => {
               .setAttribute('target.locations', expectBatchDeleteLocations);
         gcTask.processActionEntry(action, done);
     });
+    it('should apply the service state once the consumer subscribed', () => {
+        const stateGc = new GarbageCollector({
+            kafkaConfig: {},
+            s3Config: { host: 'localhost', port: 7777 },
+            gcConfig: {
+                topic: 'backbeat-gc',
+                auth: { type: 'account', account: 'bart' },
+                consumer: { groupId: 'backbeat-gc-consumer-group' },
+            },
+            zkConfig: { connectionString: 'localhost:2181' },
+            redisConfig: { host: 'localhost', port: 6379 },
+        });
+        const calls = [];
+        stateGc._consumer = {
+            pause: () => calls.push('pause'),
+            resume: () => calls.push('resume'),
+        };
+        stateGc._stateManager._paused = true;
+        stateGc._stateManager.emit('pause');
+        // not subscribed yet: the state is applied on subscription
+        assert.deepStrictEqual(calls, []);
+        stateGc._consumerSubscribed = true;
+        stateGc._stateManager._paused = false;
+        stateGc._stateManager.emit('resume');
+        stateGc._stateManager._paused = true;
+        stateGc._stateManager.emit('pause');
+        assert.deepStrictEqual(calls, ['resume', 'pause']);
+    });
+    it('should update the batch delete metrics', done => {
+        expectBatchDeleteLocations = [{
+            key: 'foo',
+            dataStoreName: 'ds',
+            size: 10,
+        }, {
+            key: 'bar',
+            dataStoreName: 'ds',
+            size: 5,
+        }];
+        const { gcBatchDeleteBytes, gcBatchDeleteDuration } =
+              monitoringClient;
+        const bytesBefore = getMetricValue(gcBatchDeleteBytes);
+        const countBefore =
+              getMetricValue(gcBatchDeleteDuration, {}, '_count');
+        const action = ActionQueueEntry.create('deleteData')
+              .setAttribute('target.locations', expectBatchDeleteLocations);
+        gcTask.processActionEntry(action, err => {
+            assert.ifError(err);
+            assert.strictEqual(getMetricValue(gcBatchDeleteBytes),
+                               bytesBefore + 15);
+            assert.strictEqual(
+                getMetricValue(gcBatchDeleteDuration, {}, '_count'),
+                countBefore + 1);
+            done();
+        });
+    });
 });
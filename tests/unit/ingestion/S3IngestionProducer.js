@@ -0,0 +1,224 @@
+'use strict'; // eslint-disable-line
+
+const assert = require('assert');
+
+const S3IngestionProducer =
+    require('../../../lib/queuePopulator/S3IngestionProducer');
+
+const sourceConfig = {
+    name: 'zenko-bucket',
+    bucket: 'src-bucket',
+    host: 's3.amazonaws.com',
+    port: 443,
+    https: true,
+    type: 'aws_s3',
+    locationConstraint: 'aws-ingestion',
+    auth: {
+        accessKey: 'accessKey',
+        secretKey: 'secretKey',
+    },
+};
+
+function mockRequest(err, data) {
+    return {
+        on: () => {},
+        send: cb => process.nextTick(cb, err, data),
+    };
+}
+
+function version(Key, VersionId, lastModified, IsLatest) {
+    return {
+        Key,
+        VersionId,
+        IsLatest,
+        LastModified: new Date(lastModified),
+        ETag: '"d41d8cd98f00b204e9800998ecf8427e"',
+        StorageClass: 'STANDARD',
+    };
+}
+
+class S3ClientMock {
+    constructor(pages) {
+        this.pages = pages;
+        this.listParams = [];
+        this.headParams = [];
+    }
+
+    listObjectVersions(params) {
+        this.listParams.push(params);
+        const index = params.KeyMarker ?
+            Number.parseInt(params.KeyMarker, 10) : 0;
+        const page = this.pages[index];
+        return mockRequest(null, Object.assign({
+            IsTruncated: index < this.pages.length - 1,
+            NextKeyMarker: index < this.pages.length - 1 ?
+                `${index + 1}` : undefined,
+            NextVersionIdMarker: index < this.pages.length - 1 ?
+                'vid' : undefined,
+        }, page));
+    }
+
+    headObject(params) {
+        this.headParams.push(params);
+        return mockRequest(null, {
+            ContentLength: 10,
+            ContentType: 'text/plain',
+            ETag: '"d41d8cd98f00b204e9800998ecf8427e"',
+            Metadata: { color: 'blue' },
+        });
+    }
+}
+
+function parseEntries(entries) {
+    return entries.map(entry => Object.assign({}, entry, {
+        value: entry.value && JSON.parse(entry.value),
+    }));
+}
+
+describe('S3IngestionProducer', () => {
+    let producer;
+    let s3Client;
+
+    beforeEach(() => {
+        producer = new S3IngestionProducer(sourceConfig, {},
+            { listingIntervalS: 0 });
+    });
+
+    describe('snapshot', () => {
+        it('should ingest latest versions of the first page and set ' +
+        'the change cursor', done => {
+            const startTime = Date.now();
+            s3Client = new S3ClientMock([{
+                Versions: [
+                    version('a', 'v2', 1000, true),
+                    version('a', 'v1', 500, false),
+                    version('b', 'null', 1000, true),
+                ],
+                DeleteMarkers: [version('c', 'v3', 1000, true)],
+            }, {
+                Versions: [version('d', 'v4', 1000, true)],
+                DeleteMarkers: [],
+            }]);
+            producer._s3Client = s3Client;
+            producer.snapshot('src-bucket', {}, (err, res) => {
+                assert.ifError(err);
+                const entries = parseEntries(res.logRes);
+                assert.deepStrictEqual(entries.map(e => [e.type, e.key]),
+                    [['put', 'a'], ['put', 'b']]);
+                assert.strictEqual(entries[0].bucket, 'zenko-bucket');
+                assert.deepStrictEqual(s3Client.headParams, [
+                    { Bucket: 'src-bucket', Key: 'a', VersionId: 'v2' },
+                    { Bucket: 'src-bucket', Key: 'b' },
+                ]);
+                assert.strictEqual(res.initState.isStatusComplete, false);
+                assert.strictEqual(res.initState.keyMarker, '1');
+                assert(res.initState.cseq < startTime);
+                done();
+            });
+        });
+
+        it('should not reset the change cursor when resuming', done => {
+            s3Client = new S3ClientMock([{}, {
+                Versions: [version('d', 'v4', 1000, true)],
+            }]);
+            producer._s3Client = s3Client;
+            producer.snapshot('src-bucket',
+            { keyMarker: '1', versionMarker: 'vid' }, (err, res) => {
+                assert.ifError(err);
+                assert.strictEqual(res.logRes.length, 1);
+                assert.strictEqual(res.initState.isStatusComplete, true);
+                assert.strictEqual(res.initState.cseq, undefined);
+                assert.strictEqual(s3Client.listParams[0].KeyMarker, '1');
+                done();
+            });
+        });
+    });
+
+    describe('getChanges', () => {
+        it('should return changes made since the cursor', done => {
+            s3Client = new S3ClientMock([{
+                Versions: [
+                    version('a', 'v2', 103000, true),
+                    version('a', 'v1', 500, false),
+                    version('b', 'v5', 500, true),
+                ],
+                DeleteMarkers: [version('c', 'v3', 102000, true)],
+            }, {
+                Versions: [version('d', 'v4', 100000, true)],
+            }]);
+            producer._s3Client = s3Client;
+            producer.getChanges('src-bucket', '100000', (err, res) => {
+                assert.ifError(err);
+                const entries = parseEntries(res.log);
+                assert.deepStrictEqual(entries.map(e => [e.type, e.key]),
+                    [['put', 'a'], ['put', 'd'], ['del', 'c']]);
+                const md = entries[0].value;
+                assert.strictEqual(md['content-length'], 10);
+                assert.strictEqual(md['x-amz-meta-color'], 'blue');
+                assert.strictEqual(md.location[0].dataStoreVersionId, 'v2');
+                assert.strictEqual(md.location[0].dataStoreName,
+                    'aws-ingestion');
+                assert.strictEqual(res.cursor, 103000);
+                done();
+            });
+        });
+
+        it('should return changes appearing late within the cursor margin',
+        done => {
+            s3Client = new S3ClientMock([{
+                Versions: [version('a', 'v2', 103000, true)],
+            }]);
+            producer._s3Client = s3Client;
+            producer.getChanges('src-bucket', '100000', (err, res) => {
+                assert.ifError(err);
+                assert.deepStrictEqual(res.log.map(e => e.key), ['a']);
+                s3Client.pages[0].Versions.push(
+                    version('b', 'v6', 40000, true),
+                    version('c', 'v7', 60000, true));
+                producer.getChanges('src-bucket', res.cursor, (err, res) => {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(res.log.map(e => e.key), ['c']);
+                    assert.strictEqual(res.cursor, 103000);
+                    done();
+                });
+            });
+        });
+
+        it('should not return twice changes at the cursor time', done => {
+            s3Client = new S3ClientMock([{
+                Versions: [version('a', 'v2', 3000, true)],
+            }]);
+            producer._s3Client = s3Client;
+            producer.getChanges('src-bucket', '1000', (err, res) => {
+                assert.ifError(err);
+                assert.strictEqual(res.log.length, 1);
+                s3Client.pages[0].Versions.push(
+                    version('b', 'v6', 3000, true));
+                producer.getChanges('src-bucket', res.cursor, (err, res) => {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(res.log.map(e => e.key), ['b']);
+                    assert.strictEqual(res.cursor, 3000);
+                    done();
+                });
+            });
+        });
+
+        it('should skip the listing within the listing interval', done => {
+            producer = new S3IngestionProducer(sourceConfig, {},
+                { listingIntervalS: 60 });
+            s3Client = new S3ClientMock([{
+                Versions: [version('a', 'v2', 3000, true)],
+            }]);
+            producer._s3Client = s3Client;
+            producer.getChanges('src-bucket', '1000', err => {
+                assert.ifError(err);
+                producer.getChanges('src-bucket', '3000', (err, res) => {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(res, { log: [], cursor: 3000 });
+                    assert.strictEqual(s3Client.listParams.length, 1);
+                    done();
+                });
+            });
+        });
+    });
+});
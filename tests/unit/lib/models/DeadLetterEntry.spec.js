@@ -0,0 +1,80 @@
+const assert = require('assert');
+
+const { errors } = require('arsenal');
+
+const DeadLetterEntry = require('../../../../lib/models/DeadLetterEntry');
+
+const kafkaEntry = {
+    topic: 'backbeat-replication',
+    partition: 2,
+    offset: 1234,
+    key: Buffer.from('mybucket/mykey'),
+    value: Buffer.from('{"bucket":"mybucket","key":"mykey"}'),
+    timestamp: 1600000000000,
+};
+
+describe('DeadLetterEntry', () => {
+    it('should create a dead-letter entry from a failed kafka entry', () => {
+        const entry = DeadLetterEntry.create({
+            topic: 'backbeat-replication',
+            entry: kafkaEntry,
+            error: errors.InternalError,
+            attempts: 3,
+        });
+        assert.strictEqual(entry.getOriginalTopic(), 'backbeat-replication');
+        assert.strictEqual(entry.getOriginalPartition(), 2);
+        assert.strictEqual(entry.getOriginalOffset(), 1234);
+        assert.strictEqual(entry.getKey(), 'mybucket/mykey');
+        assert.strictEqual(entry.getValue(),
+                           '{"bucket":"mybucket","key":"mykey"}');
+        assert.strictEqual(entry.getAttempts(), 3);
+        assert.strictEqual(entry.getError().code, 500);
+        assert.strictEqual(entry.getError().message, 'InternalError');
+        assert.strictEqual(typeof entry.getFailedAt(), 'number');
+        assert.strictEqual(entry.getDeadLetterPosition(), null);
+    });
+
+    it('should accept a non-object error', () => {
+        const entry = DeadLetterEntry.create({
+            topic: 'backbeat-replication',
+            entry: kafkaEntry,
+            error: 'something went wrong',
+            attempts: 1,
+        });
+        assert.deepStrictEqual(entry.getError(),
+                               { message: 'something went wrong' });
+    });
+
+    it('should parse back a dead-letter entry read from kafka', () => {
+        const entry = DeadLetterEntry.create({
+            topic: 'backbeat-replication',
+            entry: kafkaEntry,
+            error: new Error('boom'),
+            attempts: 1,
+        });
+        const parsedEntry = DeadLetterEntry.createFromKafkaEntry({
+            partition: 0,
+            offset: 7,
+            value: Buffer.from(entry.toKafkaMessage()),
+        });
+        assert(parsedEntry instanceof DeadLetterEntry);
+        assert.deepStrictEqual(parsedEntry.getDeadLetterPosition(),
+                               { partition: 0, offset: 7 });
+        assert.deepStrictEqual(parsedEntry.getLogInfo(), entry.getLogInfo());
+        assert.deepStrictEqual(parsedEntry.toKafkaEntry(), {
+            key: 'mybucket/mykey',
+            message: '{"bucket":"mybucket","key":"mykey"}',
+        });
+    });
+
+    it('should return an error on malformed kafka entries', () => {
+        const badJSON = DeadLetterEntry.createFromKafkaEntry({
+            value: '{"originalTopic":',
+        });
+        assert(badJSON.error);
+        const badFormat = DeadLetterEntry.createFromKafkaEntry({
+            value: '{"bucket":"mybucket"}',
+        });
+        assert(badFormat.error);
+    });
+});
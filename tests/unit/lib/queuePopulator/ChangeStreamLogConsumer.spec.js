@@ -0,0 +1,174 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const stream = require('stream');
+
+const {
+    ChangeStreamLogConsumer,
+    ChangeStreamRecordStream,
+    getEntryFromChange,
+} = require('../../../../lib/queuePopulator/ChangeStreamLogConsumer');
+const fakeLogger = require('../../../utils/fakeLogger');
+
+const objMd = { 'key': 'mykey', 'content-length': 42 };
+
+class MockChangeStream extends EventEmitter {
+    constructor() {
+        super();
+        this.closed = false;
+    }
+
+    stream() {
+        return new stream.PassThrough({ objectMode: true });
+    }
+
+    close(cb) {
+        this.closed = true;
+        return process.nextTick(cb);
+    }
+}
+
+function getChange(operationType, params) {
+    return Object.assign({
+        _id: { _data: `token-${operationType}` },
+        operationType,
+        ns: { db: 'metadata', coll: 'mybucket' },
+        documentKey: { _id: 'mykey' },
+    }, params);
+}
+
+describe('ChangeStreamLogConsumer', () => {
+    describe('getEntryFromChange', () => {
+        [
+            { desc: 'insert',
+              change: getChange('insert', {
+                  fullDocument: { _id: 'mykey', value: objMd },
+              }) },
+            { desc: 'replace',
+              change: getChange('replace', {
+                  fullDocument: { _id: 'mykey', value: objMd },
+              }) },
+            { desc: 'update',
+              change: getChange('update', {
+                  updateDescription: { updatedFields: { value: objMd } },
+                  fullDocument: { _id: 'mykey', value: {} },
+              }) },
+            { desc: 'partial update',
+              change: getChange('update', {
+                  updateDescription: {
+                      updatedFields: { 'value.content-length': 42 },
+                  },
+                  fullDocument: { _id: 'mykey', value: objMd },
+              }) },
+        ].forEach(test => {
+            it(`should convert ${test.desc} events to put entries`, () => {
+                assert.deepStrictEqual(getEntryFromChange(test.change), {
+                    type: 'put',
+                    key: 'mykey',
+                    value: JSON.stringify(objMd),
+                });
+            });
+        });
+
+        it('should convert delete events to delete entries', () => {
+            assert.deepStrictEqual(getEntryFromChange(getChange('delete')), {
+                type: 'delete',
+                key: 'mykey',
+            });
+        });
+
+        it('should ignore updates of deleted documents', () => {
+            const change = getChange('update', {
+                updateDescription: { updatedFields: { 'value.foo': 1 } },
+                fullDocument: null,
+            });
+            assert.strictEqual(getEntryFromChange(change), null);
+        });
+    });
+
+    describe('ChangeStreamRecordStream', () => {
+        it('should emit records and keep the last resume token', done => {
+            const records = [];
+            const recordStream = new ChangeStreamRecordStream(fakeLogger, 1);
+            assert.strictEqual(recordStream.getOffset(), 1);
+            recordStream.on('data', record => records.push(record));
+            recordStream.on('end', () => {
+                assert.deepStrictEqual(records, [{
+                    timestamp: undefined,
+                    db: 'mybucket',
+                    entries: [{
+                        type: 'put',
+                        key: 'mykey',
+                        value: JSON.stringify(objMd),
+                    }],
+                }]);
+                // offset moved past the ignored event
+                assert.strictEqual(recordStream.getOffset(),
+                    JSON.stringify({ resumeToken: { _data: 'token-update' } }));
+                done();
+            });
+            recordStream.write(getChange('insert', {
+                fullDocument: { _id: 'mykey', value: objMd },
+            }));
+            recordStream.write(getChange('update', {
+                updateDescription: { updatedFields: { 'value.foo': 1 } },
+                fullDocument: null,
+            }));
+            recordStream.end();
+        });
+    });
+
+    describe('readRecords', () => {
+        let logConsumer;
+        let changeStreams;
+
+        beforeEach(() => {
+            logConsumer = new ChangeStreamLogConsumer({
+                replicaSetHosts: 'localhost:27017',
+                readPreference: 'primary',
+                database: 'metadata',
+            }, fakeLogger);
+            changeStreams = [];
+            logConsumer._db = {
+                watch: () => {
+                    const changeStream = new MockChangeStream();
+                    changeStreams.push(changeStream);
+                    return changeStream;
+                },
+            };
+        });
+
+        it('should close the previous change stream when reopening the log',
+        done => {
+            logConsumer.readRecords({}, err => {
+                assert.ifError(err);
+                logConsumer.readRecords({
+                    startSeq: '{"startAtOperationTime":1600000000}',
+                }, err => {
+                    assert.ifError(err);
+                    assert.strictEqual(changeStreams.length, 2);
+                    assert(changeStreams[0].closed);
+                    assert(!changeStreams[1].closed);
+                    done();
+                });
+            });
+        });
+
+        it('should close the change stream on error', done => {
+            logConsumer.readRecords({}, (err, res) => {
+                assert.ifError(err);
+                res.log.on('error', err => {
+                    assert.strictEqual(err.message, 'cursor killed');
+                    assert(changeStreams[0].closed);
+                    // not closed again when the log is reopened
+                    changeStreams[0].closed = false;
+                    logConsumer.readRecords({}, err => {
+                        assert.ifError(err);
+                        assert(!changeStreams[0].closed);
+                        done();
+                    });
+                });
+                changeStreams[0].emit('error', new Error('cursor killed'));
+            });
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const assert = require('assert');
+
+const LogReader = require('../../../../lib/queuePopulator/LogReader');
+const fakeLogger = require('../../../utils/fakeLogger');
+
+class MockZkClient {
+    constructor(data) {
+        this.data = data;
+        this.versions = {};
+    }
+
+    getData(path, cb) {
+        if (this.data[path] === undefined) {
+            const err = new Error('no node');
+            err.name = 'NO_NODE';
+            return process.nextTick(cb, err);
+        }
+        return process.nextTick(cb, null, Buffer.from(this.data[path]),
+                                { version: this.versions[path] || 0 });
+    }
+
+    setData(path, data, version, cb) {
+        this.data[path] = data.toString();
+        this.versions[path] = (this.versions[path] || 0) + 1;
+        return process.nextTick(cb);
+    }
+
+    remove(path, version, cb) {
+        if (version !== -1 && version !== (this.versions[path] || 0)) {
+            const err = new Error('bad version');
+            err.name = 'BAD_VERSION';
+            return process.nextTick(cb, err);
+        }
+        delete this.data[path];
+        delete this.versions[path];
+        return process.nextTick(cb);
+    }
+}
+
+describe('LogReader', () => {
+    let logReader;
+    let zkClient;
+    let requestPath;
+    let offsetPath;
+
+    beforeEach(() => {
+        zkClient = new MockZkClient({});
+        logReader = new LogReader({
+            zkClient,
+            logId: 'raft_1',
+            logger: fakeLogger,
+            extensions: [],
+        });
+        requestPath = logReader.pathToRequestedLogOffset;
+        offsetPath = logReader.pathToLogOffset;
+        logReader.logOffset = 1200;
+        zkClient.data[offsetPath] = '1200';
+    });
+
+    describe('_processRequestedLogOffset', () => {
+        it('should do nothing without requested log offset', done => {
+            logReader._processRequestedLogOffset({ logger: fakeLogger },
+            err => {
+                assert.ifError(err);
+                assert.strictEqual(logReader.logOffset, 1200);
+                assert.strictEqual(zkClient.data[offsetPath], '1200');
+                done();
+            });
+        });
+
+        it('should apply and remove the requested log offset', done => {
+            let paused = false;
+            logReader._openLog = { log: { pause: () => { paused = true; } } };
+            zkClient.data[requestPath] = '{"logOffset":1000}';
+            logReader._processRequestedLogOffset({ logger: fakeLogger },
+            err => {
+                assert.ifError(err);
+                assert.strictEqual(logReader.logOffset, 1000);
+                assert.strictEqual(zkClient.data[offsetPath], '1000');
+                assert.strictEqual(zkClient.data[requestPath], undefined);
+                assert(paused);
+                assert.strictEqual(logReader._openLog, null);
+                done();
+            });
+        });
+
+        it('should not remove a request updated while being applied',
+        done => {
+            zkClient.data[requestPath] = '{"logOffset":1000}';
+            const writeLogOffset = logReader._writeLogOffset.bind(logReader);
+            logReader._writeLogOffset = (logger, cb) => {
+                // a new request is saved through the API meanwhile
+                zkClient.setData(requestPath, '{"logOffset":900}', -1,
+                    () => writeLogOffset(logger, cb));
+            };
+            logReader._processRequestedLogOffset({ logger: fakeLogger },
+            err => {
+                assert.ifError(err);
+                assert.strictEqual(logReader.logOffset, 1000);
+                assert.strictEqual(zkClient.data[requestPath],
+                                   '{"logOffset":900}');
+                done();
+            });
+        });
+
+        it('should ignore a timestamp if the log source does not support it',
+        done => {
+            zkClient.data[requestPath] =
+                '{"timestamp":"2021-01-01T00:00:00.000Z"}';
+            logReader._processRequestedLogOffset({ logger: fakeLogger },
+            err => {
+                assert.ifError(err);
+                assert.strictEqual(logReader.logOffset, 1200);
+                assert.strictEqual(zkClient.data[offsetPath], '1200');
+                assert.strictEqual(zkClient.data[requestPath], undefined);
+                done();
+            });
+        });
+    });
+});
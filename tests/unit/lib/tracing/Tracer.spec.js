@@ -0,0 +1,217 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { Tracer, SpanKind } = require('../../../../lib/tracing/Tracer');
+const {
+    parseTraceParent,
+    formatTraceParent,
+} = require('../../../../lib/tracing/traceContext');
+const fakeLogger = require('../../../utils/fakeLogger');
+
+const PARENT = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+function getTracer(config) {
+    return new Tracer({
+        config: Object.assign({
+            enabled: true,
+            exporter: 'file',
+            sampleRatio: 1,
+            flushIntervalMs: 60000,
+            maxBatchSize: 512,
+        }, config),
+        serviceName: 'backbeat-test',
+        logger: fakeLogger,
+    });
+}
+
+function readExportedSpans(filePath) {
+    return fs.readFileSync(filePath, 'utf8').trim().split('\n')
+        .map(line => JSON.parse(line))
+        .reduce((spans, req) => spans.concat(
+            req.resourceSpans[0].scopeSpans[0].spans), []);
+}
+
+describe('traceContext', () => {
+    it('should parse and format a traceparent', () => {
+        const context = parseTraceParent(PARENT);
+        assert.deepStrictEqual(context, {
+            traceId: '0af7651916cd43dd8448eb211c80319c',
+            spanId: 'b7ad6b7169203331',
+            sampled: true,
+        });
+        assert.strictEqual(formatTraceParent(context), PARENT);
+    });
+
+    [
+        undefined,
+        'not-a-traceparent',
+        '00-00000000000000000000000000000000-b7ad6b7169203331-01',
+        '00-0af7651916cd43dd8448eb211c80319c-0000000000000000-01',
+        'ff-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+    ].forEach(traceParent => {
+        it(`should not parse invalid traceparent "${traceParent}"`, () => {
+            assert.strictEqual(parseTraceParent(traceParent), null);
+        });
+    });
+});
+
+describe('Tracer', () => {
+    let filePath;
+
+    beforeEach(() => {
+        filePath = path.join(os.tmpdir(),
+            `backbeat-traces-${process.pid}-${Date.now()}.json`);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    });
+
+    it('should only propagate the parent context when disabled', () => {
+        const tracer = new Tracer({
+            config: { enabled: false },
+            serviceName: 'backbeat-test',
+            logger: fakeLogger,
+        });
+        assert.strictEqual(tracer.isEnabled(), false);
+        const span = tracer.startSpan('test', { parent: PARENT });
+        assert.strictEqual(span.getTraceParent(), PARENT);
+        span.end();
+        assert.strictEqual(tracer.startSpan('test').getTraceParent(),
+                           undefined);
+    });
+
+    it('should export spans in OTLP/JSON format to a file', done => {
+        const tracer = getTracer({ filePath });
+        const root = tracer.startSpan('root', {
+            kind: SpanKind.PRODUCER,
+            attributes: { 'backbeat.bucket': 'bucket', 'count': 2 },
+        });
+        const child = tracer.startSpan('child',
+                                       { parent: root.getTraceParent() });
+        child.end(new Error('child failed'));
+        root.end();
+        tracer.close(err => {
+            assert.ifError(err);
+            const request = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            assert.deepStrictEqual(
+                request.resourceSpans[0].resource.attributes, [{
+                    key: 'service.name',
+                    value: { stringValue: 'backbeat-test' },
+                }]);
+            const [childSpan, rootSpan] = readExportedSpans(filePath);
+            assert.strictEqual(rootSpan.name, 'root');
+            assert.strictEqual(rootSpan.kind, SpanKind.PRODUCER);
+            assert.strictEqual(rootSpan.parentSpanId, undefined);
+            assert.deepStrictEqual(rootSpan.status, { code: 1 });
+            assert.deepStrictEqual(rootSpan.attributes, [
+                { key: 'backbeat.bucket', value: { stringValue: 'bucket' } },
+                { key: 'count', value: { intValue: '2' } },
+            ]);
+            assert(/^\d{19}$/.test(rootSpan.startTimeUnixNano));
+            assert(rootSpan.endTimeUnixNano >= rootSpan.startTimeUnixNano);
+            assert.strictEqual(childSpan.traceId, rootSpan.traceId);
+            assert.strictEqual(childSpan.parentSpanId, rootSpan.spanId);
+            assert.deepStrictEqual(childSpan.status,
+                                   { code: 2, message: 'child failed' });
+            done();
+        });
+    });
+
+    it('should not export spans of traces not sampled', done => {
+        const tracer = getTracer({ filePath, sampleRatio: 0 });
+        const root = tracer.startSpan('root');
+        assert(root.getTraceParent().endsWith('-00'));
+        const child = tracer.startSpan('child',
+                                       { parent: root.getTraceParent() });
+        assert.strictEqual(child.isSampled(), false);
+        child.end();
+        root.end();
+        // the sampling decision of the parent is kept
+        tracer.startSpan('sampled', { parent: PARENT }).end();
+        tracer.close(err => {
+            assert.ifError(err);
+            assert.deepStrictEqual(
+                readExportedSpans(filePath).map(span => span.name),
+                ['sampled']);
+            done();
+        });
+    });
+
+    it('should export spans when the batch is full', done => {
+        const tracer = getTracer({ filePath, maxBatchSize: 2 });
+        tracer.startSpan('first').end();
+        tracer.startSpan('second').end();
+        // export is asynchronous
+        setTimeout(() => {
+            assert.strictEqual(readExportedSpans(filePath).length, 2);
+            tracer.close(done);
+        }, 50);
+    });
+
+    it('should trace the processing of a queue entry', done => {
+        const tracer = getTracer({ filePath });
+        let traceContext = PARENT;
+        const entry = {
+            getTraceContext: () => traceContext,
+            setTraceContext: tc => {
+                traceContext = tc;
+            },
+        };
+        tracer.traceEntry('process', entry, { 'backbeat.site': 'site' },
+        cb => {
+            assert.notStrictEqual(traceContext, PARENT);
+            cb(new Error('failed'));
+        }, err => {
+            assert.strictEqual(err.message, 'failed');
+            tracer.close(err => {
+                assert.ifError(err);
+                const [span] = readExportedSpans(filePath);
+                assert.strictEqual(span.kind, SpanKind.CONSUMER);
+                assert.strictEqual(span.parentSpanId, 'b7ad6b7169203331');
+                assert.strictEqual(traceContext,
+                    `00-${span.traceId}-${span.spanId}-01`);
+                assert.strictEqual(span.status.code, 2);
+                done();
+            });
+        });
+    });
+
+    it('should export spans to an OTLP/HTTP endpoint', done => {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                requests.push({ req, body: JSON.parse(body) });
+                res.end();
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            const tracer = getTracer({
+                exporter: 'otlp',
+                endpoint: `http://127.0.0.1:${port}/v1/traces`,
+            });
+            tracer.startSpan('span').end();
+            tracer.close(err => {
+                server.close();
+                assert.ifError(err);
+                assert.strictEqual(requests.length, 1);
+                assert.strictEqual(requests[0].req.url, '/v1/traces');
+                assert.strictEqual(requests[0].req.headers['content-type'],
+                                   'application/json');
+                assert.strictEqual(requests[0].body.resourceSpans[0]
+                    .scopeSpans[0].spans[0].name, 'span');
+                done();
+            });
+        });
+    });
+});
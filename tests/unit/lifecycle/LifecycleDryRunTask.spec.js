@@ -0,0 +1,212 @@
+'use strict'; // eslint-disable-line
+
+const assert = require('assert');
+
+const LifecycleDryRunTask = require(
+    '../../../extensions/lifecycle/tasks/LifecycleDryRunTask');
+const LifecycleTask =
+    require('../../../extensions/lifecycle/tasks/LifecycleTask');
+const monitoringClient = require('../../../lib/clients/monitoringHandler');
+const Rule = require('../../utils/Rule');
+const fakeLogger = require('../../utils/fakeLogger');
+const getMetricValue = require('../../utils/metrics');
+
+const PAST = new Date(2018, 1, 5);
+
+const enabledRules = {
+    expiration: { enabled: true },
+    transitions: { enabled: true },
+    noncurrentVersionExpiration: { enabled: true },
+    noncurrentVersionTransitions: { enabled: true },
+    abortIncompleteMultipartUpload: { enabled: true },
+};
+
+const log = Object.assign({}, fakeLogger, {
+    newRequestLogger: () => fakeLogger,
+});
+
+const bucketData = {
+    action: 'processObjects',
+    target: { bucket: 'test-bucket', owner: 'test-owner' },
+    details: {},
+};
+
+// Minimal AWS.S3 mock serving a non-versioned bucket listing
+class S3Mock {
+    constructor(params) {
+        this._contents = params.contents;
+        this._uploads = params.uploads;
+        this._isTruncated = params.isTruncated || false;
+        this.listedMarkers = [];
+    }
+
+    _request(data) {
+        return {
+            on: () => {},
+            send: cb => process.nextTick(() => cb(null, data)),
+        };
+    }
+
+    listMultipartUploads() {
+        return this._request({ IsTruncated: false, Uploads: this._uploads });
+    }
+
+    getBucketVersioning() {
+        return this._request({});
+    }
+
+    listObjects(params) {
+        this.listedMarkers.push(params.Marker);
+        return this._request({
+            IsTruncated: this._isTruncated,
+            Contents: this._contents,
+        });
+    }
+
+    getObjectTagging() {
+        return this._request({ TagSet: [] });
+    }
+
+    headObject(params) {
+        const obj = this._contents.find(o => o.Key === params.Key);
+        return this._request({ LastModified: obj.LastModified });
+    }
+}
+
+describe('LifecycleDryRunTask', () => {
+    const rules = [
+        new Rule().addID('expire-logs').addPrefix('logs/')
+            .addExpiration('Days', 1).build(),
+        new Rule().addID('transition-all')
+            .addTransitions([{ Days: 1, StorageClass: 'us-east-2' }])
+            .build(),
+        new Rule().addID('abort-mpu').addAbortMPU(1).build(),
+    ];
+    const contents = [
+        { Key: 'logs/a', LastModified: PAST, ETag: '"a"', Size: 1 },
+        { Key: 'data/b', LastModified: PAST, ETag: '"b"', Size: 1 },
+    ];
+    const uploads = [
+        { Key: 'data/c', UploadId: 'upload-c', Initiated: PAST },
+    ];
+
+    it('should report actions with their matching rule ID', done => {
+        const task = new LifecycleDryRunTask({ enabledRules, log });
+        const s3 = new S3Mock({ contents, uploads });
+        task.simulate(rules, bucketData, s3, (err, report) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(report, {
+                IsTruncated: false,
+                Expirations: [
+                    { Key: 'logs/a', VersionId: undefined,
+                      RuleID: 'expire-logs' },
+                ],
+                Transitions: [
+                    { Key: 'data/b', VersionId: undefined,
+                      StorageClass: 'us-east-2', RuleID: 'transition-all' },
+                ],
+                AbortIncompleteMultipartUploads: [
+                    { Key: 'data/c', UploadId: 'upload-c',
+                      RuleID: 'abort-mpu' },
+                ],
+            });
+            done();
+        });
+    });
+
+    it('should stop after the maximum number of listings', done => {
+        const task = new LifecycleDryRunTask({
+            enabledRules, log, maxListings: 2,
+        });
+        const s3 = new S3Mock({ contents, uploads: [], isTruncated: true });
+        task.simulate(rules, bucketData, s3, (err, report) => {
+            assert.ifError(err);
+            assert.strictEqual(report.IsTruncated, true);
+            assert.deepStrictEqual(s3.listedMarkers, [undefined, 'data/b']);
+            assert.strictEqual(report.Expirations.length, 2);
+            assert.strictEqual(report.Transitions.length, 2);
+            done();
+        });
+    });
+
+    describe('bucket processor metrics', () => {
+        function getMetrics() {
+            const { lifecycleListings, lifecycleBucketsScanned } =
+                  monitoringClient;
+            return {
+                objects: getMetricValue(lifecycleListings,
+                                        { type: 'objects' }),
+                uploads: getMetricValue(lifecycleListings,
+                                        { type: 'uploads' }),
+                bucketsScanned: getMetricValue(lifecycleBucketsScanned),
+            };
+        }
+
+        it('should not be updated by dry runs', done => {
+            const task = new LifecycleDryRunTask({ enabledRules, log });
+            const s3 = new S3Mock({ contents, uploads });
+            const before = getMetrics();
+            task.simulate(rules, bucketData, s3, err => {
+                assert.ifError(err);
+                assert.deepStrictEqual(getMetrics(), before);
+                done();
+            });
+        });
+
+        it('should be updated by lifecycle tasks', done => {
+            // dry run task with the metrics of lifecycle tasks
+            class ReportedTask extends LifecycleDryRunTask {
+                _updateMetrics(event, labels) {
+                    return LifecycleTask.prototype._updateMetrics.call(
+                        this, event, labels);
+                }
+            }
+            const task = new ReportedTask({ enabledRules, log });
+            const s3 = new S3Mock({ contents, uploads });
+            const before = getMetrics();
+            task.simulate(rules, bucketData, s3, err => {
+                assert.ifError(err);
+                assert.deepStrictEqual(getMetrics(), {
+                    objects: before.objects + 1,
+                    uploads: before.uploads + 1,
+                    bucketsScanned: before.bucketsScanned + 1,
+                });
+                done();
+            });
+        });
+    });
+
+    it('should pick the first rule providing the applied action', () => {
+        const task = new LifecycleDryRunTask({ enabledRules, log });
+        const item = { Key: 'logs/a', LastModified: PAST };
+        const candidateRules = [
+            new Rule().addID('later').addExpiration('Days', 10).build(),
+            new Rule().addID('earlier').addPrefix('logs/')
+                .addExpiration('Days', 2).build(),
+        ];
+        assert.strictEqual(task._getMatchingRuleId('Expiration', {
+            item, rules: candidateRules,
+        }), 'earlier');
+        assert.strictEqual(task._getMatchingRuleId('Transition', {
+            item, rules: candidateRules,
+        }), undefined);
+        assert.strictEqual(task._getMatchingRuleId('Expiration'), undefined);
+    });
+
+    it('should not pick a rule only sharing some attributes of the applied ' +
+    'action', () => {
+        const task = new LifecycleDryRunTask({ enabledRules, log });
+        const item = { Key: 'logs/a', LastModified: PAST };
+        const candidateRules = [
+            new Rule().addID('older').addTransitions([{
+                Days: 1, StorageClass: 'us-east-2',
+            }]).build(),
+            new Rule().addID('newer').addPrefix('logs/').addTransitions([{
+                Days: 2, StorageClass: 'us-east-2',
+            }]).build(),
+        ];
+        assert.strictEqual(task._getMatchingRuleId('Transition', {
+            item, rules: candidateRules,
+        }), 'newer');
+    });
+});
@@ -0,0 +1,65 @@
+'use strict'; // eslint-disable-line
+
+const assert = require('assert');
+
+const LifecycleObjectProcessor = require(
+    '../../../extensions/lifecycle/objectProcessor/LifecycleObjectProcessor');
+const ActionQueueEntry = require('../../../lib/models/ActionQueueEntry');
+const monitoringClient = require('../../../lib/clients/monitoringHandler');
+const getMetricValue = require('../../utils/metrics');
+
+describe('LifecycleObjectProcessor', () => {
+    describe('_updateActionMetrics', () => {
+        let objectProcessor;
+
+        beforeEach(() => {
+            objectProcessor = new LifecycleObjectProcessor(
+                {}, {}, { auth: {} }, {});
+        });
+
+        function getActionEntry(actionType, ruleType) {
+            return ActionQueueEntry.create(actionType)
+                .addContext({ origin: 'lifecycle', ruleType })
+                .setAttribute('target.owner', 'test-owner');
+        }
+
+        [
+            { action: 'deleteObject', ruleType: 'expiration',
+              metric: 'lifecycleObjectsExpired' },
+            { action: 'deleteMPU', ruleType: 'expiration',
+              metric: 'lifecycleMPUsAborted' },
+            { action: 'copyLocation', ruleType: 'transition',
+              metric: 'lifecycleObjectsTransitioned' },
+        ].forEach(test => {
+            it(`should count ${test.action} actions in ${test.metric}`,
+            () => {
+                const metric = monitoringClient[test.metric];
+                const labels = {
+                    owner: 'test-owner',
+                    ruleType: test.ruleType,
+                };
+                const before = getMetricValue(metric, labels);
+                objectProcessor._updateActionMetrics(
+                    getActionEntry(test.action, test.ruleType));
+                assert.strictEqual(getMetricValue(metric, labels),
+                                   before + 1);
+            });
+        });
+
+        it('should count failed actions', () => {
+            const metric = monitoringClient.lifecycleActionFailures;
+            const labels = { action: 'deleteObject', ruleType: 'expiration' };
+            const expired = monitoringClient.lifecycleObjectsExpired;
+            const before = getMetricValue(metric, labels);
+            const expiredBefore = getMetricValue(expired);
+            objectProcessor._updateActionMetrics(
+                getActionEntry('deleteObject', 'expiration'),
+                new Error('failed'));
+            objectProcessor._updateActionMetrics(
+                getActionEntry('deleteObject', 'expiration')
+                    .setError(new Error('failed')));
+            assert.strictEqual(getMetricValue(metric, labels), before + 2);
+            assert.strictEqual(getMetricValue(expired), expiredBefore);
+        });
+    });
+});
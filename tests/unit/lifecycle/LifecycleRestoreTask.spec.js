@@ -0,0 +1,323 @@
+const assert = require('assert');
+const werelogs = require('werelogs');
+
+const { errors } = require('arsenal');
+const { ObjectMD } = require('arsenal').models;
+const ActionQueueEntry = require('../../../lib/models/ActionQueueEntry');
+const LifecycleRestoreTask = require(
+    '../../../extensions/lifecycle/tasks/LifecycleRestoreTask');
+const { redisKeys } = require('../../../extensions/lifecycle/constants');
+const {
+    getPendingRestoreRequest,
+    getRestoreExpiryDate,
+} = require('../../../extensions/lifecycle/util/restore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class GarbageCollectorProducerMock {
+    constructor() {
+        this.receivedEntry = null;
+    }
+
+    publishActionEntry(gcEntry, done) {
+        this.receivedEntry = gcEntry;
+        return done();
+    }
+
+    getReceivedEntry() {
+        return this.receivedEntry;
+    }
+}
+
+class BackbeatClientMock {
+    constructor() {
+        this.mdObj = null;
+        this.receivedMd = null;
+    }
+
+    setMdObj(mdObj) {
+        this.mdObj = mdObj;
+    }
+
+    getMetadata(params, log, cb) {
+        if (!this.mdObj) {
+            return cb(errors.ObjNotFound);
+        }
+        return cb(null, { Body: this.mdObj.getSerialized() });
+    }
+
+    putMetadata(params, log, cb) {
+        this.receivedMd = JSON.parse(params.mdBlob);
+        return cb();
+    }
+
+    getReceivedMd() {
+        return this.receivedMd;
+    }
+}
+
+class RedisClientMock {
+    constructor() {
+        this.receivedCmds = [];
+    }
+
+    batch(cmds, cb) {
+        this.receivedCmds.push(...cmds);
+        return process.nextTick(() => cb(null, cmds.map(() => [null, 1])));
+    }
+}
+
+class LifecycleObjectProcessorMock {
+    constructor(backbeatClient, gcProducer, redisClient) {
+        this.backbeatClient = backbeatClient;
+        this.gcProducer = gcProducer;
+        this.redisClient = redisClient;
+        this.logger = new werelogs.Logger('test:LifecycleRestoreTask');
+    }
+
+    getStateVars() {
+        return {
+            backbeatClient: this.backbeatClient,
+            gcProducer: this.gcProducer,
+            redisClient: this.redisClient,
+            logger: this.logger,
+        };
+    }
+}
+
+describe('LifecycleRestoreTask', () => {
+    let backbeatClient;
+    let gcProducer;
+    let redisClient;
+    let mdObj;
+    let actionEntry;
+    let coldLocation;
+    let restoredLocation;
+    let task;
+    beforeEach(() => {
+        coldLocation = [{
+            key: 'coldLocationKey',
+            size: 10,
+            start: 0,
+            dataStoreName: 'coldLocationName',
+            dataStoreType: 'aws_s3',
+        }];
+        restoredLocation = [{
+            key: 'restoredLocationKey',
+            size: 10,
+            start: 0,
+            dataStoreName: 'restoreLocationName',
+            dataStoreType: 'scality',
+        }];
+
+        backbeatClient = new BackbeatClientMock();
+        gcProducer = new GarbageCollectorProducerMock();
+        redisClient = new RedisClientMock();
+        mdObj = new ObjectMD();
+        mdObj.setLocation(coldLocation)
+            .setContentMd5('1ccc7006b902a4d30ec26e9ddcf759d8');
+        mdObj.getValue().archive = {
+            restoreRequestedAt: new Date().toISOString(),
+            restoreRequestedDays: 2,
+        };
+        backbeatClient.setMdObj(mdObj);
+        actionEntry = ActionQueueEntry.create('copyLocation')
+            .addContext({ origin: 'lifecycle', ruleType: 'restore' })
+            .setAttribute('target', {
+                bucket: 'somebucket',
+                key: 'somekey',
+                eTag: '"1ccc7006b902a4d30ec26e9ddcf759d8"',
+            })
+            .setAttribute('toLocation', 'restoreLocationName')
+            .setSuccess({ location: restoredLocation });
+        task = new LifecycleRestoreTask(new LifecycleObjectProcessorMock(
+            backbeatClient, gcProducer, redisClient));
+    });
+
+    it('should set restored copy in metadata and schedule its expiry',
+    done => {
+        task.processActionEntry(actionEntry, err => {
+            assert.ifError(err);
+            const { archive, location } = backbeatClient.getReceivedMd();
+            assert.deepStrictEqual(location, coldLocation);
+            assert.deepStrictEqual(archive.restoredLocation, restoredLocation);
+            assert.strictEqual(archive.restoredDataStoreName,
+                               'restoreLocationName');
+            assert(archive.restoreCompletedAt);
+            const expiry = new Date(archive.restoreWillExpireAt);
+            assert.strictEqual(expiry.getTime() % DAY_MS, 0);
+            assert.deepStrictEqual(redisClient.receivedCmds, [[
+                'zadd', redisKeys.restoreExpiries, expiry.getTime(),
+                JSON.stringify({ bucket: 'somebucket', key: 'somekey',
+                                 restoredLocation }),
+            ]]);
+            assert.strictEqual(gcProducer.getReceivedEntry(), null);
+            done();
+        });
+    });
+
+    it('should GC the copy of a previous restore of the object', done => {
+        const previousLocation = [Object.assign({}, restoredLocation[0], {
+            key: 'previousLocationKey',
+        })];
+        Object.assign(mdObj.getValue().archive, {
+            restoreCompletedAt: new Date(Date.now() - DAY_MS).toISOString(),
+            restoredLocation: previousLocation,
+        });
+        task.processActionEntry(actionEntry, err => {
+            assert.ifError(err);
+            assert.deepStrictEqual(
+                backbeatClient.getReceivedMd().archive.restoredLocation,
+                restoredLocation);
+            assert.deepStrictEqual(gcProducer.getReceivedEntry()
+                .getAttribute('target.locations'), previousLocation);
+            done();
+        });
+    });
+
+    it('should GC the restored copy if the object changed', done => {
+        actionEntry.setAttribute('target.eTag',
+                                 '"6713e7cf89b6b16d5abf11d1fabac587"');
+        task.processActionEntry(actionEntry, err => {
+            assert.ifError(err);
+            assert.strictEqual(backbeatClient.getReceivedMd(), null);
+            assert.deepStrictEqual(redisClient.receivedCmds, []);
+            const receivedGcEntry = gcProducer.getReceivedEntry();
+            assert.strictEqual(receivedGcEntry.getActionType(), 'deleteData');
+            assert.deepStrictEqual(
+                receivedGcEntry.getAttribute('target.locations'),
+                restoredLocation);
+            done();
+        });
+    });
+
+    it('should GC the restored copy if the restore was already processed',
+    done => {
+        mdObj.getValue().archive.restoreCompletedAt = new Date().toISOString();
+        task.processActionEntry(actionEntry, err => {
+            assert.ifError(err);
+            assert.strictEqual(backbeatClient.getReceivedMd(), null);
+            assert.deepStrictEqual(gcProducer.getReceivedEntry()
+                .getAttribute('target.locations'), restoredLocation);
+            done();
+        });
+    });
+
+    it('should not update metadata if the data mover failed', done => {
+        actionEntry.setError(errors.InternalError);
+        task.processActionEntry(actionEntry, err => {
+            assert.ifError(err);
+            assert.strictEqual(backbeatClient.getReceivedMd(), null);
+            assert.strictEqual(gcProducer.getReceivedEntry(), null);
+            done();
+        });
+    });
+
+    describe('expireRestore', () => {
+        let expireEntry;
+        beforeEach(() => {
+            Object.assign(mdObj.getValue().archive, {
+                restoreCompletedAt:
+                    new Date(Date.now() - 3 * DAY_MS).toISOString(),
+                restoreWillExpireAt:
+                    new Date(Date.now() - DAY_MS).toISOString(),
+                restoredLocation,
+                restoredDataStoreName: 'restoreLocationName',
+            });
+            expireEntry = ActionQueueEntry.create('expireRestore')
+                .addContext({ origin: 'lifecycle', ruleType: 'restore' })
+                .setAttribute('target', {
+                    bucket: 'somebucket',
+                    key: 'somekey',
+                });
+        });
+
+        it('should remove the expired restored copy', done => {
+            task.processActionEntry(expireEntry, err => {
+                assert.ifError(err);
+                const { archive, location } = backbeatClient.getReceivedMd();
+                assert.deepStrictEqual(archive, {});
+                assert.deepStrictEqual(location, coldLocation);
+                assert.deepStrictEqual(gcProducer.getReceivedEntry()
+                    .getAttribute('target.locations'), restoredLocation);
+                done();
+            });
+        });
+
+        it('should keep a restored copy whose expiry was extended', done => {
+            mdObj.getValue().archive.restoreWillExpireAt =
+                new Date(Date.now() + DAY_MS).toISOString();
+            task.processActionEntry(expireEntry, err => {
+                assert.ifError(err);
+                assert.strictEqual(backbeatClient.getReceivedMd(), null);
+                assert.strictEqual(gcProducer.getReceivedEntry(), null);
+                done();
+            });
+        });
+
+        it('should GC the restored copy of an object deleted since its ' +
+        'restore', done => {
+            backbeatClient.setMdObj(null);
+            expireEntry.setAttribute('restoredLocation', restoredLocation);
+            task.processActionEntry(expireEntry, err => {
+                assert.ifError(err);
+                assert.strictEqual(backbeatClient.getReceivedMd(), null);
+                assert.deepStrictEqual(gcProducer.getReceivedEntry()
+                    .getAttribute('target.locations'), restoredLocation);
+                done();
+            });
+        });
+
+        it('should ignore a deleted object if the restored copy location ' +
+        'was not scheduled', done => {
+            backbeatClient.setMdObj(null);
+            task.processActionEntry(expireEntry, err => {
+                assert.ifError(err);
+                assert.strictEqual(gcProducer.getReceivedEntry(), null);
+                done();
+            });
+        });
+    });
+});
+
+describe('restore utils', () => {
+    describe('getPendingRestoreRequest', () => {
+        it('should return null if no restore was requested', () => {
+            assert.strictEqual(getPendingRestoreRequest({}), null);
+            assert.strictEqual(getPendingRestoreRequest({
+                archive: { restoreRequestedAt: '2020-01-01T00:00:00.000Z' },
+            }), null);
+        });
+
+        it('should return a restore request not yet processed', () => {
+            assert.deepStrictEqual(getPendingRestoreRequest({
+                archive: {
+                    restoreRequestedAt: '2020-01-02T00:00:00.000Z',
+                    restoreRequestedDays: 3,
+                    restoreCompletedAt: '2020-01-01T00:00:00.000Z',
+                },
+            }), { requestedAt: '2020-01-02T00:00:00.000Z', days: 3 });
+        });
+
+        it('should return null if the restore was already processed', () => {
+            assert.strictEqual(getPendingRestoreRequest({
+                archive: {
+                    restoreRequestedAt: '2020-01-01T00:00:00.000Z',
+                    restoreRequestedDays: 3,
+                    restoreCompletedAt: '2020-01-01T00:10:00.000Z',
+                },
+            }), null);
+        });
+    });
+
+    describe('getRestoreExpiryDate', () => {
+        it('should round the expiry date up to the next midnight UTC', () => {
+            assert.strictEqual(getRestoreExpiryDate(
+                new Date('2020-01-01T10:00:00.000Z'), 2).toISOString(),
+            '2020-01-04T00:00:00.000Z');
+            assert.strictEqual(getRestoreExpiryDate(
+                new Date('2020-01-01T00:00:00.000Z'), 1).toISOString(),
+            '2020-01-02T00:00:00.000Z');
+        });
+    });
+});
@@ -0,0 +1,178 @@
+'use strict'; // eslint-disable-line
+
+const assert = require('assert');
+
+const LifecycleRunStatus =
+    require('../../../extensions/lifecycle/LifecycleRunStatus');
+const fakeLogger = require('../../utils/fakeLogger');
+
+// in-memory implementation of the redis commands used for run status
+class RedisClientMock {
+    constructor() {
+        this.store = {};
+    }
+
+    _exec(cmd) {
+        const [name, key, ...args] = cmd;
+        switch (name) {
+        case 'hmset': {
+            const hash = this.store[key] || {};
+            for (let i = 0; i < args.length; i += 2) {
+                hash[args[i]] = `${args[i + 1]}`;
+            }
+            this.store[key] = hash;
+            return 'OK';
+        }
+        case 'hset':
+            this.store[key] = Object.assign({}, this.store[key],
+                                            { [args[0]]: `${args[1]}` });
+            return 1;
+        case 'hincrby': {
+            const hash = this.store[key] || {};
+            const value = (Number.parseInt(hash[args[0]], 10) || 0) + args[1];
+            hash[args[0]] = `${value}`;
+            this.store[key] = hash;
+            return value;
+        }
+        case 'hgetall':
+            return this.store[key] || {};
+        case 'lpush':
+            this.store[key] = [args[0]].concat(this.store[key] || []);
+            return this.store[key].length;
+        case 'ltrim':
+            this.store[key] = this.store[key].slice(args[0], args[1] + 1);
+            return 'OK';
+        case 'lrange':
+            return (this.store[key] || []).slice();
+        case 'expire':
+            return 1;
+        default:
+            throw new Error(`unexpected command ${name}`);
+        }
+    }
+
+    batch(cmds, cb) {
+        const res = cmds.map(cmd => [null, this._exec(cmd)]);
+        return process.nextTick(() => cb(null, res));
+    }
+}
+
+describe('LifecycleRunStatus', () => {
+    let redisClient;
+    let runStatus;
+
+    beforeEach(() => {
+        redisClient = new RedisClientMock();
+        runStatus = new LifecycleRunStatus(redisClient, fakeLogger);
+    });
+
+    it('should return no run for a bucket never processed', done => {
+        runStatus.getRuns('mybucket', (err, runs) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(runs, []);
+            done();
+        });
+    });
+
+    it('should finish a run once all its listings are processed', done => {
+        runStatus.startRun('mybucket', 'run1', err => {
+            assert.ifError(err);
+            // the first listing re-queues a second one
+            runStatus.addPendingListing('mybucket', 'run1', err => {
+                assert.ifError(err);
+                runStatus.endListing('mybucket', 'run1', {
+                    pagesListed: 2,
+                    objectsExamined: 3,
+                    expirations: 1,
+                    mpuAborts: 1,
+                }, (err, isRunFinished) => {
+                    assert.ifError(err);
+                    assert.strictEqual(isRunFinished, false);
+                    runStatus.getRuns('mybucket', (err, runs) => {
+                        assert.ifError(err);
+                        assert.strictEqual(runs.length, 1);
+                        assert.strictEqual(runs[0].Status, 'InProgress');
+                        assert.strictEqual(runs[0].EndTime, undefined);
+                        runStatus.endListing('mybucket', 'run1', {
+                            pagesListed: 1,
+                            objectsExamined: 2,
+                            transitions: 2,
+                        }, (err, isRunFinished) => {
+                            assert.ifError(err);
+                            assert(isRunFinished);
+                            runStatus.getRuns('mybucket', (err, runs) => {
+                                assert.ifError(err);
+                                const run = runs[0];
+                                assert(run.StartTime);
+                                assert(run.EndTime);
+                                assert.deepStrictEqual(Object.assign({}, run, {
+                                    StartTime: undefined,
+                                    EndTime: undefined,
+                                }), {
+                                    RunId: 'run1',
+                                    Status: 'Completed',
+                                    StartTime: undefined,
+                                    EndTime: undefined,
+                                    PagesListed: 3,
+                                    ObjectsExamined: 5,
+                                    Expirations: 1,
+                                    Transitions: 2,
+                                    MPUAborts: 1,
+                                    Errors: 0,
+                                });
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('should record listing errors in the run status', done => {
+        runStatus.startRun('mybucket', 'run1', err => {
+            assert.ifError(err);
+            runStatus.endListing('mybucket', 'run1', {
+                error: new Error('listing failed'),
+            }, err => {
+                assert.ifError(err);
+                runStatus.getRuns('mybucket', (err, runs) => {
+                    assert.ifError(err);
+                    assert.strictEqual(runs[0].Status, 'CompletedWithErrors');
+                    assert.strictEqual(runs[0].Errors, 1);
+                    assert.strictEqual(runs[0].LastError, 'listing failed');
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should list the last runs of a bucket from the most recent one',
+    done => {
+        runStatus.startRun('mybucket', 'run1', err => {
+            assert.ifError(err);
+            runStatus.startRun('mybucket', 'run2', err => {
+                assert.ifError(err);
+                runStatus.getRuns('mybucket', (err, runs) => {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(runs.map(run => run.RunId),
+                                           ['run2', 'run1']);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should skip expired runs of the bucket history', done => {
+        runStatus.startRun('mybucket', 'run1', err => {
+            assert.ifError(err);
+            redisClient.store[runStatus._getRunKey('mybucket', 'run1')] =
+                undefined;
+            runStatus.getRuns('mybucket', (err, runs) => {
+                assert.ifError(err);
+                assert.deepStrictEqual(runs, []);
+                done();
+            });
+        });
+    });
+});
@@ -21,6 +21,7 @@ const lp = {
                 expiration: { enabled: true },
                 transitions: { enabled: true },
                 noncurrentVersionExpiration: { enabled: true },
+                noncurrentVersionTransitions: { enabled: true },
                 abortIncompleteMultipartUpload: { enabled: true },
             },
         }
@@ -205,6 +206,53 @@ describe('lifecycle task helper methods', () => {
                 'task-3', 'task-6', 'task-7', 'task-9']);
         });
 
+        it('should filter out unmatched object sizes', () => {
+            const mBucketRules = [
+                new Rule().addID('task-1').addObjectSizeGreaterThan(10)
+                    .build(),
+                new Rule().addID('task-2').addObjectSizeLessThan(10).build(),
+                new Rule().addID('task-3').addObjectSizeGreaterThan(5)
+                    .addObjectSizeLessThan(20).build(),
+                new Rule().addID('task-4').addPrefix('atask/')
+                    .addObjectSizeGreaterThan(5).build(),
+                new Rule().addID('task-5').build(),
+            ];
+            const objTags = { TagSet: [] };
+
+            const item1 = {
+                Key: 'atask/example-item',
+                LastModified: CURRENT,
+                Size: 10,
+            };
+            const res1 = lct._filterRules(mBucketRules, item1, objTags);
+            assert.deepStrictEqual(getRuleIDs(res1),
+                ['task-3', 'task-4', 'task-5']);
+
+            const item2 = {
+                Key: 'example-item',
+                LastModified: CURRENT,
+                Size: 30,
+            };
+            const res2 = lct._filterRules(mBucketRules, item2, objTags);
+            assert.deepStrictEqual(getRuleIDs(res2), ['task-1', 'task-5']);
+        });
+
+        it('should filter out object size rules for an item with no size',
+        () => {
+            const mBucketRules = [
+                new Rule().addID('task-1').addObjectSizeGreaterThan(0)
+                    .build(),
+                new Rule().addID('task-2').addObjectSizeLessThan(10).build(),
+                new Rule().addID('task-3').build(),
+            ];
+            const deleteMarker = {
+                Key: 'example-item',
+                LastModified: CURRENT,
+            };
+            const res = lct._filterRules(mBucketRules, deleteMarker, []);
+            assert.deepStrictEqual(getRuleIDs(res), ['task-3']);
+        });
+
         it('should filter correctly for an object with no tags', () => {
             const mBucketRules = [
                 new Rule().addID('task-1').addTag('tag1', 'val1')
@@ -622,6 +670,157 @@ describe('lifecycle task helper methods', () => {
                 assert.strictEqual(rules.Transition, undefined);
             });
         });
+
+        describe('newer noncurrent versions', () => {
+            it('should not return NoncurrentVersionExpiration for a version ' +
+            'among the newer noncurrent versions to retain', () => {
+                const applicableRules = [
+                    new Rule().addNCVExpiration(1, 2).build(),
+                ];
+                const version = { newerNoncurrentCount: 1 };
+                const rules = lct._getApplicableRules(applicableRules,
+                                                      version);
+                assert.strictEqual(rules.NoncurrentVersionExpiration,
+                                   undefined);
+            });
+
+            it('should return NoncurrentVersionExpiration for a version ' +
+            'older than the newer noncurrent versions to retain', () => {
+                const applicableRules = [
+                    new Rule().addNCVExpiration(1, 2).build(),
+                    new Rule().addNCVExpiration(5).build(),
+                ];
+                const version = { newerNoncurrentCount: 2 };
+                const rules = lct._getApplicableRules(applicableRules,
+                                                      version);
+                assert.deepStrictEqual(rules.NoncurrentVersionExpiration,
+                                       { NoncurrentDays: 1 });
+            });
+
+            it('should only consider NoncurrentVersionTransitions beyond ' +
+            'the newer noncurrent versions to retain', () => {
+                const applicableRules = [
+                    new Rule()
+                        .addNCVTransitions([
+                            {
+                                NoncurrentDays: 1,
+                                NewerNoncurrentVersions: 3,
+                                StorageClass: 'zenko-1',
+                            },
+                            {
+                                NoncurrentDays: 2,
+                                StorageClass: 'zenko-2',
+                            },
+                        ])
+                        .build(),
+                ];
+                const lastModified = getDate({ numberOfDaysFromNow: -10 });
+                const object = Object.assign(getMetadataObject(lastModified), {
+                    staleDate: getDate({ numberOfDaysFromNow: -5 }),
+                    newerNoncurrentCount: 1,
+                });
+                const rules = lct._getApplicableRules(applicableRules, object);
+                assert.deepStrictEqual(rules.NoncurrentVersionTransition, {
+                    NoncurrentDays: 2,
+                    StorageClass: 'zenko-2',
+                });
+            });
+        });
+
+        describe('noncurrent version transitions', () => {
+            it('should return NoncurrentVersionTransition based on the ' +
+            'version stale date', () => {
+                const applicableRules = [
+                    new Rule()
+                        .addNCVTransitions([
+                            {
+                                NoncurrentDays: 1,
+                                StorageClass: 'zenko-1',
+                            },
+                            {
+                                NoncurrentDays: 3,
+                                StorageClass: 'zenko-3',
+                            },
+                        ])
+                        .build(),
+                ];
+                const lastModified = getDate({ numberOfDaysFromNow: -10 });
+                const object = Object.assign(getMetadataObject(lastModified), {
+                    staleDate: getDate({ numberOfDaysFromNow: -2 }),
+                });
+                const rules = lct._getApplicableRules(applicableRules, object);
+                assert.deepStrictEqual(rules, {
+                    NoncurrentVersionTransition: {
+                        NoncurrentDays: 1,
+                        StorageClass: 'zenko-1',
+                    },
+                });
+            });
+
+            it('should return the most applicable ' +
+            'NoncurrentVersionTransition across many rules', () => {
+                const applicableRules = [
+                    new Rule()
+                        .addNCVTransitions([{
+                            NoncurrentDays: 1,
+                            StorageClass: 'zenko-1',
+                        }])
+                        .build(),
+                    new Rule()
+                        .addNCVTransitions([{
+                            NoncurrentDays: 3,
+                            StorageClass: 'zenko-3',
+                        }])
+                        .build(),
+                ];
+                const lastModified = getDate({ numberOfDaysFromNow: -10 });
+                const object = Object.assign(getMetadataObject(lastModified), {
+                    staleDate: getDate({ numberOfDaysFromNow: -4 }),
+                });
+                const rules = lct._getApplicableRules(applicableRules, object);
+                assert.deepStrictEqual(rules.NoncurrentVersionTransition, {
+                    NoncurrentDays: 3,
+                    StorageClass: 'zenko-3',
+                });
+            });
+
+            it('should not return NoncurrentVersionTransition for a version ' +
+            'without stale date', () => {
+                const applicableRules = [
+                    new Rule()
+                        .addNCVTransitions([{
+                            NoncurrentDays: 1,
+                            StorageClass: 'zenko',
+                        }])
+                        .build(),
+                ];
+                const lastModified = getDate({ numberOfDaysFromNow: -10 });
+                const object = getMetadataObject(lastModified);
+                const rules = lct._getApplicableRules(applicableRules, object);
+                assert.strictEqual(rules.NoncurrentVersionTransition,
+                                   undefined);
+            });
+
+            it('should not return NoncurrentVersionTransition when the ' +
+            'version is already stored at the destination', () => {
+                const applicableRules = [
+                    new Rule()
+                        .addNCVTransitions([{
+                            NoncurrentDays: 1,
+                            StorageClass: 'zenko',
+                        }])
+                        .build(),
+                ];
+                const lastModified = getDate({ numberOfDaysFromNow: -10 });
+                const object = Object.assign(
+                    getMetadataObject(lastModified, 'zenko'), {
+                        staleDate: getDate({ numberOfDaysFromNow: -2 }),
+                    });
+                const rules = lct._getApplicableRules(applicableRules, object);
+                assert.strictEqual(rules.NoncurrentVersionTransition,
+                                   undefined);
+            });
+        });
     });
 
     describe('_getApplicableTransition', () => {
@@ -1048,6 +1247,33 @@ describe('lifecycle task helper methods', () => {
         });
     });
 
+    describe('_addNewerNoncurrentCountToVersions', () => {
+        const list = [
+            { Key: 'obj-1', IsLatest: true },
+            { Key: 'obj-1', IsLatest: false },
+            { Key: 'obj-1', IsLatest: false },
+            { Key: 'obj-2', IsLatest: true },
+            { Key: 'obj-2', IsLatest: false },
+        ];
+
+        it('should count newer noncurrent versions of the same key', () => {
+            const res = lct._addNewerNoncurrentCountToVersions({}, list);
+            assert.deepStrictEqual(res.map(v => v.newerNoncurrentCount),
+                [undefined, 0, 1, undefined, 0]);
+        });
+
+        it('should use bucket details if applies', () => {
+            const bucketDetails = {
+                keyMarker: 'obj-1',
+                noncurrentCount: 3,
+            };
+            const res = lct._addNewerNoncurrentCountToVersions(
+                bucketDetails, list.slice(1));
+            assert.deepStrictEqual(res.map(v => v.newerNoncurrentCount),
+                [3, 4, undefined, 0]);
+        });
+    });
+
     describe('_checkAndApplyEODMRule', () => {
         let lct2;
 
@@ -1204,4 +1430,193 @@ describe('lifecycle task helper methods', () => {
             });
         });
     });
+
+    describe('_compareVersion for noncurrent versions', () => {
+        let lct2;
+
+        const bucketData = {
+            target: {
+                owner: 'test-user',
+                bucket: 'test-bucket',
+            },
+        };
+        const version = {
+            Key: 'test-key',
+            VersionId:
+            '834373731313631393339313839393939393952473030312020353820',
+            ETag: '"1ccc7006b902a4d30ec26e9ddcf759d8"',
+            Size: 1,
+            StorageClass: 'STANDARD',
+            IsLatest: false,
+            LastModified: getDate({ numberOfDaysFromNow: -10 }),
+            staleDate: getDate({ numberOfDaysFromNow: -5 }),
+        };
+
+        before(() => {
+            // overwrite send methods to read entries sent
+            class LifecycleTaskMock extends LifecycleTask {
+                _sendObjectAction(entry, cb) {
+                    this.objectEntry = entry;
+                    return cb();
+                }
+
+                _sendDataMoverAction(entry, cb) {
+                    this.dataMoverEntry = entry;
+                    return cb();
+                }
+
+                reset() {
+                    this.objectEntry = undefined;
+                    this.dataMoverEntry = undefined;
+                }
+            }
+            lct2 = new LifecycleTaskMock(lp);
+        });
+
+        afterEach(() => {
+            lct2.reset();
+        });
+
+        it('should send a transition entry to the data mover topic', done => {
+            const rules = {
+                NoncurrentVersionTransition: {
+                    NoncurrentDays: 2,
+                    StorageClass: 'zenko',
+                },
+            };
+            lct2._compareVersion(bucketData, version, [version], rules,
+            'Enabled', fakeLogger, err => {
+                assert.ifError(err);
+                assert.strictEqual(lct2.objectEntry, undefined);
+                const entry = lct2.dataMoverEntry;
+                assert.strictEqual(entry.getActionType(), 'copyLocation');
+                assert.strictEqual(entry.getAttribute('toLocation'), 'zenko');
+                assert.deepStrictEqual(entry.getAttribute('target'), {
+                    owner: bucketData.target.owner,
+                    bucket: bucketData.target.bucket,
+                    key: version.Key,
+                    version: version.VersionId,
+                    eTag: version.ETag,
+                });
+                done();
+            });
+        });
+
+        it('should expire rather than transition when both rules apply',
+        done => {
+            const rules = {
+                NoncurrentVersionExpiration: { NoncurrentDays: 2 },
+                NoncurrentVersionTransition: {
+                    NoncurrentDays: 1,
+                    StorageClass: 'zenko',
+                },
+            };
+            lct2._compareVersion(bucketData, version, [version], rules,
+            'Enabled', fakeLogger, err => {
+                assert.ifError(err);
+                assert.strictEqual(lct2.dataMoverEntry, undefined);
+                assert.strictEqual(lct2.objectEntry.getActionType(),
+                                   'deleteObject');
+                done();
+            });
+        });
+
+        it('should not transition a noncurrent delete marker', done => {
+            const deleteMarker = {
+                Key: 'test-key',
+                VersionId:
+                '834373731313631393339313839393939393952473030312020353815',
+                IsLatest: false,
+                LastModified: getDate({ numberOfDaysFromNow: -10 }),
+                staleDate: getDate({ numberOfDaysFromNow: -5 }),
+            };
+            const rules = {
+                NoncurrentVersionTransition: {
+                    NoncurrentDays: 2,
+                    StorageClass: 'zenko',
+                },
+            };
+            lct2._compareVersion(bucketData, deleteMarker, [deleteMarker],
+            rules, 'Enabled', fakeLogger, err => {
+                assert.ifError(err);
+                assert.strictEqual(lct2.dataMoverEntry, undefined);
+                assert.strictEqual(lct2.objectEntry, undefined);
+                done();
+            });
+        });
+    });
+
+    describe('processBucketEntry for scheduled objects', () => {
+        const scheduledLp = {
+            getStateVars: () => Object.assign(lp.getStateVars(), {
+                log: Object.assign({}, fakeLogger, {
+                    newRequestLogger: () => fakeLogger,
+                }),
+            }),
+        };
+        const objects = {
+            'logs/expired': {
+                LastModified: getDate({ numberOfDaysFromNow: -10 }),
+                ETag: '"1ccc7006b902a4d30ec26e9ddcf759d8"',
+                ContentLength: 1,
+                VersionId: 'version1',
+            },
+        };
+        const rules = [
+            new Rule().addID('expire-logs').addPrefix('logs/')
+                .addExpiration('Days', 5).build(),
+        ];
+        const request = (err, data) => ({
+            on: () => {},
+            send: cb => process.nextTick(() => cb(err, data)),
+        });
+        const s3target = {
+            headedKeys: [],
+            getBucketVersioning: () => request(null, { Status: 'Enabled' }),
+            getObjectTagging: () => request(null, { TagSet: [] }),
+            headObject: params => {
+                s3target.headedKeys.push(params.Key);
+                const obj = objects[params.Key];
+                if (!obj) {
+                    return request({ code: 'NotFound', statusCode: 404 });
+                }
+                return request(null, obj);
+            },
+            listMultipartUploads: () => {
+                throw new Error('uploads should not be listed');
+            },
+            listObjectVersions: () => {
+                throw new Error('versions should not be listed');
+            },
+        };
+
+        it('should only process the current version of scheduled objects',
+        done => {
+            class LifecycleTaskMock extends LifecycleTask {
+                _sendObjectAction(entry, cb) {
+                    this.objectEntries = (this.objectEntries || [])
+                        .concat([entry]);
+                    return cb();
+                }
+            }
+            const task = new LifecycleTaskMock(scheduledLp);
+            const bucketData = {
+                action: 'processObjects',
+                target: { bucket: 'test-bucket', owner: 'test-owner' },
+                details: { keys: ['logs/expired', 'logs/deleted'] },
+            };
+            task.processBucketEntry(rules, bucketData, s3target, err => {
+                assert.ifError(err);
+                assert.deepStrictEqual(s3target.headedKeys.sort(),
+                                       ['logs/deleted', 'logs/expired']);
+                assert.strictEqual(task.objectEntries.length, 1);
+                const entry = task.objectEntries[0];
+                assert.strictEqual(entry.getActionType(), 'deleteObject');
+                assert.strictEqual(entry.getAttribute('target.key'),
+                                   'logs/expired');
+                assert.strictEqual(bucketData.runId, undefined);
+                done();
+            });
+        });
+    });
 });
@@ -114,6 +114,7 @@ describe('LifecycleUpdateTransitionTask', () => {
             assert.ifError(err);
             const receivedMd = backbeatClient.getReceivedMd();
             assert.deepStrictEqual(receivedMd.location, newLocation);
+            assert.strictEqual(receivedMd.originOp, 's3:LifecycleTransition');
             const receivedGcEntry = gcProducer.getReceivedEntry();
             assert.strictEqual(receivedGcEntry.getActionType(), 'deleteData');
             assert.deepStrictEqual(
@@ -0,0 +1,120 @@
+'use strict'; // eslint-disable-line
+
+const assert = require('assert');
+
+const {
+    getRulesFromBucketMD,
+    getObjectDueDate,
+} = require('../../../extensions/lifecycle/util/rules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const enabledRules = {
+    expiration: { enabled: true },
+    transitions: { enabled: true },
+};
+
+describe('lifecycle rules utils', () => {
+    describe('getRulesFromBucketMD', () => {
+        it('should convert rules from bucket metadata', () => {
+            const rules = getRulesFromBucketMD({
+                rules: [{
+                    ruleID: 'expire-logs',
+                    ruleStatus: 'Enabled',
+                    prefix: 'logs/',
+                    actions: [{ actionName: 'Expiration', days: 10 }],
+                }, {
+                    ruleID: 'transition-tagged',
+                    ruleStatus: 'Disabled',
+                    filter: {
+                        rulePrefix: 'data/',
+                        tags: [{ key: 'tier', val: 'cold' }],
+                    },
+                    actions: [{
+                        actionName: 'Transition',
+                        transition: [{ days: 30, storageClass: 'cold' }],
+                    }, {
+                        actionName: 'AbortIncompleteMultipartUpload',
+                        days: 1,
+                    }],
+                }],
+            });
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(rules)), [{
+                ID: 'expire-logs',
+                Status: 'Enabled',
+                Prefix: 'logs/',
+                Expiration: { Days: 10 },
+            }, {
+                ID: 'transition-tagged',
+                Status: 'Disabled',
+                Filter: {
+                    And: {
+                        Prefix: 'data/',
+                        Tags: [{ Key: 'tier', Value: 'cold' }],
+                    },
+                },
+                Transitions: [{ Days: 30, StorageClass: 'cold' }],
+            }]);
+        });
+
+        it('should return no rule without lifecycle configuration', () => {
+            assert.deepStrictEqual(getRulesFromBucketMD(null), []);
+        });
+    });
+
+    describe('getObjectDueDate', () => {
+        const lastModified = '2020-01-01T00:00:00.000Z';
+        const lastModifiedTime = new Date(lastModified).getTime();
+        const mdValue = {
+            'last-modified': lastModified,
+            'content-length': 10,
+            'dataStoreName': 'us-east-1',
+            'tags': { tier: 'cold' },
+        };
+
+        it('should return the earliest expiration or transition date', () => {
+            const rules = [{
+                Status: 'Enabled',
+                Expiration: { Days: 10 },
+            }, {
+                Status: 'Enabled',
+                Filter: { Tag: { Key: 'tier', Value: 'cold' } },
+                Transitions: [{ Days: 5, StorageClass: 'cold' }],
+            }];
+            const dueDate = getObjectDueDate(rules, enabledRules, 'obj',
+                                             mdValue);
+            assert.strictEqual(dueDate.getTime(),
+                               lastModifiedTime + 5 * DAY_MS);
+        });
+
+        it('should ignore transitions to the location of the object', () => {
+            const rules = [{
+                Status: 'Enabled',
+                Expiration: { Date: '2020-06-01T00:00:00.000Z' },
+                Transitions: [{ Days: 5, StorageClass: 'us-east-1' }],
+            }];
+            const dueDate = getObjectDueDate(rules, enabledRules, 'obj',
+                                             mdValue);
+            assert.strictEqual(dueDate.toISOString(),
+                               '2020-06-01T00:00:00.000Z');
+        });
+
+        it('should return null if no enabled rule applies', () => {
+            const rules = [{
+                Status: 'Enabled',
+                Prefix: 'logs/',
+                Expiration: { Days: 10 },
+            }, {
+                Status: 'Disabled',
+                Expiration: { Days: 10 },
+            }, {
+                Status: 'Enabled',
+                Transitions: [{ Days: 5, StorageClass: 'cold' }],
+            }];
+            assert.strictEqual(getObjectDueDate(rules, {
+                expiration: { enabled: true },
+                transitions: { enabled: false },
+            }, 'obj', mdValue), null);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+
+const BucketCache = require('../../../extensions/mongoProcessor/BucketCache');
+
+describe('BucketCache', () => {
+    let origNow;
+    let now;
+
+    beforeEach(() => {
+        origNow = Date.now;
+        now = 1000000;
+        Date.now = () => now;
+    });
+
+    afterEach(() => {
+        Date.now = origNow;
+    });
+
+    it('should return cached values until they expire', () => {
+        const cache = new BucketCache({ maxEntries: 10, ttlMs: 1000 });
+        assert.strictEqual(cache.get('bucket1'), undefined);
+        cache.set('bucket1', { location: 'us-east-1' });
+        now += 999;
+        assert.deepStrictEqual(cache.get('bucket1'),
+                               { location: 'us-east-1' });
+        now += 1;
+        assert.strictEqual(cache.get('bucket1'), undefined);
+        assert.strictEqual(cache.size(), 0);
+    });
+
+    it('should evict the least recently used bucket when full', () => {
+        const cache = new BucketCache({ maxEntries: 2, ttlMs: 1000 });
+        cache.set('bucket1', 1);
+        cache.set('bucket2', 2);
+        // bucket1 is now more recently used than bucket2
+        assert.strictEqual(cache.get('bucket1'), 1);
+        cache.set('bucket3', 3);
+        assert.strictEqual(cache.size(), 2);
+        assert.strictEqual(cache.get('bucket2'), undefined);
+        assert.strictEqual(cache.get('bucket1'), 1);
+        assert.strictEqual(cache.get('bucket3'), 3);
+    });
+
+    it('should invalidate a bucket', () => {
+        const cache = new BucketCache({ maxEntries: 10, ttlMs: 1000 });
+        cache.set('bucket1', 1);
+        cache.set('bucket2', 2);
+        cache.invalidate('bucket1');
+        assert.strictEqual(cache.get('bucket1'), undefined);
+        assert.strictEqual(cache.get('bucket2'), 2);
+    });
+
+    it('should not cache anything with a TTL of 0', () => {
+        const cache = new BucketCache({ maxEntries: 10, ttlMs: 0 });
+        cache.set('bucket1', 1);
+        assert.strictEqual(cache.get('bucket1'), undefined);
+        assert.strictEqual(cache.size(), 0);
+    });
+});
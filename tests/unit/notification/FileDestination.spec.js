@@ -0,0 +1,53 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileDestination =
+    require('../../../extensions/notification/destinations/FileDestination');
+
+const fakeLogger = require('../../utils/fakeLogger');
+
+describe('notification file destination', () => {
+    let filePath;
+
+    beforeEach(() => {
+        filePath = path.join(os.tmpdir(),
+            `notification-destination-${Date.now()}.log`);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    });
+
+    it('should append one record per line', done => {
+        const destination = new FileDestination(
+            { resource: 'dest', type: 'file', path: filePath },
+            { logger: fakeLogger });
+        destination.setup(err => {
+            assert.ifError(err);
+            destination.send('bucket/key1', '{"id":1}', err => {
+                assert.ifError(err);
+                destination.send('bucket/key2', '{"id":2}', err => {
+                    assert.ifError(err);
+                    assert.strictEqual(fs.readFileSync(filePath, 'utf8'),
+                                       '{"id":1}\n{"id":2}\n');
+                    destination.close(done);
+                });
+            });
+        });
+    });
+
+    it('should return an error if the file cannot be written', done => {
+        const destination = new FileDestination(
+            { resource: 'dest', type: 'file',
+              path: path.join(filePath, 'no-such-dir', 'file') },
+            { logger: fakeLogger });
+        destination.send('bucket/key', '{}', err => {
+            assert(err);
+            done();
+        });
+    });
+});
@@ -0,0 +1,192 @@
+const assert = require('assert');
+
+const NotificationQueuePopulator =
+    require('../../../extensions/notification/NotificationQueuePopulator');
+
+const fakeLogger = require('../../utils/fakeLogger');
+
+const TOPIC = 'test-notification-topic';
+const ZK_PATH = '/bucket-notification';
+const BUCKET = 'test-bucket';
+const VID_SEP = '\0';
+
+class NotificationQueuePopulatorMock extends NotificationQueuePopulator {
+    constructor(params) {
+        super(params);
+        this.published = [];
+    }
+
+    publish(topic, key, message) {
+        assert.strictEqual(topic, TOPIC);
+        this.published.push({ key, message: JSON.parse(message) });
+    }
+}
+
+class ZkClientMock {
+    constructor() {
+        this.nodes = {};
+    }
+
+    setOrCreate(path, data, cb) {
+        this.nodes[path] = data.toString();
+        process.nextTick(cb);
+    }
+
+    remove(path, cb) {
+        delete this.nodes[path];
+        process.nextTick(cb);
+    }
+}
+
+const notificationConfiguration = {
+    queueConfig: [{
+        id: 'created-images',
+        events: ['s3:ObjectCreated:*'],
+        queueArn: 'arn:scality:bucketnotif:::dest1',
+        filterRules: [{ name: 'Prefix', value: 'images/' }],
+    }, {
+        id: 'removed',
+        events: ['s3:ObjectRemoved:Delete'],
+        queueArn: 'arn:scality:bucketnotif:::dest2',
+    }, {
+        id: 'unknown',
+        events: ['s3:ObjectRemoved:Delete'],
+        queueArn: 'arn:scality:bucketnotif:::unknown-dest',
+    }],
+};
+
+function bucketEntry(attributes) {
+    return {
+        type: 'put',
+        bucket: '__metastore',
+        key: attributes.name,
+        value: JSON.stringify(attributes),
+    };
+}
+
+function objectEntry(key, md) {
+    return {
+        type: 'put',
+        bucket: BUCKET,
+        key,
+        value: JSON.stringify(Object.assign({
+            'content-length': 42,
+            'content-md5': 'd41d8cd98f00b204e9800998ecf8427e',
+            'last-modified': '2020-01-01T00:00:00.000Z',
+        }, md)),
+    };
+}
+
+describe('notification queue populator', () => {
+    let nqp;
+    let zkClient;
+
+    beforeEach(() => {
+        nqp = new NotificationQueuePopulatorMock({
+            config: {
+                topic: TOPIC,
+                zookeeperPath: ZK_PATH,
+                region: 'us-east-1',
+                destinations: [
+                    { resource: 'dest1', type: 'file', path: '/dev/null' },
+                    { resource: 'dest2', type: 'file', path: '/dev/null' },
+                ],
+            },
+            logger: fakeLogger,
+        });
+        zkClient = new ZkClientMock();
+        nqp.zkClient = zkClient;
+        nqp.filter(bucketEntry({
+            name: BUCKET,
+            notificationConfiguration,
+        }));
+    });
+
+    it('should save bucket notification configuration in zookeeper', () => {
+        assert.deepStrictEqual(
+            JSON.parse(zkClient.nodes[`${ZK_PATH}/config/${BUCKET}`]),
+            notificationConfiguration);
+    });
+
+    it('should remove configuration of deleted bucket', () => {
+        nqp.filter(bucketEntry({ name: BUCKET, deleted: true }));
+        assert.strictEqual(zkClient.nodes[`${ZK_PATH}/config/${BUCKET}`],
+                           undefined);
+        nqp.filter(objectEntry('images/foo.jpg', {}));
+        assert.strictEqual(nqp.published.length, 0);
+    });
+
+    it('should publish event of object matching a configuration', () => {
+        nqp.filter(objectEntry('images/foo bar.jpg', {}));
+        assert.strictEqual(nqp.published.length, 1);
+        const { key, message } = nqp.published[0];
+        assert.strictEqual(key, `${BUCKET}/images/foo bar.jpg`);
+        assert.strictEqual(message.destination, 'dest1');
+        const record = message.record.Records[0];
+        assert.strictEqual(record.eventName, 'ObjectCreated:Put');
+        assert.strictEqual(record.eventTime, '2020-01-01T00:00:00.000Z');
+        assert.strictEqual(record.s3.configurationId, 'created-images');
+        assert.strictEqual(record.s3.bucket.name, BUCKET);
+        assert.strictEqual(record.s3.object.key, 'images%2Ffoo%20bar.jpg');
+        assert.strictEqual(record.s3.object.size, 42);
+    });
+
+    it('should not publish event of object not matching filter rules',
+    () => {
+        nqp.filter(objectEntry('docs/foo.txt', {}));
+        assert.strictEqual(nqp.published.length, 0);
+    });
+
+    it('should not publish event of other operations than the ones ' +
+    'configured', () => {
+        nqp.filter(objectEntry('images/foo.jpg',
+                               { originOp: 's3:ObjectTagging:Put' }));
+        assert.strictEqual(nqp.published.length, 0);
+    });
+
+    it('should not publish event of metadata updates without originOp',
+    () => {
+        // replication status update
+        nqp.filter(objectEntry('images/foo.jpg', {
+            replicationInfo: { status: 'COMPLETED', content: ['DATA'] },
+        }));
+        // tagging update of an object of a replicated bucket
+        nqp.filter(objectEntry('images/foo.jpg', {
+            replicationInfo: {
+                status: 'PENDING',
+                content: ['METADATA', 'PUT_TAGGING'],
+            },
+        }));
+        // restore of an archived object
+        nqp.filter(objectEntry('images/foo.jpg', {
+            archive: { archiveInfo: {} },
+        }));
+        assert.strictEqual(nqp.published.length, 0);
+        nqp.filter(objectEntry('images/foo.jpg', {
+            replicationInfo: {
+                status: 'PENDING',
+                content: ['DATA', 'METADATA'],
+            },
+        }));
+        assert.strictEqual(nqp.published.length, 1);
+    });
+
+    it('should publish a single event for a versioned object put', () => {
+        const versionId = '98445675956517999999RG001  1.30.12';
+        const md = { versionId };
+        nqp.filter(objectEntry('images/foo.jpg', md));
+        nqp.filter(objectEntry(`images/foo.jpg${VID_SEP}${versionId}`, md));
+        assert.strictEqual(nqp.published.length, 1);
+        assert(nqp.published[0].message.record.Records[0]
+               .s3.object.versionId);
+    });
+
+    it('should publish delete events to known destinations only', () => {
+        nqp.filter({ type: 'del', bucket: BUCKET, key: 'foo' });
+        assert.strictEqual(nqp.published.length, 1);
+        const { message } = nqp.published[0];
+        assert.strictEqual(message.destination, 'dest2');
+        assert.strictEqual(message.record.Records[0].eventName,
+                           'ObjectRemoved:Delete');
+    });
+});
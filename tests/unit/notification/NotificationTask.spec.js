@@ -0,0 +1,65 @@
+const assert = require('assert');
+
+const NotificationTask =
+    require('../../../extensions/notification/tasks/NotificationTask');
+
+const fakeLogger = require('../../utils/fakeLogger');
+
+class DestinationMock {
+    constructor() {
+        this.sent = [];
+    }
+
+    send(key, message, cb) {
+        this.sent.push({ key, message: JSON.parse(message) });
+        process.nextTick(cb);
+    }
+}
+
+describe('notification task', () => {
+    let destination;
+    let task;
+
+    beforeEach(() => {
+        destination = new DestinationMock();
+        task = new NotificationTask({
+            getStateVars: () => ({
+                notifConfig: { queueProcessor: {} },
+                destinations: { dest1: destination },
+                logger: fakeLogger,
+            }),
+        });
+    });
+
+    it('should send the event record to its destination', done => {
+        const record = {
+            Records: [{
+                eventName: 'ObjectCreated:Put',
+                s3: {
+                    bucket: { name: 'test-bucket' },
+                    object: { key: 'foo' },
+                },
+            }],
+        };
+        task.processNotificationEntry({ destination: 'dest1', record },
+        'test-bucket/foo', err => {
+            assert.ifError(err);
+            assert.deepStrictEqual(destination.sent, [{
+                key: 'test-bucket/foo',
+                message: record,
+            }]);
+            done();
+        });
+    });
+
+    it('should skip malformed entries', done => {
+        task.processNotificationEntry({
+            destination: 'dest1',
+            record: { Records: [] },
+        }, 'test-bucket/foo', err => {
+            assert.ifError(err);
+            assert.strictEqual(destination.sent.length, 0);
+            done();
+        });
+    });
+});
@@ -4,6 +4,8 @@ const assert = require('assert');
 
 const QueueEntry =
           require('../../../lib/models/QueueEntry');
+const ObjectQueueEntry =
+          require('../../../lib/models/ObjectQueueEntry');
 const { replicationEntry } = require('../../utils/kafkaEntries');
 
 describe('QueueEntry helper class', () => {
@@ -71,6 +73,89 @@ describe('QueueEntry helper class', () => {
                 'COMPLETED');
             assert.strictEqual(completed1.getReplicationStatus(), 'COMPLETED');
         });
+
+        it('should convey the failure reason of a failed entry', () => {
+            const entry = QueueEntry.createFromKafkaEntry(replicationEntry);
+            assert.strictEqual(entry.getFailureReason(), undefined);
+
+            const failed = entry.toFailedEntry('sf')
+                .setFailureReason('Access Denied');
+            const kafkaEntry = failed.toKafkaEntry('sf');
+            const parsedEntry = QueueEntry.createFromKafkaEntry({
+                key: kafkaEntry.key,
+                value: kafkaEntry.message,
+            });
+            assert.strictEqual(parsedEntry.error, undefined);
+            assert.strictEqual(parsedEntry.getSite(), 'sf');
+            assert.strictEqual(parsedEntry.getFailureReason(),
+                'Access Denied');
+        });
+
+        it('should convey the trace context of an entry', () => {
+            const traceContext =
+                '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+            const entry = QueueEntry.createFromKafkaEntry(replicationEntry);
+            assert.strictEqual(entry.getTraceContext(), undefined);
+
+            entry.setTraceContext(traceContext);
+            const kafkaEntry = entry.toCompletedEntry('sf').toKafkaEntry('sf');
+            const parsedEntry = QueueEntry.createFromKafkaEntry({
+                key: kafkaEntry.key,
+                value: kafkaEntry.message,
+            });
+            assert.strictEqual(parsedEntry.error, undefined);
+            assert.strictEqual(parsedEntry.getTraceContext(), traceContext);
+        });
+
+        it('should convey the failure type of an entry', () => {
+            const entry = QueueEntry.createFromKafkaEntry(replicationEntry);
+            assert.strictEqual(entry.getFailureType(), undefined);
+
+            const kafkaEntry = entry.toFailedEntry('sf')
+                .setFailureType('objectlock').toKafkaEntry('sf');
+            const parsedEntry = QueueEntry.createFromKafkaEntry({
+                key: kafkaEntry.key,
+                value: kafkaEntry.message,
+            });
+            assert.strictEqual(parsedEntry.error, undefined);
+            assert.strictEqual(parsedEntry.getFailureType(), 'objectlock');
+        });
+
+        it('should parse a version deletion entry', () => {
+            const entry = QueueEntry.createFromKafkaEntry(replicationEntry);
+            assert.strictEqual(entry.getIsVersionDeletion(), false);
+
+            const record = JSON.parse(replicationEntry.value);
+            record.versionDeletion = true;
+            const deletionEntry = QueueEntry.createFromKafkaEntry({
+                key: replicationEntry.key,
+                value: JSON.stringify(record),
+            });
+            assert.strictEqual(deletionEntry.error, undefined);
+            assert.strictEqual(deletionEntry.getIsVersionDeletion(), true);
+            assert.strictEqual(
+                deletionEntry.toReplicaEntry('sf').getIsVersionDeletion(),
+                true);
+        });
+
+        it('should return the object lock attributes of an entry', () => {
+            const entry = QueueEntry.createFromKafkaEntry(replicationEntry);
+            assert.strictEqual(entry.getObjectLockAttributes(), null);
+
+            const lockedEntry = new ObjectQueueEntry(
+                entry.getBucket(), entry.getObjectVersionedKey(),
+                Object.assign({}, entry.getValue(), {
+                    retentionMode: 'COMPLIANCE',
+                    retentionDate: '2030-01-01T00:00:00.000Z',
+                    legalHold: true,
+                }));
+            assert.deepStrictEqual(
+                lockedEntry.toReplicaEntry('sf').getObjectLockAttributes(), {
+                    mode: 'COMPLIANCE',
+                    retainUntilDate: '2030-01-01T00:00:00.000Z',
+                    legalHold: true,
+                });
+        });
     });
 
     describe('QueueEntry.getReducedLocations helper method', () => {
@@ -0,0 +1,289 @@
+const assert = require('assert');
+
+const config = require('../../config.json');
+const ReplicationAuditTask =
+    require('../../../extensions/replication/tasks/ReplicationAuditTask');
+const fakeLogger = require('../../utils/fakeLogger');
+
+const SITE = 'test-site-1';
+const VID_A1 = '98445675956517999999RG001  1.30.12';
+const VID_A2 = '98445675956517999998RG001  1.30.11';
+
+function mockRequest(result) {
+    return {
+        on: () => {},
+        send: cb => process.nextTick(() => cb(null, result)),
+    };
+}
+
+// list versions two at a time, like a truncated listing
+function mockListing(versions) {
+    return params => {
+        const start = params.KeyMarker === undefined ? 0 :
+            versions.findIndex(v => v.Key === params.KeyMarker &&
+                               v.VersionId === params.VersionIdMarker) + 1;
+        const page = versions.slice(start, start + 2);
+        const isTruncated = start + 2 < versions.length;
+        const last = page[page.length - 1];
+        return mockRequest({
+            IsTruncated: isTruncated,
+            NextKeyMarker: isTruncated ? last.Key : undefined,
+            NextVersionIdMarker: isTruncated ? last.VersionId : undefined,
+            Versions: page,
+        });
+    };
+}
+
+function getObjMd(versionId, siteStatus, userMd) {
+    return Object.assign({
+        versionId,
+        'content-length': 1,
+        'replicationInfo': {
+            status: siteStatus,
+            backends: [{ site: SITE, status: siteStatus,
+                         dataStoreVersionId: '' }],
+            content: ['DATA', 'METADATA'],
+            destination: 'arn:aws:s3:::destbucket',
+            storageClass: SITE,
+            role: 'arn:aws:iam::123456789012:role/src,' +
+                'arn:aws:iam::123456789012:role/dest',
+            storageType: '',
+            dataStoreVersionId: '',
+        },
+    }, userMd);
+}
+
+describe('ReplicationAuditTask', () => {
+    let task;
+    let reportLines;
+    let puts;
+
+    const srcVersions = [
+        { Key: 'a', VersionId: VID_A1, ETag: '"e1"', Size: 1 },
+        { Key: 'a', VersionId: VID_A2, ETag: '"e2"', Size: 1 },
+        { Key: 'b', VersionId: VID_A1, ETag: '"e3"', Size: 1 },
+        { Key: 'c', VersionId: VID_A1, ETag: '"e4"', Size: 1 },
+        { Key: 'd', VersionId: VID_A1, ETag: '"e5"', Size: 1 },
+    ];
+    const destVersions = [
+        { Key: 'a', VersionId: VID_A1, ETag: '"e1"', Size: 1 },
+        { Key: 'a', VersionId: VID_A2, ETag: '"e2"', Size: 1 },
+        { Key: 'b', VersionId: VID_A1, ETag: '"e3"', Size: 2 },
+        { Key: 'bb', VersionId: VID_A1, ETag: '"e6"', Size: 1 },
+    ];
+    const srcMd = {
+        [`a${VID_A1}`]: getObjMd(VID_A1, 'COMPLETED',
+            { 'x-amz-meta-foo': 'bar' }),
+        [`a${VID_A2}`]: getObjMd(VID_A2, 'COMPLETED',
+            { 'x-amz-meta-foo': 'bar' }),
+        [`b${VID_A1}`]: getObjMd(VID_A1, 'COMPLETED', {}),
+        [`c${VID_A1}`]: getObjMd(VID_A1, 'FAILED', {}),
+        [`d${VID_A1}`]: getObjMd(VID_A1, 'PENDING', {}),
+    };
+    const destMd = {
+        [`a${VID_A1}`]: getObjMd(VID_A1, 'REPLICA',
+            { 'x-amz-meta-foo': 'bar' }),
+        [`a${VID_A2}`]: getObjMd(VID_A2, 'REPLICA',
+            { 'x-amz-meta-foo': 'baz' }),
+        [`b${VID_A1}`]: getObjMd(VID_A1, 'REPLICA', {}),
+    };
+
+    beforeEach(() => {
+        reportLines = [];
+        puts = [];
+        task = new ReplicationAuditTask({
+            getStateVars: () => ({
+                sourceConfig: config.extensions.replication.source,
+                destConfig: config.extensions.replication.destination,
+                repConfig: {
+                    queueProcessor: {
+                        retry: { scality: { timeoutS: 300 } },
+                    },
+                },
+                site: SITE,
+                logger: Object.assign(
+                    { newRequestLogger: () => fakeLogger }, fakeLogger),
+            }),
+        });
+        task._setupAuditClients = (bucket, roles, log, cb) => {
+            task.auditTargets = [{
+                targetBucket: 'destbucket',
+                rules: [{ prefix: '', tags: [], enabled: true }],
+            }];
+            task.S3source = {
+                listObjectVersions: mockListing(srcVersions),
+            };
+            task.S3dest = {
+                listObjectVersions: mockListing(destVersions),
+            };
+            task.backbeatSourceProxy = {
+                getMetadata: (params, log, cb) => process.nextTick(() => cb(
+                    null, { Body: JSON.stringify(
+                        srcMd[`${params.objectKey}${params.versionId}`]) })),
+                putMetadata: (params, log, cb) => {
+                    puts.push(params);
+                    return process.nextTick(cb);
+                },
+            };
+            task.backbeatDest = {
+                getMetadata: params => mockRequest({
+                    Body: JSON.stringify(
+                        destMd[`${params.Key}${params.VersionId}`]),
+                }),
+            };
+            return process.nextTick(cb);
+        };
+    });
+
+    function audit(requeue, cb) {
+        task.auditBucket({
+            bucket: 'srcbucket',
+            requeue,
+            report: { write: line => reportLines.push(JSON.parse(line)) },
+        }, cb);
+    }
+
+    it('should report missing, mismatched and extra versions', done => {
+        audit(false, (err, summary) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(summary, {
+                Bucket: 'srcbucket',
+                TargetBuckets: ['destbucket'],
+                Site: SITE,
+                Prefix: undefined,
+                Listed: 5,
+                Matching: 1,
+                Missing: 1,
+                Mismatched: 2,
+                Extra: 1,
+                Pending: 1,
+                Skipped: 0,
+                Requeued: 0,
+            });
+            const byKey = {};
+            reportLines.forEach(line => {
+                byKey[`${line.Key}:${line.Status}`] = line;
+            });
+            assert.deepStrictEqual(Object.keys(byKey).sort(),
+                ['a:Mismatched', 'b:Mismatched', 'bb:Extra', 'c:Missing']);
+            assert.deepStrictEqual(byKey['a:Mismatched'].Differences, [{
+                Field: 'x-amz-meta-foo',
+                Source: 'bar',
+                Destination: 'baz',
+            }]);
+            assert.deepStrictEqual(byKey['b:Mismatched'].Differences, [{
+                Field: 'Size',
+                Source: 1,
+                Destination: 2,
+            }]);
+            assert.strictEqual(puts.length, 0);
+            done();
+        });
+    });
+
+    it('should requeue missing and mismatched versions', done => {
+        audit(true, (err, summary) => {
+            assert.ifError(err);
+            assert.strictEqual(summary.Requeued, 3);
+            assert.deepStrictEqual(puts.map(put => put.objectKey).sort(),
+                                   ['a', 'b', 'c']);
+            puts.forEach(put => {
+                const md = JSON.parse(put.mdBlob);
+                assert.strictEqual(md.replicationInfo.status, 'PENDING');
+                assert.strictEqual(md.replicationInfo.backends[0].status,
+                                   'PENDING');
+            });
+            assert(reportLines.filter(line => line.Status !== 'Extra')
+                   .every(line => line.Requeued === true));
+            done();
+        });
+    });
+
+    it('should audit each destination bucket for the keys of its rules',
+    done => {
+        const setupAuditClients = task._setupAuditClients;
+        task._setupAuditClients = (bucket, roles, log, cb) =>
+            setupAuditClients(bucket, roles, log, () => {
+                task.auditTargets = [{
+                    targetBucket: 'destbucket',
+                    rules: [{ prefix: 'a', tags: [], enabled: true }],
+                }, {
+                    targetBucket: 'destbucket2',
+                    rules: [{ prefix: 'b', tags: [], enabled: true }],
+                }];
+                const listings = {
+                    destbucket: mockListing(destVersions
+                        .filter(v => v.Key === 'a')),
+                    destbucket2: mockListing(destVersions
+                        .filter(v => v.Key.startsWith('b'))),
+                };
+                task.S3dest = {
+                    listObjectVersions: params =>
+                        listings[params.Bucket](params),
+                };
+                return cb();
+            });
+        audit(false, (err, summary) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(summary.TargetBuckets,
+                                   ['destbucket', 'destbucket2']);
+            assert.strictEqual(summary.Listed, 3);
+            assert.strictEqual(summary.Matching, 1);
+            assert.strictEqual(summary.Mismatched, 2);
+            assert.strictEqual(summary.Extra, 1);
+            assert.strictEqual(summary.Missing, 0);
+            assert.deepStrictEqual(reportLines.map(line =>
+                `${line.Key}:${line.Status}`).sort(),
+                ['a:Mismatched', 'b:Mismatched', 'bb:Extra']);
+            done();
+        });
+    });
+
+    it('should merge the listings in the UTF-8 byte order of the keys',
+    done => {
+        // U+FF61 sorts before U+1F600 in UTF-8, but after its UTF-16
+        // surrogate pair
+        const keys = ['\uFF61', '\u{1F600}'];
+        const setupAuditClients = task._setupAuditClients;
+        task._setupAuditClients = (bucket, roles, log, cb) =>
+            setupAuditClients(bucket, roles, log, () => {
+                task.S3source.listObjectVersions = mockListing(keys.map(
+                    Key => ({ Key, VersionId: VID_A1, ETag: '"e"', Size: 1 })));
+                task.S3dest.listObjectVersions = mockListing([{
+                    Key: keys[1], VersionId: VID_A1, ETag: '"e"', Size: 1,
+                }]);
+                task.backbeatSourceProxy.getMetadata = (params, log, cb) =>
+                    process.nextTick(() => cb(null, { Body: JSON.stringify(
+                        getObjMd(VID_A1, 'COMPLETED', {})) }));
+                task.backbeatDest.getMetadata = () => mockRequest({
+                    Body: JSON.stringify(getObjMd(VID_A1, 'REPLICA', {})),
+                });
+                return cb();
+            });
+        audit(false, (err, summary) => {
+            assert.ifError(err);
+            assert.strictEqual(summary.Listed, 2);
+            assert.strictEqual(summary.Matching, 1);
+            assert.strictEqual(summary.Missing, 1);
+            assert.strictEqual(summary.Extra, 0);
+            assert.deepStrictEqual(reportLines.map(line =>
+                `${line.Key}:${line.Status}`), [`${keys[0]}:Missing`]);
+            done();
+        });
+    });
+
+    it('should fail on malformed source metadata', done => {
+        const setupAuditClients = task._setupAuditClients;
+        task._setupAuditClients = (bucket, roles, log, cb) =>
+            setupAuditClients(bucket, roles, log, () => {
+                task.backbeatSourceProxy.getMetadata = (params, log, cb) =>
+                    process.nextTick(() => cb(null, { Body: '{' }));
+                return cb();
+            });
+        audit(false, err => {
+            assert(err && err.InternalError);
+            assert.strictEqual(puts.length, 0);
+            done();
+        });
+    });
+});
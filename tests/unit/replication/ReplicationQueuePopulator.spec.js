@@ -3,6 +3,10 @@ const assert = require('assert');
 const ReplicationQueuePopulator =
     require('../../../extensions/replication/ReplicationQueuePopulator');
 
+const {
+    zookeeperNamespace,
+    zkConfigPath,
+} = require('../../../extensions/replication/constants');
 const fakeLogger = require('../../utils/fakeLogger');
 
 const TOPIC = 'test-topic';
@@ -176,3 +180,295 @@ describe('replication queue populator', () => {
         });
     });
 });
+
+describe('replication queue populator with rule evaluation', () => {
+    let rqp;
+    let zkNodes;
+
+    const versionKey = 'a-test-key\u000098477724999464999999RG001  1.30.12';
+
+    function getObjectEntry(key, tags, replicationInfo) {
+        return {
+            type: 'put',
+            bucket: 'test-bucket-source',
+            key,
+            value: JSON.stringify({
+                'content-length': 128,
+                'content-md5': 'd41d8cd98f00b204e9800118ecf8427e',
+                'key': '',
+                'location': null,
+                'isDeleteMarker': false,
+                'tags': tags,
+                'dataStoreName': 'dc-1',
+                'last-modified': '2018-03-28T22:10:00.534Z',
+                'md-model-version': 3,
+                'versionId': '98477724999464999999RG001  1.30.12',
+                'replicationInfo': Object.assign({
+                    status: '',
+                    backends: [],
+                    content: [],
+                    destination: '',
+                    storageClass: '',
+                    role: '',
+                    storageType: '',
+                    dataStoreVersionId: '',
+                }, replicationInfo),
+            }),
+        };
+    }
+
+    beforeEach(() => {
+        zkNodes = {};
+        rqp = new ReplicationQueuePopulatorMock({
+            config: {
+                topic: TOPIC,
+                evaluateRules: true,
+                destination: {
+                    bootstrapList: [{ site: SITE, type: 'aws_s3' },
+                                    { site: SITE2 }],
+                },
+            },
+            logger: fakeLogger,
+        });
+        rqp.zkClient = {
+            setOrCreate: (path, data, cb) => {
+                zkNodes[path] = data.toString();
+                return process.nextTick(cb);
+            },
+            remove: (path, cb) => {
+                delete zkNodes[path];
+                return process.nextTick(cb);
+            },
+        };
+        rqp.filter({
+            type: 'put',
+            bucket: '__metastore',
+            key: 'test-bucket-source',
+            value: JSON.stringify({
+                replicationConfiguration: {
+                    role: 'arn:aws:iam::123456789012:role/src',
+                    destination: 'arn:aws:s3:::test-bucket-target',
+                    rules: [{
+                        id: 'all',
+                        prefix: '',
+                        enabled: true,
+                        storageClass: SITE,
+                    }, {
+                        id: 'gold',
+                        prefix: '',
+                        enabled: true,
+                        priority: 1,
+                        storageClass: `${SITE},${SITE2}`,
+                        filter: { tags: [{ key: 'class', value: 'gold' }] },
+                    }],
+                },
+            }),
+        });
+    });
+
+    it('should save the bucket replication configuration', () => {
+        const saved = JSON.parse(zkNodes[
+            `${zookeeperNamespace}${zkConfigPath}/test-bucket-source`]);
+        assert.deepStrictEqual(saved.rules.map(rule => rule.id),
+                               ['all', 'gold']);
+    });
+
+    it('should remove the configuration of a deleted bucket', done => {
+        rqp.filter({
+            type: 'put',
+            bucket: '__metastore',
+            key: 'test-bucket-source',
+            value: JSON.stringify({ deleted: true }),
+        });
+        process.nextTick(() => {
+            assert.deepStrictEqual(zkNodes, {});
+            assert.deepStrictEqual(rqp._bucketConfigs, {});
+            done();
+        });
+    });
+
+    it('should publish a version matching a rule with its replication info',
+    () => {
+        rqp.filter(getObjectEntry(versionKey, { class: 'gold' }));
+        assert.deepStrictEqual(rqp.getAndResetMetrics(), {
+            [SITE]: { ops: 1, bytes: 128 },
+            [SITE2]: { ops: 1, bytes: 128 },
+        });
+        const published = JSON.parse(rqp.getState().message);
+        const repInfo = JSON.parse(published.value).replicationInfo;
+        assert.strictEqual(repInfo.status, 'PENDING');
+        assert.deepStrictEqual(repInfo.backends.map(b => b.site),
+                               [SITE, SITE2]);
+        assert.strictEqual(repInfo.destination,
+                           'arn:aws:s3:::test-bucket-target');
+        assert.strictEqual(repInfo.role,
+                           'arn:aws:iam::123456789012:role/src');
+    });
+
+    it('should keep the status of sites already processed', () => {
+        rqp.filter(getObjectEntry(versionKey, { class: 'gold' }, {
+            status: 'PENDING',
+            backends: [{ site: SITE, status: 'COMPLETED',
+                         dataStoreVersionId: 'dsvid' },
+                       { site: SITE2, status: 'PENDING',
+                         dataStoreVersionId: '' }],
+            content: ['METADATA', 'PUT_TAGGING'],
+        }));
+        assert.deepStrictEqual(rqp.getAndResetMetrics(), {
+            [SITE2]: { ops: 1, bytes: 0 },
+        });
+        const published = JSON.parse(rqp.getState().message);
+        const repInfo = JSON.parse(published.value).replicationInfo;
+        assert.deepStrictEqual(repInfo.content, ['METADATA', 'PUT_TAGGING']);
+        assert.deepStrictEqual(repInfo.backends[0], {
+            site: SITE, status: 'COMPLETED', dataStoreVersionId: 'dsvid',
+        });
+    });
+
+    [
+        {
+            desc: 'a master key',
+            entry: getObjectEntry('a-test-key', {}),
+        },
+        {
+            desc: 'a replica',
+            entry: getObjectEntry(versionKey, {}, { status: 'REPLICA' }),
+        },
+        {
+            desc: 'a status update',
+            entry: getObjectEntry(versionKey, {}, {
+                status: 'COMPLETED',
+                backends: [{ site: SITE, status: 'COMPLETED',
+                             dataStoreVersionId: '' }],
+            }),
+        },
+    ].forEach(input => {
+        it(`should not publish ${input.desc}`, () => {
+            rqp.filter(input.entry);
+            assert.deepStrictEqual(rqp.getAndResetMetrics(), {});
+            assert.deepStrictEqual(rqp.getState(), {});
+        });
+    });
+
+    it('should not publish a pending version of a bucket without rule ' +
+    'matching it', () => {
+        rqp.filter({
+            type: 'put',
+            bucket: '__metastore',
+            key: 'test-bucket-source',
+            value: JSON.stringify({
+                replicationConfiguration: {
+                    role: 'arn:aws:iam::123456789012:role/src',
+                    destination: 'arn:aws:s3:::test-bucket-target',
+                    rules: [{ id: 'logs', prefix: 'logs/', enabled: true }],
+                },
+            }),
+        });
+        rqp.filter(getObjectEntry(versionKey, {}, {
+            status: 'PENDING',
+            backends: [{ site: SITE, status: 'PENDING',
+                         dataStoreVersionId: '' }],
+        }));
+        assert.deepStrictEqual(rqp.getAndResetMetrics(), {});
+        assert.deepStrictEqual(rqp.getState(), {});
+    });
+
+    describe('delete replication', () => {
+        function setRules(rules) {
+            rqp.filter({
+                type: 'put',
+                bucket: '__metastore',
+                key: 'test-bucket-source',
+                value: JSON.stringify({
+                    replicationConfiguration: {
+                        role: 'arn:aws:iam::123456789012:role/src',
+                        destination: 'arn:aws:s3:::test-bucket-target',
+                        rules,
+                    },
+                }),
+            });
+        }
+
+        function getDeleteMarkerEntry() {
+            const entry = getObjectEntry(versionKey, {});
+            const value = JSON.parse(entry.value);
+            value.isDeleteMarker = true;
+            value['content-length'] = 0;
+            return Object.assign(entry, { value: JSON.stringify(value) });
+        }
+
+        const versionDeletionEntry = {
+            type: 'del',
+            bucket: 'test-bucket-source',
+            key: versionKey,
+        };
+
+        it('should publish a delete marker matching a rule without filter',
+        () => {
+            rqp.filter(getDeleteMarkerEntry());
+            assert.deepStrictEqual(rqp.getAndResetMetrics(), {
+                [SITE]: { ops: 1, bytes: 0 },
+            });
+        });
+
+        it('should not publish a delete marker matching a rule with a ' +
+        'filter and delete marker replication disabled', () => {
+            setRules([{ id: 'docs', prefix: '', enabled: true,
+                        filter: { prefix: '' } }]);
+            rqp.filter(getDeleteMarkerEntry());
+            assert.deepStrictEqual(rqp.getAndResetMetrics(), {});
+            assert.deepStrictEqual(rqp.getState(), {});
+        });
+
+        it('should publish a delete marker matching a rule with a filter ' +
+        'and delete marker replication enabled', () => {
+            setRules([{ id: 'docs', prefix: '', enabled: true,
+                        filter: { prefix: '' },
+                        deleteMarkerReplication: true }]);
+            rqp.filter(getDeleteMarkerEntry());
+            assert.deepStrictEqual(rqp.getAndResetMetrics(), {
+                [SITE]: { ops: 1, bytes: 0 },
+            });
+        });
+
+        it('should not publish a version deletion if version deletions ' +
+        'are not replicated', () => {
+            setRules([{ id: 'all', prefix: '', enabled: true,
+                        storageClass: `${SITE},${SITE2}` }]);
+            rqp.filter(versionDeletionEntry);
+            assert.deepStrictEqual(rqp.getAndResetMetrics(), {});
+            assert.deepStrictEqual(rqp.getState(), {});
+        });
+
+        it('should publish a version deletion to the Scality sites of the ' +
+        'matching rule', () => {
+            rqp.repConfig.replicateVersionDeletions = true;
+            setRules([{ id: 'all', prefix: '', enabled: true,
+                        storageClass: `${SITE},${SITE2}` }]);
+            rqp.filter(versionDeletionEntry);
+            assert.deepStrictEqual(rqp.getAndResetMetrics(), {
+                [SITE2]: { ops: 1, bytes: 0 },
+            });
+            const published = JSON.parse(rqp.getState().message);
+            assert.strictEqual(published.versionDeletion, true);
+            assert.strictEqual(published.key, versionKey);
+            const value = JSON.parse(published.value);
+            assert.strictEqual(value.versionId,
+                               '98477724999464999999RG001  1.30.12');
+            assert.strictEqual(value.replicationInfo.storageClass, SITE2);
+            assert.deepStrictEqual(
+                value.replicationInfo.backends.map(b => b.site), [SITE2]);
+        });
+
+        it('should not publish a version deletion matching a rule with ' +
+        'delete marker replication disabled', () => {
+            rqp.repConfig.replicateVersionDeletions = true;
+            setRules([{ id: 'all', prefix: '', enabled: true,
+                        storageClass: `${SITE},${SITE2}`,
+                        deleteMarkerReplication: false }]);
+            rqp.filter(versionDeletionEntry);
+            assert.deepStrictEqual(rqp.getAndResetMetrics(), {});
+            assert.deepStrictEqual(rqp.getState(), {});
+        });
+    });
+});
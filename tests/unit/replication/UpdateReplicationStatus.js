@@ -4,6 +4,7 @@ const UpdateReplicationStatus =
     require('../../../extensions/replication/tasks/UpdateReplicationStatus');
 const QueueEntry = require('../../../lib/models/QueueEntry');
 const { replicationEntry } = require('../../utils/kafkaEntries');
+const fakeLogger = require('../../utils/fakeLogger');
 
 function getCompletedEntry() {
     return QueueEntry.createFromKafkaEntry(replicationEntry)
@@ -73,4 +74,60 @@ describe('update replication status', () => {
         checkReplicationInfo('sf', 'PENDING', updatedSourceEntry);
         checkReplicationInfo('replicationaws', 'PENDING', updatedSourceEntry);
     });
+
+    describe('::_reportReplicationDelay', () => {
+        let published;
+        const rtcTask = new UpdateReplicationStatus({
+            getStateVars: () => {
+                const stateVars = rspMock.getStateVars();
+                stateVars.repConfig.rtc = { thresholdS: 900 };
+                stateVars.logger = fakeLogger;
+                stateVars.slaMissedProducer = {
+                    publishSLAMissedEntry: (key, message, cb) => {
+                        published.push({ key, message: JSON.parse(message) });
+                        return cb();
+                    },
+                };
+                return stateVars;
+            },
+        });
+
+        beforeEach(() => {
+            published = [];
+        });
+
+        it('should not publish an SLA missed entry when replicated within ' +
+        'the threshold', () => {
+            const entry = getCompletedEntry();
+            const completedAt = new Date(
+                new Date(entry.getLastModified()).getTime() + 60000);
+            const delayS = rtcTask._reportReplicationDelay(
+                entry, 'sf', completedAt);
+            assert.strictEqual(delayS, 60);
+            assert.strictEqual(published.length, 0);
+        });
+
+        it('should publish an SLA missed entry when replicated after the ' +
+        'threshold', () => {
+            const entry = getCompletedEntry();
+            const completedAt = new Date(
+                new Date(entry.getLastModified()).getTime() + 1000000);
+            const delayS = rtcTask._reportReplicationDelay(
+                entry, 'sf', completedAt);
+            assert.strictEqual(delayS, 1000);
+            assert.deepStrictEqual(published, [{
+                key: entry.getCanonicalKey(),
+                message: {
+                    bucket: entry.getBucket(),
+                    key: entry.getObjectKey(),
+                    versionId: entry.getEncodedVersionId(),
+                    site: 'sf',
+                    lastModified: '2017-07-13T02:44:25.519Z',
+                    completedAt: completedAt.toISOString(),
+                    delayS: 1000,
+                    thresholdS: 900,
+                },
+            }]);
+        });
+    });
 });
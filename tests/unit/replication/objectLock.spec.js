@@ -0,0 +1,40 @@
+const assert = require('assert');
+
+const {
+    getObjectLockError,
+    isObjectLockError,
+} = require('../../../extensions/replication/utils/objectLock');
+
+function getError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+describe('isObjectLockError', () => {
+    [
+        { desc: 'a missing object lock configuration',
+          err: getError('ObjectLockConfigurationNotFoundError',
+                        'Object Lock configuration does not exist') },
+        { desc: 'an object lock InvalidRequest',
+          err: getError('InvalidRequest',
+                        'Bucket is missing Object Lock Configuration') },
+        { desc: 'an object lock error of the queue processor',
+          err: getObjectLockError('destbucket') },
+    ].forEach(test => {
+        it(`should return true for ${test.desc}`, () => {
+            assert.strictEqual(isObjectLockError(test.err), true);
+        });
+    });
+
+    [
+        { desc: 'other InvalidRequest errors',
+          err: getError('InvalidRequest', 'Invalid storage class') },
+        { desc: 'other errors',
+          err: getError('AccessDenied', 'Access Denied') },
+    ].forEach(test => {
+        it(`should return false for ${test.desc}`, () => {
+            assert.strictEqual(isObjectLockError(test.err), false);
+        });
+    });
+});
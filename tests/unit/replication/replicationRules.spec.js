@@ -0,0 +1,271 @@
+const assert = require('assert');
+
+const {
+    normalizeBucketMdConfig,
+    normalizeS3Config,
+    isRuleMatching,
+    getMatchingRule,
+    getReplicationInfo,
+} = require('../../../extensions/replication/utils/replicationRules');
+
+const bootstrapList = [
+    { site: 'zenko', servers: ['localhost:8001'] },
+    { site: 'aws-location', type: 'aws_s3', default: true },
+    { site: 'azure-location', type: 'azure' },
+];
+
+describe('replication rules', () => {
+    describe('normalizeS3Config', () => {
+        it('should normalize rules with a prefix, a tag or an And filter',
+        () => {
+            const config = normalizeS3Config({
+                Role: 'arn:aws:iam::123456789012:role/src',
+                Rules: [{
+                    ID: 'v1',
+                    Prefix: 'logs/',
+                    Status: 'Enabled',
+                    Destination: { Bucket: 'arn:aws:s3:::dest1' },
+                }, {
+                    ID: 'tag',
+                    Status: 'Disabled',
+                    Priority: 2,
+                    Filter: { Tag: { Key: 'replicate', Value: 'yes' } },
+                    Destination: {
+                        Bucket: 'arn:aws:s3:::dest2',
+                        StorageClass: 'azure-location',
+                    },
+                }, {
+                    ID: 'and',
+                    Status: 'Enabled',
+                    Priority: 1,
+                    Filter: {
+                        And: {
+                            Prefix: 'docs/',
+                            Tags: [{ Key: 'a', Value: '1' },
+                                   { Key: 'b', Value: '2' }],
+                        },
+                    },
+                    DeleteMarkerReplication: { Status: 'Enabled' },
+                    Destination: { Bucket: 'arn:aws:s3:::dest3' },
+                }],
+            });
+            assert.strictEqual(config.role,
+                               'arn:aws:iam::123456789012:role/src');
+            assert.deepStrictEqual(config.rules, [{
+                id: 'v1',
+                enabled: true,
+                priority: 0,
+                prefix: 'logs/',
+                tags: [],
+                destination: 'arn:aws:s3:::dest1',
+                storageClass: undefined,
+                deleteMarkerReplication: true,
+            }, {
+                id: 'tag',
+                enabled: false,
+                priority: 2,
+                prefix: '',
+                tags: [{ key: 'replicate', value: 'yes' }],
+                destination: 'arn:aws:s3:::dest2',
+                storageClass: 'azure-location',
+                deleteMarkerReplication: false,
+            }, {
+                id: 'and',
+                enabled: true,
+                priority: 1,
+                prefix: 'docs/',
+                tags: [{ key: 'a', value: '1' }, { key: 'b', value: '2' }],
+                destination: 'arn:aws:s3:::dest3',
+                storageClass: undefined,
+                deleteMarkerReplication: true,
+            }]);
+        });
+    });
+
+    describe('normalizeBucketMdConfig', () => {
+        it('should return null without configuration', () => {
+            assert.strictEqual(normalizeBucketMdConfig(undefined), null);
+        });
+
+        it('should normalize rules with and without filter', () => {
+            const config = normalizeBucketMdConfig({
+                role: 'arn:aws:iam::123456789012:role/src',
+                destination: 'arn:aws:s3:::dest',
+                rules: [{
+                    id: 'r1',
+                    prefix: 'logs/',
+                    enabled: true,
+                    storageClass: 'zenko',
+                }, {
+                    id: 'r2',
+                    prefix: '',
+                    enabled: true,
+                    priority: 3,
+                    filter: {
+                        prefix: 'docs/',
+                        tags: [{ key: 'class', value: 'gold' }],
+                    },
+                    destination: 'arn:aws:s3:::other',
+                }],
+            });
+            assert.strictEqual(config.destination, 'arn:aws:s3:::dest');
+            assert.deepStrictEqual(config.rules.map(rule => [
+                rule.id, rule.priority, rule.prefix, rule.tags,
+                rule.destination,
+            ]), [
+                ['r1', 0, 'logs/', [], undefined],
+                ['r2', 3, 'docs/', [{ key: 'class', value: 'gold' }],
+                 'arn:aws:s3:::other'],
+            ]);
+        });
+
+        it('should enable delete marker replication of rules without ' +
+        'filter by default', () => {
+            const config = normalizeBucketMdConfig({
+                role: 'arn:aws:iam::123456789012:role/src',
+                destination: 'arn:aws:s3:::dest',
+                rules: [
+                    { id: 'r1', prefix: '', enabled: true },
+                    { id: 'r2', prefix: '', enabled: true,
+                      deleteMarkerReplication: false },
+                    { id: 'r3', prefix: '', enabled: true,
+                      filter: { prefix: 'docs/' } },
+                    { id: 'r4', prefix: '', enabled: true,
+                      filter: { prefix: 'docs/' },
+                      deleteMarkerReplication: true },
+                ],
+            });
+            assert.deepStrictEqual(
+                config.rules.map(rule => rule.deleteMarkerReplication),
+                [true, false, false, true]);
+        });
+    });
+
+    describe('isRuleMatching', () => {
+        const rule = {
+            prefix: 'docs/',
+            tags: [{ key: 'a', value: '1' }, { key: 'b', value: '2' }],
+        };
+
+        [
+            ['key with prefix and all tags', 'docs/x', { a: '1', b: '2' },
+             true],
+            ['key with prefix and more tags', 'docs/x',
+             { a: '1', b: '2', c: '3' }, true],
+            ['key without prefix', 'logs/x', { a: '1', b: '2' }, false],
+            ['key with a missing tag', 'docs/x', { a: '1' }, false],
+            ['key with a different tag value', 'docs/x',
+             { a: '1', b: '3' }, false],
+            ['key without tags', 'docs/x', undefined, false],
+        ].forEach(([desc, key, tags, expected]) => {
+            it(`should return ${expected} for a ${desc}`, () => {
+                assert.strictEqual(isRuleMatching(rule, key, tags),
+                                   expected);
+            });
+        });
+    });
+
+    describe('getMatchingRule', () => {
+        const config = normalizeBucketMdConfig({
+            role: 'role',
+            destination: 'arn:aws:s3:::dest',
+            rules: [
+                { id: 'all', prefix: '', enabled: true },
+                { id: 'gold', prefix: '', enabled: true, priority: 2,
+                  filter: { tags: [{ key: 'class', value: 'gold' }] } },
+                { id: 'docs', prefix: 'docs/', enabled: true, priority: 1 },
+                { id: 'disabled', prefix: 'docs/', enabled: false,
+                  priority: 5 },
+            ],
+        });
+
+        it('should return the enabled matching rule with the highest ' +
+        'priority', () => {
+            assert.strictEqual(getMatchingRule(config, 'docs/x').id, 'docs');
+            assert.strictEqual(
+                getMatchingRule(config, 'docs/x', { class: 'gold' }).id,
+                'gold');
+        });
+
+        it('should return the first rule among rules of same priority',
+        () => {
+            const v1Config = normalizeBucketMdConfig({
+                role: 'role',
+                rules: [{ id: 'first', prefix: 'a', enabled: true },
+                        { id: 'second', prefix: 'ab', enabled: true }],
+            });
+            assert.strictEqual(getMatchingRule(v1Config, 'abc').id, 'first');
+        });
+
+        it('should return null if no enabled rule matches', () => {
+            const prefixConfig = normalizeBucketMdConfig({
+                role: 'role',
+                rules: [{ id: 'logs', prefix: 'logs/', enabled: true },
+                        { id: 'docs', prefix: 'docs/', enabled: false }],
+            });
+            assert.strictEqual(getMatchingRule(prefixConfig, 'docs/x'), null);
+            assert.strictEqual(getMatchingRule(null, 'docs/x'), null);
+        });
+
+        it('should only return the rules replicating to the site if set',
+        () => {
+            const sitesConfig = normalizeBucketMdConfig({
+                role: 'role',
+                rules: [
+                    { id: 'site1', prefix: '', enabled: true, priority: 2,
+                      storageClass: 'site1' },
+                    { id: 'site2', prefix: '', enabled: true, priority: 1,
+                      storageClass: 'site2,site3' },
+                    { id: 'default', prefix: '', enabled: true },
+                ],
+            });
+            assert.strictEqual(getMatchingRule(sitesConfig, 'x').id, 'site1');
+            assert.strictEqual(
+                getMatchingRule(sitesConfig, 'x', {}, 'site1').id, 'site1');
+            assert.strictEqual(
+                getMatchingRule(sitesConfig, 'x', {}, 'site3').id, 'site2');
+            assert.strictEqual(
+                getMatchingRule(sitesConfig, 'x', {}, 'site4').id, 'default');
+        });
+    });
+
+    describe('getReplicationInfo', () => {
+        const config = {
+            role: 'role',
+            destination: 'arn:aws:s3:::dest',
+            rules: [],
+        };
+
+        it('should replicate to the rule storage class sites', () => {
+            const info = getReplicationInfo(config, {
+                storageClass: 'zenko,azure-location:preferred_read',
+                destination: 'arn:aws:s3:::other',
+            }, 42, bootstrapList);
+            assert.deepStrictEqual(info, {
+                status: 'PENDING',
+                backends: [
+                    { site: 'zenko', status: 'PENDING',
+                      dataStoreVersionId: '' },
+                    { site: 'azure-location', status: 'PENDING',
+                      dataStoreVersionId: '' },
+                ],
+                content: ['DATA', 'METADATA'],
+                destination: 'arn:aws:s3:::other',
+                storageClass: 'zenko,azure-location',
+                role: 'role',
+                storageType: 'azure',
+                dataStoreVersionId: '',
+            });
+        });
+
+        it('should replicate to the default site with the configuration ' +
+        'destination', () => {
+            const info = getReplicationInfo(config, {}, 0, bootstrapList);
+            assert.deepStrictEqual(info.backends.map(b => b.site),
+                                   ['aws-location']);
+            assert.strictEqual(info.storageType, 'aws_s3');
+            assert.strictEqual(info.destination, 'arn:aws:s3:::dest');
+            assert.deepStrictEqual(info.content, ['METADATA']);
+        });
+    });
+});
@@ -4,6 +4,8 @@ const { redisKeys } = require('../../extensions/replication/constants');
 const {
     getSortedSetMember,
     getSortedSetKey,
+    getFailureReasonKey,
+    getObjectLockSortedSetKey,
 } = require('../../lib/util/sortedSetHelper');
 
 describe('sorted set helper methods', () => {
@@ -27,4 +29,18 @@ describe('sorted set helper methods', () => {
             assert.strictEqual(key, `${redisKeys.failedCRR}:a:b`);
         });
     });
+
+    describe('getFailureReasonKey', () => {
+        it('should return the correct Redis hash key schema', () => {
+            const key = getFailureReasonKey('a', 'b');
+            assert.strictEqual(key, `${redisKeys.failedCRRReason}:a:b`);
+        });
+    });
+
+    describe('getObjectLockSortedSetKey', () => {
+        it('should return the correct Redis sorted set key schema', () => {
+            const key = getObjectLockSortedSetKey('a', 'b');
+            assert.strictEqual(key, `${redisKeys.failedCRRObjectLock}:a:b`);
+        });
+    });
 });
@@ -29,17 +29,32 @@ class Rule {
         if (this.transitions) {
             rule.Transitions = this.transitions;
         }
+        if (this.ncvTransitions) {
+            rule.NoncurrentVersionTransitions = this.ncvTransitions;
+        }
 
 
         const filter = {};
-        if ((this.prefix && this.tags.length) || (this.tags.length > 1)) {
+        const sizeFilter = {};
+        if (this.objectSizeGreaterThan !== undefined) {
+            sizeFilter.ObjectSizeGreaterThan = this.objectSizeGreaterThan;
+        }
+        if (this.objectSizeLessThan !== undefined) {
+            sizeFilter.ObjectSizeLessThan = this.objectSizeLessThan;
+        }
+        const nbCriteria = (this.prefix ? 1 : 0) + this.tags.length +
+              Object.keys(sizeFilter).length;
+        if (nbCriteria > 1) {
             // And rule
             const andRule = {};
 
             if (this.prefix) {
                 andRule.Prefix = this.prefix;
             }
-            andRule.Tags = this.tags;
+            if (this.tags.length) {
+                andRule.Tags = this.tags;
+            }
+            Object.assign(andRule, sizeFilter);
             filter.And = andRule;
         } else {
             if (this.prefix) {
@@ -48,6 +63,7 @@ class Rule {
             if (this.tags.length) {
                 filter.Tag = this.tags[0];
             }
+            Object.assign(filter, sizeFilter);
         }
         rule.Filter = filter;
 
@@ -93,13 +109,37 @@ class Rule {
         return this;
     }
 
+    /**
+    * ObjectSizeGreaterThan filter
+    * @param {integer} size - minimum object size (exclusive)
+    * @return {undefined}
+    */
+    addObjectSizeGreaterThan(size) {
+        this.objectSizeGreaterThan = size;
+        return this;
+    }
+
+    /**
+    * ObjectSizeLessThan filter
+    * @param {integer} size - maximum object size (exclusive)
+    * @return {undefined}
+    */
+    addObjectSizeLessThan(size) {
+        this.objectSizeLessThan = size;
+        return this;
+    }
+
     /**
     * NoncurrentVersionExpiration
     * @param {integer} days - NoncurrentDays
+    * @param {integer} [newerVersions] - NewerNoncurrentVersions
     * @return {undefined}
     */
-    addNCVExpiration(days) {
+    addNCVExpiration(days, newerVersions) {
         this.ncvExpiration = { NoncurrentDays: days };
+        if (newerVersions !== undefined) {
+            this.ncvExpiration.NewerNoncurrentVersions = newerVersions;
+        }
         return this;
     }
 
@@ -122,6 +162,16 @@ class Rule {
         this.transitions = transitions;
         return this;
     }
+
+    /**
+     * NoncurrentVersionTransitions
+     * @param {array} transitions - noncurrent version transitions
+     * @return {undefined}
+     */
+    addNCVTransitions(transitions) {
+        this.ncvTransitions = transitions;
+        return this;
+    }
 }
 
 module.exports = Rule;
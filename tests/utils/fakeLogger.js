@@ -2,6 +2,7 @@ const fakeLogger = {
     trace: () => {},
     error: () => {},
     info: () => {},
+    warn: () => {},
     debug: () => {},
     getSerializedUids: () => {},
 };
@@ -0,0 +1,20 @@
+/**
+ * Get the value of a prometheus metric, summed over its values having
+ * the given labels
+ * @param {Object} metric - prom-client counter or histogram
+ * @param {Object} [labels] - labels the values must have
+ * @param {String} [suffix] - suffix of the histogram values to sum,
+ *   e.g. '_count' or '_sum'
+ * @return {Number} metric value
+ */
+function getMetricValue(metric, labels, suffix) {
+    const { name, values } = metric.get();
+    const expectedLabels = labels || {};
+    return values
+        .filter(v => !suffix || v.metricName === `${name}${suffix}`)
+        .filter(v => Object.keys(expectedLabels).every(
+            label => v.labels[label] === expectedLabels[label]))
+        .reduce((sum, v) => sum + v.value, 0);
+}
+
+module.exports = getMetricValue;